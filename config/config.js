@@ -4,6 +4,44 @@ const path = require('path');
 // Load environment variables
 dotenv.config();
 
+// JSON-valued variables fall back when unset or malformed
+const parseJSONEnv = (name, fallback) => {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`⚠️ Ignoring malformed JSON in ${name}`);
+    return fallback;
+  }
+};
+
+// WEBHOOK_SECRETS replaces WEBHOOK_SECRET, so a malformed value must stop the
+// boot instead of quietly bringing the single secret back
+const parseWebhookSecrets = () => {
+  if (!process.env.WEBHOOK_SECRETS) return null;
+
+  let secrets;
+  try {
+    secrets = JSON.parse(process.env.WEBHOOK_SECRETS);
+  } catch (error) {
+    throw new Error(`WEBHOOK_SECRETS is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(secrets) || secrets.length === 0) {
+    throw new Error('WEBHOOK_SECRETS must be a non-empty JSON array of {"id", "secret", "source", "expiresAt"}');
+  }
+  secrets.forEach((entry, index) => {
+    if (!entry || typeof entry.secret !== 'string' || entry.secret.length === 0) {
+      throw new Error(`WEBHOOK_SECRETS[${index}] needs a non-empty "secret"`);
+    }
+    if (entry.expiresAt && Number.isNaN(new Date(entry.expiresAt).getTime())) {
+      throw new Error(`WEBHOOK_SECRETS[${index}] has an invalid "expiresAt"`);
+    }
+  });
+
+  return secrets;
+};
+
 const config = {
   // Server configuration
   server: {
@@ -25,17 +63,52 @@ const config = {
     reconnect: true
   },
 
+  // Schema migrations (checked at startup; pending migrations block boot in production)
+  migrations: {
+    checkOnStartup: process.env.MIGRATIONS_CHECK_ON_STARTUP
+      ? process.env.MIGRATIONS_CHECK_ON_STARTUP === 'true'
+      : (process.env.NODE_ENV || 'development') === 'production'
+  },
+
   // Security configuration
   security: {
     jwtSecret: process.env.JWT_SECRET || 'fallback-secret-key',
     webhookSecret: process.env.WEBHOOK_SECRET || 'webhook-secret',
-    apiKey: process.env.API_KEY || 'internal-api-key'
+    // Rotating secrets replacing webhookSecret: [{"id": "v2", "secret": "...", "source": "chatgpt", "expiresAt": "..."}]
+    webhookSecrets: parseWebhookSecrets(),
+    webhookToleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300,
+    apiKey: process.env.API_KEY || null,
+    // The single env key keeps admin access until clients move to stored keys; never without an explicit API_KEY
+    legacyApiKeyEnabled: Boolean(process.env.API_KEY) && process.env.LEGACY_API_KEY_ENABLED !== 'false',
+    // last_used_at is written at most this often per key
+    apiKeyTouchIntervalMs: parseInt(process.env.API_KEY_TOUCH_INTERVAL_MS) || 60000
+  },
+
+  // User login: short-lived JWT access tokens, rotating refresh tokens
+  auth: {
+    accessTokenTtl: process.env.JWT_ACCESS_TTL || '15m',
+    refreshTokenTtlDays: parseInt(process.env.JWT_REFRESH_TTL_DAYS) || 30,
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
+    loginRateLimit: parseInt(process.env.LOGIN_RATE_LIMIT) || 10 // attempts per rate limit window
   },
 
   // OpenAI configuration
   openai: {
     apiKey: process.env.OPENAI_API_KEY || '',
-    orgId: process.env.OPENAI_ORG_ID || ''
+    orgId: process.env.OPENAI_ORG_ID || '',
+    // Assistant for conversations whose project has no assistant settings
+    assistantId: process.env.OPENAI_ASSISTANT_ID || '',
+    defaultModel: process.env.OPENAI_MODEL || 'gpt-4',
+    // Assistants runs: give up (and cancel) after runTimeoutMs; polls back off up to pollMaxMs
+    runTimeoutMs: parseInt(process.env.OPENAI_RUN_TIMEOUT_MS) || 120000,
+    pollIntervalMs: parseInt(process.env.OPENAI_RUN_POLL_INTERVAL_MS) || 500,
+    pollMaxMs: parseInt(process.env.OPENAI_RUN_POLL_MAX_MS) || 5000,
+    // Server-side tools offered to chat completions and assistant runs
+    tools: {
+      enabled: process.env.OPENAI_TOOLS_ENABLED !== 'false',
+      maxRounds: parseInt(process.env.OPENAI_TOOLS_MAX_ROUNDS) || 5, // tool round trips per chat completion
+      maxOutputChars: parseInt(process.env.OPENAI_TOOLS_MAX_OUTPUT_CHARS) || 8000
+    }
   },
 
   // Rate limiting
@@ -52,23 +125,100 @@ const config = {
     maxFiles: '14d'
   },
 
-  // Health check configuration
-  healthCheck: {
-    interval: parseInt(process.env.HEALTH_CHECK_INTERVAL) || 30000
+  // Webhook inbox worker
+  webhookInbox: {
+    pollInterval: parseInt(process.env.WEBHOOK_INBOX_POLL_INTERVAL) || 2000,
+    batchSize: parseInt(process.env.WEBHOOK_INBOX_BATCH_SIZE) || 10,
+    maxAttempts: parseInt(process.env.WEBHOOK_INBOX_MAX_ATTEMPTS) || 8,
+    backoffBaseMs: parseInt(process.env.WEBHOOK_INBOX_BACKOFF_BASE_MS) || 5000,
+    backoffMaxMs: parseInt(process.env.WEBHOOK_INBOX_BACKOFF_MAX_MS) || 60 * 60 * 1000, // 1 hour
+    lockTimeout: parseInt(process.env.WEBHOOK_INBOX_LOCK_TIMEOUT) || 300 // seconds
+  },
+
+  // Outbound webhooks to subscribed consumers
+  outboundWebhooks: {
+    enabled: process.env.OUTBOUND_WEBHOOKS_ENABLED !== 'false',
+    pollInterval: parseInt(process.env.OUTBOUND_WEBHOOKS_POLL_INTERVAL) || 2000,
+    batchSize: parseInt(process.env.OUTBOUND_WEBHOOKS_BATCH_SIZE) || 20,
+    maxAttempts: parseInt(process.env.OUTBOUND_WEBHOOKS_MAX_ATTEMPTS) || 10,
+    backoffBaseMs: parseInt(process.env.OUTBOUND_WEBHOOKS_BACKOFF_BASE_MS) || 10000,
+    backoffMaxMs: parseInt(process.env.OUTBOUND_WEBHOOKS_BACKOFF_MAX_MS) || 6 * 60 * 60 * 1000, // 6 hours
+    timeoutMs: parseInt(process.env.OUTBOUND_WEBHOOKS_TIMEOUT_MS) || 10000,
+    lockTimeout: parseInt(process.env.OUTBOUND_WEBHOOKS_LOCK_TIMEOUT) || 120 // seconds
+  },
+
+  // Batch webhook endpoint
+  webhookBatch: {
+    maxEvents: parseInt(process.env.WEBHOOK_BATCH_MAX_EVENTS) || 500
+  },
+
+  // Webhook event de-duplication
+  idempotency: {
+    ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60 // 24 hours
+  },
+
+  // OpenAI thread sync jobs
+  sync: {
+    batchSize: parseInt(process.env.SYNC_BATCH_SIZE) || 10,
+    maxErrors: parseInt(process.env.SYNC_MAX_ERRORS) || 50 // errors kept per job
+  },
+
+  // OpenAI call recording in api_calls; prices (USD per 1M tokens) extend the built-in table
+  usage: {
+    enabled: process.env.USAGE_TRACKING_ENABLED !== 'false',
+    prices: parseJSONEnv('OPENAI_MODEL_PRICES', {}) // {"my-model": {"input": 1, "output": 2}}
+  },
+
+  // Semantic search: embedding provider and chunking
+  embeddings: {
+    provider: process.env.EMBEDDINGS_PROVIDER || 'local', // local | openai
+    model: process.env.EMBEDDINGS_MODEL || null,
+    dimensions: parseInt(process.env.EMBEDDINGS_DIMENSIONS) || null,
+    chunkSize: parseInt(process.env.EMBEDDINGS_CHUNK_SIZE) || 1000,
+    chunkOverlap: parseInt(process.env.EMBEDDINGS_CHUNK_OVERLAP) || 200,
+    batchSize: parseInt(process.env.EMBEDDINGS_BATCH_SIZE) || 50,
+    scanPageSize: parseInt(process.env.EMBEDDINGS_SCAN_PAGE_SIZE) || 5000 // candidates scored per query round trip
+  },
+
+  // ChatGPT export imports (upload endpoint accepts the raw zip)
+  imports: {
+    maxUploadBytes: parseInt(process.env.IMPORT_MAX_UPLOAD_BYTES) || 200 * 1024 * 1024, // 200 MB
+    maxUncompressedBytes: parseInt(process.env.IMPORT_MAX_UNCOMPRESSED_BYTES) || 1024 * 1024 * 1024, // 1 GB, conversations.json inside the zip
+    uploadContentTypes: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream']
+  },
+
+  // Scheduled background jobs: cron expressions (5 fields, or 6 with seconds); "off" disables a job
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    schedules: {
+      databaseHealth: process.env.SCHEDULE_DATABASE_HEALTH || '*/30 * * * * *',
+      memoryCheck: process.env.SCHEDULE_MEMORY_CHECK || '0 * * * * *',
+      purgeWebhookEvents: process.env.SCHEDULE_PURGE_WEBHOOK_EVENTS || '0 * * * *',
+      openaiSync: process.env.SCHEDULE_OPENAI_SYNC || 'off',
+      previewFetch: process.env.SCHEDULE_PREVIEW_FETCH || 'off'
+    },
+    previewFetch: {
+      sourceDb: process.env.SOURCE_DB_NAME || null, // default: this database
+      limit: parseInt(process.env.PREVIEW_FETCH_LIMIT) || 100,
+      maxAttempts: parseInt(process.env.PREVIEW_FETCH_MAX_ATTEMPTS) || 5 // failed fetches per thread before it is skipped
+    }
   }
 };
 
-// Validate required environment variables
+// Validate required environment variables (a list means one of them is enough)
 const requiredVars = [
   'DB_HOST',
   'DB_NAME', 
   'DB_USER',
   'DB_PASSWORD',
   'JWT_SECRET',
-  'WEBHOOK_SECRET'
+  ['WEBHOOK_SECRETS', 'WEBHOOK_SECRET']
 ];
 
-const missingVars = requiredVars.filter(varName => !process.env[varName]);
+const missingVars = requiredVars
+  .map(names => [].concat(names))
+  .filter(names => !names.some(varName => process.env[varName]))
+  .map(names => names.join(' or '));
 
 if (missingVars.length > 0 && config.server.nodeEnv === 'production') {
   console.error('❌ Missing required environment variables:', missingVars.join(', '));
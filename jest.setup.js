@@ -0,0 +1,2 @@
+// The legacy admin key is only accepted when API_KEY is set; the suites authenticate with it
+process.env.API_KEY = process.env.API_KEY || 'internal-api-key';
@@ -0,0 +1,87 @@
+// Baseline: the v2 schema as dumped in Auxiliar/iunaorg_chatBeto_v2.sql, plus `projects`.
+// Uses IF NOT EXISTS so it can be recorded against a database that already has these tables.
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS projects (
+      id INT(11) NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      description TEXT DEFAULT NULL,
+      is_starred TINYINT(1) DEFAULT 0,
+      chatgpt_project_id VARCHAR(100) DEFAULT NULL,
+      created_at DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+      UNIQUE KEY name (name)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci`,
+
+    `CREATE TABLE IF NOT EXISTS conversations (
+      id VARCHAR(36) NOT NULL PRIMARY KEY,
+      conversation_id VARCHAR(100) NOT NULL,
+      project_id INT(11) DEFAULT NULL,
+      title VARCHAR(500) DEFAULT NULL,
+      default_model_slug VARCHAR(100) DEFAULT NULL,
+      openai_thread_id VARCHAR(100) DEFAULT NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      created_at_ms BIGINT(20) DEFAULT NULL,
+      updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+      is_archived TINYINT(1) DEFAULT 0,
+      is_starred TINYINT(1) DEFAULT 0,
+      KEY project_id (project_id),
+      KEY created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci`,
+
+    `CREATE TABLE IF NOT EXISTS messages (
+      id VARCHAR(36) NOT NULL PRIMARY KEY,
+      conversation_id VARCHAR(36) NOT NULL,
+      parent_message_id VARCHAR(36) DEFAULT NULL,
+      role VARCHAR(50) NOT NULL,
+      author_name VARCHAR(255) DEFAULT NULL,
+      content LONGTEXT DEFAULT NULL,
+      content_type VARCHAR(50) DEFAULT 'text',
+      created_at DATETIME(3) DEFAULT NULL,
+      created_at_ms BIGINT(20) DEFAULT NULL,
+      status VARCHAR(50) DEFAULT 'finished_successfully',
+      metadata LONGTEXT DEFAULT NULL,
+      KEY conversation_id (conversation_id),
+      KEY created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci`,
+
+    `CREATE TABLE IF NOT EXISTS api_calls (
+      id VARCHAR(36) NOT NULL PRIMARY KEY,
+      endpoint VARCHAR(100) DEFAULT NULL,
+      request LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(request)),
+      response LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(response)),
+      model VARCHAR(100) DEFAULT NULL,
+      tokens_input INT(11) DEFAULT NULL,
+      tokens_output INT(11) DEFAULT NULL,
+      cost DECIMAL(12,6) DEFAULT NULL,
+      created_at DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci`,
+
+    `CREATE TABLE IF NOT EXISTS documents (
+      id VARCHAR(36) NOT NULL PRIMARY KEY,
+      project_id INT(11) DEFAULT NULL,
+      source_url VARCHAR(1000) DEFAULT NULL,
+      title VARCHAR(500) DEFAULT NULL,
+      text LONGTEXT DEFAULT NULL,
+      language VARCHAR(10) DEFAULT NULL,
+      created_at DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci`,
+
+    `CREATE TABLE IF NOT EXISTS embeddings (
+      id VARCHAR(36) NOT NULL PRIMARY KEY,
+      document_id VARCHAR(36) NOT NULL,
+      chunk_index INT(11) NOT NULL,
+      vector MEDIUMBLOB DEFAULT NULL,
+      vector_dim INT(11) DEFAULT NULL,
+      model VARCHAR(100) DEFAULT NULL,
+      created_at DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+      metadata LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(metadata)),
+      KEY document_id (document_id),
+      KEY chunk_index (chunk_index)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci`
+  ],
+
+  // Dropping the core data tables is never what a rollback should do
+  async down() {
+    throw new Error('The baseline migration cannot be reverted');
+  }
+};
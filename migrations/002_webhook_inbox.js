@@ -0,0 +1,26 @@
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS webhook_inbox (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      event_id VARCHAR(255) NULL,
+      event_type VARCHAR(100) NOT NULL,
+      headers LONGTEXT NULL,
+      raw_body LONGTEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      max_attempts INT NOT NULL DEFAULT 8,
+      next_attempt_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      locked_at DATETIME(3) NULL,
+      last_error TEXT NULL,
+      result LONGTEXT NULL,
+      received_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      processed_at DATETIME(3) NULL,
+      KEY idx_webhook_inbox_status (status, next_attempt_at),
+      KEY idx_webhook_inbox_event_id (event_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS webhook_inbox'
+  ]
+};
@@ -0,0 +1,16 @@
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS processed_webhook_events (
+      event_id VARCHAR(255) NOT NULL PRIMARY KEY,
+      event_type VARCHAR(100) NOT NULL,
+      result LONGTEXT NULL,
+      processed_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      expires_at DATETIME(3) NOT NULL,
+      KEY idx_processed_webhook_events_expires (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS processed_webhook_events'
+  ]
+};
@@ -0,0 +1,12 @@
+// Soft-delete markers for conversation.deleted / message.deleted events
+module.exports = {
+  up: [
+    'ALTER TABLE conversations ADD COLUMN IF NOT EXISTS deleted_at DATETIME(3) NULL DEFAULT NULL',
+    'ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at DATETIME(3) NULL DEFAULT NULL'
+  ],
+
+  down: [
+    'ALTER TABLE messages DROP COLUMN IF EXISTS deleted_at',
+    'ALTER TABLE conversations DROP COLUMN IF EXISTS deleted_at'
+  ]
+};
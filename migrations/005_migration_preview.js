@@ -0,0 +1,16 @@
+// Raw OpenAI responses collected by scripts/fetch_openai_threads.js
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS migration_preview (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      conversation_id VARCHAR(100) DEFAULT NULL,
+      openai_thread_id VARCHAR(200) DEFAULT NULL,
+      fetched_at DATETIME(6) DEFAULT CURRENT_TIMESTAMP(6),
+      raw_response LONGTEXT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS migration_preview'
+  ]
+};
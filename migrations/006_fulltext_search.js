@@ -0,0 +1,12 @@
+// FULLTEXT indexes backing GET /api/v1/search
+module.exports = {
+  up: [
+    'ALTER TABLE messages ADD FULLTEXT INDEX ft_messages_content (content)',
+    'ALTER TABLE conversations ADD FULLTEXT INDEX ft_conversations_title (title)'
+  ],
+
+  down: [
+    'ALTER TABLE conversations DROP INDEX ft_conversations_title',
+    'ALTER TABLE messages DROP INDEX ft_messages_content'
+  ]
+};
@@ -0,0 +1,19 @@
+// Link documents to the message they were chunked from so re-indexing can
+// detect changed content, and let retrieval filter embeddings by model
+module.exports = {
+  up: [
+    `ALTER TABLE documents
+      ADD COLUMN message_id VARCHAR(36) DEFAULT NULL AFTER project_id,
+      ADD COLUMN content_hash CHAR(64) DEFAULT NULL AFTER text,
+      ADD UNIQUE KEY uq_documents_message (message_id)`,
+    'ALTER TABLE embeddings ADD KEY idx_embeddings_model (model)'
+  ],
+
+  down: [
+    'ALTER TABLE embeddings DROP KEY idx_embeddings_model',
+    `ALTER TABLE documents
+      DROP KEY uq_documents_message,
+      DROP COLUMN content_hash,
+      DROP COLUMN message_id`
+  ]
+};
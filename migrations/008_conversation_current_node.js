@@ -0,0 +1,12 @@
+// ChatGPT's `current_node`: the leaf of the branch the user last viewed
+module.exports = {
+  up: [
+    'ALTER TABLE conversations ADD COLUMN current_node_id VARCHAR(36) DEFAULT NULL AFTER openai_thread_id',
+    'ALTER TABLE messages ADD KEY parent_message_id (parent_message_id)'
+  ],
+
+  down: [
+    'ALTER TABLE messages DROP KEY parent_message_id',
+    'ALTER TABLE conversations DROP COLUMN current_node_id'
+  ]
+};
@@ -0,0 +1,26 @@
+// Track what happened to each preview so fetch_openai_threads.js can resume
+module.exports = {
+  up: [
+    `ALTER TABLE migration_preview
+      ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'fetched' AFTER raw_response,
+      ADD COLUMN error TEXT DEFAULT NULL AFTER status,
+      ADD COLUMN report LONGTEXT DEFAULT NULL AFTER error,
+      ADD COLUMN migrated_at DATETIME(6) DEFAULT NULL AFTER report,
+      ADD KEY idx_migration_preview_thread (openai_thread_id),
+      ADD KEY idx_migration_preview_status (status)`,
+    // Placeholders written for failed fetches carry {"error": ...}
+    `UPDATE migration_preview
+      SET status = 'fetch_failed', error = JSON_UNQUOTE(JSON_EXTRACT(raw_response, '$.error'))
+      WHERE JSON_VALID(raw_response) AND JSON_EXTRACT(raw_response, '$.error') IS NOT NULL`
+  ],
+
+  down: [
+    `ALTER TABLE migration_preview
+      DROP KEY idx_migration_preview_status,
+      DROP KEY idx_migration_preview_thread,
+      DROP COLUMN migrated_at,
+      DROP COLUMN report,
+      DROP COLUMN error,
+      DROP COLUMN status`
+  ]
+};
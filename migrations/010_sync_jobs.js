@@ -0,0 +1,43 @@
+// Resumable OpenAI sync jobs. sync_job_items holds per-conversation progress so
+// an interrupted conversation reuses its thread instead of creating another.
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS sync_jobs (
+      id VARCHAR(36) NOT NULL PRIMARY KEY,
+      type VARCHAR(50) NOT NULL DEFAULT 'openai_threads',
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      batch_size INT NOT NULL DEFAULT 10,
+      max_conversations INT NULL,
+      checkpoint LONGTEXT NULL,
+      total INT NOT NULL DEFAULT 0,
+      processed INT NOT NULL DEFAULT 0,
+      succeeded INT NOT NULL DEFAULT 0,
+      failed INT NOT NULL DEFAULT 0,
+      errors LONGTEXT NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      started_at DATETIME(3) NULL,
+      updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+      finished_at DATETIME(3) NULL,
+      KEY idx_sync_jobs_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS sync_job_items (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      job_id VARCHAR(36) NOT NULL,
+      conversation_id VARCHAR(36) NOT NULL,
+      thread_id VARCHAR(100) NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+      messages_synced INT NOT NULL DEFAULT 0,
+      checkpoint LONGTEXT NULL,
+      error TEXT NULL,
+      updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+      UNIQUE KEY uq_sync_job_items (job_id, conversation_id),
+      KEY idx_sync_job_items_conversation (conversation_id, status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS sync_job_items',
+    'DROP TABLE IF EXISTS sync_jobs'
+  ]
+};
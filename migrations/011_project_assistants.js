@@ -0,0 +1,22 @@
+// Assistant settings per project. openai_assistant_id is the OpenAI assistant
+// built from these settings; synced_at records which updated_at it reflects.
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS project_assistants (
+      project_id INT(11) NOT NULL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      model VARCHAR(100) NOT NULL,
+      instructions TEXT NULL,
+      temperature DECIMAL(3,2) NULL,
+      tools LONGTEXT NULL,
+      openai_assistant_id VARCHAR(100) NULL,
+      synced_at DATETIME(3) NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS project_assistants'
+  ]
+};
@@ -0,0 +1,19 @@
+// Usage tracking on api_calls: which project and thread a call served, how it
+// ended and how long it took, indexed for the /usage report
+module.exports = {
+  up: [
+    `ALTER TABLE api_calls
+      ADD COLUMN project_id INT(11) DEFAULT NULL AFTER endpoint,
+      ADD COLUMN thread_id VARCHAR(100) DEFAULT NULL AFTER project_id,
+      ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'succeeded' AFTER cost,
+      ADD COLUMN duration_ms INT(11) DEFAULT NULL AFTER status`,
+    'ALTER TABLE api_calls ADD KEY idx_api_calls_created (created_at)',
+    'ALTER TABLE api_calls ADD KEY idx_api_calls_project (project_id, created_at)'
+  ],
+
+  down: [
+    'ALTER TABLE api_calls DROP KEY idx_api_calls_project',
+    'ALTER TABLE api_calls DROP KEY idx_api_calls_created',
+    'ALTER TABLE api_calls DROP COLUMN duration_ms, DROP COLUMN status, DROP COLUMN thread_id, DROP COLUMN project_id'
+  ]
+};
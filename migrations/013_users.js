@@ -0,0 +1,45 @@
+// User accounts for JWT login. project_access 'granted' limits a user to the
+// projects in user_project_grants; refresh tokens are stored as SHA-256 hashes.
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS users (
+      id INT(11) NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) NOT NULL,
+      name VARCHAR(255) DEFAULT NULL,
+      password_hash VARCHAR(100) NOT NULL,
+      role VARCHAR(20) NOT NULL DEFAULT 'reader',
+      project_access VARCHAR(10) NOT NULL DEFAULT 'all',
+      is_active TINYINT(1) NOT NULL DEFAULT 1,
+      last_login_at DATETIME(3) NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+      UNIQUE KEY uq_users_email (email)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS user_project_grants (
+      user_id INT(11) NOT NULL,
+      project_id INT(11) NOT NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      PRIMARY KEY (user_id, project_id),
+      KEY idx_user_project_grants_project (project_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id VARCHAR(36) NOT NULL PRIMARY KEY,
+      user_id INT(11) NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      expires_at DATETIME(3) NOT NULL,
+      revoked_at DATETIME(3) NULL,
+      replaced_by VARCHAR(36) NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+      KEY idx_refresh_tokens_user (user_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS refresh_tokens',
+    'DROP TABLE IF EXISTS user_project_grants',
+    'DROP TABLE IF EXISTS users'
+  ]
+};
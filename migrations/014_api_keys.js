@@ -0,0 +1,25 @@
+// Named, scoped API keys. Only the SHA-256 hash of a key is stored; `prefix`
+// is the public part of the key shown in listings to tell keys apart.
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS api_keys (
+      id VARCHAR(36) NOT NULL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      prefix VARCHAR(20) NOT NULL,
+      key_hash CHAR(64) NOT NULL,
+      scopes TEXT NOT NULL,
+      created_by INT(11) NULL,
+      expires_at DATETIME(3) NULL,
+      last_used_at DATETIME(3) NULL,
+      last_used_ip VARCHAR(45) NULL,
+      revoked_at DATETIME(3) NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      UNIQUE KEY uq_api_keys_hash (key_hash),
+      KEY idx_api_keys_prefix (prefix)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS api_keys'
+  ]
+};
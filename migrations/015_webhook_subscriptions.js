@@ -0,0 +1,56 @@
+// Outbound webhooks: consumer subscriptions, one queued delivery per
+// subscription and event, and a log row for every delivery attempt. The
+// secret is kept in clear because every delivery is signed with it.
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id VARCHAR(36) NOT NULL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      url VARCHAR(2048) NOT NULL,
+      events TEXT NOT NULL,
+      secret VARCHAR(255) NOT NULL,
+      is_active TINYINT(1) NOT NULL DEFAULT 1,
+      created_by INT(11) NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+      KEY idx_webhook_subscriptions_active (is_active)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      subscription_id VARCHAR(36) NOT NULL,
+      event_id VARCHAR(36) NOT NULL,
+      event_type VARCHAR(100) NOT NULL,
+      payload LONGTEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      max_attempts INT NOT NULL DEFAULT 10,
+      next_attempt_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      locked_at DATETIME(3) NULL,
+      last_status_code INT NULL,
+      last_error TEXT NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      delivered_at DATETIME(3) NULL,
+      KEY idx_webhook_deliveries_status (status, next_attempt_at),
+      KEY idx_webhook_deliveries_subscription (subscription_id, id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      delivery_id BIGINT UNSIGNED NOT NULL,
+      attempt INT NOT NULL,
+      status_code INT NULL,
+      error TEXT NULL,
+      response_body TEXT NULL,
+      duration_ms INT NOT NULL,
+      attempted_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      KEY idx_webhook_delivery_attempts_delivery (delivery_id, id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS webhook_delivery_attempts',
+    'DROP TABLE IF EXISTS webhook_deliveries',
+    'DROP TABLE IF EXISTS webhook_subscriptions'
+  ]
+};
@@ -0,0 +1,29 @@
+// Who changed what through the API: one row per administrative or
+// data-changing request, with JSON snapshots of the target before and after.
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      request_id VARCHAR(64) NULL,
+      actor_type VARCHAR(20) NOT NULL,
+      actor_id VARCHAR(64) NULL,
+      actor_name VARCHAR(255) NULL,
+      ip VARCHAR(45) NULL,
+      action VARCHAR(100) NOT NULL,
+      target_type VARCHAR(50) NOT NULL,
+      target_id VARCHAR(255) NULL,
+      before_data LONGTEXT NULL,
+      after_data LONGTEXT NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      KEY idx_audit_log_actor (actor_type, actor_id, id),
+      KEY idx_audit_log_target (target_type, target_id, id),
+      KEY idx_audit_log_action (action, id),
+      KEY idx_audit_log_request (request_id),
+      KEY idx_audit_log_created (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS audit_log'
+  ]
+};
@@ -0,0 +1,16 @@
+// One placeholder row per thread whose fetch keeps failing: count the attempts
+// on it instead of inserting a new row every run, and drop the placeholders
+// earlier runs piled up behind a newer row for the same thread
+module.exports = {
+  up: [
+    `ALTER TABLE migration_preview
+      ADD COLUMN fetch_attempts INT NOT NULL DEFAULT 1 AFTER error`,
+    `DELETE p FROM migration_preview p
+      JOIN migration_preview newer ON newer.openai_thread_id = p.openai_thread_id AND newer.id > p.id
+      WHERE p.status = 'fetch_failed'`
+  ],
+
+  down: [
+    'ALTER TABLE migration_preview DROP COLUMN fetch_attempts'
+  ]
+};
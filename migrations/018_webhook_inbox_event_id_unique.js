@@ -0,0 +1,23 @@
+// One inbox row per event id, enforced by the database: concurrent deliveries
+// of the same event collapse onto the first row (counted in `deliveries`).
+// Rows left behind by earlier duplicate deliveries keep their data but lose
+// the event id, so only the newest row per event remains addressable.
+module.exports = {
+  up: [
+    `ALTER TABLE webhook_inbox
+      ADD COLUMN deliveries INT NOT NULL DEFAULT 1 AFTER max_attempts`,
+    `UPDATE webhook_inbox i
+      JOIN webhook_inbox newer ON newer.event_id = i.event_id AND newer.id > i.id
+      SET i.event_id = NULL`,
+    `ALTER TABLE webhook_inbox
+      DROP INDEX idx_webhook_inbox_event_id,
+      ADD UNIQUE KEY uq_webhook_inbox_event_id (event_id)`
+  ],
+
+  down: [
+    `ALTER TABLE webhook_inbox
+      DROP INDEX uq_webhook_inbox_event_id,
+      ADD KEY idx_webhook_inbox_event_id (event_id)`,
+    'ALTER TABLE webhook_inbox DROP COLUMN deliveries'
+  ]
+};
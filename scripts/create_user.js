@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * scripts/create_user.js
+ *
+ * Create a user account, e.g. the first admin before anyone can log in.
+ *
+ * Usage:
+ *   node scripts/create_user.js --email <email> [--role admin|editor|reader|ingest]
+ *     [--name <name>] [--projects <id,id,...>]
+ *
+ * The password is read from USER_PASSWORD, or prompted for (visibly) on a terminal.
+ * --projects limits the user to those projects (project access "granted").
+ */
+
+const readline = require('readline');
+const database = require('../src/services/database');
+const users = require('../src/services/users');
+const { validateUser } = require('../src/utils/validation');
+
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1 || index + 1 >= args.length) return null;
+  return args[index + 1];
+}
+
+function promptPassword() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question('Password: ', answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const projects = readOption(args, 'projects');
+
+  const body = {
+    email: readOption(args, 'email'),
+    name: readOption(args, 'name') || null,
+    role: readOption(args, 'role') || 'admin',
+    password: process.env.USER_PASSWORD || (process.stdin.isTTY ? await promptPassword() : null)
+  };
+  if (projects) {
+    body.projectAccess = 'granted';
+    body.projectIds = projects.split(',').map(id => parseInt(id, 10));
+  }
+
+  const validation = validateUser(body);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join('; '));
+  }
+
+  await database.initialize();
+
+  try {
+    const user = await users.create(validation.data);
+    console.log(`Created ${user.role} ${user.email} (id ${user.id})`);
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(err => {
+  console.error('User creation error:', err.message);
+  process.exit(1);
+});
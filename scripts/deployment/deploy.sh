@@ -21,9 +21,15 @@ if [ ! -f .env ]; then
     exit 1
 fi
 
-# Build and start services
-echo "🔧 Building and starting services..."
-docker-compose up -d --build
+# Build image and apply pending schema migrations (the service refuses to boot otherwise)
+echo "🔧 Building services..."
+docker-compose build
+echo "🗄️  Applying database migrations..."
+docker-compose run --rm chatbeto-listener npm run migrate:up || { echo "❌ Migrations failed. Aborting." >&2; exit 1; }
+
+# Start services
+echo "🚀 Starting services..."
+docker-compose up -d
 
 # Wait for service to be ready
 echo "⏳ Waiting for service to be ready..."
@@ -2,127 +2,143 @@
 /**
  * scripts/fetch_openai_threads.js
  *
- * Fetch conversations from OpenAI by thread id (openai_thread_id) stored in a source DB
- * and store raw responses in the target v2 DB in a `migration_preview` table.
+ * Migrate OpenAI threads into the v2 `messages` table in two phases:
+ *
+ *   1. fetch: read conversations with an openai_thread_id from the source DB,
+ *      fetch each thread from OpenAI and store the raw response in the target
+ *      DB's `migration_preview` table (status `fetched`).
+ *   2. migrate: parse previews into v2 messages and either print what would
+ *      change per conversation (--report) or apply it (--write), one
+ *      transaction per conversation. Applied previews become `migrated`.
+ *
+ * Both phases resume: threads that are already fetched or migrated are not
+ * fetched again, and migrated threads are never re-applied.
  *
  * Usage:
- *   # dry-run (default): collect previews but don't write to messages
+ *   # fetch previews only (default; never touches messages)
  *   node scripts/fetch_openai_threads.js --limit 100 --batch 20
  *
+ *   # show per-conversation changes without writing
+ *   node scripts/fetch_openai_threads.js --report [--conversation <id>]
+ *
+ *   # apply previews to messages
+ *   node scripts/fetch_openai_threads.js --write [--retry-failed]
+ *
+ *   # fetch, then apply in one run
+ *   node scripts/fetch_openai_threads.js --fetch --write
+ *
+ * Options:
+ *   --limit <n>          max threads per phase (default 100)
+ *   --batch <n>          fetch batch size (default 20)
+ *   --refetch            fetch threads that already have a preview (or failed too often)
+ *   --retry-failed       migrate previews that failed before
+ *   --conversation <id>  only this conversation
+ *   --sourceDb, --targetDb
+ *
  * Environment variables (via .env):
- *   OPENAI_API_KEY           (required)
+ *   OPENAI_API_KEY           (required for fetching)
  *   SOURCE_DB_NAME           default: iunaorg_chatBeto
  *   TARGET_DB_NAME           default: iunaorg_chatBeto_v2
  *   DB_HOST, DB_USER, DB_PASSWORD, DB_PORT
- *
- * This script is safe by default (it only inserts into migration_preview). To
- * actually write into messages you'd set --write (not recommended without review).
  */
 
-const mysql = require('mysql2/promise');
-const fs = require('fs');
 const path = require('path');
 
 require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-if (!OPENAI_API_KEY) {
-  console.error('OPENAI_API_KEY is required in environment (.env)');
-  process.exit(1);
-}
-
-const argv = require('minimist')(process.argv.slice(2));
+const argv = require('minimist')(process.argv.slice(2), {
+  boolean: ['write', 'report', 'fetch', 'refetch', 'retry-failed'],
+  string: ['conversation', 'sourceDb', 'targetDb']
+});
 const LIMIT = Number(argv.limit || 100);
 const BATCH = Number(argv.batch || 20);
 const WRITE = Boolean(argv.write);
+const REPORT = Boolean(argv.report);
+// Fetching is the default phase; --report/--write alone work on stored previews
+const FETCH = Boolean(argv.fetch) || (!WRITE && !REPORT);
 const SOURCE_DB = argv.sourceDb || process.env.SOURCE_DB_NAME || 'iunaorg_chatBeto';
 const TARGET_DB = argv.targetDb || process.env.TARGET_DB_NAME || 'iunaorg_chatBeto_v2';
 
-const dbConfig = {
-  host: process.env.DB_HOST || 'localhost',
-  port: process.env.DB_PORT ? Number(process.env.DB_PORT) : 3306,
-  user: process.env.DB_USER || 'root',
-  password: process.env.DB_PASSWORD || '',
-  multipleStatements: false,
-  charset: 'utf8mb4'
-};
-
-const OPENAI_RESPONSES_URL = 'https://api.openai.com/v1/responses';
-
-async function createPreviewTable(pool) {
-  const sql = `
-    CREATE TABLE IF NOT EXISTS \`${TARGET_DB}\`.migration_preview (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      conversation_id VARCHAR(100) DEFAULT NULL,
-      openai_thread_id VARCHAR(200) DEFAULT NULL,
-      fetched_at DATETIME(6) DEFAULT CURRENT_TIMESTAMP(6),
-      raw_response LONGTEXT NULL
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `;
-  await pool.execute(sql);
+// The shared services (repository, migration-preview) write to the target DB
+process.env.DB_NAME = TARGET_DB;
+const database = require('../src/services/database');
+const migrationPreview = require('../src/services/migration-preview');
+
+// migration_preview is created by migrations/005_migration_preview.js
+async function assertPreviewTable() {
+  const rows = await database.query(
+    'SELECT COUNT(*) AS count FROM information_schema.tables WHERE table_schema = ? AND table_name = ?',
+    [TARGET_DB, 'migration_preview']
+  );
+  if (rows[0].count === 0) {
+    throw new Error(`Table ${TARGET_DB}.migration_preview not found. Run "npm run migrate:up" first.`);
+  }
 }
 
-async function fetchThreadFromOpenAI(threadId) {
-  const url = `${OPENAI_RESPONSES_URL}/${encodeURIComponent(threadId)}`;
-  const res = await fetch(url, {
-    method: 'GET',
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      'Content-Type': 'application/json'
-    }
+async function fetchPreviews() {
+  console.log(`Fetching up to ${LIMIT} threads from ${SOURCE_DB} in batches of ${BATCH} ...`);
+
+  const result = await migrationPreview.fetchPreviews({
+    sourceDb: SOURCE_DB,
+    limit: LIMIT,
+    batchSize: BATCH,
+    refetch: Boolean(argv.refetch),
+    conversationId: argv.conversation || null
   });
-  if (!res.ok) {
-    const txt = await res.text();
-    throw new Error(`OpenAI API error ${res.status}: ${txt}`);
+
+  console.log(`Found ${result.found} thread(s) to fetch; fetched ${result.fetched}, failed ${result.failed}. ` +
+    'Previews stored in migration_preview.');
+}
+
+function printPlan(plan) {
+  const { summary } = plan;
+  console.log(`\n${plan.conversationId} (thread ${plan.threadId}, preview #${plan.previewId})`);
+  console.log(`  conversation: ${plan.conversation.action}${plan.conversation.id ? ` ${plan.conversation.id}` : ''}`);
+  console.log(`  messages: ${summary.insert} insert, ${summary.update} update, ${summary.unchanged} unchanged`);
+
+  for (const message of plan.messages.filter(m => m.action !== 'unchanged')) {
+    const changes = message.changes.length > 0 ? ` [${message.changes.join(', ')}]` : '';
+    console.log(`    ${message.action === 'insert' ? '+' : '~'} ${message.id} ${message.role}${changes}: ${JSON.stringify(message.preview)}`);
   }
-  return res.json();
 }
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+async function migratePreviews() {
+  const results = await migrationPreview.migrate({
+    write: WRITE,
+    limit: LIMIT,
+    conversationId: argv.conversation || null,
+    retryFailed: Boolean(argv['retry-failed'])
+  });
+
+  const totals = { insert: 0, update: 0, unchanged: 0 };
+  for (const result of results) {
+    if (result.error) {
+      console.log(`\n! preview #${result.previewId} (thread ${result.threadId}): ${result.error}`);
+      continue;
+    }
+    printPlan(result.plan);
+    for (const key of Object.keys(totals)) totals[key] += result.plan.summary[key];
+  }
+
+  const failed = results.filter(r => r.error).length;
+  console.log(`\n${WRITE ? 'Migrated' : 'Would migrate'} ${results.length - failed} thread(s), ${failed} failed: ` +
+    `${totals.insert} insert, ${totals.update} update, ${totals.unchanged} unchanged`);
+}
 
 async function main() {
-  const sourcePool = await mysql.createPool({ ...dbConfig, database: SOURCE_DB });
-  const targetPool = await mysql.createPool({ ...dbConfig, database: TARGET_DB });
+  await database.initialize();
 
   try {
-    await createPreviewTable(targetPool);
-
-    // Select thread ids from source conversations
-    const [rows] = await sourcePool.execute(
-      `SELECT id, conversation_id, openai_thread_id FROM \`${SOURCE_DB}\`.conversations WHERE openai_thread_id IS NOT NULL LIMIT ?`,
-      [LIMIT]
-    );
-
-    console.log(`Found ${rows.length} conversations with openai_thread_id (limit ${LIMIT})`);
-
-    for (let i = 0; i < rows.length; i += BATCH) {
-      const batch = rows.slice(i, i + BATCH);
-      console.log(`Processing batch ${i/BATCH + 1} (${batch.length} items)`);
-
-      for (const r of batch) {
-        const threadId = r.openai_thread_id;
-        try {
-          console.log(`Fetching thread ${threadId} ...`);
-          const resp = await fetchThreadFromOpenAI(threadId);
-
-          // Insert preview
-          const insertSql = `INSERT INTO \`${TARGET_DB}\`.migration_preview (conversation_id, openai_thread_id, raw_response) VALUES (?, ?, ?)`;
-          await targetPool.execute(insertSql, [r.conversation_id, threadId, JSON.stringify(resp)]);
-
-          // Respectful rate limit
-          await sleep(200); // 5 req/sec ~ adjust if needed
-        } catch (err) {
-          console.error(`Failed fetching thread ${threadId}:`, err.message);
-          // Insert an error placeholder so we know it failed
-          await targetPool.execute(`INSERT INTO \`${TARGET_DB}\`.migration_preview (conversation_id, openai_thread_id, raw_response) VALUES (?, ?, ?)`, [r.conversation_id, threadId, JSON.stringify({ error: err.message })]);
-        }
-      }
+    if (FETCH) {
+      await assertPreviewTable();
+      await fetchPreviews();
     }
 
-    console.log('Done. Preview rows inserted into migration_preview.');
+    if (REPORT || WRITE) {
+      await migratePreviews();
+    }
   } finally {
-    await sourcePool.end();
-    await targetPool.end();
+    await database.close();
   }
 }
 
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * scripts/import_chatgpt_export.js
+ *
+ * Import a ChatGPT "Export data" archive into the v2 tables.
+ *
+ * Usage:
+ *   node scripts/import_chatgpt_export.js <export.zip|conversations.json> [--project <id>] [--force] [--dry-run]
+ *
+ *   --project <id>  assign every conversation to this project
+ *   --force         re-import conversations that look unchanged
+ *   --dry-run       parse and count without writing
+ */
+
+const fs = require('fs');
+const database = require('../src/services/database');
+const chatgptImport = require('../src/services/chatgpt-import');
+
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1 || index + 1 >= args.length) return null;
+  const value = parseInt(args[index + 1], 10);
+  if (Number.isNaN(value)) {
+    throw new Error(`--${name} expects a number`);
+  }
+  return value;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const file = args.find((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--project');
+
+  if (!file) {
+    throw new Error('Usage: import_chatgpt_export.js <export.zip|conversations.json> [--project <id>] [--force] [--dry-run]');
+  }
+
+  const options = {
+    projectId: readOption(args, 'project'),
+    force: args.includes('--force'),
+    dryRun: args.includes('--dry-run')
+  };
+
+  const input = fs.readFileSync(file);
+
+  // A dry run only parses, so it works without database access
+  if (!options.dryRun) {
+    await database.initialize();
+  }
+
+  try {
+    const report = await chatgptImport.importFile(input, options);
+    const { conversations, messages } = report;
+
+    console.log(`${options.dryRun ? '[dry run] ' : ''}Conversations: ${conversations.total} total, ` +
+      `${conversations.created} created, ${conversations.updated} updated, ` +
+      `${conversations.skipped} skipped, ${conversations.failed} failed`);
+    console.log(`Messages: ${messages.created} created, ${messages.updated} updated, ${messages.skipped} skipped`);
+
+    for (const failure of report.errors) {
+      console.log(`  ! ${failure.conversationId || '(no id)'}: ${failure.error}`);
+    }
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(err => {
+  console.error('Import error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * scripts/index_embeddings.js
+ *
+ * Chunk and embed messages that are missing from the semantic index
+ * (new, edited, or not yet embedded with the configured model).
+ *
+ * Usage:
+ *   node scripts/index_embeddings.js [--project <id>] [--batch <n>]
+ *
+ * The provider comes from EMBEDDINGS_PROVIDER (local | openai).
+ */
+
+const database = require('../src/services/database');
+const semanticIndex = require('../src/services/semantic-index');
+
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1 || index + 1 >= args.length) return null;
+  const value = parseInt(args[index + 1], 10);
+  if (Number.isNaN(value)) {
+    throw new Error(`--${name} expects a number`);
+  }
+  return value;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const projectId = readOption(args, 'project');
+  const limit = readOption(args, 'batch') || 500;
+
+  await database.initialize();
+
+  try {
+    let totalMessages = 0;
+    let totalChunks = 0;
+
+    // Each pass picks up the next batch of stale messages until none remain
+    for (;;) {
+      const result = await semanticIndex.indexMessages({ projectId, limit });
+      totalMessages += result.indexed;
+      totalChunks += result.chunks;
+      if (result.indexed > 0) {
+        console.log(`Indexed ${result.indexed} message(s), ${result.chunks} chunk(s) with ${result.model}`);
+      }
+      if (result.indexed < limit) break;
+    }
+
+    console.log(`Done: ${totalMessages} message(s), ${totalChunks} chunk(s)`);
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(err => {
+  console.error('Indexing error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * scripts/migrate.js
+ *
+ * Apply, revert or list schema migrations from /migrations.
+ *
+ * Usage:
+ *   node scripts/migrate.js status
+ *   node scripts/migrate.js up [--to <version>]
+ *   node scripts/migrate.js down [--steps <n>]
+ *
+ * Uses the same DB_* environment variables as the listener.
+ */
+
+const database = require('../src/services/database');
+const migrations = require('../src/services/migrations');
+
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1 || index + 1 >= args.length) return null;
+  const value = parseInt(args[index + 1], 10);
+  if (Number.isNaN(value)) {
+    throw new Error(`--${name} expects a number`);
+  }
+  return value;
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+
+  await database.initialize();
+
+  try {
+    switch (command) {
+      case 'status': {
+        const status = await migrations.status();
+        for (const migration of status) {
+          console.log(`${migration.applied ? '[x]' : '[ ]'} ${String(migration.version).padStart(3, '0')} ${migration.name}`);
+        }
+        const pendingCount = status.filter(migration => !migration.applied).length;
+        console.log(`\n${pendingCount} pending migration(s)`);
+        break;
+      }
+      case 'up': {
+        const applied = await migrations.up({ to: readOption(args, 'to') });
+        console.log(applied.length > 0
+          ? `Applied ${applied.length} migration(s): ${applied.map(m => m.version).join(', ')}`
+          : 'Nothing to migrate');
+        break;
+      }
+      case 'down': {
+        const reverted = await migrations.down({ steps: readOption(args, 'steps') || 1 });
+        console.log(reverted.length > 0
+          ? `Reverted ${reverted.length} migration(s): ${reverted.map(m => m.version).join(', ')}`
+          : 'Nothing to revert');
+        break;
+      }
+      default:
+        throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(err => {
+  console.error('Migration error:', err.message);
+  process.exit(1);
+});
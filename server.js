@@ -5,14 +5,31 @@ const morgan = require('morgan');
 const config = require('./config/config');
 const logger = require('./src/services/logger');
 const database = require('./src/services/database');
+const migrations = require('./src/services/migrations');
 const openaiService = require('./src/services/openai');
+const webhookInbox = require('./src/services/webhook-inbox');
+const webhookDeliveries = require('./src/services/webhook-deliveries');
+const idempotency = require('./src/services/idempotency');
+const syncJobs = require('./src/services/sync-jobs');
+const scheduler = require('./src/services/scheduler');
+const migrationPreview = require('./src/services/migration-preview');
+const webhookController = require('./src/controllers/webhook');
 const webhookRoutes = require('./src/routes/webhook');
 const openaiRoutes = require('./src/routes/openai');
+const searchRoutes = require('./src/routes/search');
+const resourceRoutes = require('./src/routes/resources');
+const importRoutes = require('./src/routes/imports');
+const adminRoutes = require('./src/routes/admin');
+const usageRoutes = require('./src/routes/usage');
+const authRoutes = require('./src/routes/auth');
+const userRoutes = require('./src/routes/users');
+const webhookSubscriptionRoutes = require('./src/routes/webhook-subscriptions');
 const { 
   corsMiddleware, 
   validateRequest, 
   errorHandler, 
-  securityHeaders 
+  securityHeaders,
+  requestId
 } = require('./src/middleware/auth');
 
 class ChatBETOListener {
@@ -26,6 +43,11 @@ class ChatBETOListener {
       // Initialize database connection
       await database.initialize();
 
+      // Make sure the schema is up to date
+      if (config.migrations.checkOnStartup) {
+        await this.checkMigrations();
+      }
+
       // Initialize OpenAI service (optional)
       await openaiService.initialize();
 
@@ -45,6 +67,21 @@ class ChatBETOListener {
     }
   }
 
+  async checkMigrations() {
+    const pending = await migrations.pending();
+    if (pending.length === 0) {
+      logger.info('✅ Database schema is up to date');
+      return;
+    }
+
+    const versions = pending.map(migration => `${migration.version}_${migration.name}`).join(', ');
+    if (config.server.nodeEnv === 'production') {
+      throw new Error(`Pending migrations: ${versions}. Run "npm run migrate:up" before starting.`);
+    }
+
+    logger.warn(`⚠️ Pending migrations: ${versions}. Run "npm run migrate:up".`);
+  }
+
   setupMiddleware() {
     // Security middleware
     this.app.use(helmet({
@@ -61,6 +98,9 @@ class ChatBETOListener {
     // Custom security headers
     this.app.use(securityHeaders);
 
+    // Request IDs (X-Request-Id) for logs and the audit trail
+    this.app.use(requestId);
+
     // CORS
     this.app.use(corsMiddleware);
 
@@ -89,6 +129,14 @@ class ChatBETOListener {
     // API routes
     this.app.use('/api/v1', webhookRoutes);
     this.app.use('/api/v1/openai', openaiRoutes);
+    this.app.use('/api/v1/search', searchRoutes);
+    this.app.use('/api/v1/imports', importRoutes);
+    this.app.use('/api/v1/admin', adminRoutes);
+    this.app.use('/api/v1/usage', usageRoutes);
+    this.app.use('/api/v1/auth', authRoutes);
+    this.app.use('/api/v1/users', userRoutes);
+    this.app.use('/api/v1/webhook-subscriptions', webhookSubscriptionRoutes);
+    this.app.use('/api/v1', resourceRoutes);
     
     // Legacy routes (for backward compatibility)
     this.app.use('/', webhookRoutes);
@@ -137,8 +185,19 @@ class ChatBETOListener {
         logger.info(`💾 Database: ${config.database.host}:${config.database.port}/${config.database.name}`);
       });
 
-      // Setup periodic health checks
-      this.setupHealthMonitoring();
+      // Process persisted webhooks in the background
+      webhookInbox.start((eventType, payload, entry) => webhookController.applyInboxEvent(eventType, payload, entry));
+
+      // Deliver outbound webhooks to subscribers
+      webhookDeliveries.start();
+
+      // Restart sync jobs interrupted by the previous shutdown
+      if (openaiService.initialized) {
+        syncJobs.recoverInterrupted().catch(error => logger.error('❌ Failed to recover sync jobs:', error));
+      }
+
+      // Setup periodic jobs
+      this.setupScheduledJobs();
 
     } catch (error) {
       logger.error('❌ Failed to start server:', error);
@@ -146,39 +205,92 @@ class ChatBETOListener {
     }
   }
 
-  setupHealthMonitoring() {
-    // Periodic database health check
-    setInterval(async () => {
-      try {
+  // Periodic work runs on the cron scheduler (see GET /api/v1/admin/jobs)
+  setupScheduledJobs() {
+    const { schedules, previewFetch } = config.scheduler;
+
+    // Per-process checks run on every replica
+    scheduler.register({
+      name: 'database-health',
+      description: 'Ping the database',
+      schedule: schedules.databaseHealth,
+      lock: false,
+      handler: async () => {
         const health = await database.healthCheck();
         if (health.status !== 'healthy') {
           logger.error('❌ Database health check failed:', health);
+          throw new Error(health.error || 'Database unhealthy');
+        }
+      }
+    });
+
+    scheduler.register({
+      name: 'memory-check',
+      description: 'Warn on high heap usage',
+      schedule: schedules.memoryCheck,
+      lock: false,
+      handler: async () => {
+        const memUsage = process.memoryUsage();
+        const memUsageMB = {
+          rss: Math.round(memUsage.rss / 1024 / 1024),
+          heapTotal: Math.round(memUsage.heapTotal / 1024 / 1024),
+          heapUsed: Math.round(memUsage.heapUsed / 1024 / 1024),
+          external: Math.round(memUsage.external / 1024 / 1024)
+        };
+
+        // Log warning if memory usage is high
+        if (memUsageMB.heapUsed > 500) {
+          logger.warn('High memory usage detected:', memUsageMB);
         }
-      } catch (error) {
-        logger.error('❌ Health monitoring error:', error);
       }
-    }, config.healthCheck.interval);
-
-    // Memory usage monitoring
-    setInterval(() => {
-      const memUsage = process.memoryUsage();
-      const memUsageMB = {
-        rss: Math.round(memUsage.rss / 1024 / 1024),
-        heapTotal: Math.round(memUsage.heapTotal / 1024 / 1024),
-        heapUsed: Math.round(memUsage.heapUsed / 1024 / 1024),
-        external: Math.round(memUsage.external / 1024 / 1024)
-      };
-
-      // Log warning if memory usage is high
-      if (memUsageMB.heapUsed > 500) {
-        logger.warn('High memory usage detected:', memUsageMB);
+    });
+
+    // Shared work runs on one replica at a time
+    scheduler.register({
+      name: 'purge-webhook-events',
+      description: 'Forget processed webhook event IDs past their TTL',
+      schedule: schedules.purgeWebhookEvents,
+      handler: () => idempotency.purgeExpired()
+    });
+
+    scheduler.register({
+      name: 'openai-sync',
+      description: 'Sync conversations without a thread into OpenAI',
+      schedule: schedules.openaiSync,
+      enabled: openaiService.initialized,
+      handler: async () => {
+        try {
+          const job = await syncJobs.create();
+          await syncJobs.start(job.id);
+        } catch (error) {
+          if (error.code !== 'SYNC_JOB_ACTIVE') throw error;
+          logger.info(`Sync job ${error.jobId} still active; skipping scheduled sync`);
+        }
       }
-    }, 60000); // Check every minute
+    });
+
+    scheduler.register({
+      name: 'openai-preview-fetch',
+      description: 'Fetch OpenAI threads into migration_preview',
+      schedule: schedules.previewFetch,
+      enabled: Boolean(config.openai.apiKey),
+      handler: () => migrationPreview.fetchPreviews(previewFetch)
+    });
+
+    if (config.scheduler.enabled) {
+      scheduler.start();
+    }
   }
 
   async shutdown(signal, exitCode = 0) {
     logger.info(`🛑 Received ${signal}, starting graceful shutdown...`);
 
+    // Stop background workers
+    webhookInbox.stop();
+    webhookDeliveries.stop();
+    await scheduler.stop();
+    await syncJobs.stop();
+
     // Close HTTP server
     if (this.server) {
       this.server.close(() => {
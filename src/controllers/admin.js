@@ -0,0 +1,165 @@
+const logger = require('../services/logger');
+const scheduler = require('../services/scheduler');
+const apiKeys = require('../services/api-keys');
+const auditLog = require('../services/audit-log');
+const { validateApiKeyRequest, validateAuditQuery } = require('../utils/validation');
+const { decodeCursor, buildPage } = require('../utils/pagination');
+
+class AdminController {
+
+  // GET /admin/jobs - scheduled jobs with their last run on this instance
+  async listJobs(req, res) {
+    try {
+      res.status(200).json({
+        status: 'success',
+        data: scheduler.list(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error listing scheduled jobs:', error);
+      res.status(500).json({
+        error: 'Failed to list scheduled jobs',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /admin/api-keys - stored keys without their secrets
+  async listApiKeys(req, res) {
+    try {
+      res.status(200).json({
+        status: 'success',
+        data: await apiKeys.list(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error listing API keys:', error);
+      res.status(500).json({
+        error: 'Failed to list API keys',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /admin/api-keys/:keyId
+  async getApiKey(req, res) {
+    try {
+      const key = await apiKeys.get(req.params.keyId);
+      if (!key) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: key,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error getting API key:', error);
+      res.status(500).json({
+        error: 'Failed to get API key',
+        message: error.message
+      });
+    }
+  }
+
+  // POST /admin/api-keys - the response is the only place the key appears
+  async createApiKey(req, res) {
+    try {
+      const validation = validateApiKeyRequest(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid API key',
+          details: validation.errors
+        });
+      }
+
+      const key = await apiKeys.create({
+        ...validation.data,
+        createdBy: req.user.type === 'user' ? req.user.id : null
+      });
+      await auditLog.record(req, 'api_key.create', { targetId: key.id, after: key });
+
+      res.status(201).json({
+        status: 'success',
+        data: key,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error creating API key:', error);
+      res.status(500).json({
+        error: 'Failed to create API key',
+        message: error.message
+      });
+    }
+  }
+
+  // DELETE /admin/api-keys/:keyId - revoke; the key stops working immediately
+  async revokeApiKey(req, res) {
+    try {
+      const before = await apiKeys.get(req.params.keyId);
+      const key = await apiKeys.revoke(req.params.keyId);
+      await auditLog.record(req, 'api_key.revoke', { targetId: key.id, before, after: key });
+
+      res.status(200).json({
+        status: 'success',
+        data: key,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'API_KEY_NOT_FOUND') {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+
+      logger.error('Error revoking API key:', error);
+      res.status(500).json({
+        error: 'Failed to revoke API key',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /admin/audit-log - newest first, filtered by actor, action, target, request or time
+  async listAuditLog(req, res) {
+    try {
+      const validation = validateAuditQuery(req.query);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          details: validation.errors
+        });
+      }
+
+      const { limit, cursor, ...filters } = validation.data;
+      const after = decodeCursor(cursor);
+
+      const rows = await auditLog.list(filters, { limit: limit + 1, after: after ? after.id : null });
+      const page = buildPage(rows, limit, row => ({ id: row.id }));
+
+      res.status(200).json({
+        status: 'success',
+        data: page.items,
+        pagination: { limit, nextCursor: page.nextCursor },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_CURSOR') {
+        return res.status(400).json({ error: 'Invalid query parameters', details: [error.message] });
+      }
+
+      logger.error('Error listing audit log:', error);
+      res.status(500).json({
+        error: 'Failed to list audit log',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AdminController();
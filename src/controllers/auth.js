@@ -0,0 +1,128 @@
+const logger = require('../services/logger');
+const sessions = require('../services/sessions');
+const auditLog = require('../services/audit-log');
+const { validateLogin, validateRefreshToken } = require('../utils/validation');
+
+const invalidRequest = (res, errors) => res.status(400).json({
+  error: 'Invalid request',
+  details: errors
+});
+
+// Tokens as returned to clients
+const formatSession = (session) => ({
+  accessToken: session.accessToken,
+  tokenType: 'Bearer',
+  expiresIn: session.expiresIn,
+  refreshToken: session.refreshToken,
+  refreshExpiresAt: session.refreshExpiresAt,
+  user: {
+    id: session.user.id,
+    email: session.user.email,
+    name: session.user.name,
+    role: session.user.role
+  }
+});
+
+class AuthController {
+
+  // POST /auth/login - email and password for an access and refresh token
+  async login(req, res) {
+    try {
+      const validation = validateLogin(req.body);
+      if (!validation.isValid) return invalidRequest(res, validation.errors);
+
+      const { email, password } = validation.data;
+      const session = await sessions.login(email, password, { ip: req.ip });
+      await auditLog.record(req, 'session.login', {
+        targetId: session.user.id,
+        actor: { type: 'user', id: session.user.id, name: session.user.email }
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: formatSession(session),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_CREDENTIALS') {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      logger.error('Error logging in:', error);
+      res.status(500).json({
+        error: 'Login failed',
+        message: error.message
+      });
+    }
+  }
+
+  // POST /auth/refresh - rotate the refresh token for a new pair
+  async refresh(req, res) {
+    try {
+      const validation = validateRefreshToken(req.body);
+      if (!validation.isValid) return invalidRequest(res, validation.errors);
+
+      const session = await sessions.refresh(validation.data.refreshToken);
+
+      res.status(200).json({
+        status: 'success',
+        data: formatSession(session),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_REFRESH_TOKEN' || error.code === 'REFRESH_TOKEN_REUSED') {
+        return res.status(401).json({ error: 'Invalid refresh token', message: error.message });
+      }
+
+      logger.error('Error refreshing session:', error);
+      res.status(500).json({
+        error: 'Refresh failed',
+        message: error.message
+      });
+    }
+  }
+
+  // POST /auth/logout - revoke the refresh token (`all` for every session)
+  async logout(req, res) {
+    try {
+      const validation = validateRefreshToken(req.body);
+      if (!validation.isValid) return invalidRequest(res, validation.errors);
+
+      const { refreshToken, all } = validation.data;
+      const userId = await sessions.logout(refreshToken, { all });
+      if (userId !== null) {
+        await auditLog.record(req, 'session.logout', {
+          targetId: userId,
+          actor: { type: 'user', id: userId, name: null },
+          after: { all }
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Logged out',
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error logging out:', error);
+      res.status(500).json({
+        error: 'Logout failed',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /auth/me - the authenticated caller
+  async me(req, res) {
+    res.status(200).json({
+      status: 'success',
+      data: req.user,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new AuthController();
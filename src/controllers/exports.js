@@ -0,0 +1,89 @@
+const logger = require('../services/logger');
+const repository = require('../services/repository');
+const conversationExport = require('../services/conversation-export');
+const { validateExportQuery } = require('../utils/validation');
+
+const attachment = (filename) => `attachment; filename="${filename}"`;
+
+class ExportsController {
+
+  // GET /conversations/:conversationId/export?format=md|html|json|txt&hide=system,tool&leaf=<messageId>
+  async exportConversation(req, res) {
+    try {
+      const validation = validateExportQuery(req.query);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid export parameters',
+          details: validation.errors
+        });
+      }
+
+      const { format, hideRoles, leafId } = validation.data;
+      const exported = await conversationExport.exportConversation(req.params.conversationId, format, { hideRoles, leafId });
+      if (!exported) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      res.status(200)
+        .type(exported.contentType)
+        .set('Content-Disposition', attachment(exported.filename))
+        .send(exported.body);
+
+    } catch (error) {
+      if (error.code === 'NODE_NOT_FOUND') {
+        return res.status(404).json({ error: 'Message not found', message: error.message });
+      }
+
+      logger.error('Error exporting conversation:', error);
+      res.status(500).json({
+        error: 'Export failed',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /projects/:projectId/export?format=... - zip with one file per conversation
+  async exportProject(req, res) {
+    try {
+      const validation = validateExportQuery(req.query);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid export parameters',
+          details: validation.errors
+        });
+      }
+
+      const projectId = Number(req.params.projectId);
+      const project = Number.isInteger(projectId) && projectId > 0
+        ? await repository.findProjectById(projectId)
+        : null;
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const { format, hideRoles } = validation.data;
+      const slug = String(project.name).replace(/[^A-Za-z0-9]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'project';
+
+      res.status(200)
+        .type('application/zip')
+        .set('Content-Disposition', attachment(`${slug}-${format}.zip`));
+
+      await conversationExport.streamProjectArchive(project, format, res, { hideRoles });
+
+    } catch (error) {
+      logger.error('Error exporting project:', error);
+
+      // Once the archive has started streaming the status line is already sent
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      res.status(500).json({
+        error: 'Export failed',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ExportsController();
@@ -0,0 +1,66 @@
+const logger = require('../services/logger');
+const chatgptImport = require('../services/chatgpt-import');
+const auditLog = require('../services/audit-log');
+
+const flag = (value) => value === 'true' || value === '1';
+
+class ImportsController {
+
+  // POST /imports/chatgpt - body is the export zip, or conversations.json as JSON/raw bytes
+  async importChatGPTExport(req, res) {
+    try {
+      const projectId = req.query.projectId ? parseInt(req.query.projectId, 10) : null;
+      if (req.query.projectId && (!Number.isInteger(projectId) || projectId <= 0)) {
+        return res.status(400).json({ error: 'projectId must be a positive integer' });
+      }
+
+      const options = {
+        projectId,
+        force: flag(req.query.force),
+        dryRun: flag(req.query.dryRun)
+      };
+
+      let report;
+      if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+        report = await chatgptImport.importFile(req.body, options);
+      } else if (Array.isArray(req.body)) {
+        report = await chatgptImport.importConversations(req.body, options);
+      } else {
+        return res.status(400).json({
+          error: 'Invalid import payload',
+          message: 'Send the export zip (application/zip) or the conversations.json array'
+        });
+      }
+
+      // Dry runs change nothing
+      if (!options.dryRun) {
+        await auditLog.record(req, 'import.chatgpt', {
+          targetId: projectId,
+          after: { ...options, conversations: report.conversations, messages: report.messages }
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        report,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_EXPORT') {
+        return res.status(400).json({
+          error: 'Invalid import payload',
+          message: error.message
+        });
+      }
+
+      logger.error('Error importing ChatGPT export:', error);
+      res.status(500).json({
+        error: 'Import failed',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ImportsController();
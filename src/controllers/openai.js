@@ -1,6 +1,55 @@
 const openaiService = require('../services/openai');
 const logger = require('../services/logger');
-const database = require('../services/database');
+const repository = require('../services/repository');
+const syncJobs = require('../services/sync-jobs');
+const projectAssistants = require('../services/project-assistants');
+const webhookDeliveries = require('../services/webhook-deliveries');
+const auditLog = require('../services/audit-log');
+const config = require('../../config/config');
+const { validateSyncJob, validateProjectAssistant } = require('../utils/validation');
+const { openEventStream } = require('../utils/sse');
+const { canAccessProject } = require('../utils/project-scope');
+
+// Apply a pause/resume/cancel action to a sync job and respond with the job
+const changeSyncJob = async (req, res, action) => {
+  try {
+    const job = await syncJobs[action](req.params.jobId);
+    await auditLog.record(req, `sync_job.${action}`, { targetId: job.id, after: job });
+
+    res.status(200).json({
+      status: 'success',
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.code === 'SYNC_JOB_NOT_FOUND') {
+      return res.status(404).json({ error: 'Sync job not found' });
+    }
+    if (error.code === 'SYNC_JOB_CONFLICT') {
+      return res.status(409).json({ error: `Cannot ${action} sync job`, message: error.message });
+    }
+
+    logger.error(`Error trying to ${action} sync job:`, error);
+    res.status(500).json({
+      error: `Failed to ${action} sync job`,
+      message: error.message
+    });
+  }
+};
+
+// Queue outbound webhooks for conversations and messages stored through the API
+const notify = (eventType, data) => webhookDeliveries.publish(eventType, data, { source: 'openai' });
+
+// message.created for each message stored in a thread, given as [{ id, role }]
+const notifyMessages = async (conversationId, messages) => {
+  for (const message of messages) {
+    await notify('message.created', { messageId: message.id, conversationId, role: message.role });
+  }
+};
+
+// Tool names in assistant settings that are not registered
+const unknownTools = (tools) => (tools || []).filter(name => !openaiService.tools.has(name));
 
 class OpenAIController {
 
@@ -15,13 +64,12 @@ class OpenAIController {
         });
       }
 
-      // Check if project exists
-      const project = await database.query(
-        'SELECT * FROM projects WHERE id = ?',
-        [projectId]
-      );
+      // Check if project exists (and is one the user may use)
+      const project = canAccessProject(req.user.projectIds, projectId)
+        ? await repository.findProjectById(projectId)
+        : null;
 
-      if (project.length === 0) {
+      if (!project) {
         return res.status(404).json({
           error: 'Project not found'
         });
@@ -30,12 +78,31 @@ class OpenAIController {
       // Create conversation with OpenAI
       const result = await openaiService.createConversation(projectId, initialMessage);
 
+      await auditLog.record(req, 'conversation.create', {
+        targetId: result.conversationId,
+        after: {
+          conversationId: result.conversationId,
+          threadId: result.threadId,
+          assistantId: result.assistantId,
+          projectId,
+          title: 'New Conversation',
+          initialMessageId: result.initialMessageId || null
+        }
+      });
+
       // Update title if provided
       if (title) {
-        await database.query(
-          'UPDATE conversations SET title = ? WHERE conversation_id = ?',
-          [title, result.conversationId]
-        );
+        await repository.updateConversationTitle(result.conversationId, title);
+        await auditLog.record(req, 'conversation.update', {
+          targetId: result.conversationId,
+          before: { title: 'New Conversation' },
+          after: { title }
+        });
+      }
+
+      await notify('conversation.created', { conversationId: result.conversationId, projectId, title: title || null });
+      if (result.initialMessageId) {
+        await notifyMessages(result.conversationId, [{ id: result.initialMessageId, role: 'user' }]);
       }
 
       logger.logSync('conversation_created_via_api', {
@@ -49,6 +116,7 @@ class OpenAIController {
         data: {
           conversationId: result.conversationId,
           threadId: result.threadId,
+          assistantId: result.assistantId,
           projectId
         },
         timestamp: new Date().toISOString()
@@ -77,17 +145,29 @@ class OpenAIController {
 
       // Add user message
       const userMessage = await openaiService.addMessage(threadId, role, message);
+      await auditLog.record(req, 'message.create', { targetId: userMessage.id, after: { conversationId: threadId, role } });
+      await notifyMessages(threadId, [{ id: userMessage.id, role }]);
 
       // Get assistant response if it's a user message
       let assistantResponse = null;
+      let assistantError = null;
       if (role === 'user') {
         try {
-          assistantResponse = await openaiService.getAssistantResponse(threadId);
+          assistantResponse = await openaiService.runAssistant(threadId, { projectIds: req.user.projectIds });
         } catch (error) {
           logger.warn('Failed to get assistant response:', error.message);
+          assistantError = {
+            code: error.code || 'RUN_ERROR',
+            message: error.message,
+            runId: error.runId || null
+          };
         }
       }
 
+      if (assistantResponse) {
+        await notifyMessages(threadId, assistantResponse.messages.map(reply => ({ id: reply.id, role: 'assistant' })));
+      }
+
       logger.logSync('message_sent_via_api', {
         threadId,
         messageId: userMessage.id,
@@ -104,9 +184,12 @@ class OpenAIController {
             role: role
           },
           assistantResponse: assistantResponse ? {
-            content: assistantResponse,
-            role: 'assistant'
-          } : null
+            content: assistantResponse.content,
+            role: 'assistant',
+            runId: assistantResponse.runId,
+            messages: assistantResponse.messages
+          } : null,
+          assistantError
         },
         timestamp: new Date().toISOString()
       });
@@ -126,43 +209,42 @@ class OpenAIController {
       const { conversationId } = req.params;
       const { limit = 50, offset = 0 } = req.query;
 
-      // Get conversation details
-      const conversation = await database.query(
-        'SELECT * FROM conversations WHERE conversation_id = ?',
-        [conversationId]
-      );
+      // Get conversation details (by uuid or external conversation id)
+      const conversation = await repository.findConversation(conversationId);
 
-      if (conversation.length === 0) {
+      if (!conversation || conversation.deleted_at) {
         return res.status(404).json({
           error: 'Conversation not found'
         });
       }
 
-      // Get messages
-      const messages = await database.query(`
-        SELECT * FROM messages 
-        WHERE conversation_id = ? 
-        ORDER BY create_time ASC 
-        LIMIT ? OFFSET ?
-      `, [conversationId, parseInt(limit), parseInt(offset)]);
+      // Get messages and the total count for pagination
+      const [messages, total] = await Promise.all([
+        repository.getMessages(conversation.id, {
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }),
+        repository.countMessages(conversation.id)
+      ]);
 
       // Format messages
       const formattedMessages = messages.map(msg => ({
         id: msg.id,
         role: msg.role,
         content: msg.content,
-        parts: msg.parts ? JSON.parse(msg.parts) : null,
-        create_time: msg.create_time,
+        content_type: msg.content_type,
+        parent_message_id: msg.parent_message_id,
+        created_at: msg.created_at,
         author_name: msg.author_name
       }));
 
       res.status(200).json({
         status: 'success',
         data: {
-          conversation: conversation[0],
+          conversation,
           messages: formattedMessages,
           pagination: {
-            total: messages.length,
+            total,
             limit: parseInt(limit),
             offset: parseInt(offset)
           }
@@ -179,24 +261,213 @@ class OpenAIController {
     }
   }
 
-  // Sync existing conversations with OpenAI
+  // GET /assistants - assistant settings of every project that has them
+  async listAssistants(req, res) {
+    try {
+      const assistants = await projectAssistants.list();
+
+      res.status(200).json({
+        status: 'success',
+        data: assistants,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error listing project assistants:', error);
+      res.status(500).json({
+        error: 'Failed to list assistants',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /projects/:projectId/assistant
+  async getProjectAssistant(req, res) {
+    try {
+      const assistant = await projectAssistants.get(req.params.projectId);
+
+      if (!assistant) {
+        return res.status(404).json({
+          error: 'Project assistant not found'
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: assistant,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error getting project assistant:', error);
+      res.status(500).json({
+        error: 'Failed to get assistant',
+        message: error.message
+      });
+    }
+  }
+
+  // POST /projects/:projectId/assistant - name and model default from the project and OPENAI_MODEL
+  async createProjectAssistant(req, res) {
+    try {
+      const validation = validateProjectAssistant(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid assistant settings',
+          details: validation.errors
+        });
+      }
+
+      const unknown = unknownTools(validation.data.tools);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid assistant settings',
+          details: [`Unknown tools: ${unknown.join(', ')}`]
+        });
+      }
+
+      const project = await repository.findProjectById(req.params.projectId);
+      if (!project) {
+        return res.status(404).json({
+          error: 'Project not found'
+        });
+      }
+
+      const assistant = await projectAssistants.create(project.id, {
+        name: `${project.name} Assistant`,
+        model: config.openai.defaultModel,
+        ...validation.data
+      });
+      await auditLog.record(req, 'project_assistant.create', { targetId: project.id, after: assistant });
+
+      res.status(201).json({
+        status: 'success',
+        data: assistant,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'ASSISTANT_EXISTS') {
+        return res.status(409).json({ error: 'Project already has an assistant', message: error.message });
+      }
+
+      logger.error('Error creating project assistant:', error);
+      res.status(500).json({
+        error: 'Failed to create assistant',
+        message: error.message
+      });
+    }
+  }
+
+  // PATCH /projects/:projectId/assistant - the OpenAI assistant is updated on next use
+  async updateProjectAssistant(req, res) {
+    try {
+      const validation = validateProjectAssistant(req.body, { partial: true });
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid assistant settings',
+          details: validation.errors
+        });
+      }
+
+      const unknown = unknownTools(validation.data.tools);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid assistant settings',
+          details: [`Unknown tools: ${unknown.join(', ')}`]
+        });
+      }
+
+      const before = await projectAssistants.get(req.params.projectId);
+      const assistant = await projectAssistants.update(req.params.projectId, validation.data);
+      await auditLog.record(req, 'project_assistant.update', { targetId: req.params.projectId, before, after: assistant });
+
+      res.status(200).json({
+        status: 'success',
+        data: assistant,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'ASSISTANT_NOT_FOUND') {
+        return res.status(404).json({ error: 'Project assistant not found' });
+      }
+
+      logger.error('Error updating project assistant:', error);
+      res.status(500).json({
+        error: 'Failed to update assistant',
+        message: error.message
+      });
+    }
+  }
+
+  // DELETE /projects/:projectId/assistant - the project falls back to the default assistant
+  async deleteProjectAssistant(req, res) {
+    try {
+      const assistant = await openaiService.removeProjectAssistant(req.params.projectId);
+      await auditLog.record(req, 'project_assistant.delete', { targetId: req.params.projectId, before: assistant });
+
+      res.status(200).json({
+        status: 'success',
+        data: assistant,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'ASSISTANT_NOT_FOUND') {
+        return res.status(404).json({ error: 'Project assistant not found' });
+      }
+
+      logger.error('Error deleting project assistant:', error);
+      res.status(500).json({
+        error: 'Failed to delete assistant',
+        message: error.message
+      });
+    }
+  }
+
+  // POST /sync - start a resumable job syncing conversations without a thread
   async syncConversations(req, res) {
     try {
-      logger.info('🔄 Starting OpenAI sync via API...');
-      
-      // Run sync in background
-      openaiService.syncExistingConversations()
-        .catch(error => {
-          logger.error('Background sync failed:', error);
+      const validation = validateSyncJob(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid sync options',
+          details: validation.errors
         });
+      }
+
+      if (!openaiService.initialized) {
+        return res.status(503).json({
+          error: 'OpenAI service not initialized'
+        });
+      }
+
+      const job = await syncJobs.create(validation.data);
+      await auditLog.record(req, 'sync_job.create', { targetId: job.id, after: job });
+      syncJobs.start(job.id);
+
+      logger.info(`🔄 Started OpenAI sync job ${job.id}`);
 
       res.status(202).json({
         status: 'accepted',
-        message: 'Sync started in background',
+        data: {
+          jobId: job.id,
+          job,
+          statusUrl: `/api/v1/openai/sync/${job.id}`
+        },
         timestamp: new Date().toISOString()
       });
 
     } catch (error) {
+      if (error.code === 'SYNC_JOB_ACTIVE') {
+        return res.status(409).json({
+          error: 'A sync job is already active',
+          jobId: error.jobId,
+          statusUrl: `/api/v1/openai/sync/${error.jobId}`
+        });
+      }
+
       logger.error('Error starting sync:', error);
       res.status(500).json({
         error: 'Failed to start sync',
@@ -205,6 +476,64 @@ class OpenAIController {
     }
   }
 
+  // GET /sync - most recent sync jobs
+  async listSyncJobs(req, res) {
+    try {
+      const jobs = await syncJobs.list();
+
+      res.status(200).json({
+        status: 'success',
+        data: jobs,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error listing sync jobs:', error);
+      res.status(500).json({
+        error: 'Failed to list sync jobs',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /sync/:jobId - progress, checkpoint and errors of one job
+  async getSyncJob(req, res) {
+    try {
+      const job = await syncJobs.get(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Sync job not found' });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: job,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error getting sync job:', error);
+      res.status(500).json({
+        error: 'Failed to get sync job',
+        message: error.message
+      });
+    }
+  }
+
+  // POST /sync/:jobId/pause
+  async pauseSyncJob(req, res) {
+    await changeSyncJob(req, res, 'pause');
+  }
+
+  // POST /sync/:jobId/resume
+  async resumeSyncJob(req, res) {
+    await changeSyncJob(req, res, 'resume');
+  }
+
+  // POST /sync/:jobId/cancel
+  async cancelSyncJob(req, res) {
+    await changeSyncJob(req, res, 'cancel');
+  }
+
   // Get OpenAI service status
   async getStatus(req, res) {
     try {
@@ -231,7 +560,7 @@ class OpenAIController {
   // Chat completion (direct OpenAI API)
   async chatCompletion(req, res) {
     try {
-      const { messages, model = 'gpt-4', projectId } = req.body;
+      const { messages, model = 'gpt-4', projectId, tools = true } = req.body;
 
       if (!messages || !Array.isArray(messages)) {
         return res.status(400).json({
@@ -239,29 +568,43 @@ class OpenAIController {
         });
       }
 
+      if (projectId && !canAccessProject(req.user.projectIds, projectId)) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
       // Create conversation if projectId is provided
       let conversationId = null;
+      const stored = [];
       if (projectId) {
         const result = await openaiService.createConversation(projectId);
         conversationId = result.conversationId;
 
         // Save messages to conversation
         for (const msg of messages) {
-          await openaiService.addMessage(conversationId, msg.role, msg.content);
+          const message = await openaiService.addMessage(conversationId, msg.role, msg.content);
+          stored.push({ id: message.id, role: msg.role });
         }
+
+        await auditLog.record(req, 'conversation.create', { targetId: conversationId, after: { conversationId, projectId, messages: stored } });
+        await notify('conversation.created', { conversationId, projectId, title: null });
+        await notifyMessages(conversationId, stored);
       }
 
-      // Get completion
-      const completion = await openaiService.client.chat.completions.create({
+      // Get completion (server-side tools run in between unless `tools: false`)
+      const completion = await openaiService.completeChat({
         model,
-        messages
+        messages,
+        useTools: tools,
+        projectId,
+        projectIds: req.user.projectIds
       });
 
-      const response = completion.choices[0].message;
+      const response = completion.message;
 
       // Save assistant response if we have a conversation
       if (conversationId) {
-        await openaiService.addMessage(conversationId, 'assistant', response.content);
+        const message = await openaiService.addMessage(conversationId, 'assistant', response.content);
+        await notifyMessages(conversationId, [{ id: message.id, role: 'assistant' }]);
       }
 
       logger.logSync('chat_completion_via_api', {
@@ -275,7 +618,8 @@ class OpenAIController {
         data: {
           response: response,
           conversationId,
-          usage: completion.usage
+          usage: completion.usage,
+          toolCalls: completion.toolCalls
         },
         timestamp: new Date().toISOString()
       });
@@ -288,6 +632,194 @@ class OpenAIController {
       });
     }
   }
+
+  // POST /conversations/:threadId/runs[/:runId]/cancel - without a runId the
+  // thread's in-flight run is cancelled
+  async cancelRun(req, res) {
+    try {
+      if (!openaiService.initialized) {
+        return res.status(503).json({
+          error: 'OpenAI service not initialized'
+        });
+      }
+
+      const { threadId, runId } = req.params;
+      const run = await openaiService.cancelRun(threadId, runId || null);
+      if (!run) {
+        return res.status(404).json({ error: 'No active run on this thread' });
+      }
+      await auditLog.record(req, 'run.cancel', { targetId: run.id, after: { threadId, status: run.status } });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          runId: run.id,
+          threadId,
+          status: run.status
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      // OpenAI answers 404 for unknown runs and 400 for runs that already finished
+      if (error.status === 404) {
+        return res.status(404).json({ error: 'Run not found', message: error.message });
+      }
+      if (error.status === 400) {
+        return res.status(409).json({ error: 'Run cannot be cancelled', message: error.message });
+      }
+
+      logger.error('Error cancelling run:', error);
+      res.status(500).json({
+        error: 'Failed to cancel run',
+        message: error.message
+      });
+    }
+  }
+
+  // SSE variant of sendMessage: `delta` events carry the answer as it is
+  // generated, `done` the stored message (also sent, partial, after an abort)
+  async sendMessageStream(req, res) {
+    const { threadId } = req.params;
+    const { message } = req.body;
+
+    if (!message) {
+      return res.status(400).json({
+        error: 'Message content is required'
+      });
+    }
+
+    if (!openaiService.initialized) {
+      return res.status(503).json({
+        error: 'OpenAI service not initialized'
+      });
+    }
+
+    let stream = null;
+    try {
+      const userMessage = await openaiService.addMessage(threadId, 'user', message);
+      await auditLog.record(req, 'message.create', { targetId: userMessage.id, after: { conversationId: threadId, role: 'user' } });
+      await notifyMessages(threadId, [{ id: userMessage.id, role: 'user' }]);
+
+      stream = openEventStream(res);
+      stream.send('start', { threadId, userMessageId: userMessage.id });
+
+      const result = await openaiService.streamAssistantResponse(threadId, {
+        projectIds: req.user.projectIds,
+        signal: stream.signal,
+        onRun: runId => stream.send('run', { runId }),
+        onDelta: content => stream.send('delta', { content })
+      });
+
+      stream.send('done', result);
+
+      // Partial answers are stored too (see streamAssistantResponse)
+      if (result.messageId && result.content) {
+        await notifyMessages(threadId, [{ id: result.messageId, role: 'assistant' }]);
+      }
+
+      logger.logSync('message_streamed_via_api', {
+        threadId,
+        messageId: userMessage.id,
+        responseId: result.messageId,
+        status: result.status
+      });
+
+    } catch (error) {
+      logger.error('Error streaming message response:', error);
+      if (!stream) {
+        return res.status(500).json({
+          error: 'Failed to send message',
+          message: error.message
+        });
+      }
+      stream.send('error', { error: 'Failed to get response', message: error.message });
+    }
+
+    stream.close();
+  }
+
+  // SSE variant of chatCompletion
+  async chatCompletionStream(req, res) {
+    const { messages, model = 'gpt-4', projectId, tools = true } = req.body;
+
+    if (!messages || !Array.isArray(messages)) {
+      return res.status(400).json({
+        error: 'Messages array is required'
+      });
+    }
+
+    if (projectId && !canAccessProject(req.user.projectIds, projectId)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!openaiService.initialized) {
+      return res.status(503).json({
+        error: 'OpenAI service not initialized'
+      });
+    }
+
+    let stream = null;
+    try {
+      // Create conversation if projectId is provided
+      let conversationId = null;
+      const stored = [];
+      if (projectId) {
+        const result = await openaiService.createConversation(projectId);
+        conversationId = result.conversationId;
+
+        for (const msg of messages) {
+          const message = await openaiService.addMessage(conversationId, msg.role, msg.content);
+          stored.push({ id: message.id, role: msg.role });
+        }
+
+        await auditLog.record(req, 'conversation.create', { targetId: conversationId, after: { conversationId, projectId, messages: stored } });
+        await notify('conversation.created', { conversationId, projectId, title: null });
+        await notifyMessages(conversationId, stored);
+      }
+
+      stream = openEventStream(res);
+      stream.send('start', { conversationId, model });
+
+      const completion = await openaiService.streamChatCompletion({
+        model,
+        messages,
+        useTools: tools,
+        projectId,
+        projectIds: req.user.projectIds,
+        signal: stream.signal,
+        onDelta: content => stream.send('delta', { content }),
+        onToolCall: call => stream.send('tool', { name: call.name, arguments: call.arguments })
+      });
+
+      // Save the response, partial or not, once the stream ends
+      if (conversationId && completion.content) {
+        const message = await openaiService.addMessage(conversationId, 'assistant', completion.content);
+        await notifyMessages(conversationId, [{ id: message.id, role: 'assistant' }]);
+      }
+
+      stream.send('done', { ...completion, conversationId });
+
+      logger.logSync('chat_completion_streamed_via_api', {
+        model,
+        conversationId,
+        messagesCount: messages.length,
+        status: completion.status
+      });
+
+    } catch (error) {
+      logger.error('Error in streamed chat completion:', error);
+      if (!stream) {
+        return res.status(500).json({
+          error: 'Failed to get completion',
+          message: error.message
+        });
+      }
+      stream.send('error', { error: 'Failed to get completion', message: error.message });
+    }
+
+    stream.close();
+  }
 }
 
 module.exports = new OpenAIController();
\ No newline at end of file
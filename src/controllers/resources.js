@@ -0,0 +1,338 @@
+const logger = require('../services/logger');
+const repository = require('../services/repository');
+const conversationTree = require('../services/conversation-tree');
+const { decodeCursor, buildPage } = require('../utils/pagination');
+const { scopeOptions } = require('../utils/project-scope');
+const { validateListQuery, validateConversationListQuery } = require('../utils/validation');
+
+// metadata is stored as JSON text
+const parseJSON = (value) => {
+  if (typeof value !== 'string') return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const formatProject = (project) => ({
+  id: project.id,
+  name: project.name,
+  description: project.description,
+  is_starred: Boolean(project.is_starred),
+  chatgpt_project_id: project.chatgpt_project_id,
+  conversation_count: project.conversation_count !== undefined ? Number(project.conversation_count) : undefined,
+  created_at: project.created_at
+});
+
+const formatConversation = (conversation) => ({
+  id: conversation.id,
+  conversation_id: conversation.conversation_id,
+  project_id: conversation.project_id,
+  title: conversation.title,
+  default_model_slug: conversation.default_model_slug,
+  openai_thread_id: conversation.openai_thread_id,
+  current_node_id: conversation.current_node_id,
+  is_archived: Boolean(conversation.is_archived),
+  is_starred: Boolean(conversation.is_starred),
+  message_count: conversation.message_count !== undefined ? Number(conversation.message_count) : undefined,
+  created_at: conversation.created_at,
+  updated_at: conversation.updated_at
+});
+
+const formatMessage = (message) => ({
+  id: message.id,
+  conversation_id: message.conversation_id,
+  parent_message_id: message.parent_message_id,
+  role: message.role,
+  author_name: message.author_name,
+  content: message.content,
+  content_type: message.content_type,
+  status: message.status,
+  metadata: parseJSON(message.metadata),
+  created_at: message.created_at
+});
+
+// Optional ?leaf=<messageId> selecting a branch
+const leafParam = (req) => (typeof req.query.leaf === 'string' && req.query.leaf ? req.query.leaf : null);
+
+// Invalid filters and malformed cursors are client errors
+const badRequest = (res, errors) => res.status(400).json({
+  error: 'Invalid query parameters',
+  details: errors
+});
+
+class ResourcesController {
+
+  // GET /projects
+  async listProjects(req, res) {
+    try {
+      const validation = validateListQuery(req.query);
+      if (!validation.isValid) return badRequest(res, validation.errors);
+
+      const { limit, cursor } = validation.data;
+      const after = decodeCursor(cursor);
+
+      const scope = scopeOptions(req.user.projectIds);
+
+      const [rows, total] = await Promise.all([
+        repository.listProjects({ limit: limit + 1, after: after ? after.id : null, ...scope }),
+        repository.countProjects(scope)
+      ]);
+      const page = buildPage(rows, limit, row => ({ id: row.id }));
+
+      res.status(200).json({
+        status: 'success',
+        data: page.items.map(formatProject),
+        pagination: { limit, total, nextCursor: page.nextCursor },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_CURSOR') return badRequest(res, [error.message]);
+
+      logger.error('Error listing projects:', error);
+      res.status(500).json({
+        error: 'Failed to list projects',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /projects/:projectId
+  async getProject(req, res) {
+    try {
+      const project = await this.findProject(req.params.projectId);
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          ...formatProject(project),
+          conversation_count: await repository.countConversations({ projectId: project.id })
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error getting project:', error);
+      res.status(500).json({
+        error: 'Failed to get project',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /conversations and GET /projects/:projectId/conversations
+  async listConversations(req, res) {
+    try {
+      const query = { ...req.query };
+
+      if (req.params.projectId !== undefined) {
+        const project = await this.findProject(req.params.projectId);
+        if (!project) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+        query.projectId = project.id;
+      }
+
+      const validation = validateConversationListQuery(query);
+      if (!validation.isValid) return badRequest(res, validation.errors);
+
+      const { limit, cursor, ...requested } = validation.data;
+      const filters = { ...requested, ...scopeOptions(req.user.projectIds) };
+      const after = decodeCursor(cursor);
+
+      const [rows, total] = await Promise.all([
+        repository.listConversations(filters, { limit: limit + 1, after }),
+        repository.countConversations(filters)
+      ]);
+      const page = buildPage(rows, limit, row => ({ updatedAt: row.updated_at, id: row.id }));
+
+      res.status(200).json({
+        status: 'success',
+        data: page.items.map(formatConversation),
+        pagination: { limit, total, nextCursor: page.nextCursor },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_CURSOR') return badRequest(res, [error.message]);
+
+      logger.error('Error listing conversations:', error);
+      res.status(500).json({
+        error: 'Failed to list conversations',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /conversations/:conversationId (uuid or ChatGPT id)
+  async getConversation(req, res) {
+    try {
+      const conversation = await repository.findConversation(req.params.conversationId);
+      if (!conversation || conversation.deleted_at) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          ...formatConversation(conversation),
+          message_count: await repository.countMessages(conversation.id)
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error getting conversation:', error);
+      res.status(500).json({
+        error: 'Failed to get conversation',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /conversations/:conversationId/messages
+  async listMessages(req, res) {
+    try {
+      const validation = validateListQuery(req.query);
+      if (!validation.isValid) return badRequest(res, validation.errors);
+
+      const conversation = await repository.findConversation(req.params.conversationId);
+      if (!conversation || conversation.deleted_at) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      const { limit, cursor } = validation.data;
+      const after = decodeCursor(cursor);
+
+      const [rows, total] = await Promise.all([
+        repository.listMessages(conversation.id, { limit: limit + 1, after }),
+        repository.countMessages(conversation.id)
+      ]);
+      const page = buildPage(rows, limit, row => ({ sortKey: Number(row.sort_key), id: row.id }));
+
+      res.status(200).json({
+        status: 'success',
+        data: page.items.map(formatMessage),
+        pagination: { limit, total, nextCursor: page.nextCursor },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_CURSOR') return badRequest(res, [error.message]);
+
+      logger.error('Error listing messages:', error);
+      res.status(500).json({
+        error: 'Failed to list messages',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /conversations/:conversationId/tree?leaf=<messageId>
+  async getConversationTree(req, res) {
+    try {
+      const tree = await conversationTree.getTree(req.params.conversationId, { leafId: leafParam(req) });
+      if (!tree) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          conversation: formatConversation(tree.conversation),
+          current_leaf_id: tree.current_leaf_id,
+          current_path: tree.current_path,
+          branches: tree.branches,
+          roots: tree.roots
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'NODE_NOT_FOUND') {
+        return res.status(404).json({ error: 'Message not found', message: error.message });
+      }
+
+      logger.error('Error building conversation tree:', error);
+      res.status(500).json({
+        error: 'Failed to build conversation tree',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /conversations/:conversationId/path?leaf=<messageId>
+  async getConversationPath(req, res) {
+    try {
+      const path = await conversationTree.getPath(req.params.conversationId, { leafId: leafParam(req) });
+      if (!path) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          conversation: formatConversation(path.conversation),
+          leaf_id: path.leaf_id,
+          messages: path.messages
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'NODE_NOT_FOUND') {
+        return res.status(404).json({ error: 'Message not found', message: error.message });
+      }
+
+      logger.error('Error getting conversation path:', error);
+      res.status(500).json({
+        error: 'Failed to get conversation path',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /conversations/:conversationId/branches?leaf=<messageId>
+  async getConversationBranches(req, res) {
+    try {
+      const result = await conversationTree.getBranches(req.params.conversationId, { leafId: leafParam(req) });
+      if (!result) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          current_leaf_id: result.current_leaf_id,
+          branches: result.branches
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'NODE_NOT_FOUND') {
+        return res.status(404).json({ error: 'Message not found', message: error.message });
+      }
+
+      logger.error('Error listing conversation branches:', error);
+      res.status(500).json({
+        error: 'Failed to list conversation branches',
+        message: error.message
+      });
+    }
+  }
+
+  // Project ids in the path are integers; anything else cannot match
+  async findProject(projectId) {
+    const id = Number(projectId);
+    if (!Number.isInteger(id) || id <= 0) return null;
+    return await repository.findProjectById(id);
+  }
+}
+
+module.exports = new ResourcesController();
@@ -0,0 +1,109 @@
+const logger = require('../services/logger');
+const searchService = require('../services/search');
+const semanticIndex = require('../services/semantic-index');
+const auditLog = require('../services/audit-log');
+const { validateSearchQuery, validateSemanticSearch, validateSemanticIndex } = require('../utils/validation');
+const { scopeOptions } = require('../utils/project-scope');
+
+class SearchController {
+
+  // Full-text search over synced messages
+  async search(req, res) {
+    try {
+      const validation = validateSearchQuery(req.query);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid search parameters',
+          details: validation.errors
+        });
+      }
+
+      const params = validation.data;
+      const results = await searchService.search({ ...params, ...scopeOptions(req.user.projectIds) });
+
+      res.status(200).json({
+        status: 'success',
+        data: results.items,
+        pagination: {
+          limit: params.limit,
+          nextCursor: results.nextCursor
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_CURSOR' || error.code === 'INVALID_QUERY') {
+        return res.status(400).json({
+          error: 'Invalid search parameters',
+          details: [error.message]
+        });
+      }
+
+      logger.error('Error searching messages:', error);
+      res.status(500).json({
+        error: 'Search failed',
+        message: error.message
+      });
+    }
+  }
+
+  // Cosine-similarity top-k retrieval over embedded message chunks
+  async semanticSearch(req, res) {
+    try {
+      const validation = validateSemanticSearch(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid search parameters',
+          details: validation.errors
+        });
+      }
+
+      const results = await semanticIndex.search({ ...validation.data, ...scopeOptions(req.user.projectIds) });
+
+      res.status(200).json({
+        status: 'success',
+        model: semanticIndex.getEmbedder().model,
+        data: results,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error in semantic search:', error);
+      res.status(500).json({
+        error: 'Semantic search failed',
+        message: error.message
+      });
+    }
+  }
+
+  // Embed messages that are missing from the semantic index
+  async indexEmbeddings(req, res) {
+    try {
+      const validation = validateSemanticIndex(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid index parameters',
+          details: validation.errors
+        });
+      }
+
+      const result = await semanticIndex.indexMessages(validation.data);
+      await auditLog.record(req, 'semantic_index.build', { after: { ...validation.data, result } });
+
+      res.status(200).json({
+        status: 'success',
+        result,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error indexing embeddings:', error);
+      res.status(500).json({
+        error: 'Indexing failed',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SearchController();
@@ -0,0 +1,36 @@
+const logger = require('../services/logger');
+const usage = require('../services/usage');
+const { validateUsageQuery } = require('../utils/validation');
+
+class UsageController {
+
+  // OpenAI calls, tokens and cost aggregated by day, project, model and/or endpoint
+  async getReport(req, res) {
+    try {
+      const validation = validateUsageQuery(req.query);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid usage parameters',
+          details: validation.errors
+        });
+      }
+
+      const report = await usage.report(validation.data);
+
+      res.status(200).json({
+        status: 'success',
+        data: report,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error building usage report:', error);
+      res.status(500).json({
+        error: 'Failed to build usage report',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new UsageController();
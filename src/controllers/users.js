@@ -0,0 +1,138 @@
+const logger = require('../services/logger');
+const users = require('../services/users');
+const auditLog = require('../services/audit-log');
+const { validateUser } = require('../utils/validation');
+
+const invalidUser = (res, errors) => res.status(400).json({
+  error: 'Invalid user',
+  details: errors
+});
+
+// Shared error mapping for the write endpoints
+const handleUserError = (res, error, action) => {
+  if (error.code === 'USER_NOT_FOUND') {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (error.code === 'USER_EXISTS') {
+    return res.status(409).json({ error: 'User already exists', message: error.message });
+  }
+
+  logger.error(`Error trying to ${action} user:`, error);
+  res.status(500).json({
+    error: `Failed to ${action} user`,
+    message: error.message
+  });
+};
+
+class UsersController {
+
+  // GET /users
+  async listUsers(req, res) {
+    try {
+      res.status(200).json({
+        status: 'success',
+        data: await users.list(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error listing users:', error);
+      res.status(500).json({
+        error: 'Failed to list users',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /users/:userId
+  async getUser(req, res) {
+    try {
+      const user = await users.get(req.params.userId);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: user,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error getting user:', error);
+      res.status(500).json({
+        error: 'Failed to get user',
+        message: error.message
+      });
+    }
+  }
+
+  // POST /users
+  async createUser(req, res) {
+    try {
+      const validation = validateUser(req.body);
+      if (!validation.isValid) return invalidUser(res, validation.errors);
+
+      const user = await users.create(validation.data);
+      await auditLog.record(req, 'user.create', { targetId: user.id, after: user });
+
+      res.status(201).json({
+        status: 'success',
+        data: user,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      handleUserError(res, error, 'create');
+    }
+  }
+
+  // PATCH /users/:userId - partial update; projectIds replaces the grants
+  async updateUser(req, res) {
+    try {
+      const validation = validateUser(req.body, { partial: true });
+      if (!validation.isValid) return invalidUser(res, validation.errors);
+
+      const before = await users.get(req.params.userId);
+      const user = await users.update(req.params.userId, validation.data);
+      await auditLog.record(req, 'user.update', {
+        targetId: user.id,
+        before,
+        after: { ...user, passwordChanged: validation.data.password !== undefined }
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: user,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      handleUserError(res, error, 'update');
+    }
+  }
+
+  // DELETE /users/:userId - deactivates the user and ends their sessions
+  async deactivateUser(req, res) {
+    try {
+      if (req.user.id !== null && String(req.user.id) === String(req.params.userId)) {
+        return res.status(409).json({ error: 'Cannot deactivate the authenticated user' });
+      }
+
+      const before = await users.get(req.params.userId);
+      const user = await users.deactivate(req.params.userId);
+      await auditLog.record(req, 'user.deactivate', { targetId: user.id, before, after: user });
+
+      res.status(200).json({
+        status: 'success',
+        data: user,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      handleUserError(res, error, 'deactivate');
+    }
+  }
+}
+
+module.exports = new UsersController();
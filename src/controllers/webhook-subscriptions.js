@@ -0,0 +1,203 @@
+const logger = require('../services/logger');
+const webhookSubscriptions = require('../services/webhook-subscriptions');
+const webhookDeliveries = require('../services/webhook-deliveries');
+const auditLog = require('../services/audit-log');
+const { validateWebhookSubscription } = require('../utils/validation');
+
+const DELIVERY_STATUSES = ['pending', 'processing', 'failed', 'delivered', 'dead'];
+
+const invalidSubscription = (res, errors) => res.status(400).json({
+  error: 'Invalid subscription',
+  details: errors
+});
+
+// Shared error mapping for the subscription and delivery endpoints
+const handleSubscriptionError = (res, error, action) => {
+  if (error.code === 'SUBSCRIPTION_NOT_FOUND') {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+  if (error.code === 'DELIVERY_NOT_FOUND') {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  if (error.code === 'DELIVERY_IN_PROGRESS') {
+    return res.status(409).json({ error: 'Delivery is already queued', message: error.message });
+  }
+
+  logger.error(`Error trying to ${action}:`, error);
+  res.status(500).json({
+    error: `Failed to ${action}`,
+    message: error.message
+  });
+};
+
+class WebhookSubscriptionsController {
+
+  // GET /webhook-subscriptions
+  async listSubscriptions(req, res) {
+    try {
+      res.status(200).json({
+        status: 'success',
+        data: await webhookSubscriptions.list(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      handleSubscriptionError(res, error, 'list subscriptions');
+    }
+  }
+
+  // GET /webhook-subscriptions/:subscriptionId
+  async getSubscription(req, res) {
+    try {
+      const subscription = await webhookSubscriptions.get(req.params.subscriptionId);
+      if (!subscription) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: subscription,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      handleSubscriptionError(res, error, 'get subscription');
+    }
+  }
+
+  // POST /webhook-subscriptions - the response is the only place the secret is shown
+  async createSubscription(req, res) {
+    try {
+      const validation = validateWebhookSubscription(req.body);
+      if (!validation.isValid) return invalidSubscription(res, validation.errors);
+
+      const subscription = await webhookSubscriptions.create({
+        ...validation.data,
+        createdBy: req.user.type === 'user' ? req.user.id : null
+      });
+      await auditLog.record(req, 'webhook_subscription.create', { targetId: subscription.id, after: subscription });
+
+      res.status(201).json({
+        status: 'success',
+        data: subscription,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      handleSubscriptionError(res, error, 'create subscription');
+    }
+  }
+
+  // PATCH /webhook-subscriptions/:subscriptionId
+  async updateSubscription(req, res) {
+    try {
+      const validation = validateWebhookSubscription(req.body, { partial: true });
+      if (!validation.isValid) return invalidSubscription(res, validation.errors);
+
+      const before = await webhookSubscriptions.get(req.params.subscriptionId);
+      const subscription = await webhookSubscriptions.update(req.params.subscriptionId, validation.data);
+      await auditLog.record(req, 'webhook_subscription.update', {
+        targetId: subscription.id,
+        before,
+        after: { ...subscription, secretChanged: validation.data.secret !== undefined }
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: subscription,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      handleSubscriptionError(res, error, 'update subscription');
+    }
+  }
+
+  // DELETE /webhook-subscriptions/:subscriptionId - also drops its delivery log
+  async deleteSubscription(req, res) {
+    try {
+      const subscription = await webhookSubscriptions.remove(req.params.subscriptionId);
+      await auditLog.record(req, 'webhook_subscription.delete', { targetId: subscription.id, before: subscription });
+
+      res.status(200).json({
+        status: 'success',
+        data: subscription,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      handleSubscriptionError(res, error, 'delete subscription');
+    }
+  }
+
+  // GET /webhook-subscriptions/:subscriptionId/deliveries?status=dead&limit=50
+  async listDeliveries(req, res) {
+    try {
+      const { status, limit = 50 } = req.query;
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status',
+          message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+        });
+      }
+
+      const subscription = await webhookSubscriptions.get(req.params.subscriptionId);
+      if (!subscription) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: await webhookDeliveries.list(subscription.id, {
+          status: status || null,
+          limit: Math.min(parseInt(limit) || 50, 500)
+        }),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      handleSubscriptionError(res, error, 'list deliveries');
+    }
+  }
+
+  // GET /webhook-subscriptions/:subscriptionId/deliveries/:deliveryId - payload and attempt log
+  async getDelivery(req, res) {
+    try {
+      const delivery = await webhookDeliveries.get(req.params.subscriptionId, req.params.deliveryId);
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: delivery,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      handleSubscriptionError(res, error, 'get delivery');
+    }
+  }
+
+  // POST /webhook-subscriptions/:subscriptionId/deliveries/:deliveryId/redeliver
+  async redeliver(req, res) {
+    try {
+      const delivery = await webhookDeliveries.redeliver(req.params.subscriptionId, req.params.deliveryId);
+      await auditLog.record(req, 'webhook_delivery.redeliver', {
+        targetId: delivery.id,
+        after: { subscriptionId: delivery.subscriptionId, eventId: delivery.eventId, eventType: delivery.eventType }
+      });
+
+      res.status(202).json({
+        status: 'accepted',
+        data: delivery,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      handleSubscriptionError(res, error, 'redeliver webhook');
+    }
+  }
+}
+
+module.exports = new WebhookSubscriptionsController();
@@ -1,6 +1,29 @@
 const logger = require('../services/logger');
 const database = require('../services/database');
-const { validateWebhookPayload } = require('../utils/validation');
+const repository = require('../services/repository');
+const webhookInbox = require('../services/webhook-inbox');
+const idempotency = require('../services/idempotency');
+const webhookDeliveries = require('../services/webhook-deliveries');
+const auditLog = require('../services/audit-log');
+const { validateWebhookPayload, validateWebhookBatch } = require('../utils/validation');
+const { normalizeConversation, normalizeMessage } = require('../utils/chatgpt-mapper');
+
+// Queue an outbound webhook for a change that was just persisted (inside the batch transaction when there is one)
+const notify = (eventType, data, connection) => webhookDeliveries.publish(eventType, data, { source: 'chatgpt', connection });
+
+// Audit entry for an applied ChatGPT event: the action is the event type ("message.created")
+// and the actor is the secret that signed it, named after the sender's source
+const auditEvent = async (req, { keyId = null, source = null } = {}, eventType, result, connection = null) => {
+  if (!result || result.status === 'ignored') {
+    return;
+  }
+
+  await auditLog.record(req, eventType, {
+    targetId: result.messageId || result.conversationId || null,
+    after: result,
+    actor: { type: 'webhook', id: keyId, name: source }
+  }, connection);
+};
 
 class WebhookController {
   
@@ -29,7 +52,7 @@ class WebhookController {
     }
   }
 
-  // Main webhook endpoint for ChatGPT events
+  // Main webhook endpoint for ChatGPT events: persist to the inbox, process later
   async handleChatGPTWebhook(req, res) {
     try {
       const payload = req.body;
@@ -41,7 +64,7 @@ class WebhookController {
       });
 
       // Validate payload structure
-      const validation = validateWebhookPayload(payload);
+      const validation = validateWebhookPayload(payload, eventType);
       if (!validation.isValid) {
         logger.error('Invalid webhook payload:', validation.errors);
         return res.status(400).json({
@@ -50,35 +73,109 @@ class WebhookController {
         });
       }
 
-      // Process the webhook based on event type
-      let result;
-      switch (eventType) {
-        case 'conversation.created':
-          result = await this.handleConversationCreated(payload);
-          break;
-        case 'conversation.updated':
-          result = await this.handleConversationUpdated(payload);
-          break;
-        case 'message.created':
-          result = await this.handleMessageCreated(payload);
-          break;
-        case 'message.updated':
-          result = await this.handleMessageUpdated(payload);
-          break;
-        default:
-          logger.warn(`Unhandled event type: ${eventType}`);
-          result = { status: 'ignored', eventType };
+      // Replays inside the signature window get the original outcome back
+      const eventId = idempotency.extractEventId(req);
+      if (eventId) {
+        const processed = await idempotency.getProcessed(eventId);
+        if (processed) {
+          logger.info('Duplicate webhook event', { eventId, eventType });
+          return res.status(200).json({
+            status: 'duplicate',
+            eventType: processed.eventType,
+            eventId,
+            result: processed.result,
+            processedAt: processed.processedAt,
+            timestamp: new Date().toISOString()
+          });
+        }
       }
 
-      res.status(200).json({
-        status: 'success',
+      // The verified key id and request id travel with the entry for the worker's audit entry.
+      // A repeated event id lands on its existing entry (unique key), however close the deliveries are.
+      const entry = await webhookInbox.enqueue({
+        eventId,
         eventType,
-        result,
+        headers: { ...req.headers, 'x-request-id': req.id, 'x-webhook-key-id': req.webhook.keyId },
+        rawBody: req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(payload)
+      });
+
+      if (entry.duplicate && entry.status === 'processed') {
+        logger.info('Duplicate webhook event', { eventId, inboxId: entry.id });
+        return res.status(200).json({
+          status: 'duplicate',
+          eventType: entry.eventType,
+          eventId,
+          result: entry.result,
+          processedAt: entry.processedAt,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (entry.duplicate) {
+        logger.info('Duplicate webhook event still queued', { eventId, inboxId: entry.id });
+      }
+
+      res.status(202).json({
+        status: 'accepted',
+        ...(entry.duplicate ? { duplicate: true } : {}),
+        eventType: entry.duplicate ? entry.eventType : eventType,
+        eventId,
+        inboxId: entry.id,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Webhook persistence error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Batch endpoint: apply many events in one transaction, reporting each outcome
+  async handleChatGPTWebhookBatch(req, res) {
+    try {
+      const envelope = validateWebhookBatch(req.body);
+      if (!envelope.isValid) {
+        logger.error('Invalid webhook batch:', envelope.errors);
+        return res.status(400).json({
+          error: 'Invalid batch',
+          details: envelope.errors
+        });
+      }
+
+      const { events } = req.body;
+      logger.logWebhook('batch', req.body, {
+        eventsCount: events.length,
+        ip: req.ip
+      });
+
+      const results = await database.transaction(async (connection) => {
+        const outcomes = [];
+        for (const [index, event] of events.entries()) {
+          outcomes.push(await this.applyBatchEvent(event, index, connection, req));
+        }
+        return outcomes;
+      });
+
+      const summary = {
+        total: results.length,
+        succeeded: results.filter(r => r.status === 'success').length,
+        duplicates: results.filter(r => r.status === 'duplicate').length,
+        failed: results.filter(r => r.status === 'failed' || r.status === 'invalid').length
+      };
+
+      res.status(summary.failed > 0 ? 207 : 200).json({
+        status: summary.failed > 0 ? 'partial' : 'success',
+        summary,
+        results,
         timestamp: new Date().toISOString()
       });
 
     } catch (error) {
-      logger.error('Webhook processing error:', error);
+      logger.error('Webhook batch processing error:', error);
       res.status(500).json({
         error: 'Internal server error',
         message: error.message,
@@ -87,40 +184,181 @@ class WebhookController {
     }
   }
 
+  // Apply one batch event inside a savepoint so a failure only undoes that event
+  async applyBatchEvent(event, index, connection, req = {}) {
+    const eventType = event.event_type;
+    const eventId = event.event_id || null;
+
+    const validation = validateWebhookPayload(event);
+    if (!validation.isValid) {
+      return { index, eventId, eventType, status: 'invalid', errors: validation.errors };
+    }
+
+    if (eventId) {
+      const processed = await idempotency.getProcessed(eventId, connection);
+      if (processed) {
+        return { index, eventId, eventType, status: 'duplicate', result: processed.result };
+      }
+    }
+
+    const savepoint = `batch_event_${index}`;
+    await connection.query(`SAVEPOINT ${savepoint}`);
+
+    try {
+      const result = await this.processEvent(eventType, event, connection);
+      if (eventId) {
+        await idempotency.recordProcessed(eventId, eventType, result, connection);
+      }
+      await auditEvent(req, req.webhook, eventType, result, connection);
+      await connection.query(`RELEASE SAVEPOINT ${savepoint}`);
+
+      return { index, eventId, eventType, status: 'success', result };
+
+    } catch (error) {
+      await connection.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      logger.warn('Batch event failed', { index, eventId, eventType, error: error.message });
+
+      return { index, eventId, eventType, status: 'failed', error: error.message };
+    }
+  }
+
+  // Inbox worker: apply a queued event and audit it as the webhook that delivered it
+  async applyInboxEvent(eventType, payload, entry) {
+    const result = await this.processEvent(eventType, payload);
+
+    let headers = {};
+    try {
+      headers = JSON.parse(entry.headers) || {};
+    } catch (error) {
+      logger.warn('Unreadable webhook inbox headers', { inboxId: entry.id });
+    }
+
+    await auditEvent(
+      { id: headers['x-request-id'] || null },
+      { keyId: headers['x-webhook-key-id'] || null, source: headers['x-webhook-source'] || null },
+      eventType,
+      result
+    );
+    return result;
+  }
+
+  // Apply a single event to the database (inbox worker and batch endpoint)
+  async processEvent(eventType, payload, connection = null) {
+    switch (eventType) {
+      case 'conversation.created':
+        return await this.handleConversationCreated(payload, connection);
+      case 'conversation.updated':
+        return await this.handleConversationUpdated(payload, connection);
+      case 'message.created':
+        return await this.handleMessageCreated(payload, connection);
+      case 'message.updated':
+        return await this.handleMessageUpdated(payload, connection);
+      case 'conversation.deleted':
+        return await this.handleConversationDeleted(payload, connection);
+      case 'conversation.archived':
+        return await this.handleConversationFlagsChanged(payload, { is_archived: true }, 'conversation_archived', connection);
+      case 'conversation.unarchived':
+        return await this.handleConversationFlagsChanged(payload, { is_archived: false }, 'conversation_unarchived', connection);
+      case 'conversation.starred':
+        return await this.handleConversationFlagsChanged(
+          payload,
+          { is_starred: payload.conversation.is_starred !== false },
+          payload.conversation.is_starred === false ? 'conversation_unstarred' : 'conversation_starred',
+          connection
+        );
+      case 'message.deleted':
+        return await this.handleMessageDeleted(payload, connection);
+      default:
+        logger.warn(`Unhandled event type: ${eventType}`);
+        return { status: 'ignored', eventType };
+    }
+  }
+
+  // List inbox entries, optionally filtered by status (e.g. dead)
+  async listInbox(req, res) {
+    try {
+      const { status, limit = 50 } = req.query;
+      const entries = await webhookInbox.list({
+        status: status || null,
+        limit: Math.min(parseInt(limit) || 50, 500)
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: entries,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error listing webhook inbox:', error);
+      res.status(500).json({
+        error: 'Failed to list inbox',
+        message: error.message
+      });
+    }
+  }
+
+  // Re-queue a dead-lettered or failed inbox entry
+  async requeueInboxEntry(req, res) {
+    try {
+      const requeued = await webhookInbox.requeue(req.params.id);
+
+      if (!requeued) {
+        return res.status(404).json({
+          error: 'Inbox entry not found or not retryable'
+        });
+      }
+      await auditLog.record(req, 'webhook_inbox.requeue', { targetId: req.params.id });
+
+      res.status(202).json({
+        status: 'accepted',
+        inboxId: req.params.id,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error requeueing webhook inbox entry:', error);
+      res.status(500).json({
+        error: 'Failed to requeue entry',
+        message: error.message
+      });
+    }
+  }
+
   // Handle conversation creation
-  async handleConversationCreated(payload) {
+  async handleConversationCreated(payload, connection = null) {
     const { conversation, project } = payload;
     
     try {
-      // Ensure project exists
+      // Ensure project exists (payload carries the ChatGPT project id)
+      let projectId = null;
       if (project) {
-        const existingProject = await database.getProject(project.name);
-        if (!existingProject) {
-          await database.createProject({
-            name: project.name,
-            description: project.description || '',
-            chatgpt_project_id: project.id
-          });
-          logger.logDatabase('project_created', { projectName: project.name });
-        }
+        const storedProject = await repository.upsertProject({
+          name: project.name,
+          description: project.description,
+          chatgpt_project_id: project.id || project.chatgpt_project_id || null
+        }, connection);
+        projectId = storedProject.id;
       }
 
-      // Insert conversation
-      await database.insertConversation({
-        conversation_id: conversation.id,
-        title: conversation.title || 'Untitled',
-        model: conversation.model || 'gpt-4',
-        create_time: new Date(conversation.create_time * 1000),
-        update_time: new Date(conversation.update_time * 1000),
-        project_id: project ? project.id : null,
-        openai_thread_id: conversation.openai_thread_id || null
-      });
+      const stored = await repository.upsertConversation({
+        ...normalizeConversation(conversation),
+        project_id: projectId
+      }, connection);
 
       logger.logSync('conversation_created', {
         conversationId: conversation.id,
+        conversationUuid: stored.id,
         title: conversation.title
       });
 
+      await notify('conversation.created', {
+        conversationId: conversation.id,
+        conversationUuid: stored.id,
+        projectId,
+        title: conversation.title || null
+      }, connection);
+
       return { status: 'conversation_created', conversationId: conversation.id };
 
     } catch (error) {
@@ -130,25 +368,34 @@ class WebhookController {
   }
 
   // Handle conversation updates
-  async handleConversationUpdated(payload) {
+  async handleConversationUpdated(payload, connection = null) {
     const { conversation } = payload;
     
     try {
-      await database.insertConversation({
-        conversation_id: conversation.id,
-        title: conversation.title || 'Untitled',
-        model: conversation.model || 'gpt-4',
-        create_time: new Date(conversation.create_time * 1000),
-        update_time: new Date(conversation.update_time * 1000),
-        project_id: conversation.project_id || null,
-        openai_thread_id: conversation.openai_thread_id || null
-      });
+      // conversation.project_id is the ChatGPT project id; unknown projects are left untouched
+      let projectId = null;
+      if (conversation.project_id) {
+        const project = await repository.findProject({ chatgptProjectId: conversation.project_id }, connection);
+        projectId = project ? project.id : null;
+      }
+
+      const stored = await repository.upsertConversation({
+        ...normalizeConversation(conversation),
+        project_id: projectId
+      }, connection);
 
       logger.logSync('conversation_updated', {
         conversationId: conversation.id,
         title: conversation.title
       });
 
+      await notify('conversation.updated', {
+        conversationId: conversation.id,
+        conversationUuid: stored.id,
+        projectId,
+        title: conversation.title || null
+      }, connection);
+
       return { status: 'conversation_updated', conversationId: conversation.id };
 
     } catch (error) {
@@ -158,37 +405,32 @@ class WebhookController {
   }
 
   // Handle message creation
-  async handleMessageCreated(payload) {
+  async handleMessageCreated(payload, connection = null) {
     const { message, conversation } = payload;
     
     try {
       // Ensure conversation exists
       if (conversation) {
-        const existingConv = await database.getConversation(conversation.id);
+        const existingConv = await repository.findConversation(conversation.id, connection);
         if (!existingConv) {
-          await this.handleConversationCreated({ conversation });
+          await this.handleConversationCreated({ conversation }, connection);
         }
       }
 
-      // Insert message
-      await database.insertMessage({
-        id: message.id,
-        conversation_id: message.conversation_id || conversation?.id,
-        role: message.role || 'user',
-        content: message.content ? JSON.stringify(message.content) : null,
-        parts: message.parts ? JSON.stringify(message.parts) : null,
-        create_time: new Date(message.create_time * 1000),
-        parent: message.parent || null,
-        children: message.children ? JSON.stringify(message.children) : null,
-        author_name: message.author?.name || null
-      });
+      await repository.upsertMessage(normalizeMessage(message, conversation?.id), connection);
 
       logger.logSync('message_created', {
         messageId: message.id,
-        conversationId: message.conversation_id,
+        conversationId: message.conversation_id || conversation?.id,
         role: message.role
       });
 
+      await notify('message.created', {
+        messageId: message.id,
+        conversationId: message.conversation_id || conversation?.id || null,
+        role: message.role || null
+      }, connection);
+
       return { status: 'message_created', messageId: message.id };
 
     } catch (error) {
@@ -198,27 +440,23 @@ class WebhookController {
   }
 
   // Handle message updates
-  async handleMessageUpdated(payload) {
+  async handleMessageUpdated(payload, connection = null) {
     const { message } = payload;
     
     try {
-      await database.insertMessage({
-        id: message.id,
-        conversation_id: message.conversation_id,
-        role: message.role || 'user',
-        content: message.content ? JSON.stringify(message.content) : null,
-        parts: message.parts ? JSON.stringify(message.parts) : null,
-        create_time: new Date(message.create_time * 1000),
-        parent: message.parent || null,
-        children: message.children ? JSON.stringify(message.children) : null,
-        author_name: message.author?.name || null
-      });
+      await repository.upsertMessage(normalizeMessage(message), connection);
 
       logger.logSync('message_updated', {
         messageId: message.id,
         conversationId: message.conversation_id
       });
 
+      await notify('message.updated', {
+        messageId: message.id,
+        conversationId: message.conversation_id || null,
+        role: message.role || null
+      }, connection);
+
       return { status: 'message_updated', messageId: message.id };
 
     } catch (error) {
@@ -227,6 +465,89 @@ class WebhookController {
     }
   }
 
+  // Handle conversation deletion (soft delete)
+  async handleConversationDeleted(payload, connection = null) {
+    const { conversation } = payload;
+
+    try {
+      const result = await repository.softDeleteConversation(conversation.id, connection);
+
+      logger.logSync('conversation_deleted', {
+        conversationId: conversation.id,
+        found: result.affectedRows > 0
+      });
+
+      if (result.affectedRows > 0) {
+        await notify('conversation.deleted', { conversationId: conversation.id }, connection);
+      }
+
+      return {
+        status: result.affectedRows > 0 ? 'conversation_deleted' : 'conversation_not_found',
+        conversationId: conversation.id
+      };
+
+    } catch (error) {
+      logger.error('Error handling conversation deletion:', error);
+      throw error;
+    }
+  }
+
+  // Handle archive/unarchive/star events
+  async handleConversationFlagsChanged(payload, flags, action, connection = null) {
+    const { conversation } = payload;
+
+    try {
+      const result = await repository.setConversationFlags(conversation.id, flags, connection);
+
+      logger.logSync(action, {
+        conversationId: conversation.id,
+        flags,
+        found: result.affectedRows > 0
+      });
+
+      if (result.affectedRows > 0) {
+        await notify(action.replace('_', '.'), { conversationId: conversation.id, flags }, connection);
+      }
+
+      return {
+        status: result.affectedRows > 0 ? action : 'conversation_not_found',
+        conversationId: conversation.id
+      };
+
+    } catch (error) {
+      logger.error(`Error handling ${action}:`, error);
+      throw error;
+    }
+  }
+
+  // Handle message deletion (soft delete)
+  async handleMessageDeleted(payload, connection = null) {
+    const { message } = payload;
+
+    try {
+      const result = await repository.softDeleteMessage(message.id, connection);
+
+      logger.logSync('message_deleted', {
+        messageId: message.id,
+        conversationId: message.conversation_id,
+        found: result.affectedRows > 0
+      });
+
+      if (result.affectedRows > 0) {
+        await notify('message.deleted', { messageId: message.id, conversationId: message.conversation_id || null }, connection);
+      }
+
+      return {
+        status: result.affectedRows > 0 ? 'message_deleted' : 'message_not_found',
+        messageId: message.id
+      };
+
+    } catch (error) {
+      logger.error('Error handling message deletion:', error);
+      throw error;
+    }
+  }
+
   // Manual sync endpoint
   async manualSync(req, res) {
     try {
@@ -236,11 +557,27 @@ class WebhookController {
 
       let result;
       switch (type) {
-        case 'conversation':
+        case 'conversation': {
+          const conversationId = data?.conversation?.id;
+          const before = conversationId ? await repository.findConversation(conversationId) : null;
           result = await this.handleConversationCreated(data);
+          await auditLog.record(req, 'conversation.sync', {
+            targetId: conversationId,
+            before,
+            after: await repository.findConversation(conversationId)
+          });
           break;
+        }
         case 'message':
           result = await this.handleMessageCreated(data);
+          await auditLog.record(req, 'message.sync', {
+            targetId: data.message.id,
+            after: {
+              messageId: data.message.id,
+              conversationId: data.message.conversation_id || data.conversation?.id || null,
+              role: data.message.role || null
+            }
+          });
           break;
         default:
           return res.status(400).json({ error: 'Invalid sync type' });
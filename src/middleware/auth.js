@@ -2,44 +2,60 @@ const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const config = require('../../config/config');
 const logger = require('../services/logger');
+const users = require('../services/users');
+const sessions = require('../services/sessions');
+const repository = require('../services/repository');
+const apiKeys = require('../services/api-keys');
+const { canAccessProject } = require('../utils/project-scope');
+const { normalizeSecrets, activeSecrets, findSigningSecret } = require('../utils/webhook-signature');
 
-// Validate webhook signature
+/**
+ * Validate webhook signatures: HMAC-SHA256 of `${timestamp}.${raw body}`.
+ * Several secrets can be active at once (see WEBHOOK_SECRETS): the header may
+ * carry one signature per key id ("v1=<hex>,v2=<hex>") or a single
+ * "sha256=<hex>" with the key id in X-Webhook-Key-Id. Secrets bound to a
+ * source only accept requests with that X-Webhook-Source; expired secrets
+ * are rejected. Sets req.webhook = { keyId, source }.
+ */
 const validateWebhookSignature = (req, res, next) => {
   try {
     const signature = req.headers['x-webhook-signature'];
     const timestamp = req.headers['x-webhook-timestamp'];
-    
+    const keyId = req.headers['x-webhook-key-id'] || null;
+    const source = req.headers['x-webhook-source'] || null;
+
     if (!signature || !timestamp) {
       logger.warn('Missing webhook signature or timestamp');
       return res.status(401).json({ error: 'Missing signature or timestamp' });
     }
 
-    // Check timestamp to prevent replay attacks (5 minutes tolerance)
+    // Check timestamp to prevent replay attacks
     const now = Math.floor(Date.now() / 1000);
     const webhookTime = parseInt(timestamp);
-    
-    if (Math.abs(now - webhookTime) > 300) {
+
+    if (!Number.isFinite(webhookTime) || Math.abs(now - webhookTime) > config.security.webhookToleranceSeconds) {
       logger.warn('Webhook timestamp too old', { timestamp, now });
       return res.status(401).json({ error: 'Request too old' });
     }
 
-    // Validate signature
-    const payload = JSON.stringify(req.body);
-    const expectedSignature = crypto
-      .createHmac('sha256', config.security.webhookSecret)
-      .update(`${timestamp}.${payload}`)
-      .digest('hex');
-
-    const providedSignature = signature.replace('sha256=', '');
+    // Senders sign the bytes they send; re-serializing req.body would not match them
+    const body = req.rawBody || Buffer.from(JSON.stringify(req.body));
+    const candidates = activeSecrets(
+      normalizeSecrets(config.security.webhookSecrets, config.security.webhookSecret),
+      { source }
+    );
+    const secret = findSigningSecret(candidates, { header: signature, keyId, timestamp, body });
 
-    if (!crypto.timingSafeEqual(
-      Buffer.from(expectedSignature, 'hex'),
-      Buffer.from(providedSignature, 'hex')
-    )) {
-      logger.warn('Invalid webhook signature');
+    if (!secret) {
+      logger.warn('Invalid webhook signature', { keyId, source });
       return res.status(401).json({ error: 'Invalid signature' });
     }
 
+    if (secret.expiresAt) {
+      logger.warn('Webhook signed with a retiring secret', { keyId: secret.id, source, expiresAt: secret.expiresAt });
+    }
+
+    req.webhook = { keyId: secret.id, source };
     next();
   } catch (error) {
     logger.error('Webhook signature validation error:', error);
@@ -47,29 +63,167 @@ const validateWebhookSignature = (req, res, next) => {
   }
 };
 
-// Validate API key for internal endpoints
-const validateApiKey = (req, res, next) => {
+// Principal of the env API_KEY while it is still accepted
+const LEGACY_KEY_PRINCIPAL = Object.freeze({
+  type: 'api_key',
+  id: null,
+  name: 'legacy',
+  role: 'admin',
+  scopes: ['admin'],
+  projectIds: null
+});
+
+// Constant-time comparison with the env API_KEY; digests keep the lengths equal
+const isLegacyKey = (credential) => {
+  if (!config.security.legacyApiKeyEnabled || !config.security.apiKey) {
+    return false;
+  }
+
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(credential), digest(config.security.apiKey));
+};
+
+/**
+ * Authenticate the caller as req.user = { type, id, role, scopes, projectIds }.
+ * API keys come in X-API-Key, or Authorization "ApiKey <key>" / "Bearer
+ * <key>": a stored key (cbk_...) carries its scopes, and the env API_KEY (only
+ * when explicitly set) acts as an admin key unless LEGACY_API_KEY_ENABLED=false. Any other Bearer token
+ * must be a user access token. Users are loaded on every request so role
+ * changes, grants and deactivation apply immediately. projectIds is null for
+ * access to all projects.
+ */
+const authenticate = async (req, res, next) => {
   try {
-    const apiKey = req.headers['x-api-key'] || req.headers['authorization'];
-    
-    if (!apiKey) {
-      return res.status(401).json({ error: 'Missing API key' });
+    const header = req.headers['x-api-key'] || req.headers['authorization'];
+
+    if (!header) {
+      return res.status(401).json({
+        error: 'Missing API key',
+        message: 'Send X-API-Key or Authorization: Bearer <access token>'
+      });
     }
 
-    const cleanApiKey = apiKey.replace('Bearer ', '').replace('ApiKey ', '');
-    
-    if (cleanApiKey !== config.security.apiKey) {
+    const credential = header.replace('Bearer ', '').replace('ApiKey ', '');
+
+    if (isLegacyKey(credential)) {
+      req.user = LEGACY_KEY_PRINCIPAL;
+      return next();
+    }
+
+    if (apiKeys.isApiKey(credential)) {
+      const principal = await apiKeys.authenticate(credential, { ip: req.ip });
+      if (!principal) {
+        logger.warn('Invalid API key attempt', { ip: req.ip });
+        return res.status(401).json({ error: 'Invalid API key', message: 'Unknown, revoked or expired key' });
+      }
+
+      req.user = principal;
+      return next();
+    }
+
+    if (req.headers['x-api-key'] || !header.startsWith('Bearer ')) {
       logger.warn('Invalid API key attempt', { ip: req.ip });
       return res.status(401).json({ error: 'Invalid API key' });
     }
 
+    let userId;
+    try {
+      userId = sessions.verifyAccessToken(credential);
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid token', message: error.message });
+    }
+
+    const principal = await users.principal(userId);
+    if (!principal) {
+      return res.status(401).json({ error: 'Invalid token', message: 'User is inactive or no longer exists' });
+    }
+
+    req.user = principal;
     next();
   } catch (error) {
-    logger.error('API key validation error:', error);
+    logger.error('Authentication error:', error);
     res.status(500).json({ error: 'Authentication failed' });
   }
 };
 
+/**
+ * Allow API keys with `scope` and users with one of `roles`. The admin scope
+ * and the admin role are always allowed.
+ */
+const permit = (scope, ...roles) => (req, res, next) => {
+  const { user } = req;
+
+  if (user.type === 'api_key') {
+    if (user.scopes.includes('admin') || user.scopes.includes(scope)) {
+      return next();
+    }
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Requires scope: ${scope}`
+    });
+  }
+
+  if (user.role !== 'admin' && !roles.includes(user.role)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Requires role: ${['admin', ...roles].join(', ')}`
+    });
+  }
+
+  next();
+};
+
+// authenticate followed by permit, for routes and routers
+const authorize = (scope, ...roles) => [authenticate, permit(scope, ...roles)];
+
+// Routes acting on every project (imports, sync, inbox) are closed to users with project grants
+const requireAllProjects = (req, res, next) => {
+  if (req.user && req.user.projectIds) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Requires access to all projects'
+    });
+  }
+
+  next();
+};
+
+// Projects outside the user's grants answer 404, as if they did not exist
+const requireProjectAccess = (param = 'projectId') => (req, res, next) => {
+  if (!canAccessProject(req.user.projectIds, req.params[param])) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+
+  next();
+};
+
+/**
+ * Conversation routes check the project of the conversation named by
+ * req.params[param] (uuid or external id, or an OpenAI thread id with
+ * `byThread`). Unrestricted callers skip the lookup.
+ */
+const requireConversationAccess = (param = 'conversationId', { byThread = false } = {}) => async (req, res, next) => {
+  if (!req.user.projectIds) {
+    return next();
+  }
+
+  try {
+    const ref = req.params[param];
+    const conversation = byThread
+      ? await repository.findConversationByThreadId(ref)
+      : await repository.findConversation(ref);
+
+    if (!conversation || !canAccessProject(req.user.projectIds, conversation.project_id)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Conversation access check error:', error);
+    res.status(500).json({ error: 'Authorization failed' });
+  }
+};
+
 // Validate JWT token
 const validateJWT = (req, res, next) => {
   try {
@@ -107,8 +261,9 @@ const corsMiddleware = (req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', origin);
   }
 
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Webhook-Signature, X-Webhook-Timestamp');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Webhook-Signature, X-Webhook-Timestamp, X-Webhook-Key-Id, X-Webhook-Source, X-Event-Type, X-Event-Id, X-Request-Id');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id');
   res.setHeader('Access-Control-Max-Age', '86400');
 
   if (req.method === 'OPTIONS') {
@@ -119,7 +274,20 @@ const corsMiddleware = (req, res, next) => {
 };
 
 // Request validation middleware
+// Upload routes take raw bodies and enforce their own size limit
+const RAW_UPLOAD_PATHS = ['/api/v1/imports/'];
+
+const isRawUpload = (req) => {
+  const contentType = req.headers['content-type'] || '';
+  return RAW_UPLOAD_PATHS.some(prefix => req.path.startsWith(prefix)) &&
+    config.imports.uploadContentTypes.some(type => contentType.includes(type));
+};
+
 const validateRequest = (req, res, next) => {
+  if (isRawUpload(req)) {
+    return next();
+  }
+
   // Check content type for POST/PUT requests
   if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
     const contentType = req.headers['content-type'];
@@ -172,13 +340,31 @@ const securityHeaders = (req, res, next) => {
   next();
 };
 
+// Request ID for logs and the audit trail: a well-formed X-Request-Id from the
+// caller or proxy is kept, otherwise one is generated. Echoed in the response.
+const requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && /^[A-Za-z0-9._:-]{1,64}$/.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
 module.exports = {
   validateWebhookSignature,
-  validateApiKey,
+  authenticate,
+  permit,
+  authorize,
+  requireAllProjects,
+  requireProjectAccess,
+  requireConversationAccess,
   validateJWT,
   generateJWT,
   corsMiddleware,
   validateRequest,
   errorHandler,
-  securityHeaders
+  securityHeaders,
+  requestId
 };
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require('express');
+const adminController = require('../controllers/admin');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Admin only
+router.use(authorize('admin'));
+
+// Scheduled background jobs: schedule, next run, last run duration and outcome
+router.get('/jobs', adminController.listJobs);
+
+// Scoped API keys for scripts and services
+router.get('/api-keys', adminController.listApiKeys);
+router.post('/api-keys', adminController.createApiKey);
+router.get('/api-keys/:keyId', adminController.getApiKey);
+router.delete('/api-keys/:keyId', adminController.revokeApiKey);
+
+// Audit trail of administrative and data-changing requests
+router.get('/audit-log', adminController.listAuditLog);
+
+module.exports = router;
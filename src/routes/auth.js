@@ -0,0 +1,29 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const authController = require('../controllers/auth');
+const { authenticate } = require('../middleware/auth');
+const config = require('../../config/config');
+
+const router = express.Router();
+
+// Slow down password guessing
+const loginRateLimit = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  max: config.auth.loginRateLimit,
+  message: {
+    error: 'Too many login attempts',
+    retryAfter: Math.ceil(config.rateLimit.windowMs / 1000)
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Login and token refresh need no prior authentication
+router.post('/login', loginRateLimit, authController.login);
+router.post('/refresh', loginRateLimit, authController.refresh);
+router.post('/logout', authController.logout);
+
+// The authenticated caller (user or API key)
+router.get('/me', authenticate, authController.me);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const importsController = require('../controllers/imports');
+const { authorize, requireAllProjects } = require('../middleware/auth');
+const config = require('../../config/config');
+
+const router = express.Router();
+
+// Imports are heavy; keep them rare
+const importRateLimit = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  max: 10,
+  message: {
+    error: 'Too many import requests',
+    retryAfter: Math.ceil(config.rateLimit.windowMs / 1000)
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Archives may touch any project
+router.use(authorize('sync:write', 'editor', 'ingest'), requireAllProjects);
+router.use(importRateLimit);
+
+// ChatGPT "Export data" archive upload
+router.post(
+  '/chatgpt',
+  express.raw({ type: config.imports.uploadContentTypes, limit: config.imports.maxUploadBytes }),
+  importsController.importChatGPTExport
+);
+
+module.exports = router;
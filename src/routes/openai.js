@@ -1,7 +1,13 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const openaiController = require('../controllers/openai');
-const { validateApiKey } = require('../middleware/auth');
+const {
+  authenticate,
+  permit,
+  requireAllProjects,
+  requireProjectAccess,
+  requireConversationAccess
+} = require('../middleware/auth');
 const config = require('../../config/config');
 
 const router = express.Router();
@@ -18,26 +24,50 @@ const openaiRateLimit = rateLimit({
   legacyHeaders: false
 });
 
-// All OpenAI routes require API key authentication
-router.use(validateApiKey);
+// All OpenAI routes require authentication; roles are checked per route
+router.use(authenticate);
 router.use(openaiRateLimit);
 
+const read = permit('read', 'editor', 'reader');
+const write = permit('openai:chat', 'editor');
+const admin = permit('admin');
+const thread = requireConversationAccess('threadId', { byThread: true });
+
 // OpenAI service status
-router.get('/status', openaiController.getStatus);
+router.get('/status', read, openaiController.getStatus);
 
 // Create new conversation
-router.post('/conversations', openaiController.createConversation);
+router.post('/conversations', write, openaiController.createConversation);
 
 // Get conversation with messages
-router.get('/conversations/:conversationId', openaiController.getConversation);
+router.get('/conversations/:conversationId', read, requireConversationAccess('conversationId'), openaiController.getConversation);
 
 // Send message to conversation
-router.post('/conversations/:threadId/messages', openaiController.sendMessage);
+router.post('/conversations/:threadId/messages', write, thread, openaiController.sendMessage);
+router.post('/conversations/:threadId/messages/stream', write, thread, openaiController.sendMessageStream);
+
+// Cancel the in-flight run of a conversation (or a specific run)
+router.post('/conversations/:threadId/runs/cancel', write, thread, openaiController.cancelRun);
+router.post('/conversations/:threadId/runs/:runId/cancel', write, thread, openaiController.cancelRun);
+
+// Assistant settings per project (changed by admins)
+router.get('/assistants', admin, openaiController.listAssistants);
+router.get('/projects/:projectId/assistant', read, requireProjectAccess('projectId'), openaiController.getProjectAssistant);
+router.post('/projects/:projectId/assistant', admin, openaiController.createProjectAssistant);
+router.patch('/projects/:projectId/assistant', admin, openaiController.updateProjectAssistant);
+router.delete('/projects/:projectId/assistant', admin, openaiController.deleteProjectAssistant);
 
 // Direct chat completion
-router.post('/chat/completions', openaiController.chatCompletion);
+router.post('/chat/completions', write, openaiController.chatCompletion);
+router.post('/chat/completions/stream', write, openaiController.chatCompletionStream);
 
-// Sync existing conversations
+// Resumable sync of conversations without an OpenAI thread (admins and sync keys)
+router.use('/sync', permit('sync:write'), requireAllProjects);
 router.post('/sync', openaiController.syncConversations);
+router.get('/sync', openaiController.listSyncJobs);
+router.get('/sync/:jobId', openaiController.getSyncJob);
+router.post('/sync/:jobId/pause', openaiController.pauseSyncJob);
+router.post('/sync/:jobId/resume', openaiController.resumeSyncJob);
+router.post('/sync/:jobId/cancel', openaiController.cancelSyncJob);
 
 module.exports = router;
\ No newline at end of file
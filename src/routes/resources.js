@@ -0,0 +1,47 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const resourcesController = require('../controllers/resources');
+const exportsController = require('../controllers/exports');
+const { authorize, requireProjectAccess, requireConversationAccess } = require('../middleware/auth');
+const config = require('../../config/config');
+
+const router = express.Router();
+
+// Rate limiting for the read API
+const resourcesRateLimit = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.maxRequests,
+  message: {
+    error: 'Too many requests',
+    retryAfter: Math.ceil(config.rateLimit.windowMs / 1000)
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const readAccess = [authorize('read', 'editor', 'reader'), resourcesRateLimit];
+
+// Users with project grants only reach their projects' resources
+const projectAccess = [...readAccess, requireProjectAccess('projectId')];
+const conversationAccess = [...readAccess, requireConversationAccess('conversationId')];
+
+// Projects
+router.get('/projects', readAccess, resourcesController.listProjects.bind(resourcesController));
+router.get('/projects/:projectId', projectAccess, resourcesController.getProject.bind(resourcesController));
+router.get('/projects/:projectId/conversations', projectAccess, resourcesController.listConversations.bind(resourcesController));
+
+// Conversations and messages
+router.get('/conversations', readAccess, resourcesController.listConversations.bind(resourcesController));
+router.get('/conversations/:conversationId', conversationAccess, resourcesController.getConversation.bind(resourcesController));
+router.get('/conversations/:conversationId/messages', conversationAccess, resourcesController.listMessages.bind(resourcesController));
+
+// Conversation tree: regenerations and edits as branches
+router.get('/conversations/:conversationId/tree', conversationAccess, resourcesController.getConversationTree.bind(resourcesController));
+router.get('/conversations/:conversationId/path', conversationAccess, resourcesController.getConversationPath.bind(resourcesController));
+router.get('/conversations/:conversationId/branches', conversationAccess, resourcesController.getConversationBranches.bind(resourcesController));
+
+// Exports (Markdown, HTML, JSON, plain text; projects as a zip)
+router.get('/conversations/:conversationId/export', conversationAccess, exportsController.exportConversation);
+router.get('/projects/:projectId/export', projectAccess, exportsController.exportProject);
+
+module.exports = router;
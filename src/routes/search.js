@@ -0,0 +1,32 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const searchController = require('../controllers/search');
+const { authorize, permit, requireAllProjects } = require('../middleware/auth');
+const config = require('../../config/config');
+
+const router = express.Router();
+
+// Rate limiting for search endpoints
+const searchRateLimit = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.maxRequests,
+  message: {
+    error: 'Too many search requests',
+    retryAfter: Math.ceil(config.rateLimit.windowMs / 1000)
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Searching is open to readers; results are limited to the user's projects
+router.use(authorize('read', 'editor', 'reader'));
+router.use(searchRateLimit);
+
+// Full-text search over messages and conversation titles
+router.get('/', searchController.search);
+
+// Semantic (embedding) search and indexing
+router.post('/semantic', searchController.semanticSearch);
+router.post('/semantic/index', permit('sync:write', 'editor'), requireAllProjects, searchController.indexEmbeddings);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const usageController = require('../controllers/usage');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Usage reports are for admins
+router.use(authorize('admin'));
+
+// OpenAI usage and cost from api_calls
+router.get('/', usageController.getReport);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const usersController = require('../controllers/users');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// User management is for admins
+router.use(authorize('admin'));
+
+router.get('/', usersController.listUsers);
+router.post('/', usersController.createUser);
+router.get('/:userId', usersController.getUser);
+router.patch('/:userId', usersController.updateUser);
+router.delete('/:userId', usersController.deactivateUser);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const subscriptionsController = require('../controllers/webhook-subscriptions');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Outbound webhook subscriptions are managed by admins
+router.use(authorize('admin'));
+
+router.get('/', subscriptionsController.listSubscriptions);
+router.post('/', subscriptionsController.createSubscription);
+router.get('/:subscriptionId', subscriptionsController.getSubscription);
+router.patch('/:subscriptionId', subscriptionsController.updateSubscription);
+router.delete('/:subscriptionId', subscriptionsController.deleteSubscription);
+
+router.get('/:subscriptionId/deliveries', subscriptionsController.listDeliveries);
+router.get('/:subscriptionId/deliveries/:deliveryId', subscriptionsController.getDelivery);
+router.post('/:subscriptionId/deliveries/:deliveryId/redeliver', subscriptionsController.redeliver);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const webhookController = require('../controllers/webhook');
-const { validateWebhookSignature, validateApiKey } = require('../middleware/auth');
+const { validateWebhookSignature, authorize, requireAllProjects } = require('../middleware/auth');
 const config = require('../../config/config');
 
 const router = express.Router();
@@ -43,7 +43,17 @@ router.get('/', (req, res) => {
     endpoints: {
       health: 'GET /health',
       webhook: 'POST /webhook/chatgpt',
+      webhook_batch: 'POST /webhook/chatgpt/batch',
+      webhook_inbox: 'GET /webhook/inbox',
       manual_sync: 'POST /sync/manual',
+      search: 'GET /api/v1/search',
+      semantic_search: 'POST /api/v1/search/semantic',
+      projects: 'GET /api/v1/projects',
+      conversations: 'GET /api/v1/conversations',
+      messages: 'GET /api/v1/conversations/:conversationId/messages',
+      import_chatgpt: 'POST /api/v1/imports/chatgpt',
+      export_conversation: 'GET /api/v1/conversations/:conversationId/export',
+      export_project: 'GET /api/v1/projects/:projectId/export',
       openai: {
         status: 'GET /api/v1/openai/status',
         conversations: 'POST /api/v1/openai/conversations',
@@ -62,17 +72,40 @@ router.post('/webhook/chatgpt',
   webhookController.handleChatGPTWebhook
 );
 
-// Manual sync endpoint (protected with API key)
+// Batch variant: many events under a single signature, applied in one transaction
+router.post('/webhook/chatgpt/batch',
+  webhookRateLimit,
+  validateWebhookSignature,
+  webhookController.handleChatGPTWebhookBatch.bind(webhookController)
+);
+
+// Webhook inbox inspection and dead-letter recovery (admin and ingest)
+router.get('/webhook/inbox',
+  manualRateLimit,
+  authorize('sync:write', 'ingest'),
+  requireAllProjects,
+  webhookController.listInbox
+);
+
+router.post('/webhook/inbox/:id/requeue',
+  manualRateLimit,
+  authorize('sync:write', 'ingest'),
+  requireAllProjects,
+  webhookController.requeueInboxEntry
+);
+
+// Manual sync endpoint (admin and ingest)
 router.post('/sync/manual',
   manualRateLimit,
-  validateApiKey,
-  webhookController.manualSync
+  authorize('sync:write', 'ingest'),
+  requireAllProjects,
+  webhookController.manualSync.bind(webhookController)
 );
 
 // Test endpoint for webhook validation (development only)
 if (config.server.nodeEnv === 'development') {
   router.post('/test/webhook',
-    validateApiKey,
+    authorize('admin'),
     (req, res) => {
       res.json({
         message: 'Webhook test endpoint',
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const config = require('../../config/config');
+const database = require('./database');
+const logger = require('./logger');
+
+// Every key starts with this marker, then the public prefix and the secret
+const KEY_MARKER = 'cbk';
+
+const apiKeyError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const parseScopes = (value) => {
+  try {
+    const scopes = JSON.parse(value);
+    return Array.isArray(scopes) ? scopes : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * API keys for scripts and other services, stored as SHA-256 hashes.
+ *
+ * A key looks like cbk_<prefix>_<secret>. It is shown once when minted; the
+ * prefix stays visible in listings. Each key carries scopes (read,
+ * openai:chat, sync:write, admin), an optional expiry and a revocation
+ * time. last_used_at is refreshed at most once per
+ * security.apiKeyTouchIntervalMs.
+ */
+class ApiKeyService {
+  // Whether a presented credential is shaped like a stored key
+  isApiKey(credential) {
+    return typeof credential === 'string' && credential.startsWith(`${KEY_MARKER}_`);
+  }
+
+  async list() {
+    const rows = await database.query('SELECT * FROM api_keys ORDER BY created_at DESC');
+    return rows.map(row => this.format(row));
+  }
+
+  async get(id) {
+    const rows = await database.query('SELECT * FROM api_keys WHERE id = ?', [id]);
+    return rows[0] ? this.format(rows[0]) : null;
+  }
+
+  // Resolves to the stored key plus `key`, the only time the secret is returned
+  async create({ name, scopes, expiresAt = null, createdBy = null }) {
+    const id = crypto.randomUUID();
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const key = `${KEY_MARKER}_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    await database.query(`
+      INSERT INTO api_keys (id, name, prefix, key_hash, scopes, created_by, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [id, name, prefix, hashKey(key), JSON.stringify([...new Set(scopes)]), createdBy, expiresAt ? new Date(expiresAt) : null]);
+
+    logger.logDatabase('api_key_created', { keyId: id, name, scopes, createdBy });
+    return { ...await this.get(id), key };
+  }
+
+  async revoke(id) {
+    const existing = await this.get(id);
+    if (!existing) {
+      throw apiKeyError(`API key ${id} not found`, 'API_KEY_NOT_FOUND');
+    }
+
+    if (!existing.revokedAt) {
+      await database.query('UPDATE api_keys SET revoked_at = NOW(3) WHERE id = ? AND revoked_at IS NULL', [id]);
+      logger.logDatabase('api_key_revoked', { keyId: id, name: existing.name });
+    }
+
+    return await this.get(id);
+  }
+
+  /**
+   * The principal of a presented key, or null when it is unknown, revoked or
+   * expired. Records when and from where the key was last used.
+   */
+  async authenticate(key, { ip = null } = {}) {
+    const rows = await database.query('SELECT * FROM api_keys WHERE key_hash = ?', [hashKey(key)]);
+    const row = rows[0];
+
+    if (!row || row.revoked_at || (row.expires_at && new Date(row.expires_at).getTime() <= Date.now())) {
+      return null;
+    }
+
+    const lastUsed = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed >= config.security.apiKeyTouchIntervalMs) {
+      await database.query('UPDATE api_keys SET last_used_at = NOW(3), last_used_ip = ? WHERE id = ?', [ip, row.id])
+        .catch(error => logger.warn('Failed to record API key use:', error.message));
+    }
+
+    return {
+      type: 'api_key',
+      id: row.id,
+      name: row.name,
+      role: null,
+      scopes: parseScopes(row.scopes),
+      projectIds: null
+    };
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      prefix: row.prefix,
+      scopes: parseScopes(row.scopes),
+      createdBy: row.created_by,
+      expiresAt: row.expires_at,
+      lastUsedAt: row.last_used_at,
+      lastUsedIp: row.last_used_ip,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
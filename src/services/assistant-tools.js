@@ -0,0 +1,110 @@
+const repository = require('./repository');
+const search = require('./search');
+const conversationTree = require('./conversation-tree');
+const { canAccessProject, scopeOptions } = require('../utils/project-scope');
+
+// Long messages are cut so one tool result cannot flood the model's context
+const MAX_MESSAGE_CHARS = 2000;
+
+const truncate = (text, max) => (text && text.length > max ? `${text.slice(0, max)}…` : text);
+
+/**
+ * Server-side functions the assistant can call to answer questions about
+ * ChatBETO data. Each tool is { name, description, parameters, handler };
+ * `parameters` is the JSON schema sent to OpenAI and checked before the
+ * handler runs. OpenAIService registers these on construction. Handlers
+ * receive the call context; its projectIds (when set) bound what they read.
+ */
+module.exports = [
+  {
+    name: 'search_messages',
+    description: 'Full-text search over stored ChatBETO messages and conversation titles. ' +
+      'Use it to find the conversation where a topic was discussed.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Words or "quoted phrases" to look for' },
+        project_id: { type: 'integer', description: 'Only conversations of this project' },
+        conversation_id: { type: 'string', description: 'Only this conversation' },
+        role: { type: 'string', enum: ['user', 'assistant', 'system', 'tool'] },
+        limit: { type: 'integer', minimum: 1, maximum: 20, description: 'Results to return (default 5)' }
+      },
+      required: ['query']
+    },
+    handler: async ({ query, project_id: projectId = null, conversation_id: conversationId = null, role = null, limit = 5 }, context = {}) => {
+      const { items } = await search.search({ q: query, projectId, conversationId, role, limit, ...scopeOptions(context.projectIds) });
+
+      return {
+        results: items.map(item => ({
+          conversation_id: item.conversation.id,
+          conversation_title: item.conversation.title,
+          project: item.project ? item.project.name : null,
+          message_id: item.messageId,
+          role: item.role,
+          snippet: item.snippet,
+          created_at: item.createdAt
+        }))
+      };
+    }
+  },
+
+  {
+    name: 'get_conversation',
+    description: 'Fetch a stored conversation (current branch) with its most recent messages.',
+    parameters: {
+      type: 'object',
+      properties: {
+        conversation_id: { type: 'string', description: 'Conversation UUID or ChatGPT conversation id' },
+        max_messages: { type: 'integer', minimum: 1, maximum: 200, description: 'Latest messages to include (default 50)' }
+      },
+      required: ['conversation_id']
+    },
+    handler: async ({ conversation_id: conversationId, max_messages: maxMessages = 50 }, context = {}) => {
+      const path = await conversationTree.getPath(conversationId);
+      if (!path || path.conversation.deleted_at || !canAccessProject(context.projectIds, path.conversation.project_id)) {
+        return { error: `Conversation not found: ${conversationId}` };
+      }
+
+      const { conversation, messages } = path;
+      return {
+        conversation: {
+          id: conversation.id,
+          conversation_id: conversation.conversation_id,
+          title: conversation.title,
+          project_id: conversation.project_id,
+          created_at: conversation.created_at,
+          updated_at: conversation.updated_at
+        },
+        total_messages: messages.length,
+        messages: messages.slice(-maxMessages).map(message => ({
+          id: message.id,
+          role: message.role,
+          content: truncate(message.content, MAX_MESSAGE_CHARS),
+          created_at: message.created_at
+        }))
+      };
+    }
+  },
+
+  {
+    name: 'list_projects',
+    description: 'List ChatBETO projects with how many conversations each has.',
+    parameters: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 200, description: 'Projects to return (default 50)' }
+      }
+    },
+    handler: async ({ limit = 50 }, context = {}) => {
+      const projects = await repository.listProjects({ limit, ...scopeOptions(context.projectIds) });
+
+      return {
+        projects: projects.map(project => ({
+          id: project.id,
+          name: project.name,
+          conversation_count: Number(project.conversation_count)
+        }))
+      };
+    }
+  }
+];
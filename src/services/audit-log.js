@@ -0,0 +1,156 @@
+const database = require('./database');
+const logger = require('./logger');
+
+// Snapshot fields that must never reach the audit log
+const REDACTED_FIELDS = ['password', 'passwordHash', 'secret', 'key', 'accessToken', 'refreshToken'];
+
+const parseSnapshot = (value) => {
+  if (value === null || value === undefined) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const serializeSnapshot = (snapshot) => {
+  if (snapshot === null || snapshot === undefined) return null;
+  if (typeof snapshot !== 'object' || Array.isArray(snapshot)) return JSON.stringify(snapshot);
+
+  const copy = { ...snapshot };
+  for (const field of REDACTED_FIELDS) {
+    delete copy[field];
+  }
+  return JSON.stringify(copy);
+};
+
+// Who made the request: the authenticated user or API key, else anonymous
+const actorOf = (req) => {
+  const principal = req.user;
+  if (!principal) {
+    return { type: 'anonymous', id: null, name: null };
+  }
+
+  return {
+    type: principal.type,
+    id: principal.id === null || principal.id === undefined ? null : String(principal.id),
+    name: principal.type === 'user' ? principal.email : principal.name
+  };
+};
+
+/**
+ * Audit trail of administrative and data-changing requests. Controllers call
+ * record() once the change is stored; the action names the target type
+ * ("user.update", "api_key.revoke"). before/after are JSON snapshots of the
+ * target with secrets stripped.
+ */
+class AuditLogService {
+  /**
+   * Store one entry for `req`. `actor` overrides the authenticated principal
+   * (e.g. the user who just logged in). Never throws: the change itself is
+   * already stored, so a failure here is only logged.
+   */
+  async record(req, action, { targetId = null, before = null, after = null, actor = null } = {}, connection = null) {
+    const who = actor || actorOf(req);
+
+    try {
+      await database.query(`
+        INSERT INTO audit_log
+          (request_id, actor_type, actor_id, actor_name, ip, action, target_type, target_id, before_data, after_data)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        req.id || null,
+        who.type,
+        who.id === null || who.id === undefined ? null : String(who.id),
+        who.name || null,
+        req.ip || null,
+        action,
+        action.split('.')[0],
+        targetId === null || targetId === undefined ? null : String(targetId),
+        serializeSnapshot(before),
+        serializeSnapshot(after)
+      ], connection);
+
+    } catch (error) {
+      logger.error('Failed to write audit log entry', { action, targetId, requestId: req.id, error: error.message });
+    }
+  }
+
+  /**
+   * Newest entries first, keyset-paged by id (`after` is the last id of the
+   * previous page). Filters: actorType, actorId, action (a trailing ".*"
+   * matches every action on a target type), targetType, targetId, requestId,
+   * from, to.
+   */
+  async list(filters = {}, { limit = 50, after = null } = {}) {
+    const conditions = [];
+    const params = [];
+
+    const equals = {
+      actor_type: filters.actorType,
+      actor_id: filters.actorId,
+      target_type: filters.targetType,
+      target_id: filters.targetId,
+      request_id: filters.requestId
+    };
+    for (const [column, value] of Object.entries(equals)) {
+      if (value !== undefined && value !== null) {
+        conditions.push(`${column} = ?`);
+        params.push(String(value));
+      }
+    }
+
+    if (filters.action) {
+      if (filters.action.endsWith('.*')) {
+        conditions.push('action LIKE ?');
+        params.push(`${filters.action.slice(0, -1).replace(/[\\%_]/g, '\\$&')}%`);
+      } else {
+        conditions.push('action = ?');
+        params.push(filters.action);
+      }
+    }
+    if (filters.from) {
+      conditions.push('created_at >= ?');
+      params.push(new Date(filters.from));
+    }
+    if (filters.to) {
+      conditions.push('created_at < ?');
+      params.push(new Date(filters.to));
+    }
+    if (after) {
+      conditions.push('id < ?');
+      params.push(after);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await database.query(
+      `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ?`,
+      [...params, limit]
+    );
+
+    return rows.map(row => this.format(row));
+  }
+
+  format(row) {
+    return {
+      id: Number(row.id),
+      requestId: row.request_id,
+      actor: {
+        type: row.actor_type,
+        id: row.actor_id,
+        name: row.actor_name
+      },
+      ip: row.ip,
+      action: row.action,
+      target: {
+        type: row.target_type,
+        id: row.target_id
+      },
+      before: parseSnapshot(row.before_data),
+      after: parseSnapshot(row.after_data),
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new AuditLogService();
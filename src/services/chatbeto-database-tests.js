@@ -285,7 +285,7 @@ class ChatBETODatabaseTests {
       if (this.testConversationId) {
         // Eliminar mensajes de prueba
         await chatBETODatabase.query(
-          'DELETE FROM messages WHERE conversation_id = ?',
+          'DELETE FROM messages WHERE conversation_id IN (SELECT id FROM conversations WHERE conversation_id = ?)',
           [this.testConversationId]
         );
         
@@ -1,7 +1,9 @@
-const mysql = require('mysql2/promise');
-const config = require('../../config/config');
+const crypto = require('crypto');
 const logger = require('./logger');
-const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const repository = require('./repository');
+const { toEpochMs } = require('../utils/chatgpt-mapper');
+const { parseSearchQuery } = require('../utils/search-query');
 
 /**
  * CORRECCIONES IMPLEMENTADAS - ChatBETO Database Functions
@@ -23,31 +25,15 @@ const { v4: uuidv4 } = require('uuid');
  * - Uso de prepared statements para seguridad
  * - Validaciones de datos de entrada
  * - Manejo de errores mejorado
+ * - Usa el pool compartido (database.js) y la capa de repositorio (repository.js),
+ *   la misma que usan los controladores de webhook y OpenAI
  */
 
 class ChatBETODatabaseService {
-  constructor() {
-    this.pool = null;
-  }
 
   async initialize() {
     try {
-      this.pool = mysql.createPool({
-        host: config.database.host,
-        port: config.database.port,
-        user: config.database.user,
-        password: config.database.password,
-        database: config.database.name,
-        waitForConnections: true,
-        connectionLimit: config.database.connectionLimit || 10,
-        queueLimit: 0,
-        acquireTimeout: config.database.acquireTimeout || 60000,
-        timeout: config.database.timeout || 60000,
-        reconnect: config.database.reconnect || true,
-        charset: 'utf8mb4'
-      });
-
-      await this.testConnection();
+      await database.initialize();
       logger.info('✅ ChatBETO Database connection pool initialized successfully');
     } catch (error) {
       logger.error('❌ Failed to initialize ChatBETO database connection:', error);
@@ -56,15 +42,11 @@ class ChatBETODatabaseService {
   }
 
   async testConnection() {
-    try {
-      const connection = await this.pool.getConnection();
-      await connection.ping();
-      connection.release();
-      return true;
-    } catch (error) {
-      logger.error('❌ Database connection test failed:', error);
-      throw error;
-    }
+    return await database.testConnection();
+  }
+
+  async query(sql, params = []) {
+    return await database.query(sql, params);
   }
 
   /**
@@ -101,52 +83,22 @@ class ChatBETODatabaseService {
 
     try {
       // Generar ID único para el mensaje
-      const messageId = options.id || uuidv4();
-      const createTime = options.createTime || Date.now() / 1000;
-      const authorName = options.authorName || null;
-      const parentMessageId = options.parentMessageId || null;
-      
-      // SQL con prepared statement para seguridad
-      // Ajuste de columnas a la estructura actual de la BD
+      const messageId = options.id || crypto.randomUUID();
+
       // Tabla `messages` usa: id, conversation_id, role, content, content_type, author_name,
       // parent_message_id, created_at_ms, created_at, status
-      const sql = `
-        INSERT INTO messages (
-          id,
-          conversation_id,
-          role,
-          content,
-          content_type,
-          author_name,
-          parent_message_id,
-          created_at_ms,
-          created_at,
-          status
-  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, FROM_UNIXTIME(? / 1000), ?)
-        ON DUPLICATE KEY UPDATE
-          role = VALUES(role),
-          content = VALUES(content),
-          content_type = VALUES(content_type),
-          author_name = VALUES(author_name),
-          status = VALUES(status)
-      `;
-
-      const createTimeMs = Math.floor(createTime * 1000);
-
-      const params = [
-        messageId,
-        conversationId,
+      const result = await repository.upsertMessage({
+        id: messageId,
+        conversation_ref: conversationId,
+        parent_message_id: options.parentMessageId || null,
         role,
-        cleanContent,  // contenido real
-        options.contentType || 'text',
-        authorName,
-        parentMessageId,
-        createTimeMs,
-        createTimeMs,
-        'finished_successfully'
-      ];
-
-      const [result] = await this.pool.execute(sql, params);
+        author_name: options.authorName || null,
+        content: cleanContent,  // contenido real
+        content_type: options.contentType || 'text',
+        created_at_ms: toEpochMs(options.createTime || Date.now() / 1000),
+        status: 'finished_successfully',
+        metadata: null
+      });
       
       logger.info(`✅ Mensaje insertado correctamente: ${messageId} en conversación ${conversationId}`);
       
@@ -185,6 +137,34 @@ class ChatBETODatabaseService {
    */
   async getMessagesForReport(projectId = null, filters = {}) {
     try {
+      // Búsqueda con índices FULLTEXT (migrations/006_fulltext_search.js) en vez de LIKE '%...%'.
+      // Cada rama usa su propio índice: los mensajes cuyo contenido coincide, y por cada
+      // conversación cuyo título coincide (o cuyo proyecto contiene el texto) solo su primer
+      // mensaje, para que un título no inunde el reporte con toda la conversación.
+      let searchJoin = '';
+      const params = [];
+      if (filters.searchQuery && filters.searchQuery.trim().length > 0) {
+        const { expression } = parseSearchQuery(filters.searchQuery);
+        const firstMessage = `(
+          SELECT first.id FROM messages first
+          WHERE first.conversation_id = hit.id AND first.deleted_at IS NULL
+          ORDER BY first.created_at_ms ASC, first.id ASC
+          LIMIT 1
+        )`;
+
+        searchJoin = `
+        INNER JOIN (
+          SELECT id AS message_id FROM messages WHERE MATCH(content) AGAINST (? IN BOOLEAN MODE)
+          UNION
+          SELECT ${firstMessage} FROM conversations hit WHERE MATCH(hit.title) AGAINST (? IN BOOLEAN MODE)
+          UNION
+          SELECT ${firstMessage} FROM conversations hit
+          INNER JOIN projects hit_project ON hit.project_id = hit_project.id
+          WHERE hit_project.name LIKE ?
+        ) matches ON matches.message_id = m.id`;
+        params.push(expression, expression, `%${filters.searchQuery.trim().replace(/[\\%_]/g, '\\$&')}%`);
+      }
+
       let sql = `
         SELECT 
           -- Datos del mensaje (contenido real, NO título)
@@ -205,8 +185,10 @@ class ChatBETODatabaseService {
           
         FROM messages m
         INNER JOIN conversations c ON m.conversation_id = c.id
-        LEFT JOIN projects p ON c.project_id = p.id
+        LEFT JOIN projects p ON c.project_id = p.id${searchJoin}
         WHERE 1=1
+          AND m.deleted_at IS NULL
+          AND c.deleted_at IS NULL
           AND m.content IS NOT NULL 
           AND m.content != ''
           AND m.content NOT LIKE '%[object Object]%'
@@ -214,8 +196,6 @@ class ChatBETODatabaseService {
           AND m.role IN ('user', 'assistant', 'system')
       `;
 
-      const params = [];
-
       // Filtro por proyecto si se especifica
       if (projectId && Number.isInteger(projectId)) {
         sql += ` AND c.project_id = ?`;
@@ -223,16 +203,6 @@ class ChatBETODatabaseService {
       }
 
       // Filtros adicionales
-      if (filters.searchQuery && filters.searchQuery.trim().length > 0) {
-        sql += ` AND (
-          m.content LIKE ? OR 
-          c.title LIKE ? OR
-          p.name LIKE ?
-        )`;
-        const searchPattern = `%${filters.searchQuery.trim()}%`;
-        params.push(searchPattern, searchPattern, searchPattern);
-      }
-
       if (filters.messageRole && ['user', 'assistant', 'system'].includes(filters.messageRole)) {
   sql += ` AND m.role = ?`;
         params.push(filters.messageRole);
@@ -257,7 +227,7 @@ class ChatBETODatabaseService {
       `;
       params.push(filters.limit || 100);
 
-      const [results] = await this.pool.execute(sql, params);
+      const results = await database.query(sql, params);
 
       // Procesar y limpiar resultados
       const processedResults = results.map(row => ({
@@ -329,51 +299,27 @@ class ChatBETODatabaseService {
 
     try {
       const cleanTitle = title.trim();
-      
-      const sql = `
-        INSERT INTO conversations (
-          id,
-          conversation_id,
-          title,           -- TÍTULO de la conversación
-          project_id,
-          default_model_slug,
-          openai_thread_id,
-          created_at,
-          created_at_ms,
-          updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, NOW(), ?, NOW())
-        ON DUPLICATE KEY UPDATE
-          title = VALUES(title),
-          project_id = VALUES(project_id),
-          default_model_slug = VALUES(default_model_slug),
-          openai_thread_id = VALUES(openai_thread_id),
-          updated_at = NOW()
-      `;
+      const createTimeMs = toEpochMs(create_time || Date.now() / 1000);
 
-      const conversationUuid = conversationData.id || uuidv4();
-      
-      const createTime = create_time || Date.now() / 1000;
-      const createTimeMs = Math.floor(createTime * 1000);
-
-      const params = [
-        conversationUuid,
+      const result = await repository.upsertConversation({
+        id: conversationData.id,
         conversation_id,
-        cleanTitle,         // TÍTULO limpio (NO contenido)
+        title: cleanTitle,         // TÍTULO limpio (NO contenido)
         project_id,
-        model || 'gpt-4',
+        default_model_slug: model || 'gpt-4',
         openai_thread_id,
-        createTimeMs
-      ];
-
-      const [result] = await this.pool.execute(sql, params);
+        created_at_ms: createTimeMs,
+        updated_at_ms: toEpochMs(update_time) || createTimeMs
+      });
       
       logger.info(`✅ Conversación insertada: ${conversation_id} con título: "${cleanTitle}"`);
       
       return {
         success: true,
         conversationId: conversation_id,
-        conversationUuid: conversationUuid,
+        conversationUuid: result.id,
         title: cleanTitle,
+        created: result.created,
         affectedRows: result.affectedRows
       };
 
@@ -428,10 +374,7 @@ class ChatBETODatabaseService {
   }
 
   async close() {
-    if (this.pool) {
-      await this.pool.end();
-      logger.info('🔌 ChatBETO Database connection pool closed');
-    }
+    await database.close();
   }
 }
 
@@ -7,6 +7,7 @@
  */
 
 const chatBETODatabase = require('./chatbeto-database');
+const searchService = require('./search');
 const logger = require('./logger');
 
 class ChatBETOService {
@@ -111,33 +112,30 @@ class ChatBETOService {
    */
   async searchMessagesByContent(searchTerm, projectId = null) {
     try {
-      const report = await this.db.getMessagesForReport(projectId, {
-        searchQuery: searchTerm,
+      // Búsqueda FULLTEXT con ranking por relevancia (ver src/services/search.js)
+      const results = await searchService.search({
+        q: searchTerm,
+        projectId,
         limit: 100
       });
 
-      // Filtrar solo mensajes que contengan el término en el CONTENIDO
-      const filteredMessages = report.messages.filter(msg => 
-        msg.message_content.toLowerCase().includes(searchTerm.toLowerCase())
-      );
-
       return {
         searchTerm,
         projectId,
-        totalFound: filteredMessages.length,
-        messages: filteredMessages.map(msg => ({
+        totalFound: results.items.length,
+        messages: results.items.map(msg => ({
           // Datos del mensaje
-          messageId: msg.message_id,
-          role: msg.message_role,
-          content: msg.message_content,     // CONTENIDO real
-          date: msg.message_date,
+          messageId: msg.messageId,
+          role: msg.role,
+          content: msg.snippet,     // fragmento del CONTENIDO real, con <mark> en las coincidencias
+          date: msg.createdAt,
           
           // Datos de la conversación
-          conversationId: msg.conversation_id,
-          conversationTitle: msg.conversation_title,  // TÍTULO de conversación
+          conversationId: msg.conversation.id,
+          conversationTitle: msg.conversation.title,  // TÍTULO de conversación
           
           // Datos del proyecto
-          projectName: msg.project_name
+          projectName: msg.project ? msg.project.name : null
         }))
       };
 
@@ -0,0 +1,151 @@
+const config = require('../../config/config');
+const database = require('./database');
+const logger = require('./logger');
+const repository = require('./repository');
+const { normalizeConversation, normalizeMessage } = require('../utils/chatgpt-mapper');
+const { readConversationsFile, parseExportConversation } = require('../utils/chatgpt-export');
+
+// Fields an export can change on a message that is already stored
+const isSameMessage = (stored, row) => (
+  stored.content === row.content &&
+  (stored.parent_message_id || null) === row.parent_message_id &&
+  stored.role === row.role &&
+  stored.status === row.status
+);
+
+// Conversations created inside a ChatGPT project carry a `g-p-…` gizmo id
+const PROJECT_GIZMO_PREFIX = 'g-p-';
+
+/**
+ * Imports ChatGPT data exports (conversations.json, optionally zipped) into
+ * the v2 tables. Each conversation is written in its own transaction, so one
+ * malformed conversation does not abort the rest of the archive.
+ */
+class ChatGPTImportService {
+
+  async importFile(input, options = {}) {
+    const exported = readConversationsFile(input, { maxUncompressedBytes: config.imports.maxUncompressedBytes });
+    return await this.importConversations(exported, options);
+  }
+
+  /**
+   * options.projectId - assign every conversation to this project
+   * options.force     - re-import conversations that look unchanged
+   * options.dryRun    - parse and count without writing
+   */
+  async importConversations(exported, { projectId = null, force = false, dryRun = false } = {}) {
+    const report = {
+      dryRun,
+      conversations: { total: exported.length, created: 0, updated: 0, skipped: 0, failed: 0 },
+      messages: { created: 0, updated: 0, skipped: 0 },
+      errors: []
+    };
+
+    for (const item of exported) {
+      const ref = item?.conversation_id || item?.id || null;
+
+      try {
+        const parsed = parseExportConversation(item);
+
+        if (dryRun) {
+          report.conversations.created++;
+          report.messages.created += parsed.messages.length;
+          continue;
+        }
+
+        const outcome = await database.transaction(connection =>
+          this.importConversation(parsed, { projectId, force }, connection)
+        );
+
+        report.conversations[outcome.status]++;
+        report.messages.created += outcome.messages.created;
+        report.messages.updated += outcome.messages.updated;
+        report.messages.skipped += outcome.messages.skipped;
+
+      } catch (error) {
+        report.conversations.failed++;
+        report.errors.push({ conversationId: ref, error: error.message });
+        logger.warn('Skipping conversation during import', { conversationId: ref, error: error.message });
+      }
+    }
+
+    logger.logSync('chatgpt_export_imported', {
+      dryRun,
+      conversations: report.conversations,
+      messages: report.messages
+    });
+
+    return report;
+  }
+
+  // Returns { status: created | updated | skipped, messages: { created, updated, skipped } }
+  async importConversation({ conversation, messages }, { projectId = null, force = false }, connection) {
+    const normalized = normalizeConversation(conversation);
+    const existing = await repository.findConversation(normalized.conversation_id, connection);
+    const counts = { created: 0, updated: 0, skipped: 0 };
+
+    // Conversations deleted on our side stay deleted
+    if (existing && existing.deleted_at) {
+      counts.skipped = messages.length;
+      return { status: 'skipped', messages: counts };
+    }
+
+    if (existing && !force && await this.isUpToDate(existing, normalized, messages.length, connection)) {
+      counts.skipped = messages.length;
+      return { status: 'skipped', messages: counts };
+    }
+
+    const stored = await repository.upsertConversation({
+      ...normalized,
+      project_id: projectId || await this.resolveProject(conversation, connection)
+    }, connection);
+
+    const storedMessages = new Map(
+      (await repository.getMessageGraph(stored.id, connection)).map(row => [row.id, row])
+    );
+
+    for (const message of messages) {
+      // Same normalization as WebhookController.handleMessageCreated
+      const row = normalizeMessage(message, stored.id);
+      const current = storedMessages.get(row.id);
+
+      // Identical rows and messages deleted on our side are left alone
+      if (current && (current.deleted_at || isSameMessage(current, row))) {
+        counts.skipped++;
+        continue;
+      }
+
+      await repository.upsertMessage(row, connection);
+      counts[current ? 'updated' : 'created']++;
+    }
+
+    return { status: stored.created ? 'created' : 'updated', messages: counts };
+  }
+
+  // Unchanged since the last import: not newer than the stored row and no messages missing
+  async isUpToDate(existing, normalized, messageCount, connection) {
+    const storedUpdatedAt = existing.updated_at ? new Date(existing.updated_at).getTime() : 0;
+    if (!normalized.updated_at_ms || normalized.updated_at_ms > storedUpdatedAt) {
+      return false;
+    }
+
+    return await repository.countMessages(existing.id, connection) >= messageCount;
+  }
+
+  // Project conversations get a project row keyed by the gizmo id
+  async resolveProject(conversation, connection) {
+    const gizmoId = conversation.gizmo_id;
+    if (!gizmoId || !gizmoId.startsWith(PROJECT_GIZMO_PREFIX)) {
+      return null;
+    }
+
+    const project = await repository.upsertProject({
+      name: gizmoId,
+      chatgpt_project_id: gizmoId
+    }, connection);
+
+    return project.id;
+  }
+}
+
+module.exports = new ChatGPTImportService();
@@ -0,0 +1,81 @@
+const archiver = require('archiver');
+const logger = require('./logger');
+const repository = require('./repository');
+const conversationTree = require('./conversation-tree');
+const { FORMATS, renderConversation, exportFilename } = require('../utils/conversation-render');
+
+// Conversations are read in pages while the project archive streams
+const PROJECT_PAGE_SIZE = 100;
+
+/**
+ * Conversation exports. A conversation is exported as the branch it currently
+ * shows (see conversation-tree), or the branch ending at `leafId`.
+ */
+class ConversationExportService {
+
+  // Returns { filename, contentType, body } or null when the conversation does not exist
+  async exportConversation(conversationRef, format, { hideRoles = [], leafId = null } = {}) {
+    const path = await conversationTree.getPath(conversationRef, { leafId });
+    if (!path) return null;
+
+    const project = path.conversation.project_id
+      ? await repository.findProjectById(path.conversation.project_id)
+      : null;
+
+    return {
+      filename: exportFilename(path.conversation, format),
+      contentType: FORMATS[format].contentType,
+      body: renderConversation(format, { conversation: path.conversation, project, messages: path.messages }, { hideRoles })
+    };
+  }
+
+  /**
+   * Stream a zip with one file per conversation of the project into `output`.
+   * Resolves with the number of conversations written once the archive is finalized.
+   */
+  async streamProjectArchive(project, format, output, { hideRoles = [] } = {}) {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const done = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      output.on('finish', resolve);
+      archive.on('error', reject);
+    });
+
+    archive.on('warning', warning => logger.warn('Project export warning', { projectId: project.id, warning: warning.message }));
+    archive.pipe(output);
+
+    let count = 0;
+    let after = null;
+    const usedNames = new Set();
+
+    do {
+      const page = await repository.listConversations({ projectId: project.id }, { limit: PROJECT_PAGE_SIZE, after });
+
+      for (const conversation of page) {
+        const exported = await this.exportConversation(conversation.id, format, { hideRoles });
+        if (!exported) continue;
+
+        let name = exported.filename;
+        for (let n = 2; usedNames.has(name); n++) {
+          name = exported.filename.replace(/(\.\w+)$/, `-${n}$1`);
+        }
+        usedNames.add(name);
+
+        archive.append(exported.body, { name, date: conversation.updated_at || undefined });
+        count++;
+      }
+
+      const last = page[page.length - 1];
+      after = page.length === PROJECT_PAGE_SIZE ? { updatedAt: last.updated_at, id: last.id } : null;
+    } while (after);
+
+    await archive.finalize();
+    await done;
+
+    logger.logSync('project_exported', { projectId: project.id, format, conversations: count });
+
+    return count;
+  }
+}
+
+module.exports = new ConversationExportService();
@@ -0,0 +1,77 @@
+const repository = require('./repository');
+const { buildTree, pathTo, resolveLeaf, listBranches, withoutChildren } = require('../utils/conversation-tree');
+
+// An explicit leaf must belong to the conversation, whichever view asks for it
+const assertNode = (nodes, leafId) => {
+  if (leafId && !nodes.has(leafId)) {
+    const error = new Error(`Message not found in conversation: ${leafId}`);
+    error.code = 'NODE_NOT_FOUND';
+    throw error;
+  }
+};
+
+// Loads conversations and serves tree, path and branch views of them
+class ConversationTreeService {
+
+  // Conversation as a tree plus the current path and branch list; null if not
+  // found. Every view throws NODE_NOT_FOUND for a leafId outside the conversation.
+  async getTree(conversationRef, { leafId = null } = {}) {
+    const loaded = await this.load(conversationRef);
+    if (!loaded) return null;
+
+    const { conversation, nodes, roots } = loaded;
+    assertNode(nodes, leafId);
+    const currentLeafId = resolveLeaf(nodes, { leafId, currentNodeId: conversation.current_node_id });
+
+    return {
+      conversation,
+      current_leaf_id: currentLeafId,
+      current_path: currentLeafId ? pathTo(nodes, currentLeafId) : [],
+      roots,
+      branches: listBranches(nodes, currentLeafId)
+    };
+  }
+
+  // Messages from the root to a leaf (the current branch by default)
+  async getPath(conversationRef, { leafId = null } = {}) {
+    const loaded = await this.load(conversationRef);
+    if (!loaded) return null;
+
+    const { conversation, nodes } = loaded;
+    assertNode(nodes, leafId);
+
+    // An explicit node is honoured as the end of the path, even if it has children
+    const endId = leafId || resolveLeaf(nodes, { currentNodeId: conversation.current_node_id });
+
+    return {
+      conversation,
+      leaf_id: endId,
+      messages: endId ? pathTo(nodes, endId).map(id => withoutChildren(nodes.get(id))) : []
+    };
+  }
+
+  async getBranches(conversationRef, { leafId = null } = {}) {
+    const loaded = await this.load(conversationRef);
+    if (!loaded) return null;
+
+    const { conversation, nodes } = loaded;
+    assertNode(nodes, leafId);
+    const currentLeafId = resolveLeaf(nodes, { leafId, currentNodeId: conversation.current_node_id });
+
+    return {
+      conversation,
+      current_leaf_id: currentLeafId,
+      branches: listBranches(nodes, currentLeafId)
+    };
+  }
+
+  async load(conversationRef) {
+    const conversation = await repository.findConversation(conversationRef);
+    if (!conversation || conversation.deleted_at) return null;
+
+    const rows = await repository.getMessageGraph(conversation.id);
+    return { conversation, ...buildTree(rows) };
+  }
+}
+
+module.exports = new ConversationTreeService();
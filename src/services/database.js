@@ -26,6 +26,7 @@ class DatabaseService {
 
       // Test connection
       await this.testConnection();
+
       logger.info('✅ Database connection pool initialized successfully');
     } catch (error) {
       logger.error('❌ Failed to initialize database connection:', error);
@@ -46,9 +47,10 @@ class DatabaseService {
     }
   }
 
-  async query(sql, params = []) {
+  // Runs on the pool, or on the given connection when inside a transaction
+  async query(sql, params = [], connection = null) {
     try {
-      const [results] = await this.pool.execute(sql, params);
+      const [results] = await (connection || this.pool).execute(sql, params);
       return results;
     } catch (error) {
       logger.error('❌ Database query error:', { sql, params, error: error.message });
@@ -73,67 +75,28 @@ class DatabaseService {
     }
   }
 
-  // Specific methods for ChatBETO operations
-  async insertConversation(conversationData) {
-    const { conversation_id, title, model, create_time, update_time, project_id, openai_thread_id } = conversationData;
-    
-    const sql = `
-      INSERT INTO conversations (conversation_id, title, model, create_time, update_time, project_id, openai_thread_id)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-      ON DUPLICATE KEY UPDATE
-        title = VALUES(title),
-        model = VALUES(model),
-        update_time = VALUES(update_time),
-        project_id = VALUES(project_id),
-        openai_thread_id = VALUES(openai_thread_id)
-    `;
-
-    return await this.query(sql, [conversation_id, title, model, create_time, update_time, project_id, openai_thread_id]);
-  }
-
-  async insertMessage(messageData) {
-    const { id, conversation_id, role, content, parts, create_time, parent, children, author_name } = messageData;
-    
-    const sql = `
-      INSERT INTO messages (id, conversation_id, role, content, parts, create_time, parent, children, author_name)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      ON DUPLICATE KEY UPDATE
-        role = VALUES(role),
-        content = VALUES(content),
-        parts = VALUES(parts),
-        create_time = VALUES(create_time),
-        parent = VALUES(parent),
-        children = VALUES(children),
-        author_name = VALUES(author_name)
-    `;
-
-    return await this.query(sql, [id, conversation_id, role, content, parts, create_time, parent, children, author_name]);
-  }
-
-  async getConversation(conversationId) {
-    const sql = 'SELECT * FROM conversations WHERE conversation_id = ?';
-    const results = await this.query(sql, [conversationId]);
-    return results[0] || null;
-  }
-
-  async getProject(projectName) {
-    const sql = 'SELECT * FROM projects WHERE name = ?';
-    const results = await this.query(sql, [projectName]);
-    return results[0] || null;
-  }
-
-  async createProject(projectData) {
-    const { name, description, is_starred = false, chatgpt_project_id } = projectData;
-    
-    const sql = `
-      INSERT INTO projects (name, description, is_starred, chatgpt_project_id)
-      VALUES (?, ?, ?, ?)
-      ON DUPLICATE KEY UPDATE
-        description = VALUES(description),
-        chatgpt_project_id = VALUES(chatgpt_project_id)
-    `;
+  /**
+   * Run `callback` only if the named MySQL advisory lock is free, holding it on
+   * a dedicated connection until the callback settles. Returns
+   * { acquired: false } without waiting when another session holds the lock.
+   */
+  async withAdvisoryLock(name, callback) {
+    const connection = await this.pool.getConnection();
 
-    return await this.query(sql, [name, description, is_starred, chatgpt_project_id]);
+    try {
+      const [rows] = await connection.query('SELECT GET_LOCK(?, 0) AS acquired', [name]);
+      if (rows[0].acquired !== 1) {
+        return { acquired: false };
+      }
+
+      try {
+        return { acquired: true, result: await callback() };
+      } finally {
+        await connection.query('SELECT RELEASE_LOCK(?)', [name]);
+      }
+    } finally {
+      connection.release();
+    }
   }
 
   async close() {
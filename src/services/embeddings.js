@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const { OpenAI } = require('openai');
+const config = require('../../config/config');
+
+/**
+ * Deterministic offline embedder (feature hashing).
+ *
+ * Each lower-cased token and token bigram is hashed into one of `dimensions`
+ * buckets with a signed weight, and the result is L2-normalized. Texts that
+ * share vocabulary end up close in cosine space, which is enough for local
+ * development and tests without network access.
+ */
+class LocalEmbedder {
+  constructor({ dimensions = null } = {}) {
+    this.name = 'local';
+    this.dimensions = dimensions || 256;
+    this.model = `local-hash-${this.dimensions}`;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  embedOne(text) {
+    const vector = new Float32Array(this.dimensions);
+    const tokens = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const features = [...tokens];
+
+    for (let i = 0; i < tokens.length - 1; i++) {
+      features.push(`${tokens[i]} ${tokens[i + 1]}`);
+    }
+
+    for (const feature of features) {
+      const digest = crypto.createHash('md5').update(feature).digest();
+      const bucket = digest.readUInt32LE(0) % this.dimensions;
+      vector[bucket] += (digest[4] & 1) ? 1 : -1;
+    }
+
+    return normalize(vector);
+  }
+}
+
+// Embeddings from the OpenAI API (text-embedding-3-* models)
+class OpenAIEmbedder {
+  constructor({ model = null, dimensions = null, client = null } = {}) {
+    this.name = 'openai';
+    this.model = model || 'text-embedding-3-small';
+    this.dimensions = dimensions;
+    this.client = client;
+  }
+
+  getClient() {
+    if (!this.client) {
+      if (!config.openai.apiKey) {
+        throw new Error('OPENAI_API_KEY is required for the openai embeddings provider');
+      }
+      this.client = new OpenAI({
+        apiKey: config.openai.apiKey,
+        organization: config.openai.orgId || undefined
+      });
+    }
+    return this.client;
+  }
+
+  async embed(texts) {
+    const response = await this.getClient().embeddings.create({
+      model: this.model,
+      input: texts,
+      ...(this.dimensions ? { dimensions: this.dimensions } : {})
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => normalize(Float32Array.from(item.embedding)));
+  }
+}
+
+const providers = {
+  local: LocalEmbedder,
+  openai: OpenAIEmbedder
+};
+
+function createEmbedder(options = config.embeddings) {
+  const Provider = providers[options.provider];
+  if (!Provider) {
+    throw new Error(`Unknown embeddings provider: ${options.provider}`);
+  }
+  return new Provider(options);
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (const value of vector) norm += value * value;
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+// Vectors are stored in embeddings.vector as little-endian float32
+function serializeVector(vector) {
+  const buffer = Buffer.alloc(vector.length * 4);
+  vector.forEach((value, i) => buffer.writeFloatLE(value, i * 4));
+  return buffer;
+}
+
+function deserializeVector(buffer) {
+  const vector = new Float32Array(buffer.length / 4);
+  for (let i = 0; i < vector.length; i++) {
+    vector[i] = buffer.readFloatLE(i * 4);
+  }
+  return vector;
+}
+
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) {
+    throw new Error(`Vector dimensions differ (${a.length} vs ${b.length})`);
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = {
+  LocalEmbedder,
+  OpenAIEmbedder,
+  providers,
+  createEmbedder,
+  serializeVector,
+  deserializeVector,
+  cosineSimilarity
+};
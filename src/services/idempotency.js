@@ -0,0 +1,58 @@
+const config = require('../../config/config');
+const logger = require('./logger');
+const database = require('./database');
+
+class IdempotencyService {
+
+  // Event ID from the X-Event-Id header, falling back to the payload
+  extractEventId(req) {
+    const eventId = req.headers['x-event-id'] || req.body?.event_id;
+    return eventId ? String(eventId) : null;
+  }
+
+  // Stored outcome of an already processed event, or null if unknown/expired
+  async getProcessed(eventId, connection = null) {
+    const rows = await database.query(`
+      SELECT event_id, event_type, result, processed_at
+      FROM processed_webhook_events
+      WHERE event_id = ? AND expires_at > NOW(3)
+    `, [eventId], connection);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return {
+      eventId: rows[0].event_id,
+      eventType: rows[0].event_type,
+      result: rows[0].result ? JSON.parse(rows[0].result) : null,
+      processedAt: rows[0].processed_at
+    };
+  }
+
+  async recordProcessed(eventId, eventType, result, connection = null) {
+    await database.query(`
+      INSERT INTO processed_webhook_events (event_id, event_type, result, expires_at)
+      VALUES (?, ?, ?, DATE_ADD(NOW(3), INTERVAL ? SECOND))
+      ON DUPLICATE KEY UPDATE
+        event_type = VALUES(event_type),
+        result = VALUES(result),
+        processed_at = NOW(3),
+        expires_at = VALUES(expires_at)
+    `, [eventId, eventType, JSON.stringify(result ?? null), config.idempotency.ttlSeconds], connection);
+  }
+
+  async purgeExpired() {
+    const result = await database.query(
+      'DELETE FROM processed_webhook_events WHERE expires_at <= NOW(3)'
+    );
+
+    if (result.affectedRows > 0) {
+      logger.logDatabase('processed_events_purged', { count: result.affectedRows });
+    }
+
+    return result.affectedRows;
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -104,4 +104,13 @@ logger.logSync = (action, details = {}) => {
   });
 };
 
+// Add tool call logging helper
+logger.logTool = (tool, details = {}) => {
+  logger.info('Tool Call', {
+    tool,
+    ...details,
+    timestamp: new Date().toISOString()
+  });
+};
+
 module.exports = logger;
\ No newline at end of file
@@ -0,0 +1,293 @@
+const config = require('../../config/config');
+const database = require('./database');
+const logger = require('./logger');
+const repository = require('./repository');
+const { normalizeMessage } = require('../utils/chatgpt-mapper');
+const { parsePreviewResponse } = require('../utils/openai-thread-parser');
+
+// Fields compared to decide whether a stored message would change
+const DIFF_FIELDS = ['role', 'content', 'content_type', 'parent_message_id'];
+
+const OPENAI_RESPONSES_URL = 'https://api.openai.com/v1/responses';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function fetchThreadFromOpenAI(threadId) {
+  const res = await fetch(`${OPENAI_RESPONSES_URL}/${encodeURIComponent(threadId)}`, {
+    method: 'GET',
+    headers: {
+      Authorization: `Bearer ${config.openai.apiKey}`,
+      'Content-Type': 'application/json'
+    }
+  });
+  if (!res.ok) {
+    const txt = await res.text();
+    throw new Error(`OpenAI API error ${res.status}: ${txt}`);
+  }
+  return res.json();
+}
+
+/**
+ * The OpenAI thread migration: fetchPreviews stores raw API responses in
+ * `migration_preview`, migrate turns them into v2 messages. Previews move from
+ * `fetched` to `migrated` (or `failed`), and a thread with a migrated preview
+ * is never processed again.
+ */
+class MigrationPreviewService {
+
+  /**
+   * Fetch threads of conversations in `sourceDb` (default: this database) that
+   * have an openai_thread_id and no settled preview yet, storing each response
+   * as a `fetched` preview. A failed fetch leaves one `fetch_failed`
+   * placeholder per thread, reused and counted on every retry; after
+   * `maxAttempts` failures the thread is skipped unless `refetch` is set.
+   * Returns { found, fetched, failed }.
+   */
+  async fetchPreviews({
+    sourceDb = null,
+    limit = 100,
+    batchSize = 20,
+    refetch = false,
+    conversationId = null,
+    maxAttempts = config.scheduler.previewFetch.maxAttempts,
+    delayMs = 200,
+    fetchThread = fetchThreadFromOpenAI
+  } = {}) {
+    if (!config.openai.apiKey && fetchThread === fetchThreadFromOpenAI) {
+      throw new Error('OPENAI_API_KEY is required to fetch threads');
+    }
+
+    const table = sourceDb ? `\`${sourceDb}\`.conversations` : 'conversations';
+    let sql = `SELECT c.id, c.conversation_id, c.openai_thread_id FROM ${table} c WHERE c.openai_thread_id IS NOT NULL`;
+    const params = [];
+    if (!refetch) {
+      sql += `
+        AND NOT EXISTS (
+          SELECT 1 FROM migration_preview p
+          WHERE p.openai_thread_id = c.openai_thread_id
+            AND (p.status IN ('fetched', 'migrated') OR (p.status = 'fetch_failed' AND p.fetch_attempts >= ?))
+        )`;
+      params.push(maxAttempts);
+    }
+    if (conversationId) {
+      sql += ' AND c.conversation_id = ?';
+      params.push(conversationId);
+    }
+    sql += ' ORDER BY c.id ASC LIMIT ?';
+    params.push(limit);
+
+    const todo = await database.query(sql, params);
+    const result = { found: todo.length, fetched: 0, failed: 0 };
+
+    for (let i = 0; i < todo.length; i += batchSize) {
+      for (const row of todo.slice(i, i + batchSize)) {
+        const threadId = row.openai_thread_id;
+        const placeholder = await this.findFailedFetch(threadId);
+        try {
+          const response = await fetchThread(threadId);
+          if (placeholder) {
+            await database.query(
+              "UPDATE migration_preview SET raw_response = ?, status = 'fetched', error = NULL, fetched_at = NOW(6) WHERE id = ?",
+              [JSON.stringify(response), placeholder.id]
+            );
+          } else {
+            await database.query(
+              'INSERT INTO migration_preview (conversation_id, openai_thread_id, raw_response) VALUES (?, ?, ?)',
+              [row.conversation_id, threadId, JSON.stringify(response)]
+            );
+          }
+          result.fetched++;
+
+          // Respectful rate limit (~5 req/sec)
+          if (delayMs > 0) await sleep(delayMs);
+        } catch (error) {
+          logger.warn('Failed fetching OpenAI thread', { threadId, attempts: placeholder ? placeholder.fetch_attempts + 1 : 1, error: error.message });
+          if (placeholder) {
+            await database.query(
+              'UPDATE migration_preview SET raw_response = ?, error = ?, fetch_attempts = fetch_attempts + 1, fetched_at = NOW(6) WHERE id = ?',
+              [JSON.stringify({ error: error.message }), error.message, placeholder.id]
+            );
+          } else {
+            await database.query(
+              "INSERT INTO migration_preview (conversation_id, openai_thread_id, raw_response, status, error) VALUES (?, ?, ?, 'fetch_failed', ?)",
+              [row.conversation_id, threadId, JSON.stringify({ error: error.message }), error.message]
+            );
+          }
+          result.failed++;
+        }
+      }
+    }
+
+    logger.logSync('migration_preview_fetched', result);
+    return result;
+  }
+
+  // The thread's `fetch_failed` placeholder, if its latest preview is one
+  async findFailedFetch(threadId) {
+    const rows = await database.query(
+      'SELECT id, status, fetch_attempts FROM migration_preview WHERE openai_thread_id = ? ORDER BY id DESC LIMIT 1',
+      [threadId]
+    );
+    return rows[0] && rows[0].status === 'fetch_failed' ? rows[0] : null;
+  }
+
+  // Latest preview per thread that still needs migrating
+  async findPending({ limit = 100, conversationId = null, retryFailed = false } = {}) {
+    const statuses = retryFailed ? ['fetched', 'failed'] : ['fetched'];
+
+    let sql = `
+      SELECT p.*
+      FROM migration_preview p
+      WHERE p.status IN (${statuses.map(() => '?').join(', ')})
+        AND p.id = (SELECT MAX(latest.id) FROM migration_preview latest WHERE latest.openai_thread_id = p.openai_thread_id)
+        AND NOT EXISTS (
+          SELECT 1 FROM migration_preview done
+          WHERE done.openai_thread_id = p.openai_thread_id AND done.status = 'migrated'
+        )
+    `;
+    const params = [...statuses];
+
+    if (conversationId) {
+      sql += ' AND p.conversation_id = ?';
+      params.push(conversationId);
+    }
+
+    sql += ' ORDER BY p.id ASC LIMIT ?';
+    params.push(limit);
+
+    return await database.query(sql, params);
+  }
+
+  /**
+   * What migrating one preview would do, without writing:
+   * { previewId, threadId, conversationId, conversation: { id, action }, messages: [...], summary }
+   * `rows` carries the normalized messages for applyPlan.
+   */
+  async planPreview(preview, connection = null) {
+    const conversationRef = preview.conversation_id || preview.openai_thread_id;
+    const parsed = parsePreviewResponse(preview.raw_response, conversationRef);
+
+    const conversation = (preview.conversation_id && await repository.findConversation(preview.conversation_id, connection)) ||
+      await repository.findConversationByThreadId(preview.openai_thread_id, connection);
+
+    const stored = conversation ? await repository.getMessageGraph(conversation.id, connection) : [];
+    const storedById = new Map(stored.map(row => [row.id, row]));
+    const parsedIds = new Set(parsed.map(message => message.id));
+
+    // The thread continues after the last message we already hold
+    const lastStored = stored.filter(row => !row.deleted_at && !parsedIds.has(row.id)).pop();
+    if (parsed.length > 0 && !parsed[0].parent && lastStored) {
+      parsed[0].parent = lastStored.id;
+    }
+
+    const summary = { insert: 0, update: 0, unchanged: 0 };
+    const rows = [];
+    const messages = parsed.map(message => {
+      const row = normalizeMessage(message, conversationRef);
+      const current = storedById.get(row.id);
+
+      let action = 'insert';
+      let changes = [];
+      if (current) {
+        changes = DIFF_FIELDS.filter(field => (current[field] ?? null) !== (row[field] ?? null));
+        action = changes.length > 0 ? 'update' : 'unchanged';
+      }
+
+      summary[action]++;
+      if (action !== 'unchanged') rows.push(row);
+
+      return {
+        id: row.id,
+        role: row.role,
+        action,
+        changes,
+        preview: (row.content || '').slice(0, 80)
+      };
+    });
+
+    return {
+      previewId: preview.id,
+      threadId: preview.openai_thread_id,
+      conversationId: conversationRef,
+      conversation: conversation
+        ? { id: conversation.id, action: conversation.openai_thread_id ? 'unchanged' : 'link_thread' }
+        : { id: null, action: 'create' },
+      messages,
+      summary,
+      rows
+    };
+  }
+
+  // Write a plan and mark its preview migrated; call inside a transaction
+  async applyPlan(plan, connection) {
+    if (plan.conversation.action === 'create') {
+      const created = await repository.upsertConversation({
+        conversation_id: plan.conversationId,
+        openai_thread_id: plan.threadId
+      }, connection);
+      plan.conversation.id = created.id;
+    } else if (plan.conversation.action === 'link_thread') {
+      await repository.setOpenAIThreadId(plan.conversation.id, plan.threadId, connection);
+    }
+
+    // The conversation may have been found by thread id, so address it by uuid
+    for (const row of plan.rows) {
+      await repository.upsertMessage({ ...row, conversation_ref: plan.conversation.id }, connection);
+    }
+
+    await database.query(
+      "UPDATE migration_preview SET status = 'migrated', error = NULL, report = ?, migrated_at = NOW(6) WHERE id = ?",
+      [JSON.stringify({ conversation: plan.conversation, summary: plan.summary }), plan.previewId],
+      connection
+    );
+  }
+
+  async markFailed(previewId, error) {
+    await database.query(
+      "UPDATE migration_preview SET status = 'failed', error = ? WHERE id = ?",
+      [error.message, previewId]
+    );
+  }
+
+  /**
+   * Plan (and with `write`, apply) pending previews. Each preview is applied in
+   * its own transaction; a failure marks that preview `failed` and moves on.
+   * Returns [{ plan } | { previewId, threadId, error }].
+   */
+  async migrate({ write = false, limit = 100, conversationId = null, retryFailed = false } = {}) {
+    const previews = await this.findPending({ limit, conversationId, retryFailed });
+    const results = [];
+
+    for (const preview of previews) {
+      try {
+        const plan = write
+          ? await database.transaction(async connection => {
+            const planned = await this.planPreview(preview, connection);
+            await this.applyPlan(planned, connection);
+            return planned;
+          })
+          : await this.planPreview(preview);
+
+        results.push({ plan });
+
+      } catch (error) {
+        logger.warn('Preview migration failed', { previewId: preview.id, threadId: preview.openai_thread_id, error: error.message });
+        if (write) {
+          await this.markFailed(preview.id, error);
+        }
+        results.push({ previewId: preview.id, threadId: preview.openai_thread_id, error: error.message });
+      }
+    }
+
+    if (write) {
+      logger.logSync('migration_preview_applied', {
+        migrated: results.filter(result => result.plan).length,
+        failed: results.filter(result => result.error).length
+      });
+    }
+
+    return results;
+  }
+}
+
+module.exports = new MigrationPreviewService();
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const database = require('./database');
+const logger = require('./logger');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_NAME = 'chatbeto_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+// Numbered schema migrations in /migrations. Each file exports `up` and `down`,
+// either as an array of SQL statements or an async function receiving `query(sql, params)`.
+class MigrationService {
+  constructor() {
+    this.directory = path.join(__dirname, '../../migrations');
+  }
+
+  load() {
+    const files = fs.readdirSync(this.directory)
+      .filter(file => MIGRATION_FILE_PATTERN.test(file))
+      .sort();
+
+    const migrations = files.map(file => {
+      const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+      return {
+        version: parseInt(version, 10),
+        name,
+        file,
+        ...require(path.join(this.directory, file))
+      };
+    });
+
+    const versions = new Set();
+    for (const migration of migrations) {
+      if (versions.has(migration.version)) {
+        throw new Error(`Duplicate migration version ${migration.version}`);
+      }
+      versions.add(migration.version);
+    }
+
+    return migrations.sort((a, b) => a.version - b.version);
+  }
+
+  async ensureTable(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INT NOT NULL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  }
+
+  async appliedVersions(connection) {
+    const [rows] = await connection.query('SELECT version FROM schema_migrations ORDER BY version ASC');
+    return new Set(rows.map(row => row.version));
+  }
+
+  // Run `fn` on a dedicated connection holding an advisory lock, so two
+  // processes never migrate at the same time
+  async withConnection(fn) {
+    const connection = await database.pool.getConnection();
+
+    try {
+      const [[lock]] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+      if (lock.acquired !== 1) {
+        throw new Error('Another process is running migrations');
+      }
+
+      try {
+        await this.ensureTable(connection);
+        return await fn(connection);
+      } finally {
+        await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  async runStep(step, connection) {
+    if (typeof step === 'function') {
+      await step((sql, params = []) => connection.query(sql, params).then(([rows]) => rows));
+      return;
+    }
+
+    for (const sql of step || []) {
+      await connection.query(sql);
+    }
+  }
+
+  async status() {
+    const migrations = this.load();
+
+    return await this.withConnection(async (connection) => {
+      const applied = await this.appliedVersions(connection);
+      return migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: applied.has(migration.version)
+      }));
+    });
+  }
+
+  async pending() {
+    const status = await this.status();
+    return status.filter(migration => !migration.applied);
+  }
+
+  // Apply pending migrations in order, optionally stopping at version `to`
+  async up({ to = null } = {}) {
+    const migrations = this.load();
+
+    return await this.withConnection(async (connection) => {
+      const applied = await this.appliedVersions(connection);
+      const toApply = migrations.filter(migration =>
+        !applied.has(migration.version) && (to === null || migration.version <= to)
+      );
+
+      for (const migration of toApply) {
+        logger.info(`⬆️  Applying migration ${migration.file}`);
+        // DDL commits implicitly in MySQL, so each migration is recorded right after it runs
+        await this.runStep(migration.up, connection);
+        await connection.query(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+        logger.logDatabase('migration_applied', { version: migration.version, name: migration.name });
+      }
+
+      return toApply.map(migration => ({ version: migration.version, name: migration.name }));
+    });
+  }
+
+  // Revert the last `steps` applied migrations, newest first
+  async down({ steps = 1 } = {}) {
+    const migrations = this.load();
+
+    return await this.withConnection(async (connection) => {
+      const applied = await this.appliedVersions(connection);
+      const toRevert = migrations
+        .filter(migration => applied.has(migration.version))
+        .reverse()
+        .slice(0, steps);
+
+      for (const migration of toRevert) {
+        logger.info(`⬇️  Reverting migration ${migration.file}`);
+        await this.runStep(migration.down, connection);
+        await connection.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        logger.logDatabase('migration_reverted', { version: migration.version, name: migration.name });
+      }
+
+      return toRevert.map(migration => ({ version: migration.version, name: migration.name }));
+    });
+  }
+}
+
+module.exports = new MigrationService();
@@ -1,11 +1,183 @@
 const { OpenAI } = require('openai');
+const config = require('../../config/config');
 const logger = require('./logger');
-const database = require('./database');
+const repository = require('./repository');
+const projectAssistants = require('./project-assistants');
+const usage = require('./usage');
+const { normalizeMessage } = require('../utils/chatgpt-mapper');
+const { computeBackoff } = require('../utils/backoff');
+const { validateToolArguments } = require('../utils/tool-arguments');
+const assistantTools = require('./assistant-tools');
+
+// Run events that end a streamed run without an answer
+const RUN_END_EVENTS = ['thread.run.failed', 'thread.run.cancelled', 'thread.run.expired', 'thread.run.incomplete'];
+
+// Run statuses that are still moving; anything else is final (or requires_action)
+const PENDING_RUN_STATUSES = ['queued', 'in_progress', 'cancelling'];
+
+const runError = (message, code, run) => {
+  const error = new Error(message);
+  error.code = code;
+  error.runId = run.id;
+  error.runStatus = run.status;
+  return error;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// api_calls status for a run that ended without an answer
+const failedRunStatus = (error) => {
+  if (error.code === 'RUN_TIMEOUT') return 'timeout';
+  if (error.code === 'RUN_CANCELLED') return 'cancelled';
+  return 'failed';
+};
+
+// Token usage summed over the requests of one tool-calling exchange
+const addUsage = (total, usage) => {
+  if (!usage) return total;
+  if (!total) return { ...usage };
+  return {
+    prompt_tokens: (total.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+    completion_tokens: (total.completion_tokens || 0) + (usage.completion_tokens || 0),
+    total_tokens: (total.total_tokens || 0) + (usage.total_tokens || 0)
+  };
+};
+
+// Text of an Assistants API message (text parts only)
+const messageText = (message) => (message.content || [])
+  .filter(part => part.type === 'text')
+  .map(part => part.text.value)
+  .join('');
 
 class OpenAIService {
   constructor() {
     this.client = null;
     this.initialized = false;
+    // Function tools the model may call: name -> { name, description, parameters, handler }
+    this.tools = new Map();
+    // In-flight runs by thread (a thread has at most one active run)
+    this.activeRuns = new Map();
+    // Assistant for conversations without project settings, once looked up
+    this.defaultAssistantId = null;
+
+    assistantTools.forEach(tool => this.registerTool(tool));
+  }
+
+  /**
+   * Declare a server-side function. `parameters` is its JSON schema; the
+   * handler receives the validated arguments and { source, threadId, runId }
+   * and returns a string or anything JSON-serializable.
+   */
+  registerTool({ name, description = '', parameters = { type: 'object', properties: {} }, handler }) {
+    this.tools.set(name, { name, description, parameters, handler });
+  }
+
+  // Tool declarations in the OpenAI `tools` format (empty when tools are off);
+  // `names` limits them to a project's allowed tools
+  toolDefinitions(names = null) {
+    if (!config.openai.tools.enabled) {
+      return [];
+    }
+
+    return [...this.tools.values()].filter(tool => !names || names.includes(tool.name)).map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+  }
+
+  // Tool declarations for a chat completion, limited to the allowed tools of the project's assistant settings
+  async projectToolDefinitions(projectId = null) {
+    const settings = projectId ? await projectAssistants.get(projectId) : null;
+    return this.toolDefinitions(settings ? settings.tools : null);
+  }
+
+  /**
+   * Run a tool call from the model and return the output string sent back.
+   * Failures (unknown tool, bad arguments, handler errors) become
+   * {"error": "..."} outputs so the model can recover. Every call is logged
+   * with its input and output.
+   */
+  async executeTool(name, rawArguments, context = {}) {
+    const startedAt = Date.now();
+    let args = rawArguments;
+    let output;
+    let failure = null;
+
+    try {
+      const tool = this.tools.get(name);
+      if (!tool) {
+        throw new Error(`Unknown tool: ${name}`);
+      }
+
+      if (typeof args === 'string') {
+        try {
+          args = args.trim() ? JSON.parse(args) : {};
+        } catch (error) {
+          throw new Error(`Invalid JSON arguments for ${name}`);
+        }
+      }
+
+      const problems = validateToolArguments(tool.parameters, args ?? {});
+      if (problems.length > 0) {
+        throw new Error(`Invalid arguments for ${name}: ${problems.join('; ')}`);
+      }
+
+      const result = await tool.handler(args ?? {}, context);
+      output = typeof result === 'string' ? result : JSON.stringify(result ?? null);
+    } catch (error) {
+      failure = error.message;
+      output = JSON.stringify({ error: error.message });
+    }
+
+    const { maxOutputChars } = config.openai.tools;
+    if (output.length > maxOutputChars) {
+      output = output.slice(0, maxOutputChars);
+    }
+
+    logger.logTool(name, {
+      ...context,
+      input: args,
+      output,
+      error: failure,
+      durationMs: Date.now() - startedAt
+    });
+
+    return output;
+  }
+
+  /**
+   * Make one OpenAI call and record it in api_calls with the model and token
+   * usage of the response; failed calls are recorded and rethrown.
+   */
+  async track(endpoint, { model = null, projectId = null, threadId = null, request = null } = {}, call) {
+    const startedAt = Date.now();
+
+    try {
+      const result = await call();
+      await usage.record({
+        endpoint,
+        model: result?.model || model,
+        projectId,
+        threadId,
+        usage: result?.usage || null,
+        request,
+        response: { id: result?.id ?? null },
+        durationMs: Date.now() - startedAt
+      });
+      return result;
+    } catch (error) {
+      await usage.record({
+        endpoint,
+        model,
+        projectId,
+        threadId,
+        request,
+        response: { error: error.message },
+        status: 'failed',
+        durationMs: Date.now() - startedAt
+      });
+      throw error;
+    }
   }
 
   async initialize() {
@@ -50,35 +222,38 @@ class OpenAIService {
     }
 
     try {
+      const { assistantId, settings } = await this.resolveAssistant({ projectId });
+
       // Create thread in OpenAI
-      const thread = await this.client.beta.threads.create();
+      const thread = await this.track('threads.create', { projectId }, () => this.client.beta.threads.create({
+        metadata: projectId ? { project_id: String(projectId) } : {}
+      }));
       
-      // Save to database
-      const conversationData = {
+      // Save to database (the thread id doubles as the external conversation id)
+      await repository.upsertConversation({
         conversation_id: thread.id,
         title: 'New Conversation',
-        model: 'gpt-4',
-        create_time: new Date(),
-        update_time: new Date(),
+        default_model_slug: settings ? settings.model : config.openai.defaultModel,
         project_id: projectId,
-        openai_thread_id: thread.id
-      };
-
-      await database.insertConversation(conversationData);
+        openai_thread_id: thread.id,
+        created_at_ms: thread.created_at * 1000,
+        updated_at_ms: thread.created_at * 1000
+      });
 
       // Add initial message if provided
-      if (initialMessage) {
-        await this.addMessage(thread.id, 'user', initialMessage);
-      }
+      const message = initialMessage ? await this.addMessage(thread.id, 'user', initialMessage) : null;
 
       logger.logSync('openai_conversation_created', {
         threadId: thread.id,
-        projectId
+        projectId,
+        assistantId
       });
 
       return {
         threadId: thread.id,
-        conversationId: thread.id
+        conversationId: thread.id,
+        assistantId,
+        ...(message && { initialMessageId: message.id })
       };
 
     } catch (error) {
@@ -94,28 +269,23 @@ class OpenAIService {
 
     try {
       // Add message to OpenAI thread
-      const message = await this.client.beta.threads.messages.create(
+      const message = await this.track('threads.messages.create', { threadId }, () => this.client.beta.threads.messages.create(
         threadId,
         {
           role: role,
           content: content
         }
-      );
+      ));
 
       // Save to database
-      const messageData = {
+      await repository.upsertMessage(normalizeMessage({
         id: message.id,
         conversation_id: threadId,
         role: role,
         content: content,
-        parts: JSON.stringify([content]),
-        create_time: new Date(message.created_at * 1000),
-        parent: null,
-        children: null,
+        create_time: message.created_at,
         author_name: role === 'user' ? 'User' : 'Assistant'
-      };
-
-      await database.insertMessage(messageData);
+      }));
 
       logger.logSync('openai_message_added', {
         messageId: message.id,
@@ -132,137 +302,601 @@ class OpenAIService {
   }
 
   async getAssistantResponse(threadId, assistantId = null) {
+    const result = await this.runAssistant(threadId, { assistantId });
+    return result.content;
+  }
+
+  /**
+   * Create a run and wait for it: polls with backoff, answers requires_action
+   * through the registered tools and cancels the run once `timeoutMs` passes.
+   * The assistant messages of this run are stored and returned as
+   * { runId, status, messages, content }. Throws RUN_TIMEOUT, RUN_CANCELLED or
+   * RUN_FAILED errors carrying runId and runStatus. `projectIds` limits what
+   * the tools can read to the caller's projects.
+   */
+  async runAssistant(threadId, { assistantId = null, timeoutMs = config.openai.runTimeoutMs, projectIds = null } = {}) {
     if (!this.initialized) {
       throw new Error('OpenAI service not initialized');
     }
 
+    const startedAt = Date.now();
+    const deadline = startedAt + timeoutMs;
+    let run = null;
+    let failure = null;
+
     try {
-      // Create run
-      const run = await this.client.beta.threads.runs.create(
-        threadId,
-        {
-          assistant_id: assistantId || await this.getDefaultAssistant()
+      run = await this.client.beta.threads.runs.create(threadId, await this.runParams(threadId, assistantId));
+      this.activeRuns.set(threadId, run.id);
+
+      for (let attempt = 1; ; attempt++) {
+        if (!PENDING_RUN_STATUSES.includes(run.status) && run.status !== 'requires_action') {
+          break;
         }
-      );
 
-      // Wait for completion
-      let runStatus = await this.client.beta.threads.runs.retrieve(threadId, run.id);
-      
-      while (runStatus.status === 'queued' || runStatus.status === 'in_progress') {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        runStatus = await this.client.beta.threads.runs.retrieve(threadId, run.id);
+        if (Date.now() >= deadline) {
+          await this.cancelRun(threadId, run.id).catch(error => logger.warn('Failed to cancel timed out run:', error.message));
+          throw runError(`Run ${run.id} timed out after ${timeoutMs}ms`, 'RUN_TIMEOUT', run);
+        }
+
+        if (run.status === 'requires_action') {
+          run = await this.client.beta.threads.runs.submitToolOutputs(run.id, {
+            thread_id: threadId,
+            tool_outputs: await this.runToolCalls(threadId, run, projectIds)
+          });
+          attempt = 0;
+          continue;
+        }
+
+        await sleep(Math.min(
+          computeBackoff(attempt, { baseMs: config.openai.pollIntervalMs, maxMs: config.openai.pollMaxMs }),
+          Math.max(deadline - Date.now(), 0)
+        ));
+        run = await this.client.beta.threads.runs.retrieve(run.id, { thread_id: threadId });
+      }
+
+      if (run.status === 'cancelled') {
+        throw runError(`Run ${run.id} was cancelled`, 'RUN_CANCELLED', run);
+      }
+      if (run.status !== 'completed') {
+        const reason = run.last_error?.message || run.incomplete_details?.reason;
+        throw runError(`Run failed with status: ${run.status}${reason ? ` (${reason})` : ''}`, 'RUN_FAILED', run);
       }
 
-      if (runStatus.status === 'completed') {
-        // Get the assistant's response
-        const messages = await this.client.beta.threads.messages.list(threadId);
-        const assistantMessage = messages.data[0];
+      // Exactly the messages this run added, oldest first
+      const page = await this.client.beta.threads.messages.list(threadId, { run_id: run.id, order: 'asc' });
+      const messages = page.data.filter(message => message.role === 'assistant');
 
-        if (assistantMessage.role === 'assistant') {
-          // Save assistant response to database
-          await this.addMessage(threadId, 'assistant', assistantMessage.content[0].text.value);
-          
-          return assistantMessage.content[0].text.value;
-        }
+      for (const message of messages) {
+        // The run already added it to the thread; only store it
+        await this.saveThreadMessage(threadId, message);
       }
 
-      throw new Error(`Run failed with status: ${runStatus.status}`);
+      return {
+        runId: run.id,
+        status: run.status,
+        messages: messages.map(message => ({ id: message.id, content: messageText(message) })),
+        content: messages.map(messageText).join('\n\n')
+      };
 
     } catch (error) {
+      failure = error;
       logger.error('Error getting assistant response:', error);
       throw error;
+    } finally {
+      if (run && this.activeRuns.get(threadId) === run.id) {
+        this.activeRuns.delete(threadId);
+      }
+
+      // The whole run (polls and tool rounds included) is one recorded call
+      await usage.record({
+        endpoint: 'assistants.runs',
+        model: run?.model || null,
+        threadId,
+        usage: run?.usage || null,
+        request: { assistant_id: run?.assistant_id || assistantId },
+        response: { id: run?.id || null, status: run?.status || null, error: failure?.message },
+        status: failure ? failedRunStatus(failure) : 'succeeded',
+        durationMs: Date.now() - startedAt
+      });
     }
   }
 
-  async getDefaultAssistant() {
-    // You can create a default assistant or use a specific one
-    const assistants = await this.client.beta.assistants.list();
-    
-    if (assistants.data.length > 0) {
-      return assistants.data[0].id;
-    }
-
-    // Create a default assistant if none exists
-    const assistant = await this.client.beta.assistants.create({
-      name: "ChatBETO Assistant",
-      instructions: "You are a helpful assistant for the ChatBETO project.",
-      model: "gpt-4"
-    });
+  /**
+   * Run parameters: the given assistant, or the one of the thread's project.
+   * Registered tools (limited to the project's allowed tools) replace the
+   * assistant's own tool list.
+   */
+  async runParams(threadId, assistantId = null) {
+    let settings = null;
+    if (!assistantId) {
+      ({ assistantId, settings } = await this.resolveAssistant({ threadId }));
+    }
 
-    return assistant.id;
+    const params = { assistant_id: assistantId };
+    const tools = this.toolDefinitions(settings ? settings.tools : null);
+    if (tools.length > 0) {
+      params.tools = tools;
+    }
+    return params;
   }
 
-  async syncExistingConversations() {
+  // Outputs for a requires_action run; tool errors go back to the model as output
+  async runToolCalls(threadId, run, projectIds = null) {
+    const toolCalls = run.required_action?.submit_tool_outputs?.tool_calls || [];
+
+    return await Promise.all(toolCalls.map(async call => ({
+      tool_call_id: call.id,
+      output: await this.executeTool(call.function?.name, call.function?.arguments, {
+        source: 'assistant',
+        threadId,
+        runId: run.id,
+        projectIds
+      })
+    })));
+  }
+
+  /**
+   * Cancel a run: the given one, or whatever run is in flight on the thread.
+   * Returns the run (status cancelling/cancelled), or null when there is none.
+   */
+  async cancelRun(threadId, runId = null) {
     if (!this.initialized) {
-      logger.warn('OpenAI service not initialized. Skipping sync.');
-      return;
+      throw new Error('OpenAI service not initialized');
     }
 
+    let targetId = runId || this.activeRuns.get(threadId);
+    if (!targetId) {
+      const runs = await this.client.beta.threads.runs.list(threadId, { limit: 1 });
+      const latest = runs.data[0];
+      if (latest && [...PENDING_RUN_STATUSES, 'requires_action'].includes(latest.status)) {
+        targetId = latest.id;
+      }
+    }
+    if (!targetId) {
+      return null;
+    }
+
+    const run = await this.client.beta.threads.runs.cancel(targetId, { thread_id: threadId });
+    logger.logSync('openai_run_cancelled', { threadId, runId: targetId, status: run.status });
+    return run;
+  }
+
+  /**
+   * Run the assistant on a thread and stream its answer: `onRun` receives the
+   * run id once created, `onDelta` each text fragment as it arrives. Tool
+   * calls are answered through the registered tools. The answer is stored once
+   * the run ends, or with whatever arrived so far when `signal` aborts (the run
+   * is then cancelled). Resolves to { runId, messageId, content, status }
+   * where status is completed, aborted or the run's failure status.
+   */
+  async streamAssistantResponse(threadId, { assistantId = null, projectIds = null, signal = null, onRun = () => {}, onDelta = () => {} } = {}) {
+    if (!this.initialized) {
+      throw new Error('OpenAI service not initialized');
+    }
+
+    const result = { runId: null, messageId: null, content: '', status: 'in_progress' };
+    const startedAt = Date.now();
+    let createdAt = null;
+    let lastRun = null;
+
+    // The streamed run is recorded once it ends, however it ends
+    const recordRun = (status, error = null) => usage.record({
+      endpoint: 'assistants.runs.stream',
+      model: lastRun?.model || null,
+      threadId,
+      usage: lastRun?.usage || null,
+      request: { assistant_id: lastRun?.assistant_id || assistantId },
+      response: { id: result.runId, status: result.status, error },
+      status,
+      durationMs: Date.now() - startedAt
+    });
+
     try {
-      // Get conversations from database that need OpenAI thread
-      const conversations = await database.query(`
-        SELECT * FROM conversations 
-        WHERE openai_thread_id IS NULL 
-        LIMIT 10
-      `);
+      let stream = await this.client.beta.threads.runs.create(
+        threadId,
+        { ...await this.runParams(threadId, assistantId), stream: true },
+        { signal }
+      );
 
-      logger.info(`🔄 Syncing ${conversations.length} conversations with OpenAI...`);
+      // A requires_action run ends its stream; tool outputs continue it in a new one
+      while (stream) {
+        let pendingAction = null;
 
-      for (const conv of conversations) {
-        try {
-          // Create thread for existing conversation
-          const thread = await this.client.beta.threads.create();
-          
-          // Update conversation with thread ID
-          await database.query(`
-            UPDATE conversations 
-            SET openai_thread_id = ? 
-            WHERE conversation_id = ?
-          `, [thread.id, conv.conversation_id]);
-
-          // Get messages for this conversation
-          const messages = await database.query(`
-            SELECT * FROM messages 
-            WHERE conversation_id = ? 
-            ORDER BY create_time ASC
-          `, [conv.conversation_id]);
-
-          // Add messages to OpenAI thread
-          for (const msg of messages) {
-            if (msg.role === 'user' || msg.role === 'assistant') {
-              try {
-                const content = msg.parts ? JSON.parse(msg.parts) : msg.content;
-                const textContent = Array.isArray(content) ? content.join(' ') : content;
-                
-                await this.client.beta.threads.messages.create(
-                  thread.id,
-                  {
-                    role: msg.role,
-                    content: textContent || 'Empty message'
-                  }
-                );
-              } catch (msgError) {
-                logger.warn(`Failed to sync message ${msg.id}:`, msgError.message);
+        for await (const event of stream) {
+          const { data } = event;
+          if (event.event.startsWith('thread.run.')) {
+            lastRun = data;
+          }
+
+          if (event.event === 'thread.run.created') {
+            result.runId = data.id;
+            this.activeRuns.set(threadId, data.id);
+            onRun(data.id);
+          } else if (event.event === 'thread.run.requires_action') {
+            pendingAction = data;
+          } else if (event.event === 'thread.message.created') {
+            result.messageId = data.id;
+            createdAt = data.created_at;
+          } else if (event.event === 'thread.message.delta') {
+            result.messageId = data.id;
+            for (const part of data.delta.content || []) {
+              if (part.type === 'text' && part.text?.value) {
+                result.content += part.text.value;
+                onDelta(part.text.value);
               }
             }
+          } else if (event.event === 'thread.message.completed') {
+            result.content = messageText(data) || result.content;
+          } else if (event.event === 'thread.run.completed') {
+            result.status = 'completed';
+          } else if (RUN_END_EVENTS.includes(event.event)) {
+            result.status = data.status;
+            result.error = data.last_error?.message || null;
+          } else if (event.event === 'error') {
+            throw new Error(data.message || 'OpenAI stream error');
           }
+        }
 
-          logger.logSync('conversation_synced_to_openai', {
-            conversationId: conv.conversation_id,
-            threadId: thread.id,
-            messagesCount: messages.length
+        stream = pendingAction
+          ? await this.client.beta.threads.runs.submitToolOutputs(
+            pendingAction.id,
+            {
+              thread_id: threadId,
+              tool_outputs: await this.runToolCalls(threadId, pendingAction, projectIds),
+              stream: true
+            },
+            { signal }
+          )
+          : null;
+      }
+    } catch (error) {
+      if (!signal?.aborted) {
+        logger.error('Error streaming assistant response:', error);
+        await recordRun('failed', error.message);
+        throw error;
+      }
+    } finally {
+      if (result.runId && this.activeRuns.get(threadId) === result.runId) {
+        this.activeRuns.delete(threadId);
+      }
+    }
+
+    if (signal?.aborted) {
+      result.status = 'aborted';
+      if (result.runId) {
+        await this.client.beta.threads.runs.cancel(result.runId, { thread_id: threadId })
+          .catch(error => logger.warn('Failed to cancel aborted run:', error.message));
+      }
+    }
+
+    if (result.messageId && result.content) {
+      await this.saveThreadMessage(threadId, {
+        id: result.messageId,
+        role: 'assistant',
+        created_at: createdAt,
+        run_id: result.runId,
+        content: [{ type: 'text', text: { value: result.content } }]
+      }, result.status === 'completed' ? 'finished_successfully' : 'finished_partial_completion');
+    }
+
+    await recordRun(
+      result.status === 'completed' ? 'succeeded' : result.status === 'aborted' ? 'cancelled' : 'failed',
+      result.error || null
+    );
+
+    logger.logSync('openai_response_streamed', {
+      threadId,
+      runId: result.runId,
+      messageId: result.messageId,
+      status: result.status,
+      length: result.content.length
+    });
+
+    return result;
+  }
+
+  /**
+   * Chat completion with the registered tools: tool calls are executed and
+   * their outputs sent back until the model answers (at most
+   * tools.maxRounds round trips; the last request offers no tools). Tools
+   * only read the projects in `projectIds` unless it is null.
+   * Resolves to { message, finishReason, usage, toolCalls } where usage is
+   * summed over all requests and toolCalls lists { id, name, arguments }.
+   */
+  async completeChat({ model, messages, useTools = true, projectId = null, projectIds = null }) {
+    if (!this.initialized) {
+      throw new Error('OpenAI service not initialized');
+    }
+
+    const conversation = [...messages];
+    const tools = useTools ? await this.projectToolDefinitions(projectId) : [];
+    const toolCalls = [];
+    let usage = null;
+
+    for (let round = 0; ; round++) {
+      const params = { model, messages: conversation };
+      if (tools.length > 0 && round < config.openai.tools.maxRounds) {
+        params.tools = tools;
+      }
+
+      const completion = await this.track(
+        'chat.completions',
+        { model, projectId, request: { messages: conversation.length, tools: params.tools ? params.tools.length : 0 } },
+        () => this.client.chat.completions.create(params)
+      );
+      const choice = completion.choices[0];
+      usage = addUsage(usage, completion.usage);
+
+      if (!params.tools || !choice.message.tool_calls?.length) {
+        return { message: choice.message, finishReason: choice.finish_reason, usage, toolCalls };
+      }
+
+      conversation.push(choice.message);
+      for (const call of choice.message.tool_calls) {
+        toolCalls.push({ id: call.id, name: call.function.name, arguments: call.function.arguments });
+        conversation.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: await this.executeTool(call.function.name, call.function.arguments, { source: 'chat_completion', model, projectIds })
+        });
+      }
+    }
+  }
+
+  /**
+   * Streamed chat completion: `onDelta` receives each content fragment and
+   * `onToolCall` each tool call before it runs (tool rounds work as in
+   * completeChat). Resolves to { content, finishReason, usage, toolCalls,
+   * status } with status completed or aborted; an abort keeps the content
+   * received so far.
+   */
+  async streamChatCompletion({ model, messages, useTools = true, projectId = null, projectIds = null, signal = null, onDelta = () => {}, onToolCall = () => {} }) {
+    if (!this.initialized) {
+      throw new Error('OpenAI service not initialized');
+    }
+
+    const result = { content: '', finishReason: null, usage: null, toolCalls: [], status: 'completed' };
+    const conversation = [...messages];
+    const tools = useTools ? await this.projectToolDefinitions(projectId) : [];
+
+    try {
+      for (let round = 0; ; round++) {
+        const params = { model, messages: conversation, stream: true, stream_options: { include_usage: true } };
+        if (tools.length > 0 && round < config.openai.tools.maxRounds) {
+          params.tools = tools;
+        }
+
+        // Tool call fragments arrive by index: id and name first, arguments in pieces
+        const pending = [];
+        let content = '';
+        // This request as recorded in api_calls once its stream ends
+        const call = { id: null, model, usage: null, status: 'failed', startedAt: Date.now() };
+
+        try {
+          const stream = await this.client.chat.completions.create(params, { signal });
+
+          for await (const chunk of stream) {
+            const choice = chunk.choices?.[0];
+            call.id = chunk.id || call.id;
+            call.model = chunk.model || call.model;
+            if (choice?.delta?.content) {
+              content += choice.delta.content;
+              result.content += choice.delta.content;
+              onDelta(choice.delta.content);
+            }
+            for (const fragment of choice?.delta?.tool_calls || []) {
+              const toolCall = pending[fragment.index] || (pending[fragment.index] = { id: null, name: '', arguments: '' });
+              if (fragment.id) toolCall.id = fragment.id;
+              if (fragment.function?.name) toolCall.name += fragment.function.name;
+              if (fragment.function?.arguments) toolCall.arguments += fragment.function.arguments;
+            }
+            if (choice?.finish_reason) {
+              result.finishReason = choice.finish_reason;
+            }
+            if (chunk.usage) {
+              call.usage = chunk.usage;
+              result.usage = addUsage(result.usage, chunk.usage);
+            }
+          }
+          call.status = 'succeeded';
+        } finally {
+          await usage.record({
+            endpoint: 'chat.completions.stream',
+            model: call.model,
+            projectId,
+            usage: call.usage,
+            request: { messages: conversation.length, tools: params.tools ? params.tools.length : 0 },
+            response: { id: call.id, finish_reason: result.finishReason },
+            status: signal?.aborted ? 'cancelled' : call.status,
+            durationMs: Date.now() - call.startedAt
           });
+        }
+
+        const calls = pending.filter(Boolean);
+        if (!params.tools || calls.length === 0) {
+          break;
+        }
 
-        } catch (convError) {
-          logger.error(`Failed to sync conversation ${conv.conversation_id}:`, convError);
+        conversation.push({
+          role: 'assistant',
+          content: content || null,
+          tool_calls: calls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.arguments } }))
+        });
+        for (const call of calls) {
+          result.toolCalls.push(call);
+          onToolCall(call);
+          conversation.push({
+            role: 'tool',
+            tool_call_id: call.id,
+            content: await this.executeTool(call.name, call.arguments, { source: 'chat_completion', model, projectIds })
+          });
         }
       }
+    } catch (error) {
+      if (!signal?.aborted) {
+        logger.error('Error streaming chat completion:', error);
+        throw error;
+      }
+    }
+
+    if (signal?.aborted) {
+      result.status = 'aborted';
+    }
 
-      logger.info('✅ OpenAI sync completed');
+    return result;
+  }
 
-    } catch (error) {
-      logger.error('Error syncing conversations with OpenAI:', error);
+  // Store a message that already exists in the OpenAI thread
+  async saveThreadMessage(threadId, message, status = 'finished_successfully') {
+    await repository.upsertMessage(normalizeMessage({
+      id: message.id,
+      conversation_id: threadId,
+      role: message.role,
+      content: messageText(message),
+      create_time: message.created_at || Math.floor(Date.now() / 1000),
+      author_name: message.role === 'user' ? 'User' : 'Assistant',
+      status,
+      metadata: message.run_id ? { run_id: message.run_id } : null
+    }));
+  }
+
+  /**
+   * Assistant for a project, or for the project of the conversation stored
+   * with `threadId`. Resolves to { assistantId, settings }; settings is null
+   * when the project has none and the default assistant is used.
+   */
+  async resolveAssistant({ projectId = null, threadId = null } = {}) {
+    if (!projectId && threadId) {
+      const conversation = await repository.findConversationByThreadId(threadId);
+      projectId = conversation ? conversation.project_id : null;
+    }
+
+    const settings = projectId ? await projectAssistants.get(projectId) : null;
+    if (!settings) {
+      return { assistantId: await this.getDefaultAssistant(), settings: null };
+    }
+
+    return { assistantId: await this.syncProjectAssistant(settings), settings };
+  }
+
+  // Create or update the OpenAI assistant behind project settings when they changed
+  async syncProjectAssistant(settings) {
+    if (!projectAssistants.needsSync(settings)) {
+      return settings.openaiAssistantId;
+    }
+
+    const body = {
+      name: settings.name,
+      model: settings.model,
+      instructions: settings.instructions,
+      temperature: settings.temperature,
+      tools: this.toolDefinitions(settings.tools),
+      metadata: { project_id: String(settings.projectId) }
+    };
+
+    let assistant = null;
+    if (settings.openaiAssistantId) {
+      try {
+        assistant = await this.track('assistants.update', { projectId: settings.projectId }, () => (
+          this.client.beta.assistants.update(settings.openaiAssistantId, body)
+        ));
+      } catch (error) {
+        // Deleted on the OpenAI side: build a new one below
+        if (error.status !== 404) throw error;
+      }
+    }
+    if (!assistant) {
+      assistant = await this.track('assistants.create', { projectId: settings.projectId }, () => (
+        this.client.beta.assistants.create(body)
+      ));
+    }
+
+    await projectAssistants.markSynced(settings.projectId, assistant.id, settings.updatedAt);
+    logger.logSync('project_assistant_synced', {
+      projectId: settings.projectId,
+      assistantId: assistant.id,
+      model: settings.model
+    });
+
+    return assistant.id;
+  }
+
+  /**
+   * Assistant for conversations without project settings: OPENAI_ASSISTANT_ID,
+   * else the assistant this service created earlier (tagged in metadata),
+   * else a new one.
+   */
+  async getDefaultAssistant() {
+    if (config.openai.assistantId) {
+      return config.openai.assistantId;
     }
+    if (this.defaultAssistantId) {
+      return this.defaultAssistantId;
+    }
+
+    for await (const assistant of this.client.beta.assistants.list({ limit: 100 })) {
+      if (assistant.metadata?.chatbeto_default === 'true') {
+        this.defaultAssistantId = assistant.id;
+        return assistant.id;
+      }
+    }
+
+    const assistant = await this.track('assistants.create', {}, () => this.client.beta.assistants.create({
+      name: 'ChatBETO Assistant',
+      instructions: 'You are a helpful assistant for the ChatBETO project.',
+      model: config.openai.defaultModel,
+      metadata: { chatbeto_default: 'true' }
+    }));
+
+    this.defaultAssistantId = assistant.id;
+    return assistant.id;
+  }
+
+  // Delete project settings and, best effort, the OpenAI assistant built from them
+  async removeProjectAssistant(projectId) {
+    const settings = await projectAssistants.remove(projectId);
+
+    if (settings.openaiAssistantId && this.initialized) {
+      try {
+        await this.client.beta.assistants.delete(settings.openaiAssistantId);
+      } catch (error) {
+        logger.warn(`Could not delete OpenAI assistant ${settings.openaiAssistantId}:`, error.message);
+      }
+    }
+
+    return settings;
+  }
+
+  // Bare thread for an existing conversation (used by sync jobs)
+  async createThread(metadata = {}) {
+    if (!this.initialized) {
+      throw new Error('OpenAI service not initialized');
+    }
+
+    return await this.track('threads.create', {}, () => this.client.beta.threads.create({ metadata }));
+  }
+
+  // Copy a stored message into a thread without persisting it again
+  async appendThreadMessage(threadId, role, content, metadata = null) {
+    if (!this.initialized) {
+      throw new Error('OpenAI service not initialized');
+    }
+
+    return await this.track('threads.messages.create', { threadId }, () => (
+      this.client.beta.threads.messages.create(threadId, metadata ? { role, content, metadata } : { role, content })
+    ));
+  }
+
+  // Newest message of a thread, or null for an empty thread
+  async lastThreadMessage(threadId) {
+    if (!this.initialized) {
+      throw new Error('OpenAI service not initialized');
+    }
+
+    const page = await this.track('threads.messages.list', { threadId }, () => (
+      this.client.beta.threads.messages.list(threadId, { limit: 1, order: 'desc' })
+    ));
+    return page.data[0] || null;
   }
 
   async healthCheck() {
@@ -0,0 +1,142 @@
+const database = require('./database');
+const logger = require('./logger');
+
+// Settings columns callers may write; tools is stored as JSON
+const FIELDS = {
+  name: 'name',
+  model: 'model',
+  instructions: 'instructions',
+  temperature: 'temperature',
+  tools: 'tools'
+};
+
+const parseJSON = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const assistantError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Assistant settings per project (model, instructions, temperature, tools).
+ *
+ * Rows only describe the assistant; OpenAIService builds the matching OpenAI
+ * assistant on first use and rebuilds it whenever updated_at moves past
+ * synced_at. `tools` lists the registered tool names the assistant may call,
+ * or null for all of them.
+ */
+class ProjectAssistantService {
+  async list() {
+    const rows = await database.query('SELECT * FROM project_assistants ORDER BY project_id ASC');
+    return rows.map(row => this.format(row));
+  }
+
+  async get(projectId) {
+    const rows = await database.query('SELECT * FROM project_assistants WHERE project_id = ?', [projectId]);
+    return rows[0] ? this.format(rows[0]) : null;
+  }
+
+  async create(projectId, settings) {
+    if (await this.get(projectId)) {
+      throw assistantError(`Project ${projectId} already has an assistant`, 'ASSISTANT_EXISTS');
+    }
+
+    await database.query(`
+      INSERT INTO project_assistants (project_id, name, model, instructions, temperature, tools)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      projectId,
+      settings.name,
+      settings.model,
+      settings.instructions ?? null,
+      settings.temperature ?? null,
+      settings.tools ? JSON.stringify(settings.tools) : null
+    ]);
+
+    logger.logDatabase('project_assistant_created', { projectId, model: settings.model });
+    return await this.get(projectId);
+  }
+
+  // Partial update; only the given settings change
+  async update(projectId, changes) {
+    if (!await this.get(projectId)) {
+      throw assistantError(`Project ${projectId} has no assistant`, 'ASSISTANT_NOT_FOUND');
+    }
+
+    const assignments = [];
+    const params = [];
+
+    for (const [key, column] of Object.entries(FIELDS)) {
+      if (changes[key] === undefined) continue;
+      assignments.push(`${column} = ?`);
+      params.push(key === 'tools' && changes.tools ? JSON.stringify(changes.tools) : changes[key]);
+    }
+
+    if (assignments.length > 0) {
+      await database.query(
+        `UPDATE project_assistants SET ${assignments.join(', ')} WHERE project_id = ?`,
+        [...params, projectId]
+      );
+      logger.logDatabase('project_assistant_updated', { projectId, fields: Object.keys(changes) });
+    }
+
+    return await this.get(projectId);
+  }
+
+  // Resolves to the removed settings
+  async remove(projectId) {
+    const existing = await this.get(projectId);
+    if (!existing) {
+      throw assistantError(`Project ${projectId} has no assistant`, 'ASSISTANT_NOT_FOUND');
+    }
+
+    await database.query('DELETE FROM project_assistants WHERE project_id = ?', [projectId]);
+    logger.logDatabase('project_assistant_deleted', { projectId });
+    return existing;
+  }
+
+  /**
+   * Record the OpenAI assistant built from the settings as of `updatedAt`.
+   * updated_at is assigned explicitly so this write does not bump it.
+   */
+  async markSynced(projectId, openaiAssistantId, updatedAt) {
+    await database.query(`
+      UPDATE project_assistants
+      SET openai_assistant_id = ?, synced_at = ?, updated_at = updated_at
+      WHERE project_id = ?
+    `, [openaiAssistantId, updatedAt, projectId]);
+  }
+
+  // Whether the OpenAI assistant is missing or older than the settings
+  needsSync(settings) {
+    return !settings.openaiAssistantId ||
+      !settings.syncedAt ||
+      new Date(settings.updatedAt).getTime() > new Date(settings.syncedAt).getTime();
+  }
+
+  format(row) {
+    return {
+      projectId: row.project_id,
+      name: row.name,
+      model: row.model,
+      instructions: row.instructions,
+      temperature: row.temperature === null ? null : Number(row.temperature),
+      tools: parseJSON(row.tools, null),
+      openaiAssistantId: row.openai_assistant_id,
+      syncedAt: row.synced_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new ProjectAssistantService();
@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const database = require('./database');
+const logger = require('./logger');
+const { projectScope } = require('../utils/project-scope');
+
+// mysql2 rejects undefined bind parameters
+const nullable = (value) => (value === undefined ? null : value);
+
+const flagValue = (value) => (value === undefined || value === null ? null : (value ? 1 : 0));
+
+// Sort key for messages: ChatGPT millisecond timestamps, falling back to created_at
+const MESSAGE_SORT_KEY = 'COALESCE(created_at_ms, UNIX_TIMESTAMP(created_at) * 1000, 0)';
+
+// Shared WHERE clause for listing and counting conversations
+// `projectIds` limits results to the projects a user was granted (null for all)
+const conversationFilters = ({ projectId = null, projectIds = null, archived = null, starred = null, model = null, from = null, to = null } = {}) => {
+  const where = ['c.deleted_at IS NULL'];
+  const params = [];
+
+  if (projectId) {
+    where.push('c.project_id = ?');
+    params.push(projectId);
+  }
+
+  const scope = projectScope('c.project_id', projectIds);
+  if (scope) {
+    where.push(scope.sql);
+    params.push(...scope.params);
+  }
+
+  if (archived !== null && archived !== undefined) {
+    where.push('c.is_archived = ?');
+    params.push(archived ? 1 : 0);
+  }
+
+  if (starred !== null && starred !== undefined) {
+    where.push('c.is_starred = ?');
+    params.push(starred ? 1 : 0);
+  }
+
+  if (model) {
+    where.push('c.default_model_slug = ?');
+    params.push(model);
+  }
+
+  if (from) {
+    where.push('c.created_at >= ?');
+    params.push(new Date(from));
+  }
+
+  if (to) {
+    where.push('c.created_at <= ?');
+    params.push(new Date(to));
+  }
+
+  return { where, params };
+};
+
+// Single data-access layer for projects, conversations and messages on the v2 schema.
+// Every method takes an optional connection so it can run inside database.transaction.
+class ChatBETORepository {
+
+  // Projects
+
+  async findProjectById(projectId, connection = null) {
+    const rows = await database.query('SELECT * FROM projects WHERE id = ?', [projectId], connection);
+    return rows[0] || null;
+  }
+
+  async findProject({ chatgptProjectId = null, name = null }, connection = null) {
+    if (chatgptProjectId) {
+      const rows = await database.query(
+        'SELECT * FROM projects WHERE chatgpt_project_id = ? LIMIT 1',
+        [chatgptProjectId],
+        connection
+      );
+      if (rows[0]) return rows[0];
+    }
+
+    if (name) {
+      const rows = await database.query('SELECT * FROM projects WHERE name = ? LIMIT 1', [name], connection);
+      if (rows[0]) return rows[0];
+    }
+
+    return null;
+  }
+
+  // Returns the internal (integer) project id
+  async upsertProject(project, connection = null) {
+    const existing = await this.findProject({
+      chatgptProjectId: project.chatgpt_project_id,
+      name: project.name
+    }, connection);
+
+    if (existing) {
+      await database.query(`
+        UPDATE projects
+        SET description = COALESCE(?, description),
+            chatgpt_project_id = COALESCE(?, chatgpt_project_id)
+        WHERE id = ?
+      `, [nullable(project.description), nullable(project.chatgpt_project_id), existing.id], connection);
+
+      return { id: existing.id, created: false };
+    }
+
+    const result = await database.query(`
+      INSERT INTO projects (name, description, is_starred, chatgpt_project_id)
+      VALUES (?, ?, ?, ?)
+    `, [
+      project.name,
+      project.description || '',
+      project.is_starred ? 1 : 0,
+      nullable(project.chatgpt_project_id)
+    ], connection);
+
+    logger.logDatabase('project_created', { projectId: result.insertId, projectName: project.name });
+
+    return { id: result.insertId, created: true };
+  }
+
+  // Keyset page of projects by id; `after` is the last id of the previous page
+  async listProjects({ limit = 50, after = null, projectIds = null } = {}, connection = null) {
+    const where = [];
+    const params = [];
+
+    if (after) {
+      where.push('p.id > ?');
+      params.push(after);
+    }
+
+    const scope = projectScope('p.id', projectIds);
+    if (scope) {
+      where.push(scope.sql);
+      params.push(...scope.params);
+    }
+
+    return await database.query(`
+      SELECT p.*,
+        (SELECT COUNT(*) FROM conversations c WHERE c.project_id = p.id AND c.deleted_at IS NULL) AS conversation_count
+      FROM projects p
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY p.id ASC
+      LIMIT ?
+    `, [...params, limit], connection);
+  }
+
+  async countProjects({ projectIds = null } = {}, connection = null) {
+    const scope = projectScope('p.id', projectIds);
+    const rows = await database.query(
+      `SELECT COUNT(*) AS total FROM projects p${scope ? ` WHERE ${scope.sql}` : ''}`,
+      scope ? scope.params : [],
+      connection
+    );
+    return Number(rows[0].total);
+  }
+
+  // Conversations
+
+  // Accepts either the uuid primary key or the external ChatGPT/OpenAI conversation id
+  async findConversation(ref, connection = null) {
+    const rows = await database.query(
+      'SELECT * FROM conversations WHERE id = ? OR conversation_id = ? LIMIT 1',
+      [ref, ref],
+      connection
+    );
+    return rows[0] || null;
+  }
+
+  async findConversationByThreadId(threadId, connection = null) {
+    const rows = await database.query(
+      'SELECT * FROM conversations WHERE openai_thread_id = ? LIMIT 1',
+      [threadId],
+      connection
+    );
+    return rows[0] || null;
+  }
+
+  // `data` is the output of normalizeConversation plus an optional project_id / id
+  async upsertConversation(data, connection = null) {
+    const existingRows = await database.query(
+      'SELECT id FROM conversations WHERE conversation_id = ? LIMIT 1',
+      [data.conversation_id],
+      connection
+    );
+
+    if (existingRows[0]) {
+      const id = existingRows[0].id;
+      const result = await database.query(`
+        UPDATE conversations
+        SET title = COALESCE(?, title),
+            default_model_slug = COALESCE(?, default_model_slug),
+            project_id = COALESCE(?, project_id),
+            openai_thread_id = COALESCE(?, openai_thread_id),
+            current_node_id = COALESCE(?, current_node_id),
+            is_archived = COALESCE(?, is_archived),
+            is_starred = COALESCE(?, is_starred),
+            updated_at = COALESCE(FROM_UNIXTIME(? / 1000), NOW(3))
+        WHERE id = ?
+      `, [
+        nullable(data.title),
+        nullable(data.default_model_slug),
+        nullable(data.project_id),
+        nullable(data.openai_thread_id),
+        nullable(data.current_node_id),
+        flagValue(data.is_archived),
+        flagValue(data.is_starred),
+        nullable(data.updated_at_ms),
+        id
+      ], connection);
+
+      return { id, conversationId: data.conversation_id, created: false, affectedRows: result.affectedRows };
+    }
+
+    const id = data.id || crypto.randomUUID();
+    const result = await database.query(`
+      INSERT INTO conversations (
+        id, conversation_id, project_id, title, default_model_slug, openai_thread_id, current_node_id,
+        created_at, created_at_ms, updated_at, is_archived, is_starred
+      ) VALUES (
+        ?, ?, ?, ?, ?, ?, ?,
+        COALESCE(FROM_UNIXTIME(? / 1000), NOW(3)), ?, COALESCE(FROM_UNIXTIME(? / 1000), NOW(3)), ?, ?
+      )
+    `, [
+      id,
+      data.conversation_id,
+      nullable(data.project_id),
+      data.title || 'Untitled',
+      nullable(data.default_model_slug),
+      nullable(data.openai_thread_id),
+      nullable(data.current_node_id),
+      nullable(data.created_at_ms),
+      nullable(data.created_at_ms),
+      nullable(data.updated_at_ms),
+      flagValue(data.is_archived) || 0,
+      flagValue(data.is_starred) || 0
+    ], connection);
+
+    return { id, conversationId: data.conversation_id, created: true, affectedRows: result.affectedRows };
+  }
+
+  // Keyset page ordered by most recently updated; `after` is { updatedAt, id } of the previous page's last row
+  async listConversations(filters = {}, { limit = 50, after = null } = {}, connection = null) {
+    const { where, params } = conversationFilters(filters);
+
+    if (after) {
+      where.push('(c.updated_at < ? OR (c.updated_at = ? AND c.id < ?))');
+      params.push(new Date(after.updatedAt), new Date(after.updatedAt), after.id);
+    }
+
+    return await database.query(`
+      SELECT c.*,
+        (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = c.id AND m.deleted_at IS NULL) AS message_count
+      FROM conversations c
+      WHERE ${where.join(' AND ')}
+      ORDER BY c.updated_at DESC, c.id DESC
+      LIMIT ?
+    `, [...params, limit], connection);
+  }
+
+  async countConversations(filters = {}, connection = null) {
+    const { where, params } = conversationFilters(filters);
+    const rows = await database.query(
+      `SELECT COUNT(*) AS total FROM conversations c WHERE ${where.join(' AND ')}`,
+      params,
+      connection
+    );
+    return Number(rows[0].total);
+  }
+
+  async updateConversationTitle(ref, title, connection = null) {
+    return await database.query(
+      'UPDATE conversations SET title = ? WHERE id = ? OR conversation_id = ?',
+      [title, ref, ref],
+      connection
+    );
+  }
+
+  async setOpenAIThreadId(conversationUuid, threadId, connection = null) {
+    return await database.query(
+      'UPDATE conversations SET openai_thread_id = ? WHERE id = ?',
+      [threadId, conversationUuid],
+      connection
+    );
+  }
+
+  // Keyset page of conversations still lacking an OpenAI thread, oldest first;
+  // `after` is { createdAt, id } of the last conversation already handled
+  async listConversationsWithoutThread(limit, { after = null } = {}, connection = null) {
+    const params = [];
+    let keyset = '';
+
+    if (after) {
+      keyset = 'AND (created_at > ? OR (created_at = ? AND id > ?))';
+      params.push(new Date(after.createdAt), new Date(after.createdAt), after.id);
+    }
+
+    return await database.query(`
+      SELECT * FROM conversations
+      WHERE openai_thread_id IS NULL AND deleted_at IS NULL
+      ${keyset}
+      ORDER BY created_at ASC, id ASC
+      LIMIT ?
+    `, [...params, limit], connection);
+  }
+
+  async countConversationsWithoutThread(connection = null) {
+    const rows = await database.query(
+      'SELECT COUNT(*) AS total FROM conversations WHERE openai_thread_id IS NULL AND deleted_at IS NULL',
+      [],
+      connection
+    );
+    return Number(rows[0].total);
+  }
+
+  // Soft delete: the row stays, reads filter on deleted_at
+  async softDeleteConversation(ref, connection = null) {
+    return await database.query(`
+      UPDATE conversations
+      SET deleted_at = NOW(3)
+      WHERE (id = ? OR conversation_id = ?) AND deleted_at IS NULL
+    `, [ref, ref], connection);
+  }
+
+  async setConversationFlags(ref, flags, connection = null) {
+    const columns = Object.keys(flags).filter(column => ['is_archived', 'is_starred'].includes(column));
+    if (columns.length === 0) {
+      throw new Error('No conversation flags to update');
+    }
+
+    return await database.query(`
+      UPDATE conversations
+      SET ${columns.map(column => `${column} = ?`).join(', ')}
+      WHERE (id = ? OR conversation_id = ?) AND deleted_at IS NULL
+    `, [...columns.map(column => flags[column] ? 1 : 0), ref, ref], connection);
+  }
+
+  // Messages
+
+  // `data` is the output of normalizeMessage; conversation_ref may be a uuid or external id
+  async upsertMessage(data, connection = null) {
+    const conversation = await this.findConversation(data.conversation_ref, connection);
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${data.conversation_ref}`);
+    }
+
+    const result = await database.query(`
+      INSERT INTO messages (
+        id, conversation_id, parent_message_id, role, author_name, content,
+        content_type, created_at, created_at_ms, status, metadata
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, FROM_UNIXTIME(? / 1000), ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        parent_message_id = VALUES(parent_message_id),
+        role = VALUES(role),
+        author_name = VALUES(author_name),
+        content = VALUES(content),
+        content_type = VALUES(content_type),
+        created_at = COALESCE(VALUES(created_at), created_at),
+        created_at_ms = COALESCE(VALUES(created_at_ms), created_at_ms),
+        status = VALUES(status),
+        metadata = VALUES(metadata)
+    `, [
+      data.id,
+      conversation.id,
+      nullable(data.parent_message_id),
+      data.role,
+      nullable(data.author_name),
+      nullable(data.content),
+      data.content_type || 'text',
+      nullable(data.created_at_ms),
+      nullable(data.created_at_ms),
+      data.status || 'finished_successfully',
+      nullable(data.metadata)
+    ], connection);
+
+    return { id: data.id, conversationId: conversation.id, affectedRows: result.affectedRows, insertId: result.insertId };
+  }
+
+  async getMessages(conversationUuid, { limit = 1000, offset = 0 } = {}, connection = null) {
+    return await database.query(`
+      SELECT * FROM messages
+      WHERE conversation_id = ? AND deleted_at IS NULL
+      ORDER BY ${MESSAGE_SORT_KEY} ASC, id ASC
+      LIMIT ? OFFSET ?
+    `, [conversationUuid, limit, offset], connection);
+  }
+
+  // Keyset page in conversation order; `after` is { sortKey, id } of the previous page's last row
+  async listMessages(conversationUuid, { limit = 50, after = null } = {}, connection = null) {
+    const params = [conversationUuid];
+    let keyset = '';
+
+    if (after) {
+      keyset = `AND (${MESSAGE_SORT_KEY} > ? OR (${MESSAGE_SORT_KEY} = ? AND id > ?))`;
+      params.push(after.sortKey, after.sortKey, after.id);
+    }
+
+    return await database.query(`
+      SELECT *, ${MESSAGE_SORT_KEY} AS sort_key
+      FROM messages
+      WHERE conversation_id = ? AND deleted_at IS NULL
+      ${keyset}
+      ORDER BY sort_key ASC, id ASC
+      LIMIT ?
+    `, [...params, limit], connection);
+  }
+
+  async countMessages(conversationUuid, connection = null) {
+    const rows = await database.query(
+      'SELECT COUNT(*) AS total FROM messages WHERE conversation_id = ? AND deleted_at IS NULL',
+      [conversationUuid],
+      connection
+    );
+    return Number(rows[0].total);
+  }
+
+  // Every message of a conversation in conversation order, including soft-deleted
+  // ones (flagged by deleted_at) so tree reconstruction can bridge over them
+  async getMessageGraph(conversationUuid, connection = null) {
+    return await database.query(`
+      SELECT *, ${MESSAGE_SORT_KEY} AS sort_key
+      FROM messages
+      WHERE conversation_id = ?
+      ORDER BY sort_key ASC, id ASC
+    `, [conversationUuid], connection);
+  }
+
+  async softDeleteMessage(messageId, connection = null) {
+    return await database.query(`
+      UPDATE messages
+      SET deleted_at = NOW(3)
+      WHERE id = ? AND deleted_at IS NULL
+    `, [messageId], connection);
+  }
+}
+
+module.exports = new ChatBETORepository();
@@ -0,0 +1,204 @@
+const os = require('os');
+const config = require('../../config/config');
+const database = require('./database');
+const logger = require('./logger');
+const { parseCron, nextRun } = require('../utils/cron');
+
+// setTimeout cannot wait longer than this; longer waits are re-armed
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Schedule values that register a job without running it
+const DISABLED_SCHEDULES = ['', 'off', 'false', 'disabled'];
+
+/**
+ * In-process cron scheduler for the listener's periodic work.
+ *
+ * Jobs are registered by name with a cron expression. A job with `lock: true`
+ * runs under a MySQL advisory lock so only one replica executes each tick;
+ * the others record the tick as `skipped`. Per-process checks (health, memory)
+ * register with `lock: false`. Run history is kept in memory per process.
+ */
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  register({ name, schedule, description = '', lock = true, enabled = true, handler }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Scheduled job already registered: ${name}`);
+    }
+
+    const disabled = !enabled || DISABLED_SCHEDULES.includes(String(schedule || '').trim().toLowerCase());
+
+    const job = {
+      name,
+      description,
+      schedule: disabled ? null : parseCron(schedule),
+      lock,
+      enabled: !disabled,
+      handler,
+      timer: null,
+      running: null,
+      nextRunAt: null,
+      lastRun: null,
+      runs: 0,
+      failures: 0
+    };
+
+    this.jobs.set(name, job);
+    if (this.started) {
+      this.arm(job);
+    }
+    return job;
+  }
+
+  start() {
+    if (this.started) {
+      return;
+    }
+
+    this.started = true;
+    for (const job of this.jobs.values()) {
+      this.arm(job);
+    }
+    logger.info(`⏰ Scheduler started with ${this.jobs.size} jobs`);
+  }
+
+  // Clears timers and waits for runs in progress
+  async stop() {
+    if (!this.started) {
+      return;
+    }
+
+    this.started = false;
+    for (const job of this.jobs.values()) {
+      clearTimeout(job.timer);
+      job.timer = null;
+      job.nextRunAt = null;
+    }
+
+    await Promise.all([...this.jobs.values()].map(job => job.running).filter(Boolean));
+    logger.info('⏰ Scheduler stopped');
+  }
+
+  arm(job) {
+    if (!job.enabled || !this.started) {
+      return;
+    }
+
+    job.nextRunAt = nextRun(job.schedule);
+    if (!job.nextRunAt) {
+      logger.warn(`Scheduled job ${job.name} never fires: ${job.schedule.expression}`);
+      return;
+    }
+
+    const wait = () => {
+      const delay = job.nextRunAt.getTime() - Date.now();
+      if (delay > MAX_TIMER_DELAY) {
+        job.timer = setTimeout(wait, MAX_TIMER_DELAY);
+      } else {
+        job.timer = setTimeout(() => this.tick(job), Math.max(delay, 0));
+      }
+      job.timer.unref();
+    };
+    wait();
+  }
+
+  async tick(job) {
+    try {
+      await this.run(job.name);
+    } finally {
+      this.arm(job);
+    }
+  }
+
+  /**
+   * Execute a job now. Resolves to the run record:
+   * { startedAt, finishedAt, durationMs, outcome: succeeded | failed | skipped, error, reason }
+   */
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown scheduled job: ${name}`);
+    }
+
+    if (job.running) {
+      return this.record(job, { outcome: 'skipped', reason: 'previous run still in progress' });
+    }
+
+    job.running = this.execute(job);
+    try {
+      return await job.running;
+    } finally {
+      job.running = null;
+    }
+  }
+
+  async execute(job) {
+    const startedAt = new Date();
+
+    try {
+      if (!job.lock) {
+        await job.handler();
+      } else {
+        const { acquired } = await database.withAdvisoryLock(this.lockName(job), () => job.handler());
+        if (!acquired) {
+          return this.record(job, { startedAt, outcome: 'skipped', reason: 'lock held by another instance' });
+        }
+      }
+
+      return this.record(job, { startedAt, outcome: 'succeeded' });
+
+    } catch (error) {
+      logger.error(`❌ Scheduled job ${job.name} failed:`, error);
+      return this.record(job, { startedAt, outcome: 'failed', error: error.message });
+    }
+  }
+
+  record(job, { startedAt = new Date(), outcome, error = null, reason = null }) {
+    const finishedAt = new Date();
+    const run = {
+      startedAt,
+      finishedAt,
+      durationMs: finishedAt - startedAt,
+      outcome,
+      error,
+      reason
+    };
+
+    job.lastRun = run;
+    if (outcome !== 'skipped') {
+      job.runs++;
+    }
+    if (outcome === 'failed') {
+      job.failures++;
+    }
+
+    logger.logSync('scheduled_job_run', { job: job.name, outcome, durationMs: run.durationMs, error, reason });
+    return run;
+  }
+
+  // Advisory lock names are server-wide, so include the database; MySQL caps them at 64 chars
+  lockName(job) {
+    return `${config.database.name}:job:${job.name}`.slice(0, 64);
+  }
+
+  list() {
+    return [...this.jobs.values()].map(job => ({
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule ? job.schedule.expression : null,
+      enabled: job.enabled,
+      lock: job.lock,
+      running: Boolean(job.running),
+      nextRunAt: job.nextRunAt,
+      lastRun: job.lastRun,
+      runs: job.runs,
+      failures: job.failures,
+      host: os.hostname()
+    }));
+  }
+}
+
+module.exports = new SchedulerService();
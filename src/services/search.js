@@ -0,0 +1,157 @@
+const database = require('./database');
+const { decodeCursor, buildPage } = require('../utils/pagination');
+const { parseSearchQuery, buildSnippet } = require('../utils/search-query');
+const { projectScope } = require('../utils/project-scope');
+
+// Conversation title matches count double compared to message body matches
+const TITLE_WEIGHT = 2;
+
+// Relevance is paged as an integer so cursors compare exactly
+const RANK_SCALE = 1000000;
+
+const HIT_TYPES = ['conversation', 'message'];
+
+const invalidCursor = () => {
+  const error = new Error('Invalid cursor');
+  error.code = 'INVALID_CURSOR';
+  return error;
+};
+
+// Conditions shared by both branches: project, project grants and creation dates on `dateColumn`
+const scopeConditions = ({ projectId, projectIds, from, to }, dateColumn) => {
+  const conditions = [];
+  const params = [];
+
+  if (projectId) {
+    conditions.push('c.project_id = ?');
+    params.push(projectId);
+  }
+
+  const scope = projectScope('c.project_id', projectIds);
+  if (scope) {
+    conditions.push(scope.sql);
+    params.push(...scope.params);
+  }
+
+  if (from) {
+    conditions.push(`${dateColumn} >= ?`);
+    params.push(new Date(from));
+  }
+
+  if (to) {
+    conditions.push(`${dateColumn} <= ?`);
+    params.push(new Date(to));
+  }
+
+  return { conditions, params };
+};
+
+class SearchService {
+
+  /**
+   * Relevance-ranked FULLTEXT search. Message bodies and conversation titles
+   * are matched by separate queries, each driven by its own index: a message
+   * hit is one message, a title hit is one conversation (messageId null).
+   * Title hits are left out when filtering by role or conversation.
+   */
+  async search({ q, role = null, projectId = null, projectIds = null, conversationId = null, from = null, to = null, limit = 20, cursor = null }) {
+    const { expression, terms } = parseSearchQuery(q);
+
+    const after = decodeCursor(cursor);
+    if (after && (!Number.isInteger(after.rank) || !HIT_TYPES.includes(after.type) || typeof after.id !== 'string')) {
+      throw invalidCursor();
+    }
+
+    const messages = scopeConditions({ projectId, projectIds, from, to }, 'm.created_at');
+    if (role) {
+      messages.conditions.push('m.role = ?');
+      messages.params.push(role);
+    }
+    if (conversationId) {
+      messages.conditions.push('(c.id = ? OR c.conversation_id = ?)');
+      messages.params.push(conversationId, conversationId);
+    }
+
+    const branches = [`
+      SELECT
+        'message' AS hit_type,
+        m.id AS hit_id,
+        m.role,
+        m.content,
+        m.created_at,
+        c.id AS conversation_id,
+        c.conversation_id AS external_conversation_id,
+        c.title AS conversation_title,
+        p.id AS project_id,
+        p.name AS project_name,
+        CAST(ROUND(MATCH(m.content) AGAINST (? IN BOOLEAN MODE) * ${RANK_SCALE}) AS SIGNED) AS score_rank
+      FROM messages m
+      INNER JOIN conversations c ON m.conversation_id = c.id
+      LEFT JOIN projects p ON c.project_id = p.id
+      WHERE MATCH(m.content) AGAINST (? IN BOOLEAN MODE)
+        AND m.deleted_at IS NULL
+        AND c.deleted_at IS NULL
+        ${messages.conditions.map(condition => `AND ${condition}`).join(' ')}
+    `];
+    const params = [expression, expression, ...messages.params];
+
+    if (!role && !conversationId) {
+      const titles = scopeConditions({ projectId, projectIds, from, to }, 'c.created_at');
+
+      branches.push(`
+        SELECT
+          'conversation' AS hit_type,
+          c.id AS hit_id,
+          NULL AS role,
+          NULL AS content,
+          c.created_at,
+          c.id AS conversation_id,
+          c.conversation_id AS external_conversation_id,
+          c.title AS conversation_title,
+          p.id AS project_id,
+          p.name AS project_name,
+          CAST(ROUND(${TITLE_WEIGHT} * MATCH(c.title) AGAINST (? IN BOOLEAN MODE) * ${RANK_SCALE}) AS SIGNED) AS score_rank
+        FROM conversations c
+        LEFT JOIN projects p ON c.project_id = p.id
+        WHERE MATCH(c.title) AGAINST (? IN BOOLEAN MODE)
+          AND c.deleted_at IS NULL
+          ${titles.conditions.map(condition => `AND ${condition}`).join(' ')}
+      `);
+      params.push(expression, expression, ...titles.params);
+    }
+
+    let sql = `SELECT * FROM (${branches.join(' UNION ALL ')}) hits`;
+
+    // Keyset pagination on (rank DESC, hit type, hit id)
+    if (after) {
+      sql += ' WHERE score_rank < ? OR (score_rank = ? AND (hit_type > ? OR (hit_type = ? AND hit_id > ?)))';
+      params.push(after.rank, after.rank, after.type, after.type, after.id);
+    }
+
+    sql += ' ORDER BY score_rank DESC, hit_type ASC, hit_id ASC LIMIT ?';
+    params.push(limit + 1);
+
+    const rows = await database.query(sql, params);
+    const page = buildPage(rows, limit, row => ({ rank: Number(row.score_rank), type: row.hit_type, id: row.hit_id }));
+
+    return {
+      items: page.items.map(row => ({
+        type: row.hit_type,
+        messageId: row.hit_type === 'message' ? row.hit_id : null,
+        role: row.role,
+        snippet: buildSnippet(row.hit_type === 'message' ? row.content : row.conversation_title, terms),
+        score: Number(row.score_rank) / RANK_SCALE,
+        createdAt: row.created_at,
+        conversation: {
+          id: row.conversation_id,
+          conversationId: row.external_conversation_id,
+          title: row.conversation_title
+        },
+        project: row.project_id ? { id: row.project_id, name: row.project_name } : null
+      })),
+      nextCursor: page.nextCursor
+    };
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const config = require('../../config/config');
+const database = require('./database');
+const logger = require('./logger');
+const { createEmbedder, serializeVector, deserializeVector, cosineSimilarity } = require('./embeddings');
+const { chunkText } = require('../utils/chunking');
+const { projectScope } = require('../utils/project-scope');
+
+/**
+ * Semantic index over message content.
+ *
+ * Every message becomes one row in `documents` (linked by message_id and
+ * fingerprinted by content_hash) and one `embeddings` row per chunk. Retrieval
+ * is brute-force cosine similarity over the stored vectors of the active
+ * embedding model.
+ */
+class SemanticIndexService {
+  constructor(embedder = null) {
+    this.embedder = embedder;
+  }
+
+  getEmbedder() {
+    if (!this.embedder) {
+      this.embedder = createEmbedder(config.embeddings);
+    }
+    return this.embedder;
+  }
+
+  setEmbedder(embedder) {
+    this.embedder = embedder;
+  }
+
+  // Messages never indexed, whose content changed, or not yet embedded with the active model
+  async findStaleMessages({ projectId = null, conversationId = null, limit = 500 } = {}) {
+    const embedder = this.getEmbedder();
+
+    let sql = `
+      SELECT m.id, m.content, m.role, m.conversation_id, c.project_id, c.title, d.id AS document_id
+      FROM messages m
+      INNER JOIN conversations c ON m.conversation_id = c.id
+      LEFT JOIN documents d ON d.message_id = m.id
+      WHERE m.deleted_at IS NULL
+        AND c.deleted_at IS NULL
+        AND m.content REGEXP '[^[:space:]]'
+        AND (
+          d.id IS NULL
+          OR d.content_hash IS NULL
+          OR d.content_hash <> SHA2(m.content, 256)
+          OR NOT EXISTS (SELECT 1 FROM embeddings e WHERE e.document_id = d.id AND e.model = ?)
+        )
+    `;
+    const params = [embedder.model];
+
+    if (projectId) {
+      sql += ' AND c.project_id = ?';
+      params.push(projectId);
+    }
+
+    if (conversationId) {
+      sql += ' AND (c.id = ? OR c.conversation_id = ?)';
+      params.push(conversationId, conversationId);
+    }
+
+    sql += ' ORDER BY m.created_at_ms ASC, m.id ASC LIMIT ?';
+    params.push(limit);
+
+    return database.query(sql, params);
+  }
+
+  // Chunk and embed up to `limit` stale messages
+  async indexMessages(options = {}) {
+    const embedder = this.getEmbedder();
+    const messages = await this.findStaleMessages(options);
+
+    const chunked = messages.map(message => ({
+      message,
+      chunks: chunkText(message.content, {
+        size: config.embeddings.chunkSize,
+        overlap: config.embeddings.chunkOverlap
+      })
+    }));
+
+    const allChunks = chunked.flatMap(entry => entry.chunks);
+    const vectors = [];
+    for (let i = 0; i < allChunks.length; i += config.embeddings.batchSize) {
+      vectors.push(...await embedder.embed(allChunks.slice(i, i + config.embeddings.batchSize)));
+    }
+
+    let offset = 0;
+    for (const { message, chunks } of chunked) {
+      const messageVectors = vectors.slice(offset, offset + chunks.length);
+      offset += chunks.length;
+
+      await database.transaction(connection =>
+        this.storeDocument(message, chunks, messageVectors, embedder.model, connection)
+      );
+    }
+
+    const result = {
+      indexed: messages.length,
+      chunks: allChunks.length,
+      model: embedder.model
+    };
+
+    if (messages.length > 0) {
+      logger.info('🧭 Semantic index updated', result);
+    }
+
+    return result;
+  }
+
+  // Replace the document and all of its embeddings for one message
+  async storeDocument(message, chunks, vectors, model, connection) {
+    const documentId = message.document_id || crypto.randomUUID();
+    const contentHash = crypto.createHash('sha256').update(message.content).digest('hex');
+
+    if (message.document_id) {
+      await database.query('DELETE FROM embeddings WHERE document_id = ?', [documentId], connection);
+      await database.query(
+        'UPDATE documents SET project_id = ?, title = ?, text = ?, content_hash = ? WHERE id = ?',
+        [message.project_id, message.title, message.content, contentHash, documentId],
+        connection
+      );
+    } else {
+      await database.query(
+        `INSERT INTO documents (id, project_id, message_id, source_url, title, text, content_hash)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [documentId, message.project_id, message.id, `message:${message.id}`, message.title, message.content, contentHash],
+        connection
+      );
+    }
+
+    for (let index = 0; index < chunks.length; index++) {
+      await database.query(
+        `INSERT INTO embeddings (id, document_id, chunk_index, vector, vector_dim, model, metadata)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          crypto.randomUUID(),
+          documentId,
+          index,
+          serializeVector(vectors[index]),
+          vectors[index].length,
+          model,
+          JSON.stringify({
+            message_id: message.id,
+            conversation_id: message.conversation_id,
+            role: message.role,
+            text: chunks[index]
+          })
+        ],
+        connection
+      );
+    }
+
+    return documentId;
+  }
+
+  // Top-k messages by cosine similarity of their best-matching chunk
+  async search({ query, topK = 10, role = null, projectId = null, projectIds = null, conversationId = null, minScore = 0 }) {
+    const embedder = this.getEmbedder();
+    const [queryVector] = await embedder.embed([query]);
+
+    let sql = `
+      SELECT
+        e.id AS embedding_id,
+        e.chunk_index,
+        e.vector,
+        e.metadata,
+        m.id AS message_id,
+        m.role,
+        m.created_at,
+        c.id AS conversation_id,
+        c.conversation_id AS external_conversation_id,
+        c.title AS conversation_title,
+        p.id AS project_id,
+        p.name AS project_name
+      FROM embeddings e
+      INNER JOIN documents d ON e.document_id = d.id
+      INNER JOIN messages m ON d.message_id = m.id
+      INNER JOIN conversations c ON m.conversation_id = c.id
+      LEFT JOIN projects p ON c.project_id = p.id
+      WHERE e.model = ?
+        AND e.vector_dim = ?
+        AND m.deleted_at IS NULL
+        AND c.deleted_at IS NULL
+    `;
+    const params = [embedder.model, queryVector.length];
+
+    if (role) {
+      sql += ' AND m.role = ?';
+      params.push(role);
+    }
+
+    if (projectId) {
+      sql += ' AND c.project_id = ?';
+      params.push(projectId);
+    }
+
+    const scope = projectScope('c.project_id', projectIds);
+    if (scope) {
+      sql += ` AND ${scope.sql}`;
+      params.push(...scope.params);
+    }
+
+    if (conversationId) {
+      sql += ' AND (c.id = ? OR c.conversation_id = ?)';
+      params.push(conversationId, conversationId);
+    }
+
+    // Every candidate is scored, one page at a time in embedding id order, so
+    // memory stays at a page plus the current top-k whatever the corpus size
+    const pageSize = config.embeddings.scanPageSize;
+    const bestByMessage = new Map();
+    let after = '';
+
+    for (;;) {
+      const rows = await database.query(
+        `${sql} AND e.id > ? ORDER BY e.id ASC LIMIT ?`,
+        [...params, after, pageSize]
+      );
+
+      for (const row of rows) {
+        const score = cosineSimilarity(queryVector, deserializeVector(row.vector));
+        if (score < minScore) continue;
+
+        const best = bestByMessage.get(row.message_id);
+        if (!best || score > best.score) {
+          bestByMessage.set(row.message_id, { row, score });
+        }
+      }
+
+      // A message dropped here comes back if a later chunk of it ranks higher
+      if (bestByMessage.size > topK) {
+        const kept = [...bestByMessage.entries()].sort((a, b) => b[1].score - a[1].score).slice(0, topK);
+        bestByMessage.clear();
+        kept.forEach(([messageId, best]) => bestByMessage.set(messageId, best));
+      }
+
+      if (rows.length < pageSize) break;
+      after = rows[rows.length - 1].embedding_id;
+    }
+
+    return [...bestByMessage.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map(({ row, score }) => {
+        const metadata = typeof row.metadata === 'string' ? JSON.parse(row.metadata) : (row.metadata || {});
+        return {
+          messageId: row.message_id,
+          role: row.role,
+          chunk: metadata.text || null,
+          chunkIndex: row.chunk_index,
+          score: Math.round(score * 10000) / 10000,
+          createdAt: row.created_at,
+          conversation: {
+            id: row.conversation_id,
+            conversationId: row.external_conversation_id,
+            title: row.conversation_title
+          },
+          project: row.project_id ? { id: row.project_id, name: row.project_name } : null
+        };
+      });
+  }
+}
+
+module.exports = new SemanticIndexService();
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../../config/config');
+const database = require('./database');
+const logger = require('./logger');
+const users = require('./users');
+
+const sessionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Login sessions: a short-lived JWT access token plus an opaque refresh
+ * token stored only as its SHA-256 hash.
+ *
+ * Refresh tokens rotate: each refresh revokes the presented token and issues
+ * a new pair. Presenting a token that was already rotated means it leaked,
+ * so every session of that user is revoked.
+ */
+class SessionService {
+  async login(email, password, client = {}) {
+    const user = await users.verifyCredentials(email, password);
+    if (!user) {
+      logger.warn('Failed login attempt', { email, ip: client.ip });
+      throw sessionError('Invalid email or password', 'INVALID_CREDENTIALS');
+    }
+
+    await users.recordLogin(user.id);
+    logger.info('User logged in', { userId: user.id, ip: client.ip });
+
+    return { user, ...await this.issueTokens(user) };
+  }
+
+  async refresh(refreshToken) {
+    const rows = await database.query('SELECT * FROM refresh_tokens WHERE token_hash = ?', [hashToken(refreshToken)]);
+    const stored = rows[0];
+
+    if (!stored || new Date(stored.expires_at).getTime() <= Date.now()) {
+      throw sessionError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+    if (stored.revoked_at) {
+      return await this.rejectReuse(stored);
+    }
+
+    const user = await users.get(stored.user_id);
+    if (!user || !user.isActive) {
+      throw sessionError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const tokens = await database.transaction(async (connection) => {
+      const next = await this.issueTokens(user, connection);
+
+      // Two refreshes racing on one token: only the first revokes it
+      const result = await database.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW(3), replaced_by = ? WHERE id = ? AND revoked_at IS NULL',
+        [next.refreshTokenId, stored.id],
+        connection
+      );
+      if (result.affectedRows === 0) {
+        throw sessionError('Refresh token was already used', 'REFRESH_TOKEN_REUSED');
+      }
+
+      return next;
+    }).catch(async (error) => {
+      if (error.code === 'REFRESH_TOKEN_REUSED') {
+        return await this.rejectReuse(stored);
+      }
+      throw error;
+    });
+
+    return { user, ...tokens };
+  }
+
+  async rejectReuse(stored) {
+    await users.revokeRefreshTokens(stored.user_id);
+    logger.warn('Refresh token reused; revoked all sessions of the user', { userId: stored.user_id, tokenId: stored.id });
+    throw sessionError('Refresh token was already used', 'REFRESH_TOKEN_REUSED');
+  }
+
+  // Revoke one refresh token, or every session of its user with `all`.
+  // Resolves to the token's user id, or null for an unknown token.
+  async logout(refreshToken, { all = false } = {}) {
+    const rows = await database.query('SELECT * FROM refresh_tokens WHERE token_hash = ?', [hashToken(refreshToken)]);
+    const stored = rows[0];
+    if (!stored) {
+      return null;
+    }
+
+    if (all) {
+      await users.revokeRefreshTokens(stored.user_id);
+    } else {
+      await database.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW(3) WHERE id = ? AND revoked_at IS NULL',
+        [stored.id]
+      );
+    }
+
+    logger.info('User logged out', { userId: stored.user_id, all });
+    return stored.user_id;
+  }
+
+  async issueTokens(user, connection = null) {
+    const accessToken = jwt.sign(
+      { sub: String(user.id), role: user.role, type: 'access' },
+      config.security.jwtSecret,
+      { expiresIn: config.auth.accessTokenTtl }
+    );
+
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const refreshTokenId = crypto.randomUUID();
+    const refreshExpiresAt = new Date(Date.now() + config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+    await database.query(
+      'INSERT INTO refresh_tokens (id, user_id, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+      [refreshTokenId, user.id, hashToken(refreshToken), refreshExpiresAt],
+      connection
+    );
+
+    return {
+      accessToken,
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+      refreshToken,
+      refreshTokenId,
+      refreshExpiresAt
+    };
+  }
+
+  // User id of a valid access token; throws for anything else
+  verifyAccessToken(token) {
+    const payload = jwt.verify(token, config.security.jwtSecret);
+    if (payload.type !== 'access' || !payload.sub) {
+      throw sessionError('Not an access token', 'INVALID_TOKEN');
+    }
+    return Number(payload.sub);
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,428 @@
+const crypto = require('crypto');
+const config = require('../../config/config');
+const database = require('./database');
+const logger = require('./logger');
+const openaiService = require('./openai');
+const repository = require('./repository');
+
+// Statuses from which a job may still make progress
+const ACTIVE_STATUSES = ['pending', 'running', 'paused'];
+
+// Roles the Assistants API accepts on thread messages
+const THREAD_ROLES = ['user', 'assistant'];
+
+const MESSAGE_PAGE_SIZE = 100;
+
+const parseJSON = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const jobError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Resumable sync of stored conversations into OpenAI threads.
+ *
+ * A job walks conversations without a thread in (created_at, id) order and
+ * checkpoints after each one. Per-conversation progress lives in
+ * sync_job_items: the thread is recorded before any message is copied, and the
+ * last copied message after each one, so an interrupted or failed conversation
+ * continues in the same thread on the next run. Each message is marked pending
+ * before it is copied and tagged with its id in the thread, so a message whose
+ * copy outlived its checkpoint is not copied twice. The conversation only gets
+ * its openai_thread_id once every message has been copied.
+ */
+class SyncJobService {
+  constructor() {
+    this.runs = new Map();
+    this.stopping = false;
+  }
+
+  async create({ batchSize = config.sync.batchSize, maxConversations = null } = {}) {
+    const active = await database.query(
+      `SELECT id FROM sync_jobs WHERE status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')}) LIMIT 1`,
+      ACTIVE_STATUSES
+    );
+    if (active[0]) {
+      const error = jobError(`Sync job ${active[0].id} is still active`, 'SYNC_JOB_ACTIVE');
+      error.jobId = active[0].id;
+      throw error;
+    }
+
+    const id = crypto.randomUUID();
+    const total = await repository.countConversationsWithoutThread();
+
+    await database.query(`
+      INSERT INTO sync_jobs (id, type, status, batch_size, max_conversations, total)
+      VALUES (?, 'openai_threads', 'pending', ?, ?, ?)
+    `, [id, batchSize, maxConversations, maxConversations ? Math.min(total, maxConversations) : total]);
+
+    logger.logSync('sync_job_created', { jobId: id, batchSize, maxConversations, total });
+
+    return await this.get(id);
+  }
+
+  async get(jobId) {
+    const rows = await database.query('SELECT * FROM sync_jobs WHERE id = ?', [jobId]);
+    return rows[0] ? this.format(rows[0]) : null;
+  }
+
+  async list({ limit = 20 } = {}) {
+    const rows = await database.query('SELECT * FROM sync_jobs ORDER BY created_at DESC LIMIT ?', [limit]);
+    return rows.map(row => this.format(row));
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      status: row.status,
+      batchSize: row.batch_size,
+      maxConversations: row.max_conversations,
+      checkpoint: parseJSON(row.checkpoint, null),
+      progress: {
+        total: row.total,
+        processed: row.processed,
+        succeeded: row.succeeded,
+        failed: row.failed
+      },
+      errors: parseJSON(row.errors, []),
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      updatedAt: row.updated_at,
+      finishedAt: row.finished_at
+    };
+  }
+
+  // Run the job in the background; a second call waits for the current run first
+  start(jobId, { recover = false } = {}) {
+    const previous = this.runs.get(jobId) || Promise.resolve();
+    const run = previous
+      .then(() => this.runLocked(jobId, { recover }))
+      .catch(error => logger.error(`Sync job ${jobId} crashed:`, error))
+      .finally(() => {
+        if (this.runs.get(jobId) === run) this.runs.delete(jobId);
+      });
+
+    this.runs.set(jobId, run);
+    return run;
+  }
+
+  /**
+   * run() under a per-job advisory lock, so only one process works on a job.
+   * The lock dies with the connection of the process holding it, which makes a
+   * `running` job found under the lock an orphan: with `recover` it is handed
+   * back to `pending` and run again. Without the lock the job is left alone.
+   */
+  async runLocked(jobId, { recover = false } = {}) {
+    const lock = await database.withAdvisoryLock(this.lockName(jobId), async () => {
+      if (recover) {
+        await this.release(jobId);
+      }
+      return await this.run(jobId);
+    });
+
+    if (!lock.acquired) {
+      logger.info(`Sync job ${jobId} is being run by another process`);
+      return await this.get(jobId);
+    }
+    return lock.result;
+  }
+
+  // Advisory lock names are server-wide, so include the database; MySQL caps them at 64 chars
+  lockName(jobId) {
+    return `${config.database.name}:sync_job:${jobId}`.slice(0, 64);
+  }
+
+  // Claims a pending job and processes it until done, paused, cancelled or stopped
+  async run(jobId) {
+    const claimed = await database.query(
+      "UPDATE sync_jobs SET status = 'running', started_at = COALESCE(started_at, NOW(3)) WHERE id = ? AND status = 'pending'",
+      [jobId]
+    );
+    if (claimed.affectedRows === 0) {
+      return await this.get(jobId);
+    }
+
+    logger.logSync('sync_job_started', { jobId });
+
+    try {
+      for (;;) {
+        let job = await this.get(jobId);
+        const remaining = job.maxConversations ? job.maxConversations - job.progress.processed : job.batchSize;
+        if (remaining <= 0) break;
+
+        const batch = await repository.listConversationsWithoutThread(
+          Math.min(job.batchSize, remaining),
+          { after: job.checkpoint }
+        );
+        if (batch.length === 0) break;
+
+        for (const conversation of batch) {
+          job = await this.get(jobId);
+          if (job.status !== 'running') {
+            logger.logSync('sync_job_stopped', { jobId, status: job.status });
+            return job;
+          }
+          if (this.stopping) {
+            return await this.release(jobId);
+          }
+
+          const outcome = await this.syncConversation(jobId, conversation);
+          await this.checkpoint(job, conversation, outcome);
+        }
+      }
+
+      await database.query(
+        "UPDATE sync_jobs SET status = 'completed', finished_at = NOW(3) WHERE id = ? AND status = 'running'",
+        [jobId]
+      );
+
+      const job = await this.get(jobId);
+      logger.logSync('sync_job_completed', { jobId, progress: job.progress });
+      return job;
+
+    } catch (error) {
+      // Infrastructure failures (database, etc.) stop the job; it can be resumed
+      const job = await this.get(jobId);
+      const errors = [...(job ? job.errors : []), { error: error.message, at: new Date().toISOString() }];
+      await database.query(
+        "UPDATE sync_jobs SET status = 'failed', finished_at = NOW(3), errors = ? WHERE id = ?",
+        [JSON.stringify(errors.slice(-config.sync.maxErrors)), jobId]
+      );
+      throw error;
+    }
+  }
+
+  // Copy one conversation into a thread; returns { status: 'succeeded' | 'failed', threadId, error }
+  async syncConversation(jobId, conversation) {
+    let item = null;
+
+    try {
+      item = await this.openItem(jobId, conversation);
+
+      const { pending = null, ...copied } = item.checkpoint || {};
+      let after = copied.id ? copied : null;
+      let synced = item.messagesSynced;
+
+      // The previous run stopped between copying a message and checkpointing it
+      if (pending && await this.threadEndsWith(item.threadId, pending.id)) {
+        after = pending;
+        synced++;
+        await this.saveItemProgress(item.id, after, synced);
+      }
+
+      for (;;) {
+        const messages = await repository.listMessages(conversation.id, { limit: MESSAGE_PAGE_SIZE, after });
+        if (messages.length === 0) break;
+
+        for (const message of messages) {
+          const position = { sortKey: Number(message.sort_key), id: message.id };
+
+          if (THREAD_ROLES.includes(message.role)) {
+            await this.saveItemProgress(item.id, { ...after, pending: position }, synced);
+            await openaiService.appendThreadMessage(
+              item.threadId,
+              message.role,
+              message.content || 'Empty message',
+              { chatbeto_message_id: message.id }
+            );
+            synced++;
+          }
+
+          after = position;
+          await this.saveItemProgress(item.id, after, synced);
+        }
+
+        if (messages.length < MESSAGE_PAGE_SIZE) break;
+      }
+
+      await database.transaction(async connection => {
+        await repository.setOpenAIThreadId(conversation.id, item.threadId, connection);
+        await database.query(
+          "UPDATE sync_job_items SET status = 'completed', error = NULL WHERE id = ?",
+          [item.id],
+          connection
+        );
+      });
+
+      logger.logSync('conversation_synced_to_openai', {
+        jobId,
+        conversationId: conversation.conversation_id,
+        threadId: item.threadId,
+        messagesCount: synced
+      });
+
+      return { status: 'succeeded', threadId: item.threadId };
+
+    } catch (error) {
+      logger.warn(`Failed to sync conversation ${conversation.conversation_id}:`, { jobId, error: error.message });
+
+      if (item) {
+        await database.query(
+          "UPDATE sync_job_items SET status = 'failed', error = ? WHERE id = ?",
+          [error.message, item.id]
+        );
+      }
+
+      return { status: 'failed', threadId: item ? item.threadId : null, error: error.message };
+    }
+  }
+
+  /**
+   * This job's progress row for a conversation. An unfinished item from any
+   * earlier run donates its thread and message checkpoint; otherwise a new
+   * thread is created and recorded before anything is copied into it.
+   */
+  async openItem(jobId, conversation) {
+    const previous = await database.query(`
+      SELECT * FROM sync_job_items
+      WHERE conversation_id = ? AND status <> 'completed' AND thread_id IS NOT NULL
+      ORDER BY (job_id = ?) DESC, updated_at DESC
+      LIMIT 1
+    `, [conversation.id, jobId]);
+
+    let threadId;
+    let checkpoint = null;
+    let messagesSynced = 0;
+
+    if (previous[0]) {
+      threadId = previous[0].thread_id;
+      checkpoint = previous[0].checkpoint;
+      messagesSynced = previous[0].messages_synced;
+    } else {
+      const thread = await openaiService.createThread({ conversation_id: String(conversation.conversation_id).slice(0, 512) });
+      threadId = thread.id;
+    }
+
+    await database.query(`
+      INSERT INTO sync_job_items (job_id, conversation_id, thread_id, status, messages_synced, checkpoint)
+      VALUES (?, ?, ?, 'in_progress', ?, ?)
+      ON DUPLICATE KEY UPDATE status = 'in_progress', thread_id = VALUES(thread_id),
+        messages_synced = VALUES(messages_synced), checkpoint = VALUES(checkpoint), error = NULL
+    `, [jobId, conversation.id, threadId, messagesSynced, checkpoint]);
+
+    const rows = await database.query(
+      'SELECT id FROM sync_job_items WHERE job_id = ? AND conversation_id = ?',
+      [jobId, conversation.id]
+    );
+
+    return {
+      id: rows[0].id,
+      threadId,
+      checkpoint: parseJSON(checkpoint, null),
+      messagesSynced
+    };
+  }
+
+  async saveItemProgress(itemId, checkpoint, messagesSynced) {
+    await database.query(
+      'UPDATE sync_job_items SET checkpoint = ?, messages_synced = ? WHERE id = ?',
+      [JSON.stringify(checkpoint), messagesSynced, itemId]
+    );
+  }
+
+  // Whether the newest message of a thread is the copy of a stored message
+  async threadEndsWith(threadId, messageId) {
+    const last = await openaiService.lastThreadMessage(threadId);
+    return Boolean(last && last.metadata && last.metadata.chatbeto_message_id === messageId);
+  }
+
+  // Advance the job past a conversation, whatever its outcome
+  async checkpoint(job, conversation, outcome) {
+    const errors = job.errors;
+    if (outcome.status === 'failed') {
+      errors.push({ conversationId: conversation.conversation_id, error: outcome.error, at: new Date().toISOString() });
+    }
+
+    await database.query(`
+      UPDATE sync_jobs
+      SET checkpoint = ?, processed = processed + 1,
+          succeeded = succeeded + ?, failed = failed + ?, errors = ?
+      WHERE id = ?
+    `, [
+      JSON.stringify({ createdAt: conversation.created_at, id: conversation.id }),
+      outcome.status === 'succeeded' ? 1 : 0,
+      outcome.status === 'failed' ? 1 : 0,
+      JSON.stringify(errors.slice(-config.sync.maxErrors)),
+      job.id
+    ]);
+  }
+
+  // Status transitions requested through the API. Each returns the job, or
+  // throws SYNC_JOB_NOT_FOUND / SYNC_JOB_CONFLICT.
+
+  async pause(jobId) {
+    return await this.transition(jobId, 'paused', ['pending', 'running']);
+  }
+
+  async resume(jobId) {
+    const job = await this.transition(jobId, 'pending', ['paused', 'failed']);
+    this.start(jobId);
+    return job;
+  }
+
+  async cancel(jobId) {
+    return await this.transition(jobId, 'cancelled', ACTIVE_STATUSES);
+  }
+
+  async transition(jobId, status, from) {
+    const result = await database.query(`
+      UPDATE sync_jobs
+      SET status = ?, finished_at = ${status === 'cancelled' ? 'NOW(3)' : 'NULL'}
+      WHERE id = ? AND status IN (${from.map(() => '?').join(', ')})
+    `, [status, jobId, ...from]);
+
+    const job = await this.get(jobId);
+    if (!job) {
+      throw jobError(`Sync job not found: ${jobId}`, 'SYNC_JOB_NOT_FOUND');
+    }
+    if (result.affectedRows === 0) {
+      throw jobError(`Cannot move a ${job.status} job to ${status}`, 'SYNC_JOB_CONFLICT');
+    }
+
+    logger.logSync(`sync_job_${status}`, { jobId });
+    return job;
+  }
+
+  // Hand a running job back to `pending` so the next start picks it up
+  async release(jobId) {
+    await database.query("UPDATE sync_jobs SET status = 'pending' WHERE id = ? AND status = 'running'", [jobId]);
+    return await this.get(jobId);
+  }
+
+  /**
+   * On boot: start every pending or running job. A job still held by a live
+   * process keeps its lock and is skipped; one left `running` by a dead
+   * process is reset to `pending` under the lock and resumed.
+   */
+  async recoverInterrupted() {
+    const jobs = await database.query(
+      "SELECT id FROM sync_jobs WHERE status IN ('pending', 'running') ORDER BY created_at ASC"
+    );
+
+    for (const { id } of jobs) {
+      logger.info(`🔁 Resuming sync job ${id}`);
+      this.start(id, { recover: true });
+    }
+
+    return jobs.length;
+  }
+
+  // Graceful shutdown: running jobs stop after their current conversation
+  async stop() {
+    this.stopping = true;
+    await Promise.all([...this.runs.values()]);
+  }
+}
+
+module.exports = new SyncJobService();
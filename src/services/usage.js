@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const config = require('../../config/config');
+const database = require('./database');
+const logger = require('./logger');
+const repository = require('./repository');
+const { MODEL_PRICES, computeCost } = require('../utils/pricing');
+
+// Report dimensions: the expression grouped on and the columns it adds
+const DIMENSIONS = {
+  day: { select: "DATE_FORMAT(a.created_at, '%Y-%m-%d') AS day", group: ['day'] },
+  project: { select: 'a.project_id, p.name AS project_name', group: ['a.project_id', 'p.name'] },
+  model: { select: 'a.model', group: ['a.model'] },
+  endpoint: { select: 'a.endpoint', group: ['a.endpoint'] }
+};
+
+// Without `from` the report covers this many days
+const DEFAULT_REPORT_DAYS = 30;
+
+/**
+ * OpenAI usage bookkeeping on the api_calls table.
+ *
+ * OpenAIService records each call it makes (a whole assistant run counts as
+ * one call) with the tokens reported by OpenAI and the cost from the price
+ * table. Recording never fails the call it describes.
+ */
+class UsageService {
+  prices() {
+    return { ...MODEL_PRICES, ...config.usage.prices };
+  }
+
+  async record({
+    endpoint,
+    model = null,
+    projectId = null,
+    threadId = null,
+    usage = null,
+    request = null,
+    response = null,
+    status = 'succeeded',
+    durationMs = null
+  }) {
+    if (!config.usage.enabled) {
+      return null;
+    }
+
+    try {
+      const tokensInput = usage ? usage.prompt_tokens ?? usage.input_tokens ?? null : null;
+      const tokensOutput = usage ? usage.completion_tokens ?? usage.output_tokens ?? null : null;
+      const cost = usage ? computeCost(model, tokensInput, tokensOutput, this.prices()) : null;
+
+      if (!projectId && threadId) {
+        const conversation = await repository.findConversationByThreadId(threadId);
+        projectId = conversation ? conversation.project_id : null;
+      }
+
+      const id = crypto.randomUUID();
+      await database.query(`
+        INSERT INTO api_calls (id, endpoint, project_id, thread_id, request, response, model,
+          tokens_input, tokens_output, cost, status, duration_ms)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        id,
+        endpoint,
+        projectId,
+        threadId,
+        request ? JSON.stringify(request) : null,
+        response ? JSON.stringify(response) : null,
+        model,
+        tokensInput,
+        tokensOutput,
+        cost,
+        status,
+        durationMs
+      ]);
+
+      return { id, tokensInput, tokensOutput, cost };
+
+    } catch (error) {
+      logger.warn(`Failed to record ${endpoint} API call:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Aggregate recorded calls between `from` (inclusive, default 30 days ago)
+   * and `to` (exclusive, default now), grouped by any of day, project, model
+   * and endpoint. Resolves to { from, to, groupBy, rows, totals }.
+   */
+  async report({ from = null, to = null, groupBy = ['day'], projectId = null, model = null, endpoint = null } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+
+    const conditions = ['a.created_at >= ?', 'a.created_at < ?'];
+    const params = [start, end];
+
+    if (projectId) {
+      conditions.push('a.project_id = ?');
+      params.push(projectId);
+    }
+    if (model) {
+      conditions.push('a.model = ?');
+      params.push(model);
+    }
+    if (endpoint) {
+      conditions.push('a.endpoint = ?');
+      params.push(endpoint);
+    }
+
+    const dimensions = groupBy.map(name => DIMENSIONS[name]);
+    const grouping = dimensions.flatMap(dimension => dimension.group);
+
+    const rows = await database.query(`
+      SELECT ${dimensions.map(dimension => `${dimension.select}, `).join('')}
+        COUNT(*) AS calls,
+        SUM(a.status <> 'succeeded') AS failed,
+        COALESCE(SUM(a.tokens_input), 0) AS tokens_input,
+        COALESCE(SUM(a.tokens_output), 0) AS tokens_output,
+        COALESCE(SUM(a.cost), 0) AS cost
+      FROM api_calls a
+      LEFT JOIN projects p ON p.id = a.project_id
+      WHERE ${conditions.join(' AND ')}
+      ${grouping.length > 0 ? `GROUP BY ${grouping.join(', ')} ORDER BY ${grouping.join(', ')}` : ''}
+    `, params);
+
+    const formatted = rows.map(row => this.formatRow(row, groupBy));
+
+    return {
+      from: start.toISOString(),
+      to: end.toISOString(),
+      groupBy,
+      rows: formatted,
+      totals: formatted.reduce((totals, row) => ({
+        calls: totals.calls + row.calls,
+        failed: totals.failed + row.failed,
+        tokensInput: totals.tokensInput + row.tokensInput,
+        tokensOutput: totals.tokensOutput + row.tokensOutput,
+        cost: Math.round((totals.cost + row.cost) * 1e6) / 1e6
+      }), { calls: 0, failed: 0, tokensInput: 0, tokensOutput: 0, cost: 0 })
+    };
+  }
+
+  formatRow(row, groupBy) {
+    const formatted = {};
+
+    if (groupBy.includes('day')) formatted.day = row.day;
+    if (groupBy.includes('project')) {
+      formatted.projectId = row.project_id;
+      formatted.projectName = row.project_name;
+    }
+    if (groupBy.includes('model')) formatted.model = row.model;
+    if (groupBy.includes('endpoint')) formatted.endpoint = row.endpoint;
+
+    return {
+      ...formatted,
+      calls: Number(row.calls),
+      failed: Number(row.failed || 0),
+      tokensInput: Number(row.tokens_input),
+      tokensOutput: Number(row.tokens_output),
+      cost: Number(row.cost)
+    };
+  }
+}
+
+module.exports = new UsageService();
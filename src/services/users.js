@@ -0,0 +1,216 @@
+const bcrypt = require('bcrypt');
+const config = require('../../config/config');
+const database = require('./database');
+const logger = require('./logger');
+
+// Compared against when the email is unknown so failed logins take as long
+// either way: hashed lazily at the same cost as real passwords
+const dummyHashes = new Map();
+const dummyHash = (rounds) => {
+  if (!dummyHashes.has(rounds)) {
+    dummyHashes.set(rounds, bcrypt.hash('chatbeto-dummy-password', rounds));
+  }
+  return dummyHashes.get(rounds);
+};
+
+const userError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * User accounts for the JWT login.
+ *
+ * Each user has one role (admin, editor, reader or ingest). project_access
+ * 'all' lets the user see every project; 'granted' limits them to the
+ * projects in user_project_grants. Users are deactivated rather than
+ * deleted, which also revokes their refresh tokens.
+ */
+class UserService {
+  async list() {
+    const [rows, grants] = await Promise.all([
+      database.query('SELECT * FROM users ORDER BY id ASC'),
+      database.query('SELECT user_id, project_id FROM user_project_grants ORDER BY project_id ASC')
+    ]);
+
+    return rows.map(row => this.format(
+      row,
+      grants.filter(grant => grant.user_id === row.id).map(grant => grant.project_id)
+    ));
+  }
+
+  async get(id) {
+    const rows = await database.query('SELECT * FROM users WHERE id = ?', [id]);
+    if (!rows[0]) return null;
+
+    return this.format(rows[0], await this.grants(id));
+  }
+
+  async grants(userId) {
+    const rows = await database.query(
+      'SELECT project_id FROM user_project_grants WHERE user_id = ? ORDER BY project_id ASC',
+      [userId]
+    );
+    return rows.map(row => row.project_id);
+  }
+
+  async create({ email, name = null, password, role = 'reader', projectAccess = 'all', projectIds = [] }) {
+    email = normalizeEmail(email);
+
+    const existing = await database.query('SELECT id FROM users WHERE email = ?', [email]);
+    if (existing.length > 0) {
+      throw userError(`A user with email ${email} already exists`, 'USER_EXISTS');
+    }
+
+    const passwordHash = await bcrypt.hash(password, config.auth.bcryptRounds);
+
+    const id = await database.transaction(async (connection) => {
+      const result = await database.query(`
+        INSERT INTO users (email, name, password_hash, role, project_access)
+        VALUES (?, ?, ?, ?, ?)
+      `, [email, name, passwordHash, role, projectAccess], connection);
+
+      await this.replaceGrants(result.insertId, projectIds, connection);
+      return result.insertId;
+    });
+
+    logger.logDatabase('user_created', { userId: id, role, projectAccess });
+    return await this.get(id);
+  }
+
+  /**
+   * Partial update of name, email, role, password, projectAccess, isActive
+   * and projectIds (the full list of grants). A new password or a
+   * deactivation revokes the user's refresh tokens.
+   */
+  async update(id, changes) {
+    const user = await this.get(id);
+    if (!user) {
+      throw userError(`User ${id} not found`, 'USER_NOT_FOUND');
+    }
+
+    const assignments = [];
+    const params = [];
+
+    if (changes.email !== undefined && normalizeEmail(changes.email) !== user.email) {
+      const email = normalizeEmail(changes.email);
+      const existing = await database.query('SELECT id FROM users WHERE email = ?', [email]);
+      if (existing.length > 0) {
+        throw userError(`A user with email ${email} already exists`, 'USER_EXISTS');
+      }
+      assignments.push('email = ?');
+      params.push(email);
+    }
+    if (changes.name !== undefined) {
+      assignments.push('name = ?');
+      params.push(changes.name);
+    }
+    if (changes.role !== undefined) {
+      assignments.push('role = ?');
+      params.push(changes.role);
+    }
+    if (changes.projectAccess !== undefined) {
+      assignments.push('project_access = ?');
+      params.push(changes.projectAccess);
+    }
+    if (changes.isActive !== undefined) {
+      assignments.push('is_active = ?');
+      params.push(changes.isActive ? 1 : 0);
+    }
+    if (changes.password !== undefined) {
+      assignments.push('password_hash = ?');
+      params.push(await bcrypt.hash(changes.password, config.auth.bcryptRounds));
+    }
+
+    await database.transaction(async (connection) => {
+      if (assignments.length > 0) {
+        await database.query(`UPDATE users SET ${assignments.join(', ')} WHERE id = ?`, [...params, id], connection);
+      }
+      if (changes.projectIds !== undefined) {
+        await this.replaceGrants(id, changes.projectIds, connection);
+      }
+      if (changes.password !== undefined || changes.isActive === false) {
+        await this.revokeRefreshTokens(id, connection);
+      }
+    });
+
+    logger.logDatabase('user_updated', { userId: id, fields: Object.keys(changes).filter(key => changes[key] !== undefined) });
+    return await this.get(id);
+  }
+
+  async deactivate(id) {
+    return await this.update(id, { isActive: false });
+  }
+
+  async replaceGrants(userId, projectIds, connection = null) {
+    await database.query('DELETE FROM user_project_grants WHERE user_id = ?', [userId], connection);
+
+    for (const projectId of [...new Set(projectIds)]) {
+      await database.query(
+        'INSERT INTO user_project_grants (user_id, project_id) VALUES (?, ?)',
+        [userId, projectId],
+        connection
+      );
+    }
+  }
+
+  async revokeRefreshTokens(userId, connection = null) {
+    await database.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW(3) WHERE user_id = ? AND revoked_at IS NULL',
+      [userId],
+      connection
+    );
+  }
+
+  // The active user with these credentials, or null
+  async verifyCredentials(email, password) {
+    const rows = await database.query('SELECT * FROM users WHERE email = ?', [normalizeEmail(email)]);
+    const row = rows[0];
+
+    const matches = await bcrypt.compare(String(password), row ? row.password_hash : await dummyHash(config.auth.bcryptRounds));
+    if (!row || !matches || !row.is_active) {
+      return null;
+    }
+
+    return this.format(row, await this.grants(row.id));
+  }
+
+  async recordLogin(id) {
+    await database.query('UPDATE users SET last_login_at = NOW(3) WHERE id = ?', [id]);
+  }
+
+  // What a request authenticated as this user may do; null for unknown or inactive users
+  async principal(id) {
+    const user = await this.get(id);
+    if (!user || !user.isActive) return null;
+
+    return {
+      type: 'user',
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      projectIds: user.projectAccess === 'all' ? null : user.projectIds
+    };
+  }
+
+  format(row, projectIds = []) {
+    return {
+      id: row.id,
+      email: row.email,
+      name: row.name,
+      role: row.role,
+      projectAccess: row.project_access,
+      projectIds,
+      isActive: Boolean(row.is_active),
+      lastLoginAt: row.last_login_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const config = require('../../config/config');
+const logger = require('./logger');
+const database = require('./database');
+const webhookSubscriptions = require('./webhook-subscriptions');
+const { computeBackoff } = require('../utils/backoff');
+const { computeSignature } = require('../utils/webhook-signature');
+
+// Longest consumer response body kept in the attempt log
+const MAX_LOGGED_RESPONSE = 2000;
+
+const deliveryError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Outbound webhooks. publish() queues one delivery per matching subscription
+ * (in the caller's transaction when given a connection); a background worker
+ * POSTs them, signed like inbound webhooks (X-Webhook-Signature:
+ * sha256=HMAC of `${timestamp}.${body}`), and retries failures with
+ * exponential backoff until max_attempts. Every attempt is logged in
+ * webhook_delivery_attempts.
+ */
+class WebhookDeliveryService {
+  constructor() {
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Queue `eventType` for every subscription that wants it. Never throws:
+   * the data is already persisted, so a failure here is only logged.
+   * Resolves to the ids of the queued deliveries.
+   */
+  async publish(eventType, data, { source = null, connection = null } = {}) {
+    try {
+      const subscriptions = await webhookSubscriptions.matching(eventType, connection);
+      if (subscriptions.length === 0) {
+        return [];
+      }
+
+      const event = {
+        id: crypto.randomUUID(),
+        type: eventType,
+        source,
+        createdAt: new Date().toISOString(),
+        data
+      };
+      const payload = JSON.stringify(event);
+
+      const ids = [];
+      for (const subscription of subscriptions) {
+        const result = await database.query(`
+          INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, max_attempts)
+          VALUES (?, ?, ?, ?, ?)
+        `, [subscription.id, event.id, eventType, payload, config.outboundWebhooks.maxAttempts], connection);
+        ids.push(result.insertId);
+      }
+
+      logger.logDatabase('webhook_deliveries_queued', { eventId: event.id, eventType, deliveries: ids.length });
+      return ids;
+
+    } catch (error) {
+      logger.error('Failed to queue outbound webhook', { eventType, error: error.message });
+      return [];
+    }
+  }
+
+  start() {
+    if (this.timer || !config.outboundWebhooks.enabled) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.poll(), config.outboundWebhooks.pollInterval);
+    logger.info('📤 Outbound webhook worker started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('📤 Outbound webhook worker stopped');
+    }
+  }
+
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+
+    this.polling = true;
+    try {
+      const entries = await this.claimBatch();
+      for (const entry of entries) {
+        await this.deliver(entry);
+      }
+    } catch (error) {
+      logger.error('❌ Outbound webhook poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Lock due deliveries of active subscriptions (and ones abandoned by a crashed worker)
+  async claimBatch() {
+    const { batchSize, lockTimeout } = config.outboundWebhooks;
+
+    return await database.transaction(async (connection) => {
+      const rows = await database.query(`
+        SELECT d.*, s.url, s.secret
+        FROM webhook_deliveries d
+        JOIN webhook_subscriptions s ON s.id = d.subscription_id
+        WHERE s.is_active = 1
+          AND ((d.status IN ('pending', 'failed') AND d.next_attempt_at <= NOW(3))
+            OR (d.status = 'processing' AND d.locked_at < NOW(3) - INTERVAL ? SECOND))
+        ORDER BY d.id ASC
+        LIMIT ?
+        FOR UPDATE SKIP LOCKED
+      `, [lockTimeout, batchSize], connection);
+
+      if (rows.length === 0) {
+        return [];
+      }
+
+      const ids = rows.map(row => row.id);
+      await database.query(`
+        UPDATE webhook_deliveries
+        SET status = 'processing', locked_at = NOW(3), attempts = attempts + 1
+        WHERE id IN (${ids.map(() => '?').join(', ')})
+      `, ids, connection);
+
+      return rows.map(row => ({ ...row, attempts: row.attempts + 1 }));
+    });
+  }
+
+  // POST one claimed delivery; any 2xx answer counts as delivered
+  async deliver(entry) {
+    const { timeoutMs } = config.outboundWebhooks;
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+    let statusCode = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+      const response = await fetch(entry.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ChatBETO-Webhooks/1.0',
+          'X-Webhook-Signature': `sha256=${computeSignature(entry.secret, timestamp, entry.payload)}`,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Event-Type': entry.event_type,
+          'X-Event-Id': entry.event_id,
+          'X-Delivery-Id': String(entry.id)
+        },
+        body: entry.payload,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      statusCode = response.status;
+      responseBody = (await response.text()).slice(0, MAX_LOGGED_RESPONSE);
+      if (!response.ok) {
+        error = `Consumer answered HTTP ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.name === 'TimeoutError'
+        ? `No response within ${timeoutMs}ms`
+        : requestError.message;
+    }
+
+    await database.query(`
+      INSERT INTO webhook_delivery_attempts (delivery_id, attempt, status_code, error, response_body, duration_ms)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [entry.id, entry.attempts, statusCode, error, responseBody, Date.now() - startedAt]);
+
+    return error
+      ? await this.markFailed(entry, error, statusCode)
+      : await this.markDelivered(entry, statusCode);
+  }
+
+  async markDelivered(entry, statusCode) {
+    await database.query(`
+      UPDATE webhook_deliveries
+      SET status = 'delivered', delivered_at = NOW(3), locked_at = NULL, last_status_code = ?, last_error = NULL
+      WHERE id = ?
+    `, [statusCode, entry.id]);
+
+    logger.logSync('webhook_delivered', {
+      deliveryId: entry.id,
+      subscriptionId: entry.subscription_id,
+      eventType: entry.event_type,
+      attempts: entry.attempts
+    });
+    return { status: 'delivered' };
+  }
+
+  // Schedule a retry with exponential backoff, or give up on the delivery
+  async markFailed(entry, error, statusCode = null) {
+    if (entry.attempts >= entry.max_attempts) {
+      await database.query(`
+        UPDATE webhook_deliveries
+        SET status = 'dead', locked_at = NULL, last_status_code = ?, last_error = ?
+        WHERE id = ?
+      `, [statusCode, error, entry.id]);
+
+      logger.error('☠️ Outbound webhook delivery abandoned', {
+        deliveryId: entry.id,
+        subscriptionId: entry.subscription_id,
+        eventType: entry.event_type,
+        attempts: entry.attempts,
+        error
+      });
+      return { status: 'dead' };
+    }
+
+    const { backoffBaseMs, backoffMaxMs } = config.outboundWebhooks;
+    const delayMs = computeBackoff(entry.attempts, { baseMs: backoffBaseMs, maxMs: backoffMaxMs });
+    await database.query(`
+      UPDATE webhook_deliveries
+      SET status = 'failed', locked_at = NULL, last_status_code = ?, last_error = ?,
+          next_attempt_at = DATE_ADD(NOW(3), INTERVAL ? MICROSECOND)
+      WHERE id = ?
+    `, [statusCode, error, delayMs * 1000, entry.id]);
+
+    logger.warn('Outbound webhook delivery failed, retry scheduled', {
+      deliveryId: entry.id,
+      subscriptionId: entry.subscription_id,
+      attempts: entry.attempts,
+      retryInMs: delayMs,
+      error
+    });
+    return { status: 'failed', retryInMs: delayMs };
+  }
+
+  async list(subscriptionId, { status = null, limit = 50 } = {}) {
+    let sql = 'SELECT * FROM webhook_deliveries WHERE subscription_id = ?';
+    const params = [subscriptionId];
+
+    if (status) {
+      sql += ' AND status = ?';
+      params.push(status);
+    }
+
+    sql += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    const rows = await database.query(sql, params);
+    return rows.map(row => this.format(row));
+  }
+
+  // A delivery with its attempt log, oldest attempt first
+  async get(subscriptionId, id) {
+    const rows = await database.query(
+      'SELECT * FROM webhook_deliveries WHERE id = ? AND subscription_id = ?',
+      [id, subscriptionId]
+    );
+    if (!rows[0]) {
+      return null;
+    }
+
+    const attempts = await database.query(
+      'SELECT * FROM webhook_delivery_attempts WHERE delivery_id = ? ORDER BY id ASC',
+      [rows[0].id]
+    );
+
+    return {
+      ...this.format(rows[0]),
+      payload: JSON.parse(rows[0].payload),
+      attemptLog: attempts.map(attempt => ({
+        attempt: attempt.attempt,
+        statusCode: attempt.status_code,
+        error: attempt.error,
+        responseBody: attempt.response_body,
+        durationMs: attempt.duration_ms,
+        attemptedAt: attempt.attempted_at
+      }))
+    };
+  }
+
+  // Send a finished delivery again from its first attempt (delivered, failed or dead)
+  async redeliver(subscriptionId, id) {
+    const existing = await this.get(subscriptionId, id);
+    if (!existing) {
+      throw deliveryError(`Delivery ${id} not found`, 'DELIVERY_NOT_FOUND');
+    }
+
+    const result = await database.query(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', attempts = 0, next_attempt_at = NOW(3), locked_at = NULL
+      WHERE id = ? AND status IN ('delivered', 'failed', 'dead')
+    `, [existing.id]);
+
+    if (result.affectedRows === 0) {
+      throw deliveryError(`Delivery ${id} is already queued`, 'DELIVERY_IN_PROGRESS');
+    }
+
+    logger.info('Outbound webhook delivery requeued', { deliveryId: existing.id, subscriptionId });
+    return await this.get(subscriptionId, id);
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      subscriptionId: row.subscription_id,
+      eventId: row.event_id,
+      eventType: row.event_type,
+      status: row.status,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastStatusCode: row.last_status_code,
+      lastError: row.last_error,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at
+    };
+  }
+}
+
+module.exports = new WebhookDeliveryService();
@@ -0,0 +1,237 @@
+const config = require('../../config/config');
+const logger = require('./logger');
+const database = require('./database');
+const idempotency = require('./idempotency');
+const { computeBackoff } = require('../utils/backoff');
+
+// Headers that must never be persisted alongside the webhook body
+const REDACTED_HEADERS = ['authorization', 'x-api-key', 'cookie'];
+
+class WebhookInboxService {
+  constructor() {
+    this.processor = null;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Persist a verified webhook before any processing happens. An event id is
+   * stored once (unique key, migration 018): a repeated delivery returns the
+   * existing entry with `duplicate: true` and revives it if it was dead.
+   */
+  async enqueue({ eventId = null, eventType, headers = {}, rawBody }) {
+    const storedHeaders = { ...headers };
+    for (const name of REDACTED_HEADERS) {
+      delete storedHeaders[name];
+    }
+
+    // Assignments run left to right, so `status` is reset last
+    const result = await database.query(`
+      INSERT INTO webhook_inbox (event_id, event_type, headers, raw_body, max_attempts)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        id = LAST_INSERT_ID(id),
+        deliveries = deliveries + 1,
+        attempts = IF(status = 'dead', 0, attempts),
+        next_attempt_at = IF(status = 'dead', NOW(3), next_attempt_at),
+        status = IF(status = 'dead', 'pending', status)
+    `, [eventId, eventType, JSON.stringify(storedHeaders), rawBody, config.webhookInbox.maxAttempts]);
+
+    // 1 for a new row, 2 when the existing row was updated
+    if (result.affectedRows > 1) {
+      const [existing] = await database.query(`
+        SELECT id, event_type, status, result, processed_at FROM webhook_inbox WHERE id = ?
+      `, [result.insertId]);
+
+      logger.logDatabase('webhook_duplicate', { inboxId: result.insertId, eventId, status: existing.status });
+      return {
+        id: result.insertId,
+        duplicate: true,
+        eventType: existing.event_type,
+        status: existing.status,
+        result: existing.result ? JSON.parse(existing.result) : null,
+        processedAt: existing.processed_at
+      };
+    }
+
+    logger.logDatabase('webhook_enqueued', { inboxId: result.insertId, eventId, eventType });
+
+    return { id: result.insertId, duplicate: false };
+  }
+
+  // Start the background worker with the function that applies an event
+  start(processor) {
+    if (this.timer) {
+      return;
+    }
+
+    this.processor = processor;
+    this.timer = setInterval(() => this.poll(), config.webhookInbox.pollInterval);
+    logger.info('📥 Webhook inbox worker started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('📥 Webhook inbox worker stopped');
+    }
+  }
+
+  async poll() {
+    if (this.polling || !this.processor) {
+      return;
+    }
+
+    this.polling = true;
+    try {
+      const entries = await this.claimBatch();
+      for (const entry of entries) {
+        await this.processEntry(entry);
+      }
+    } catch (error) {
+      logger.error('❌ Webhook inbox poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Lock due entries (including ones abandoned by a crashed worker) for processing
+  async claimBatch() {
+    const { batchSize, lockTimeout } = config.webhookInbox;
+
+    return await database.transaction(async (connection) => {
+      const rows = await database.query(`
+        SELECT * FROM webhook_inbox
+        WHERE (status IN ('pending', 'failed') AND next_attempt_at <= NOW(3))
+           OR (status = 'processing' AND locked_at < NOW(3) - INTERVAL ? SECOND)
+        ORDER BY id ASC
+        LIMIT ?
+        FOR UPDATE SKIP LOCKED
+      `, [lockTimeout, batchSize], connection);
+
+      if (rows.length === 0) {
+        return [];
+      }
+
+      const ids = rows.map(row => row.id);
+      await database.query(`
+        UPDATE webhook_inbox
+        SET status = 'processing', locked_at = NOW(3), attempts = attempts + 1
+        WHERE id IN (${ids.map(() => '?').join(', ')})
+      `, ids, connection);
+
+      return rows.map(row => ({ ...row, attempts: row.attempts + 1 }));
+    });
+  }
+
+  async processEntry(entry) {
+    try {
+      // Another delivery of the same event may have been applied in the meantime
+      if (entry.event_id) {
+        const processed = await idempotency.getProcessed(entry.event_id);
+        if (processed) {
+          logger.info('Skipping already processed webhook event', {
+            inboxId: entry.id,
+            eventId: entry.event_id
+          });
+          await this.markProcessed(entry, processed.result);
+          return;
+        }
+      }
+
+      const payload = JSON.parse(entry.raw_body);
+      const result = await this.processor(entry.event_type, payload, entry);
+
+      if (entry.event_id) {
+        await idempotency.recordProcessed(entry.event_id, entry.event_type, result);
+      }
+      await this.markProcessed(entry, result);
+    } catch (error) {
+      await this.markFailed(entry, error);
+    }
+  }
+
+  async markProcessed(entry, result) {
+    await database.query(`
+      UPDATE webhook_inbox
+      SET status = 'processed', processed_at = NOW(3), locked_at = NULL, last_error = NULL, result = ?
+      WHERE id = ?
+    `, [JSON.stringify(result ?? null), entry.id]);
+
+    logger.logSync('webhook_processed', {
+      inboxId: entry.id,
+      eventType: entry.event_type,
+      attempts: entry.attempts
+    });
+  }
+
+  // Schedule a retry with exponential backoff, or dead-letter the entry
+  async markFailed(entry, error) {
+    if (entry.attempts >= entry.max_attempts) {
+      await database.query(`
+        UPDATE webhook_inbox
+        SET status = 'dead', locked_at = NULL, last_error = ?
+        WHERE id = ?
+      `, [error.message, entry.id]);
+
+      logger.error('☠️ Webhook moved to dead-letter state', {
+        inboxId: entry.id,
+        eventType: entry.event_type,
+        attempts: entry.attempts,
+        error: error.message
+      });
+      return { status: 'dead' };
+    }
+
+    const { backoffBaseMs, backoffMaxMs } = config.webhookInbox;
+    const delayMs = computeBackoff(entry.attempts, { baseMs: backoffBaseMs, maxMs: backoffMaxMs });
+    await database.query(`
+      UPDATE webhook_inbox
+      SET status = 'failed', locked_at = NULL, last_error = ?,
+          next_attempt_at = DATE_ADD(NOW(3), INTERVAL ? MICROSECOND)
+      WHERE id = ?
+    `, [error.message, delayMs * 1000, entry.id]);
+
+    logger.warn('Webhook processing failed, retry scheduled', {
+      inboxId: entry.id,
+      eventType: entry.event_type,
+      attempts: entry.attempts,
+      retryInMs: delayMs,
+      error: error.message
+    });
+    return { status: 'failed', retryInMs: delayMs };
+  }
+
+  async list({ status = null, limit = 50 } = {}) {
+    let sql = `
+      SELECT id, event_id, event_type, status, attempts, max_attempts, deliveries, next_attempt_at,
+             last_error, received_at, processed_at
+      FROM webhook_inbox
+    `;
+    const params = [];
+
+    if (status) {
+      sql += ' WHERE status = ?';
+      params.push(status);
+    }
+
+    sql += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    return await database.query(sql, params);
+  }
+
+  // Put a dead or failed entry back in the queue for immediate processing
+  async requeue(id) {
+    const result = await database.query(`
+      UPDATE webhook_inbox
+      SET status = 'pending', attempts = 0, next_attempt_at = NOW(3), locked_at = NULL
+      WHERE id = ? AND status IN ('dead', 'failed')
+    `, [id]);
+
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = new WebhookInboxService();
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const database = require('./database');
+const logger = require('./logger');
+
+// Subscription field -> column for partial updates
+const UPDATABLE_COLUMNS = {
+  name: 'name',
+  url: 'url',
+  secret: 'secret',
+  isActive: 'is_active'
+};
+
+const subscriptionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const parseEvents = (value) => {
+  try {
+    const events = JSON.parse(value);
+    return Array.isArray(events) ? events : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Whether a subscription filter ("*", "message.*" or an exact type) covers an event type
+const matchesEvent = (filter, eventType) => filter === '*' ||
+  filter === eventType ||
+  (filter.endsWith('.*') && eventType.startsWith(filter.slice(0, -1)));
+
+/**
+ * Consumers that receive outbound webhooks: a URL, the event types it wants
+ * and the secret its deliveries are signed with. The secret is returned when
+ * the subscription is created and never listed afterwards.
+ */
+class WebhookSubscriptionService {
+  async list() {
+    const rows = await database.query('SELECT * FROM webhook_subscriptions ORDER BY created_at DESC');
+    return rows.map(row => this.format(row));
+  }
+
+  async get(id) {
+    const rows = await database.query('SELECT * FROM webhook_subscriptions WHERE id = ?', [id]);
+    return rows[0] ? this.format(rows[0]) : null;
+  }
+
+  // Resolves to the stored subscription plus `secret` (generated unless given)
+  async create({ name, url, events, secret = null, isActive = true, createdBy = null }) {
+    const id = crypto.randomUUID();
+    const signingSecret = secret || `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+    await database.query(`
+      INSERT INTO webhook_subscriptions (id, name, url, events, secret, is_active, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [id, name, url, JSON.stringify(events), signingSecret, isActive ? 1 : 0, createdBy]);
+
+    logger.logDatabase('webhook_subscription_created', { subscriptionId: id, name, url, events });
+    return { ...await this.get(id), secret: signingSecret };
+  }
+
+  async update(id, changes) {
+    const existing = await this.get(id);
+    if (!existing) {
+      throw subscriptionError(`Webhook subscription ${id} not found`, 'SUBSCRIPTION_NOT_FOUND');
+    }
+
+    const assignments = [];
+    const params = [];
+
+    for (const [field, column] of Object.entries(UPDATABLE_COLUMNS)) {
+      if (changes[field] !== undefined) {
+        assignments.push(`${column} = ?`);
+        params.push(field === 'isActive' ? (changes.isActive ? 1 : 0) : changes[field]);
+      }
+    }
+    if (changes.events !== undefined) {
+      assignments.push('events = ?');
+      params.push(JSON.stringify(changes.events));
+    }
+
+    if (assignments.length > 0) {
+      await database.query(`UPDATE webhook_subscriptions SET ${assignments.join(', ')} WHERE id = ?`, [...params, id]);
+      logger.logDatabase('webhook_subscription_updated', { subscriptionId: id, fields: Object.keys(changes) });
+    }
+
+    return await this.get(id);
+  }
+
+  // Delete a subscription together with its deliveries and their attempt logs
+  async remove(id) {
+    const existing = await this.get(id);
+    if (!existing) {
+      throw subscriptionError(`Webhook subscription ${id} not found`, 'SUBSCRIPTION_NOT_FOUND');
+    }
+
+    await database.transaction(async (connection) => {
+      await database.query(`
+        DELETE a FROM webhook_delivery_attempts a
+        JOIN webhook_deliveries d ON d.id = a.delivery_id
+        WHERE d.subscription_id = ?
+      `, [id], connection);
+      await database.query('DELETE FROM webhook_deliveries WHERE subscription_id = ?', [id], connection);
+      await database.query('DELETE FROM webhook_subscriptions WHERE id = ?', [id], connection);
+    });
+
+    logger.logDatabase('webhook_subscription_deleted', { subscriptionId: id, name: existing.name });
+    return existing;
+  }
+
+  // Active subscriptions whose filters cover `eventType`
+  async matching(eventType, connection = null) {
+    const rows = await database.query('SELECT * FROM webhook_subscriptions WHERE is_active = 1', [], connection);
+    return rows
+      .map(row => this.format(row))
+      .filter(subscription => subscription.events.some(filter => matchesEvent(filter, eventType)));
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      url: row.url,
+      events: parseEvents(row.events),
+      isActive: Boolean(row.is_active),
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new WebhookSubscriptionService();
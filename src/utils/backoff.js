@@ -0,0 +1,9 @@
+// Exponential backoff delay in ms for a 1-based attempt number
+const computeBackoff = (attempt, { baseMs, maxMs }) => {
+  const exponent = Math.max(0, attempt - 1);
+  return Math.min(maxMs, baseMs * Math.pow(2, exponent));
+};
+
+module.exports = {
+  computeBackoff
+};
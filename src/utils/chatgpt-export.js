@@ -0,0 +1,153 @@
+// Parsing for ChatGPT "Export data" archives. Pure functions: they turn the
+// export's `conversations.json` into webhook-shaped conversation/message objects
+// that go through the same chatgpt-mapper normalization as webhook events.
+
+const AdmZip = require('adm-zip');
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+const invalidExport = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_EXPORT';
+  return error;
+};
+
+// Accepts the export zip or a bare conversations.json (Buffer or string).
+// `maxUncompressedBytes` bounds the declared size of the zipped file; adm-zip
+// stops inflating at that declared size, so it also bounds the memory used.
+const readConversationsFile = (input, { maxUncompressedBytes = Infinity } = {}) => {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(String(input), 'utf8');
+  let json = buffer;
+
+  if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+    let zip;
+    try {
+      zip = new AdmZip(buffer);
+    } catch (error) {
+      throw invalidExport(`Unreadable zip archive: ${error.message}`);
+    }
+
+    // The file sits at the archive root, but tolerate a wrapping folder
+    const entry = zip.getEntries()
+      .filter(candidate => !candidate.isDirectory && /(^|\/)conversations\.json$/.test(candidate.entryName))
+      .sort((a, b) => a.entryName.length - b.entryName.length)[0];
+
+    if (!entry) {
+      throw invalidExport('conversations.json not found in archive');
+    }
+    if (entry.header.size > maxUncompressedBytes) {
+      throw invalidExport(`conversations.json is ${entry.header.size} bytes uncompressed, over the ${maxUncompressedBytes} byte limit`);
+    }
+    json = entry.getData();
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json.toString('utf8'));
+  } catch (error) {
+    throw invalidExport(`conversations.json is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw invalidExport('conversations.json must contain an array of conversations');
+  }
+
+  return parsed;
+};
+
+// Nearest ancestor in the mapping that carries a message (skips the empty root
+// and any placeholder nodes); guards against cycles in malformed exports
+const messageAncestor = (mapping, nodeId) => {
+  const seen = new Set();
+  let parentId = mapping[nodeId]?.parent;
+
+  while (parentId && mapping[parentId] && !seen.has(parentId)) {
+    if (mapping[parentId].message) return parentId;
+    seen.add(parentId);
+    parentId = mapping[parentId].parent;
+  }
+
+  return null;
+};
+
+// Node ids whose messages sit below `nodeId`, looking through placeholder nodes
+const messageDescendants = (mapping, nodeId, seen = new Set()) => {
+  const ids = [];
+  for (const childId of mapping[nodeId]?.children || []) {
+    if (!mapping[childId] || seen.has(childId)) continue;
+    seen.add(childId);
+    if (mapping[childId].message) {
+      ids.push(childId);
+    } else {
+      ids.push(...messageDescendants(mapping, childId, seen));
+    }
+  }
+  return ids;
+};
+
+/**
+ * One exported conversation → { conversation, messages } in webhook payload
+ * shape. Parent links follow the `mapping` graph (not time order), so edits
+ * and regenerations stay as branches; `current_node` is resolved to the
+ * nearest node that has a message.
+ */
+const parseExportConversation = (exported) => {
+  const conversationId = exported.conversation_id || exported.id;
+  const mapping = exported.mapping;
+
+  if (!conversationId) {
+    throw invalidExport('Conversation without id');
+  }
+  if (!mapping || typeof mapping !== 'object') {
+    throw invalidExport(`Conversation ${conversationId} has no mapping`);
+  }
+
+  const messages = [];
+  for (const [nodeId, node] of Object.entries(mapping)) {
+    const message = node?.message;
+    if (!message) continue;
+
+    const parentNodeId = messageAncestor(mapping, nodeId);
+
+    messages.push({
+      id: message.id || nodeId,
+      conversation_id: conversationId,
+      parent: parentNodeId ? (mapping[parentNodeId].message.id || parentNodeId) : null,
+      children: messageDescendants(mapping, nodeId).map(childId => mapping[childId].message.id || childId),
+      author: message.author,
+      role: message.author?.role,
+      content: message.content,
+      create_time: message.create_time ?? message.update_time ?? null,
+      status: message.status,
+      metadata: message.metadata
+    });
+  }
+
+  // Conversation order; the tree itself is carried by parent links
+  messages.sort((a, b) => (a.create_time ?? 0) - (b.create_time ?? 0));
+
+  let currentNode = exported.current_node && mapping[exported.current_node] ? exported.current_node : null;
+  if (currentNode && !mapping[currentNode].message) {
+    currentNode = messageAncestor(mapping, currentNode);
+  }
+
+  return {
+    conversation: {
+      id: conversationId,
+      title: exported.title,
+      create_time: exported.create_time,
+      update_time: exported.update_time,
+      default_model_slug: exported.default_model_slug,
+      current_node: currentNode ? (mapping[currentNode].message.id || currentNode) : null,
+      is_archived: exported.is_archived,
+      is_starred: exported.is_starred,
+      gizmo_id: exported.gizmo_id || null
+    },
+    messages
+  };
+};
+
+module.exports = {
+  readConversationsFile,
+  parseExportConversation
+};
@@ -0,0 +1,106 @@
+// Maps ChatGPT/OpenAI payloads onto the v2 `conversations` / `messages` columns.
+// Pure functions: no database access, shared by webhooks, the OpenAI service and imports.
+
+// Epoch milliseconds from seconds, milliseconds, ISO strings or Dates
+const toEpochMs = (time) => {
+  if (time === null || time === undefined || time === '') return null;
+
+  if (time instanceof Date) {
+    return time.getTime();
+  }
+
+  if (typeof time === 'number' || /^\d+(\.\d+)?$/.test(String(time))) {
+    const value = Number(time);
+    // Values below 1e12 are seconds (1e12 ms is September 2001)
+    return Math.floor(value < 1e12 ? value * 1000 : value);
+  }
+
+  const parsed = Date.parse(time);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+// Plain text from the many shapes message content comes in
+const extractText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value;
+
+  if (Array.isArray(value)) {
+    return value.map(extractText).filter(text => text.length > 0).join('\n');
+  }
+
+  if (typeof value === 'object') {
+    if (Array.isArray(value.parts)) return extractText(value.parts);
+    if (typeof value.text === 'string') return value.text;
+    if (value.text && typeof value.text.value === 'string') return value.text.value;
+    if (typeof value.result === 'string') return value.result;
+    if (value.asset_pointer) {
+      return `[${value.content_type || 'attachment'}: ${value.asset_pointer}]`;
+    }
+  }
+
+  return '';
+};
+
+// content_type as ChatGPT reports it, inferred for bare strings and part arrays
+const detectContentType = (content, parts) => {
+  if (content && typeof content === 'object' && !Array.isArray(content) && content.content_type) {
+    return content.content_type;
+  }
+
+  const candidates = Array.isArray(parts) ? parts : (Array.isArray(content) ? content : []);
+  if (candidates.some(part => part && typeof part === 'object')) {
+    return 'multimodal_text';
+  }
+
+  return 'text';
+};
+
+const normalizeConversation = (conversation) => {
+  const createdAtMs = toEpochMs(conversation.create_time ?? conversation.created_at);
+  const updatedAtMs = toEpochMs(conversation.update_time ?? conversation.updated_at);
+
+  return {
+    conversation_id: conversation.conversation_id || conversation.id,
+    title: conversation.title || null,
+    default_model_slug: conversation.default_model_slug || conversation.model || null,
+    openai_thread_id: conversation.openai_thread_id || null,
+    current_node_id: conversation.current_node_id || conversation.current_node || null,
+    created_at_ms: createdAtMs,
+    updated_at_ms: updatedAtMs || createdAtMs,
+    is_archived: conversation.is_archived,
+    is_starred: conversation.is_starred
+  };
+};
+
+// `conversationRef` is the external conversation id when the message omits it
+const normalizeMessage = (message, conversationRef = null) => {
+  const metadata = {};
+  if (message.parts) metadata.parts = message.parts;
+  if (message.children) metadata.children = message.children;
+  if (message.author) metadata.author = message.author;
+  if (message.content && typeof message.content === 'object') metadata.content = message.content;
+  if (message.metadata && typeof message.metadata === 'object') Object.assign(metadata, message.metadata);
+
+  const text = extractText(message.content) || extractText(message.parts);
+
+  return {
+    id: message.id,
+    conversation_ref: message.conversation_id || conversationRef,
+    parent_message_id: message.parent_message_id || message.parent || null,
+    role: message.role || message.author?.role || 'user',
+    author_name: message.author_name || message.author?.name || null,
+    content: text.length > 0 ? text : null,
+    content_type: detectContentType(message.content, message.parts),
+    created_at_ms: toEpochMs(message.create_time ?? message.created_at),
+    status: message.status || 'finished_successfully',
+    metadata: Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : null
+  };
+};
+
+module.exports = {
+  toEpochMs,
+  extractText,
+  detectContentType,
+  normalizeConversation,
+  normalizeMessage
+};
@@ -0,0 +1,41 @@
+/**
+ * Split text into overlapping chunks for embedding.
+ *
+ * Chunks are at most `size` characters and break on whitespace where
+ * possible; consecutive chunks share roughly `overlap` characters so a
+ * sentence cut at a boundary is still embedded whole in one of them.
+ */
+function chunkText(text, { size = 1000, overlap = 200 } = {}) {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim();
+  if (!normalized) return [];
+  if (overlap >= size) {
+    throw new Error('Chunk overlap must be smaller than chunk size');
+  }
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < normalized.length) {
+    let end = Math.min(start + size, normalized.length);
+
+    if (end < normalized.length) {
+      const lastSpace = normalized.lastIndexOf(' ', end);
+      if (lastSpace > start) end = lastSpace;
+    }
+
+    chunks.push(normalized.slice(start, end).trim());
+    if (end >= normalized.length) break;
+
+    // Step back for the overlap, then forward to the next word boundary
+    let next = Math.max(end - overlap, start + 1);
+    const boundary = normalized.indexOf(' ', next);
+    next = boundary !== -1 && boundary < end ? boundary + 1 : end;
+    start = next;
+  }
+
+  return chunks.filter(Boolean);
+}
+
+module.exports = {
+  chunkText
+};
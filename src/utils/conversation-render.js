@@ -0,0 +1,208 @@
+// Renders a conversation (metadata plus the messages of one branch) as
+// Markdown, HTML, JSON or plain text. Pure functions, no database access.
+
+const { escapeHtml } = require('./search-query');
+
+const FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+const ROLE_LABELS = {
+  user: 'User',
+  assistant: 'Assistant',
+  system: 'System',
+  tool: 'Tool'
+};
+
+const roleLabel = (message) => {
+  const label = ROLE_LABELS[message.role] || message.role;
+  return message.author_name ? `${label} (${message.author_name})` : label;
+};
+
+const isoDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// `code` messages (Code Interpreter input) carry raw source; everything else is Markdown-ish text
+const messageBody = (message) => {
+  const content = message.content || '';
+  if (message.content_type === 'code') {
+    return `\`\`\`\n${content}\n\`\`\``;
+  }
+  return content;
+};
+
+// Header fields shared by every format
+const headerFields = ({ conversation, project }) => [
+  ['Project', project ? project.name : null],
+  ['Created', isoDate(conversation.created_at)],
+  ['Updated', isoDate(conversation.updated_at)],
+  ['Model', conversation.default_model_slug],
+  ['Conversation ID', conversation.conversation_id]
+].filter(([, value]) => value);
+
+const renderMarkdown = (data) => {
+  const lines = [`# ${data.conversation.title || 'Untitled'}`, ''];
+
+  for (const [label, value] of headerFields(data)) {
+    lines.push(`- **${label}:** ${value}`);
+  }
+
+  for (const message of data.messages) {
+    const created = isoDate(message.created_at);
+    lines.push('', '---', '', `### ${roleLabel(message)}${created ? ` · ${created}` : ''}`, '', messageBody(message));
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+// Markdown fences become <pre><code>; other text keeps its line breaks
+const htmlBody = (text) => {
+  const parts = text.split(/^```([^\n]*)\n([\s\S]*?)^```[ \t]*$/m);
+  let html = '';
+
+  for (let i = 0; i < parts.length; i += 3) {
+    const prose = parts[i].trim();
+    if (prose) {
+      html += prose.split(/\n{2,}/)
+        .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+        .join('\n');
+    }
+
+    if (i + 2 < parts.length) {
+      const language = parts[i + 1].trim();
+      const code = parts[i + 2].replace(/\n$/, '');
+      html += `\n<pre><code${language ? ` class="language-${escapeHtml(language)}"` : ''}>${escapeHtml(code)}</code></pre>\n`;
+    }
+  }
+
+  return html;
+};
+
+const renderHtml = (data) => {
+  const title = escapeHtml(data.conversation.title || 'Untitled');
+  const header = headerFields(data)
+    .map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(String(value))}</dd>`)
+    .join('');
+
+  const messages = data.messages.map(message => {
+    const created = isoDate(message.created_at);
+    return `<section class="message ${escapeHtml(message.role)}">
+<h3>${escapeHtml(roleLabel(message))}${created ? ` <time datetime="${created}">${created}</time>` : ''}</h3>
+${htmlBody(messageBody(message))}
+</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: .25rem 1rem; color: #555; }
+dd { margin: 0; }
+.message { border-top: 1px solid #ddd; padding: .5rem 0; }
+.message.user h3 { color: #1a5fb4; }
+.message.assistant h3 { color: #26a269; }
+.message.system h3, .message.tool h3 { color: #777; }
+time { font-size: .8em; font-weight: normal; color: #777; margin-left: .5rem; }
+pre { background: #f6f8fa; padding: .75rem; overflow-x: auto; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<dl>${header}</dl>
+${messages}
+</body>
+</html>
+`;
+};
+
+const renderText = (data) => {
+  const title = data.conversation.title || 'Untitled';
+  const lines = [title, '='.repeat(Math.min(title.length, 80))];
+
+  for (const [label, value] of headerFields(data)) {
+    lines.push(`${label}: ${value}`);
+  }
+
+  for (const message of data.messages) {
+    const created = isoDate(message.created_at);
+    lines.push('', `[${roleLabel(message)}]${created ? ` ${created}` : ''}`, messageBody(message));
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+const renderJson = ({ conversation, project, messages }) => `${JSON.stringify({
+  conversation: {
+    id: conversation.id,
+    conversation_id: conversation.conversation_id,
+    title: conversation.title,
+    default_model_slug: conversation.default_model_slug,
+    is_archived: Boolean(conversation.is_archived),
+    is_starred: Boolean(conversation.is_starred),
+    created_at: isoDate(conversation.created_at),
+    updated_at: isoDate(conversation.updated_at)
+  },
+  project: project ? { id: project.id, name: project.name } : null,
+  messages: messages.map(message => ({
+    id: message.id,
+    parent_message_id: message.parent_id ?? message.parent_message_id ?? null,
+    role: message.role,
+    author_name: message.author_name || null,
+    content_type: message.content_type,
+    content: message.content,
+    created_at: isoDate(message.created_at)
+  }))
+}, null, 2)}\n`;
+
+const renderers = {
+  md: renderMarkdown,
+  html: renderHtml,
+  json: renderJson,
+  txt: renderText
+};
+
+// Drops empty messages and the roles listed in `hideRoles`
+const visibleMessages = (messages, hideRoles = []) => messages.filter(message =>
+  message.content && message.content.trim() && !hideRoles.includes(message.role)
+);
+
+/**
+ * data: { conversation, project, messages } with messages in display order
+ * options.hideRoles: roles to leave out (e.g. ['system', 'tool'])
+ */
+const renderConversation = (format, data, { hideRoles = [] } = {}) => {
+  const renderer = renderers[format];
+  if (!renderer) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  return renderer({ ...data, messages: visibleMessages(data.messages, hideRoles) });
+};
+
+// File name stem from the title, made safe for archives and Content-Disposition
+const exportFilename = (conversation, format) => {
+  const slug = (conversation.title || 'untitled')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase()
+    .slice(0, 60) || 'untitled';
+
+  return `${slug}-${String(conversation.id).slice(0, 8)}.${FORMATS[format].extension}`;
+};
+
+module.exports = {
+  FORMATS,
+  renderConversation,
+  exportFilename
+};
@@ -0,0 +1,168 @@
+/**
+ * Conversation tree reconstruction (pure functions, no database access).
+ *
+ * ChatGPT stores a conversation as a tree: editing a prompt or regenerating a
+ * reply adds a sibling under the same parent. Messages keep that shape through
+ * parent_message_id; these helpers rebuild it and derive the path to a leaf
+ * (what the UI shows as the conversation) and the alternative branches.
+ */
+
+const toNode = (row) => ({
+  id: row.id,
+  parent_id: row.parent_message_id || null,
+  role: row.role,
+  author_name: row.author_name,
+  content: row.content,
+  content_type: row.content_type,
+  status: row.status,
+  created_at: row.created_at,
+  children: []
+});
+
+/**
+ * Build the tree from message rows in conversation order. Soft-deleted
+ * messages are removed and their children re-attached to the nearest live
+ * ancestor; messages whose parent is unknown become roots, and so does the
+ * first message of a parent cycle.
+ */
+function buildTree(rows) {
+  const byId = new Map(rows.map(row => [row.id, row]));
+  const nodes = new Map();
+
+  for (const row of rows) {
+    if (!row.deleted_at) nodes.set(row.id, toNode(row));
+  }
+
+  // Nearest live ancestor, guarding against parent cycles in bad data
+  const liveParentOf = (row) => {
+    const seen = new Set([row.id]);
+    let parentId = row.parent_message_id;
+
+    while (parentId && byId.has(parentId) && !seen.has(parentId)) {
+      if (nodes.has(parentId)) return parentId;
+      seen.add(parentId);
+      parentId = byId.get(parentId).parent_message_id;
+    }
+
+    return null;
+  };
+
+  for (const row of rows) {
+    const node = nodes.get(row.id);
+    if (node) node.parent_id = liveParentOf(row);
+  }
+
+  // Cycles among live messages (a → b → a): the first one reached again becomes a root
+  const settled = new Set();
+  for (const node of nodes.values()) {
+    const walk = [];
+    const onWalk = new Set();
+    let current = node;
+
+    while (current && !settled.has(current.id)) {
+      if (onWalk.has(current.id)) {
+        current.parent_id = null;
+        break;
+      }
+      walk.push(current);
+      onWalk.add(current.id);
+      current = current.parent_id ? nodes.get(current.parent_id) : null;
+    }
+
+    walk.forEach(visited => settled.add(visited.id));
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    if (node.parent_id) {
+      nodes.get(node.parent_id).children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return { roots, nodes };
+}
+
+// Node ids from the root down to `nodeId`
+function pathTo(nodes, nodeId) {
+  const path = [];
+  const seen = new Set();
+  let node = nodes.get(nodeId);
+
+  while (node && !seen.has(node.id)) {
+    seen.add(node.id);
+    path.push(node.id);
+    node = node.parent_id ? nodes.get(node.parent_id) : null;
+  }
+
+  return path.reverse();
+}
+
+// Leaves in conversation order
+function leavesOf(nodes) {
+  return [...nodes.values()].filter(node => node.children.length === 0);
+}
+
+/**
+ * The leaf the conversation currently shows: the requested node, else the
+ * stored ChatGPT current_node, else the most recent leaf. A non-leaf node is
+ * followed down its latest children.
+ */
+function resolveLeaf(nodes, { leafId = null, currentNodeId = null } = {}) {
+  let node = (leafId && nodes.get(leafId)) || (currentNodeId && nodes.get(currentNodeId)) || null;
+
+  if (!node) {
+    const leaves = leavesOf(nodes);
+    node = leaves[leaves.length - 1] || null;
+  }
+
+  const seen = new Set();
+  while (node && node.children.length > 0 && !seen.has(node.id)) {
+    seen.add(node.id);
+    node = node.children[node.children.length - 1];
+  }
+
+  return node ? node.id : null;
+}
+
+/**
+ * One entry per leaf. `fork_point_id` is the deepest message the branch shares
+ * with the current path; the branch diverges right after it.
+ */
+function listBranches(nodes, currentLeafId) {
+  const currentPath = currentLeafId ? pathTo(nodes, currentLeafId) : [];
+  const onCurrent = new Set(currentPath);
+
+  return leavesOf(nodes).map(leaf => {
+    const path = pathTo(nodes, leaf.id);
+    let forkPointId = null;
+    for (const id of path) {
+      if (!onCurrent.has(id)) break;
+      forkPointId = id;
+    }
+
+    const divergence = path.slice(forkPointId ? path.indexOf(forkPointId) + 1 : 0);
+
+    return {
+      leaf_id: leaf.id,
+      is_current: leaf.id === currentLeafId,
+      fork_point_id: leaf.id === currentLeafId ? null : forkPointId,
+      first_message_id: leaf.id === currentLeafId ? null : divergence[0] || null,
+      length: path.length,
+      last_message_at: leaf.created_at,
+      preview: (leaf.content || '').slice(0, 200)
+    };
+  });
+}
+
+// Strip child arrays for flat path responses
+const withoutChildren = ({ children, ...node }) => ({ ...node, child_ids: children.map(child => child.id) });
+
+module.exports = {
+  buildTree,
+  pathTo,
+  resolveLeaf,
+  listBranches,
+  withoutChildren
+};
@@ -0,0 +1,168 @@
+/**
+ * Cron expressions for the in-process scheduler.
+ *
+ * Five fields (minute hour day-of-month month day-of-week) or six with a
+ * leading seconds field. Each field accepts `*`, numbers, ranges (`1-5`),
+ * steps (`*\/15`, `0-30/10`) and comma lists; months and weekdays also take
+ * three-letter names. When both day fields are restricted a day matches
+ * either one, as in classic cron. Times are evaluated in the server's zone.
+ */
+
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Give up looking for a match this far ahead (e.g. "0 0 30 2 *" never fires)
+const MAX_LOOKAHEAD_YEARS = 5;
+
+const cronError = (expression, reason) => {
+  const error = new Error(`Invalid cron expression "${expression}": ${reason}`);
+  error.code = 'INVALID_CRON';
+  return error;
+};
+
+const parseValue = (value, field, expression) => {
+  const lower = value.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw cronError(expression, `"${value}" is not a valid ${field.name}`);
+  }
+  const number = Number(value);
+  if (number < field.min || number > field.max) {
+    throw cronError(expression, `${field.name} ${number} is outside ${field.min}-${field.max}`);
+  }
+  return number;
+};
+
+// One field → sorted unique values it allows, plus whether it was a bare `*`
+const parseField = (source, field, expression) => {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [range, stepSource] = part.split('/');
+    const step = stepSource === undefined ? 1 : Number(stepSource);
+    if (!Number.isInteger(step) || step < 1) {
+      throw cronError(expression, `invalid step "${stepSource}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field, expression);
+      end = parseValue(to, field, expression);
+      if (start > end) {
+        throw cronError(expression, `range ${range} is reversed`);
+      }
+    } else {
+      start = parseValue(range, field, expression);
+      end = stepSource === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // Sunday may be written as 0 or 7
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return { values, any: source === '*' };
+};
+
+/**
+ * Parse an expression into { expression, second, minute, hour, dayOfMonth,
+ * month, dayOfWeek }, each a { values: Set, any } matcher. Throws an error
+ * with code INVALID_CRON.
+ */
+const parseCron = (expression) => {
+  const source = String(expression || '').trim();
+  const expanded = MACROS[source.toLowerCase()] || source;
+  const parts = expanded.split(/\s+/);
+
+  if (parts.length !== 5 && parts.length !== 6) {
+    throw cronError(source, 'expected 5 or 6 fields');
+  }
+  if (parts.length === 5) {
+    parts.unshift('0');
+  }
+
+  const schedule = { expression: source };
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field, source);
+  });
+  return schedule;
+};
+
+const matchesDay = (schedule, date) => {
+  const { dayOfMonth, dayOfWeek } = schedule;
+  const domMatch = dayOfMonth.values.has(date.getDate());
+  const dowMatch = dayOfWeek.values.has(date.getDay());
+
+  if (dayOfMonth.any || dayOfWeek.any) {
+    return domMatch && dowMatch;
+  }
+  return domMatch || dowMatch;
+};
+
+// First time strictly after `from` that the schedule fires
+const nextRun = (schedule, from = new Date()) => {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const date = new Date(from.getTime());
+  date.setMilliseconds(0);
+  date.setSeconds(date.getSeconds() + 1);
+
+  const limit = new Date(from.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+  while (date <= limit) {
+    if (!parsed.month.values.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0);
+      continue;
+    }
+    if (!parsed.hour.values.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0);
+      continue;
+    }
+    if (!parsed.minute.values.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0);
+      continue;
+    }
+    if (!parsed.second.values.has(date.getSeconds())) {
+      date.setSeconds(date.getSeconds() + 1);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  nextRun
+};
@@ -0,0 +1,124 @@
+// Parses raw OpenAI responses stored in migration_preview into webhook-shaped
+// messages for chatgpt-mapper's normalizeMessage. Two shapes are understood:
+// thread message lists (Assistants API, `object: "list"` of `thread.message`)
+// and Responses API objects (`object: "response"` with `output` items).
+
+const crypto = require('crypto');
+
+// messages.id is VARCHAR(36); longer OpenAI ids map to a stable name-based UUID
+const toMessageId = (openaiId) => {
+  if (openaiId.length <= 36) return openaiId;
+
+  const hash = crypto.createHash('sha1').update(`openai:${openaiId}`).digest();
+  hash[6] = (hash[6] & 0x0f) | 0x50; // version 5
+  hash[8] = (hash[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = hash.subarray(0, 16).toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const parseError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_PREVIEW';
+  return error;
+};
+
+const TEXT_PART_TYPES = ['text', 'output_text', 'input_text'];
+
+// All-text part arrays become ChatGPT-style text content; anything else stays multimodal
+const toContent = (parts) => {
+  if (!Array.isArray(parts)) return parts;
+  if (!parts.every(part => part && TEXT_PART_TYPES.includes(part.type))) return parts;
+
+  return {
+    content_type: 'text',
+    parts: parts.map(part => (typeof part.text === 'string' ? part.text : part.text?.value || ''))
+  };
+};
+
+const fromThreadMessages = (list) => list.data
+  .filter(item => item && item.object === 'thread.message')
+  .map(item => ({
+    openaiId: item.id,
+    role: item.role,
+    content: item.content,
+    create_time: item.created_at,
+    metadata: {
+      openai_message_id: item.id,
+      thread_id: item.thread_id || null,
+      run_id: item.run_id || null,
+      assistant_id: item.assistant_id || null
+    }
+  }));
+
+const fromResponse = (response) => (response.output || [])
+  .filter(item => item && item.type === 'message')
+  .map(item => ({
+    openaiId: item.id,
+    role: item.role || 'assistant',
+    content: item.content,
+    create_time: response.created_at,
+    status: item.status === 'incomplete' ? 'in_progress' : undefined,
+    metadata: {
+      openai_message_id: item.id,
+      response_id: response.id,
+      previous_response_id: response.previous_response_id || null,
+      model: response.model || null
+    }
+  }));
+
+/**
+ * Raw preview (string or object) → messages in conversation order, each
+ * parented to the one before it. The first message has no parent here; the
+ * migration links it to the conversation's last stored message.
+ */
+const parsePreviewResponse = (raw, conversationRef) => {
+  let parsed = raw;
+  if (typeof raw === 'string') {
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      throw parseError(`Preview is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!parsed || typeof parsed !== 'object') {
+    throw parseError('Preview is empty');
+  }
+  if (parsed.error) {
+    throw parseError(`Preview holds a fetch error: ${parsed.error.message || parsed.error}`);
+  }
+
+  let items;
+  if (parsed.object === 'list' && Array.isArray(parsed.data)) {
+    items = fromThreadMessages(parsed);
+  } else if (parsed.object === 'response') {
+    items = fromResponse(parsed);
+  } else {
+    throw parseError(`Unrecognised preview shape: ${parsed.object || 'unknown'}`);
+  }
+
+  // Thread lists come newest-first by default
+  items.sort((a, b) => (a.create_time || 0) - (b.create_time || 0));
+
+  let parentId = null;
+  return items.map(item => {
+    const id = toMessageId(item.openaiId);
+    const message = {
+      id,
+      conversation_id: conversationRef,
+      parent: parentId,
+      role: item.role,
+      content: toContent(item.content),
+      create_time: item.create_time,
+      status: item.status,
+      metadata: item.metadata
+    };
+    parentId = id;
+    return message;
+  });
+};
+
+module.exports = {
+  parsePreviewResponse,
+  toMessageId
+};
@@ -0,0 +1,39 @@
+// Opaque cursors for keyset pagination: base64url-encoded JSON of the last row's sort keys
+
+const encodeCursor = (values) => {
+  return Buffer.from(JSON.stringify(values), 'utf8').toString('base64url');
+};
+
+// Returns null for a missing cursor and throws on a malformed one
+const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!values || typeof values !== 'object') {
+      throw new Error('Cursor must encode an object');
+    }
+    return values;
+  } catch (error) {
+    const invalid = new Error('Invalid cursor');
+    invalid.code = 'INVALID_CURSOR';
+    throw invalid;
+  }
+};
+
+// Trim the extra row fetched to detect a next page and build the next cursor
+const buildPage = (rows, limit, cursorFor) => {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(cursorFor(items[items.length - 1])) : null
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildPage
+};
@@ -0,0 +1,47 @@
+/**
+ * OpenAI list prices in USD per million tokens. A dated or suffixed model
+ * name (gpt-4o-mini-2024-07-18) is priced by its longest matching prefix.
+ * Deployments with other prices override entries with OPENAI_MODEL_PRICES.
+ */
+const MODEL_PRICES = {
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'o1': { input: 15, output: 60 },
+  'o1-mini': { input: 1.1, output: 4.4 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-ada-002': { input: 0.1, output: 0 }
+};
+
+// Price entry for a model, or null when it is not in the table
+const findPrice = (model, prices = MODEL_PRICES) => {
+  if (!model) return null;
+
+  const match = Object.keys(prices)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? prices[match] : null;
+};
+
+// Cost in USD of a call, rounded to the api_calls.cost precision; null for unpriced models
+const computeCost = (model, tokensInput, tokensOutput, prices = MODEL_PRICES) => {
+  const price = findPrice(model, prices);
+  if (!price) return null;
+
+  const cost = ((tokensInput || 0) * price.input + (tokensOutput || 0) * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+module.exports = {
+  MODEL_PRICES,
+  findPrice,
+  computeCost
+};
@@ -0,0 +1,27 @@
+// Restricting queries to the projects a user may see. `projectIds` is null for
+// unrestricted access, otherwise the granted ids (possibly none).
+
+// SQL condition on `column` for the scope, or null when nothing is restricted
+const projectScope = (column, projectIds) => {
+  if (!projectIds) return null;
+  if (projectIds.length === 0) return { sql: 'FALSE', params: [] };
+
+  return {
+    sql: `${column} IN (${projectIds.map(() => '?').join(', ')})`,
+    params: projectIds
+  };
+};
+
+const canAccessProject = (projectIds, projectId) => {
+  if (!projectIds) return true;
+  return projectId !== null && projectId !== undefined && projectIds.includes(Number(projectId));
+};
+
+// Query options carrying the scope; empty when nothing is restricted
+const scopeOptions = (projectIds) => (projectIds ? { projectIds } : {});
+
+module.exports = {
+  projectScope,
+  canAccessProject,
+  scopeOptions
+};
@@ -0,0 +1,84 @@
+// Query parsing and snippet highlighting for full-text search
+
+const SNIPPET_RADIUS = 80;
+
+const TOKEN_PATTERN = /([+-]?)"([^"]*)"|([+-]?)([^\s"]+)/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Turn user input into a safe MySQL BOOLEAN MODE expression.
+// Supports bare words (OR-ed, ranked), "exact phrases", +required, -excluded and prefix*.
+const parseSearchQuery = (input) => {
+  const clauses = [];
+  const terms = [];
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(String(input))) !== null) {
+    const [, phraseOperator, phrase, wordOperator, word] = match;
+
+    if (phrase !== undefined) {
+      const text = phrase.replace(/[^\p{L}\p{N}\s_'.,-]/gu, ' ').replace(/\s+/g, ' ').trim();
+      if (!text) continue;
+      clauses.push(`${phraseOperator}"${text}"`);
+      if (phraseOperator !== '-') terms.push({ text, prefix: false });
+      continue;
+    }
+
+    const prefix = word.endsWith('*');
+    const text = word.replace(/[^\p{L}\p{N}_']/gu, '');
+    if (!text) continue;
+    clauses.push(`${wordOperator}${text}${prefix ? '*' : ''}`);
+    if (wordOperator !== '-') terms.push({ text, prefix });
+  }
+
+  if (terms.length === 0) {
+    const error = new Error('Search query must contain at least one term');
+    error.code = 'INVALID_QUERY';
+    throw error;
+  }
+
+  return { expression: clauses.join(' '), terms };
+};
+
+// Excerpt around the first matching term, HTML-escaped, with matches wrapped in <mark>
+const buildSnippet = (content, terms, radius = SNIPPET_RADIUS) => {
+  if (!content) return '';
+
+  const alternatives = terms
+    .map(term => escapeRegExp(term.text).replace(/\s+/g, '\\s+') + (term.prefix ? '[\\p{L}\\p{N}_]*' : ''))
+    .join('|');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives})(?![\\p{L}\\p{N}_])`, 'giu');
+
+  const first = pattern.exec(content);
+  pattern.lastIndex = 0;
+
+  const start = first ? Math.max(0, first.index - radius) : 0;
+  const end = first
+    ? Math.min(content.length, first.index + first[0].length + radius)
+    : Math.min(content.length, radius * 2);
+  const excerpt = content.slice(start, end);
+
+  let highlighted = '';
+  let last = 0;
+  for (const found of excerpt.matchAll(pattern)) {
+    highlighted += escapeHtml(excerpt.slice(last, found.index));
+    highlighted += `<mark>${escapeHtml(found[0])}</mark>`;
+    last = found.index + found[0].length;
+  }
+  highlighted += escapeHtml(excerpt.slice(last));
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < content.length ? '…' : ''}`;
+};
+
+module.exports = {
+  parseSearchQuery,
+  buildSnippet,
+  escapeHtml
+};
@@ -0,0 +1,46 @@
+/**
+ * Server-Sent Events over an Express response.
+ *
+ * openEventStream sends the stream headers and returns { send, close, signal }.
+ * `signal` aborts when the client disconnects before close(), so upstream work
+ * (an OpenAI stream) can stop and keep what it has.
+ */
+const openEventStream = (res) => {
+  const controller = new AbortController();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+
+    send(event, data) {
+      if (res.writableEnded || controller.signal.aborted) {
+        return false;
+      }
+      return res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
+};
+
+module.exports = {
+  openEventStream
+};
@@ -0,0 +1,56 @@
+/**
+ * Checks model-supplied tool arguments against the JSON schema a tool was
+ * declared with. Covers what the tool schemas use: an object with typed
+ * properties, `required`, `enum` and numeric `minimum`/`maximum`; unknown
+ * properties are ignored. Returns a list of problems (empty when valid).
+ */
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+const validateToolArguments = (schema, args) => {
+  if (!TYPE_CHECKS.object(args)) {
+    return ['arguments must be an object'];
+  }
+
+  const errors = [];
+  const properties = schema.properties || {};
+
+  for (const name of schema.required || []) {
+    if (args[name] === undefined || args[name] === null) {
+      errors.push(`"${name}" is required`);
+    }
+  }
+
+  for (const [name, value] of Object.entries(args)) {
+    const property = properties[name];
+    if (!property || value === undefined || value === null) continue;
+
+    const types = [].concat(property.type || []);
+    if (types.length > 0 && !types.some(type => TYPE_CHECKS[type] && TYPE_CHECKS[type](value))) {
+      errors.push(`"${name}" must be ${types.join(' or ')}`);
+      continue;
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      errors.push(`"${name}" must be one of ${property.enum.join(', ')}`);
+    }
+    if (property.minimum !== undefined && value < property.minimum) {
+      errors.push(`"${name}" must be at least ${property.minimum}`);
+    }
+    if (property.maximum !== undefined && value > property.maximum) {
+      errors.push(`"${name}" must be at most ${property.maximum}`);
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validateToolArguments
+};
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const config = require('../../config/config');
 
 // Schema for conversation data
 const conversationSchema = Joi.object({
@@ -15,7 +16,7 @@ const conversationSchema = Joi.object({
 const messageSchema = Joi.object({
   id: Joi.string().required(),
   conversation_id: Joi.string().required(),
-  role: Joi.string().valid('user', 'assistant', 'system').required(),
+  role: Joi.string().valid('user', 'assistant', 'system', 'tool').required(),
   content: Joi.alternatives().try(
     Joi.string(),
     Joi.object(),
@@ -44,6 +45,13 @@ const projectSchema = Joi.object({
   chatgpt_project_id: Joi.string().allow(null)
 });
 
+// Fields shared by every webhook payload
+const eventEnvelope = {
+  event_id: Joi.string().max(255).optional(),
+  event_type: Joi.string().optional(),
+  timestamp: Joi.number().optional()
+};
+
 // Schema for webhook payload
 const webhookPayloadSchema = Joi.object({
   conversation: conversationSchema.when('message', {
@@ -53,8 +61,221 @@ const webhookPayloadSchema = Joi.object({
   }),
   message: messageSchema.optional(),
   project: projectSchema.optional(),
-  event_type: Joi.string().optional(),
-  timestamp: Joi.number().optional()
+  ...eventEnvelope
+});
+
+// Schemas for lifecycle events that only reference an existing record
+const conversationReferenceSchema = Joi.object({
+  id: Joi.string().required()
+}).unknown(true);
+
+// conversation.deleted, .archived and .unarchived carry nothing but the reference
+const conversationReferenceEventSchema = Joi.object({
+  conversation: conversationReferenceSchema.required(),
+  ...eventEnvelope
+});
+
+const conversationStarredSchema = Joi.object({
+  conversation: conversationReferenceSchema.keys({
+    is_starred: Joi.boolean().default(true)
+  }).required(),
+  ...eventEnvelope
+});
+
+const messageDeletedSchema = Joi.object({
+  message: Joi.object({
+    id: Joi.string().required(),
+    conversation_id: Joi.string().optional()
+  }).unknown(true).required(),
+  ...eventEnvelope
+});
+
+// Event types whose payload differs from the full conversation/message shape
+const eventPayloadSchemas = {
+  'conversation.deleted': conversationReferenceEventSchema,
+  'conversation.archived': conversationReferenceEventSchema,
+  'conversation.unarchived': conversationReferenceEventSchema,
+  'conversation.starred': conversationStarredSchema,
+  'message.deleted': messageDeletedSchema
+};
+
+// Schema for the batch webhook envelope (each event is validated separately)
+const webhookBatchSchema = Joi.object({
+  events: Joi.array()
+    .items(Joi.object({
+      event_type: Joi.string().required()
+    }).unknown(true))
+    .min(1)
+    .max(config.webhookBatch.maxEvents)
+    .required()
+});
+
+// Schema for GET /api/v1/search query parameters
+const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(1).max(500).required(),
+  role: Joi.string().valid('user', 'assistant', 'system', 'tool'),
+  projectId: Joi.number().integer().positive(),
+  conversationId: Joi.string().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().max(500)
+});
+
+// Schema for POST /api/v1/search/semantic
+const semanticSearchSchema = Joi.object({
+  query: Joi.string().trim().min(1).max(2000).required(),
+  topK: Joi.number().integer().min(1).max(50).default(10),
+  role: Joi.string().valid('user', 'assistant', 'system', 'tool'),
+  projectId: Joi.number().integer().positive(),
+  conversationId: Joi.string().max(100),
+  minScore: Joi.number().min(-1).max(1).default(0)
+});
+
+// Schema for POST /api/v1/search/semantic/index
+const semanticIndexSchema = Joi.object({
+  projectId: Joi.number().integer().positive(),
+  conversationId: Joi.string().max(100),
+  limit: Joi.number().integer().min(1).max(5000).default(500)
+});
+
+// Query schemas for the read API (/api/v1/projects, /conversations, /messages)
+const pageQuery = {
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  cursor: Joi.string().max(500)
+};
+
+const listQuerySchema = Joi.object(pageQuery);
+
+const conversationListQuerySchema = Joi.object({
+  ...pageQuery,
+  projectId: Joi.number().integer().positive(),
+  archived: Joi.boolean(),
+  starred: Joi.boolean(),
+  model: Joi.string().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+});
+
+// Query schema for conversation/project exports
+const exportQuerySchema = Joi.object({
+  format: Joi.string().valid('md', 'html', 'json', 'txt').default('md'),
+  hide: Joi.string().pattern(/^(system|tool|user|assistant)(,(system|tool|user|assistant))*$/),
+  leaf: Joi.string().max(100)
+});
+
+// Schema for POST /api/v1/openai/sync
+const syncJobSchema = Joi.object({
+  batchSize: Joi.number().integer().min(1).max(500),
+  maxConversations: Joi.number().integer().min(1)
+});
+
+// Schemas for project assistant settings (create requires nothing; PATCH needs a field)
+const assistantSettings = {
+  name: Joi.string().trim().min(1).max(255),
+  model: Joi.string().trim().min(1).max(100),
+  instructions: Joi.string().max(256000).allow('', null),
+  temperature: Joi.number().min(0).max(2).allow(null),
+  tools: Joi.array().items(Joi.string().max(64)).unique().allow(null)
+};
+
+const projectAssistantSchema = Joi.object(assistantSettings);
+
+const projectAssistantUpdateSchema = Joi.object(assistantSettings).min(1);
+
+// Schema for GET /api/v1/usage query parameters
+const usageQuerySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  groupBy: Joi.string().pattern(/^(day|project|model|endpoint)(,(day|project|model|endpoint))*$/).default('day'),
+  projectId: Joi.number().integer().positive(),
+  model: Joi.string().max(100),
+  endpoint: Joi.string().max(100)
+});
+
+// Query schema for GET /api/v1/admin/audit-log
+const auditQuerySchema = Joi.object({
+  ...pageQuery,
+  actorType: Joi.string().valid('user', 'api_key', 'webhook', 'anonymous'),
+  actorId: Joi.string().max(64),
+  action: Joi.string().pattern(/^[a-z_]+(\.([a-z_]+|\*))?$/).max(100),
+  targetType: Joi.string().pattern(/^[a-z_]+$/).max(50),
+  targetId: Joi.string().max(255),
+  requestId: Joi.string().max(64),
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+});
+
+// User accounts (POST/PATCH /api/v1/users)
+const USER_ROLES = ['admin', 'editor', 'reader', 'ingest'];
+
+const userFields = {
+  email: Joi.string().trim().email().max(255),
+  name: Joi.string().trim().max(255).allow(null),
+  password: Joi.string().min(10).max(72),
+  role: Joi.string().valid(...USER_ROLES),
+  projectAccess: Joi.string().valid('all', 'granted'),
+  projectIds: Joi.array().items(Joi.number().integer().positive()).max(1000)
+};
+
+const userSchema = Joi.object({
+  ...userFields,
+  email: userFields.email.required(),
+  password: userFields.password.required(),
+  role: userFields.role.default('reader'),
+  projectAccess: userFields.projectAccess.default('all'),
+  projectIds: userFields.projectIds.default([])
+});
+
+const userUpdateSchema = Joi.object({
+  ...userFields,
+  isActive: Joi.boolean()
+}).min(1);
+
+// Schema for POST /api/v1/admin/api-keys
+const API_KEY_SCOPES = ['read', 'openai:chat', 'sync:write', 'admin'];
+
+const apiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).required(),
+  expiresAt: Joi.date().iso().greater('now').allow(null).default(null)
+});
+
+// Outbound webhook subscriptions (POST/PATCH /api/v1/webhook-subscriptions)
+const SUBSCRIPTION_EVENTS = [
+  'conversation.created', 'conversation.updated', 'conversation.deleted',
+  'conversation.archived', 'conversation.unarchived', 'conversation.starred', 'conversation.unstarred',
+  'message.created', 'message.updated', 'message.deleted',
+  'conversation.*', 'message.*', '*'
+];
+
+const subscriptionFields = {
+  name: Joi.string().trim().min(1).max(100),
+  url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048),
+  events: Joi.array().items(Joi.string().valid(...SUBSCRIPTION_EVENTS)).min(1).max(SUBSCRIPTION_EVENTS.length).unique(),
+  secret: Joi.string().min(16).max(255),
+  isActive: Joi.boolean()
+};
+
+const subscriptionSchema = Joi.object({
+  ...subscriptionFields,
+  name: subscriptionFields.name.required(),
+  url: subscriptionFields.url.required(),
+  events: subscriptionFields.events.default(['*']),
+  isActive: subscriptionFields.isActive.default(true)
+});
+
+const subscriptionUpdateSchema = Joi.object(subscriptionFields).min(1);
+
+// Schemas for POST /api/v1/auth/login, /refresh and /logout
+const loginSchema = Joi.object({
+  email: Joi.string().trim().max(255).required(),
+  password: Joi.string().max(1024).required()
+});
+
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().max(512).required(),
+  all: Joi.boolean().default(false)
 });
 
 // Schema for manual sync payload
@@ -63,9 +284,10 @@ const manualSyncSchema = Joi.object({
   data: Joi.object().required()
 });
 
-// Validate webhook payload
-const validateWebhookPayload = (payload) => {
-  const { error, value } = webhookPayloadSchema.validate(payload, {
+// Validate webhook payload against the schema for its event type
+const validateWebhookPayload = (payload, eventType = payload?.event_type) => {
+  const schema = eventPayloadSchemas[eventType] || webhookPayloadSchema;
+  const { error, value } = schema.validate(payload, {
     allowUnknown: true,
     stripUnknown: false
   });
@@ -86,6 +308,293 @@ const validateWebhookPayload = (payload) => {
   };
 };
 
+// Validate batch webhook envelope
+const validateWebhookBatch = (payload) => {
+  const { error, value } = webhookBatchSchema.validate(payload, {
+    allowUnknown: true
+  });
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }))
+    };
+  }
+
+  return {
+    isValid: true,
+    data: value
+  };
+};
+
+// Validate search query parameters
+const validateSearchQuery = (query) => {
+  const { error, value } = searchQuerySchema.validate(query);
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => detail.message)
+    };
+  }
+
+  return {
+    isValid: true,
+    data: value
+  };
+};
+
+// Validate semantic search request body
+const validateSemanticSearch = (body) => {
+  const { error, value } = semanticSearchSchema.validate(body);
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => detail.message)
+    };
+  }
+
+  return {
+    isValid: true,
+    data: value
+  };
+};
+
+// Validate semantic indexing request body
+const validateSemanticIndex = (body) => {
+  const { error, value } = semanticIndexSchema.validate(body || {});
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => detail.message)
+    };
+  }
+
+  return {
+    isValid: true,
+    data: value
+  };
+};
+
+// Validate a paginated list query (limit/cursor)
+const validateListQuery = (query) => {
+  const { error, value } = listQuerySchema.validate(query);
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => detail.message)
+    };
+  }
+
+  return {
+    isValid: true,
+    data: value
+  };
+};
+
+// Validate conversation list filters
+const validateConversationListQuery = (query) => {
+  const { error, value } = conversationListQuerySchema.validate(query);
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => detail.message)
+    };
+  }
+
+  return {
+    isValid: true,
+    data: value
+  };
+};
+
+// Validate export options; `hide` becomes a hideRoles array
+const validateExportQuery = (query) => {
+  const { error, value } = exportQuerySchema.validate(query);
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => detail.message)
+    };
+  }
+
+  return {
+    isValid: true,
+    data: {
+      format: value.format,
+      hideRoles: value.hide ? value.hide.split(',') : [],
+      leafId: value.leaf || null
+    }
+  };
+};
+
+// Validate sync job options
+const validateSyncJob = (body) => {
+  const { error, value } = syncJobSchema.validate(body || {});
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => detail.message)
+    };
+  }
+
+  return {
+    isValid: true,
+    data: value
+  };
+};
+
+// Validate usage report query; groupBy becomes a list of dimensions
+const validateUsageQuery = (query) => {
+  const { error, value } = usageQuerySchema.validate(query);
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => detail.message)
+    };
+  }
+
+  return {
+    isValid: true,
+    data: {
+      ...value,
+      groupBy: [...new Set(value.groupBy.split(','))]
+    }
+  };
+};
+
+// Validate project assistant settings (`partial` for updates)
+const validateProjectAssistant = (body, { partial = false } = {}) => {
+  const schema = partial ? projectAssistantUpdateSchema : projectAssistantSchema;
+  const { error, value } = schema.validate(body || {});
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => detail.message)
+    };
+  }
+
+  return {
+    isValid: true,
+    data: value
+  };
+};
+
+// Validate a new API key
+const validateApiKeyRequest = (body) => {
+  const { error, value } = apiKeySchema.validate(body || {});
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => detail.message)
+    };
+  }
+
+  return {
+    isValid: true,
+    data: value
+  };
+};
+
+// Validate audit log filters
+const validateAuditQuery = (query) => {
+  const { error, value } = auditQuerySchema.validate(query);
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => detail.message)
+    };
+  }
+
+  return {
+    isValid: true,
+    data: value
+  };
+};
+
+// Validate a user account (`partial` for updates)
+const validateUser = (body, { partial = false } = {}) => {
+  const schema = partial ? userUpdateSchema : userSchema;
+  const { error, value } = schema.validate(body || {});
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => detail.message)
+    };
+  }
+
+  return {
+    isValid: true,
+    data: value
+  };
+};
+
+// Validate an outbound webhook subscription (`partial` for updates)
+const validateWebhookSubscription = (body, { partial = false } = {}) => {
+  const schema = partial ? subscriptionUpdateSchema : subscriptionSchema;
+  const { error, value } = schema.validate(body || {});
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => detail.message)
+    };
+  }
+
+  return {
+    isValid: true,
+    data: value
+  };
+};
+
+// Validate login credentials
+const validateLogin = (body) => {
+  const { error, value } = loginSchema.validate(body || {});
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => detail.message)
+    };
+  }
+
+  return {
+    isValid: true,
+    data: value
+  };
+};
+
+// Validate a refresh or logout request
+const validateRefreshToken = (body) => {
+  const { error, value } = refreshTokenSchema.validate(body || {});
+
+  if (error) {
+    return {
+      isValid: false,
+      errors: error.details.map(detail => detail.message)
+    };
+  }
+
+  return {
+    isValid: true,
+    data: value
+  };
+};
+
 // Validate conversation data
 const validateConversation = (data) => {
   const { error, value } = conversationSchema.validate(data);
@@ -230,10 +739,26 @@ const getValidationSummary = (validations) => {
 
 module.exports = {
   validateWebhookPayload,
+  validateWebhookBatch,
   validateConversation,
   validateMessage,
   validateProject,
   validateManualSync,
+  validateSearchQuery,
+  validateSemanticSearch,
+  validateSemanticIndex,
+  validateListQuery,
+  validateConversationListQuery,
+  validateExportQuery,
+  validateSyncJob,
+  validateProjectAssistant,
+  validateUsageQuery,
+  validateAuditQuery,
+  validateUser,
+  validateApiKeyRequest,
+  validateWebhookSubscription,
+  validateLogin,
+  validateRefreshToken,
   sanitizeString,
   sanitizeJSON,
   validateTimestamp,
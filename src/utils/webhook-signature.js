@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+// Header entries labelled like this carry no key id
+const UNLABELLED = ['sha256', ''];
+
+/**
+ * HMAC-SHA256 (hex) of `${timestamp}.${body}`, the string webhook senders
+ * sign. `body` is the raw request body (Buffer or string).
+ */
+const computeSignature = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.`)
+  .update(body)
+  .digest('hex');
+
+/**
+ * Split an X-Webhook-Signature header into { keyId, signature } entries.
+ * Accepts "sha256=<hex>", a bare "<hex>" and comma-separated "<keyId>=<hex>"
+ * lists such as "v1=<hex>,v2=<hex>"; keyId is null for unlabelled entries.
+ */
+const parseSignatureHeader = (header) => String(header || '')
+  .split(',')
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map(part => {
+    const separator = part.lastIndexOf('=');
+    const label = separator === -1 ? '' : part.slice(0, separator).trim();
+    const signature = separator === -1 ? part : part.slice(separator + 1).trim();
+    return { keyId: UNLABELLED.includes(label) ? null : label, signature: signature.toLowerCase() };
+  })
+  .filter(entry => /^[0-9a-f]{64}$/.test(entry.signature));
+
+/**
+ * The configured secrets as [{ id, secret, source, expiresAt }]. A list in
+ * WEBHOOK_SECRETS replaces the single WEBHOOK_SECRET (which becomes key id
+ * "default"). Entries without a secret are dropped.
+ */
+const normalizeSecrets = (secrets, fallbackSecret) => {
+  const list = Array.isArray(secrets) ? secrets : [{ id: 'default', secret: fallbackSecret }];
+
+  return list
+    .filter(entry => entry && entry.secret)
+    .map((entry, index) => ({
+      id: String(entry.id || `key${index + 1}`),
+      secret: String(entry.secret),
+      source: entry.source || null,
+      expiresAt: entry.expiresAt ? new Date(entry.expiresAt) : null
+    }));
+};
+
+// Secrets that may sign a request from `source` at `now`: unexpired, and either shared or bound to that source
+const activeSecrets = (secrets, { source = null, now = new Date() } = {}) => secrets.filter(entry => (
+  (!entry.expiresAt || entry.expiresAt.getTime() > now.getTime()) &&
+  (!entry.source || entry.source === source)
+));
+
+/**
+ * The secret entry a signature header was made with, or null. Labelled
+ * entries are only checked against the secret with that id; unlabelled ones
+ * against `keyId` (the X-Webhook-Key-Id header) when given, else every
+ * candidate.
+ */
+const findSigningSecret = (candidates, { header, keyId = null, timestamp, body }) => {
+  for (const entry of parseSignatureHeader(header)) {
+    const wantedId = entry.keyId || keyId;
+    const provided = Buffer.from(entry.signature, 'hex');
+
+    for (const secret of candidates) {
+      if (wantedId && secret.id !== wantedId) continue;
+
+      const expected = Buffer.from(computeSignature(secret.secret, timestamp, body), 'hex');
+      if (crypto.timingSafeEqual(expected, provided)) {
+        return secret;
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  computeSignature,
+  parseSignatureHeader,
+  normalizeSecrets,
+  activeSecrets,
+  findSigningSecret
+};
@@ -0,0 +1,196 @@
+const request = require('supertest');
+const config = require('../config/config');
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const webhookInbox = require('../src/services/webhook-inbox');
+const apiKeys = require('../src/services/api-keys');
+const { API_KEY, bootApp, fakeQuery } = require('./helpers/app');
+
+// In-memory api_keys table answering the statements the service issues
+const createFakeTable = () => {
+  const rows = new Map();
+  let clock = Date.UTC(2024, 0, 1);
+
+  const query = fakeQuery((statement, params) => {
+    if (statement.startsWith('SELECT * FROM api_keys ORDER BY')) {
+      return [...rows.values()].reverse();
+    }
+    if (statement === 'SELECT * FROM api_keys WHERE id = ?') {
+      const row = rows.get(params[0]);
+      return row ? [{ ...row }] : [];
+    }
+    if (statement === 'SELECT * FROM api_keys WHERE key_hash = ?') {
+      return [...rows.values()].filter(row => row.key_hash === params[0]).map(row => ({ ...row }));
+    }
+    if (statement.startsWith('INSERT INTO api_keys')) {
+      const [id, name, prefix, keyHash, scopes, createdBy, expiresAt] = params;
+      rows.set(id, {
+        id, name, prefix, key_hash: keyHash, scopes, created_by: createdBy, expires_at: expiresAt,
+        last_used_at: null, last_used_ip: null, revoked_at: null, created_at: new Date(clock += 1000)
+      });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('UPDATE api_keys SET revoked_at')) {
+      rows.get(params[0]).revoked_at = new Date();
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('UPDATE api_keys SET last_used_at')) {
+      Object.assign(rows.get(params[1]), { last_used_at: new Date(), last_used_ip: params[0] });
+      return { affectedRows: 1 };
+    }
+  });
+
+  return { rows, query };
+};
+
+describe('API keys', () => {
+  let table;
+  let app;
+  const security = { ...config.security };
+
+  beforeAll(async () => {
+    app = await bootApp();
+  });
+
+  beforeEach(() => {
+    table = createFakeTable();
+    jest.spyOn(database, 'query').mockImplementation(table.query);
+  });
+
+  afterEach(() => {
+    Object.assign(config.security, security);
+    jest.restoreAllMocks();
+  });
+
+  describe('service', () => {
+    test('stores only a hash of the key and returns the key once', async () => {
+      const created = await apiKeys.create({ name: 'sync bot', scopes: ['sync:write', 'sync:write'] });
+
+      expect(created.key).toMatch(new RegExp(`^cbk_${created.prefix}_[A-Za-z0-9_-]{43}$`));
+      expect(created).toMatchObject({ name: 'sync bot', scopes: ['sync:write'], revokedAt: null, expiresAt: null });
+
+      const row = table.rows.get(created.id);
+      expect(row.key_hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(JSON.stringify(row)).not.toContain(created.key);
+
+      const [listed] = await apiKeys.list();
+      expect(listed.key).toBeUndefined();
+      expect(listed.keyHash).toBeUndefined();
+    });
+
+    test('authenticates active keys and records their use at most once per interval', async () => {
+      const { key, id } = await apiKeys.create({ name: 'reader', scopes: ['read'] });
+
+      expect(await apiKeys.authenticate(key, { ip: '10.0.0.1' })).toEqual({
+        type: 'api_key', id, name: 'reader', role: null, scopes: ['read'], projectIds: null
+      });
+      await apiKeys.authenticate(key, { ip: '10.0.0.2' });
+
+      const touches = table.query.mock.calls.filter(([sql]) => sql.includes('SET last_used_at'));
+      expect(touches).toHaveLength(1);
+      expect(table.rows.get(id).last_used_ip).toBe('10.0.0.1');
+
+      expect(await apiKeys.authenticate(`${key}x`)).toBeNull();
+    });
+
+    test('revoked and expired keys are rejected', async () => {
+      const revoked = await apiKeys.create({ name: 'old', scopes: ['read'] });
+      await apiKeys.revoke(revoked.id);
+      expect(await apiKeys.authenticate(revoked.key)).toBeNull();
+
+      const expired = await apiKeys.create({ name: 'temp', scopes: ['read'], expiresAt: '2020-01-01T00:00:00.000Z' });
+      expect(await apiKeys.authenticate(expired.key)).toBeNull();
+
+      await expect(apiKeys.revoke('missing')).rejects.toMatchObject({ code: 'API_KEY_NOT_FOUND' });
+    });
+  });
+
+  describe('scopes', () => {
+    test('a read key reads but cannot chat or administer', async () => {
+      jest.spyOn(repository, 'listProjects').mockResolvedValue([]);
+      jest.spyOn(repository, 'countProjects').mockResolvedValue(0);
+      const { key } = await apiKeys.create({ name: 'dashboard', scopes: ['read'] });
+
+      expect((await request(app).get('/api/v1/projects').set('X-API-Key', key)).status).toBe(200);
+      expect((await request(app).get('/api/v1/projects').set('Authorization', `Bearer ${key}`)).status).toBe(200);
+
+      const chat = await request(app).post('/api/v1/openai/chat/completions').set('X-API-Key', key).send({ messages: [] });
+      expect(chat.status).toBe(403);
+      expect(chat.body.message).toBe('Requires scope: openai:chat');
+
+      expect((await request(app).get('/api/v1/admin/api-keys').set('X-API-Key', key)).status).toBe(403);
+    });
+
+    test('a sync key reaches the inbox but not the read API', async () => {
+      jest.spyOn(webhookInbox, 'list').mockResolvedValue([]);
+      const { key } = await apiKeys.create({ name: 'ingest', scopes: ['sync:write'] });
+
+      expect((await request(app).get('/webhook/inbox').set('X-API-Key', key)).status).toBe(200);
+      expect((await request(app).get('/api/v1/projects').set('X-API-Key', key)).status).toBe(403);
+    });
+
+    test('revoked keys and unknown keys are rejected', async () => {
+      const { key, id } = await apiKeys.create({ name: 'gone', scopes: ['admin'] });
+      await apiKeys.revoke(id);
+
+      const res = await request(app).get('/api/v1/admin/api-keys').set('X-API-Key', key);
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Invalid API key');
+    });
+
+    test('the legacy env key works until it is disabled', async () => {
+      expect((await request(app).get('/api/v1/admin/api-keys').set('X-API-Key', API_KEY)).status).toBe(200);
+
+      config.security.legacyApiKeyEnabled = false;
+      expect((await request(app).get('/api/v1/admin/api-keys').set('X-API-Key', API_KEY)).status).toBe(401);
+    });
+
+    test('there is no legacy key unless API_KEY is set', () => {
+      const apiKey = process.env.API_KEY;
+      delete process.env.API_KEY;
+      try {
+        jest.isolateModules(() => {
+          const { security } = require('../config/config');
+          expect(security.apiKey).toBeNull();
+          expect(security.legacyApiKeyEnabled).toBe(false);
+        });
+      } finally {
+        process.env.API_KEY = apiKey;
+      }
+    });
+  });
+
+  describe('admin endpoints', () => {
+    const api = (method, path = '') => request(app)[method](`/api/v1/admin/api-keys${path}`).set('X-API-Key', API_KEY);
+
+    test('mint, list, read and revoke keys', async () => {
+      const created = await api('post').send({ name: 'exporter', scopes: ['read', 'openai:chat'], expiresAt: '2999-01-01T00:00:00.000Z' });
+      expect(created.status).toBe(201);
+      expect(created.body.data.key).toMatch(/^cbk_/);
+      expect(created.body.data).toMatchObject({ name: 'exporter', scopes: ['read', 'openai:chat'], createdBy: null });
+
+      const { id } = created.body.data;
+      const list = await api('get');
+      expect(list.body.data.map(key => key.id)).toEqual([id]);
+      expect(list.body.data[0].key).toBeUndefined();
+
+      expect((await api('get', `/${id}`)).body.data.name).toBe('exporter');
+
+      const revoked = await api('delete', `/${id}`);
+      expect(revoked.status).toBe(200);
+      expect(revoked.body.data.revokedAt).not.toBeNull();
+
+      expect((await api('delete', '/missing')).status).toBe(404);
+      expect((await api('get', '/missing')).status).toBe(404);
+    });
+
+    test('rejects unknown scopes, missing names and past expiry', async () => {
+      const scopes = await api('post').send({ name: 'x', scopes: ['root'] });
+      expect(scopes.status).toBe(400);
+
+      expect((await api('post').send({ scopes: ['read'] })).status).toBe(400);
+      expect((await api('post').send({ name: 'x', scopes: [] })).status).toBe(400);
+      expect((await api('post').send({ name: 'x', scopes: ['read'], expiresAt: '2000-01-01' })).status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,253 @@
+const request = require('supertest');
+const config = require('../config/config');
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const openaiService = require('../src/services/openai');
+const ChatBETOListener = require('../server');
+
+const API_KEY = process.env.API_KEY || 'internal-api-key';
+
+const assistantMessage = (id, text) => ({
+  id,
+  role: 'assistant',
+  run_id: 'run_1',
+  created_at: 1700000000,
+  content: [{ type: 'text', text: { value: text } }]
+});
+
+const toolCall = (id, name, args) => ({ id, type: 'function', function: { name, arguments: args } });
+
+describe('Assistants runs', () => {
+  let client;
+  const polling = { ...config.openai };
+
+  beforeEach(() => {
+    client = {
+      beta: {
+        threads: {
+          messages: {
+            create: jest.fn(async (threadId, { role }) => ({ id: `msg_${role}`, created_at: 1700000000 })),
+            list: jest.fn().mockResolvedValue({ data: [] })
+          },
+          runs: {
+            create: jest.fn(),
+            retrieve: jest.fn(),
+            list: jest.fn().mockResolvedValue({ data: [] }),
+            cancel: jest.fn(async runId => ({ id: runId, status: 'cancelling' })),
+            submitToolOutputs: jest.fn()
+          }
+        }
+      }
+    };
+    openaiService.client = client;
+    openaiService.initialized = true;
+    Object.assign(config.openai, { pollIntervalMs: 1, pollMaxMs: 4 });
+
+    jest.spyOn(openaiService, 'getDefaultAssistant').mockResolvedValue('asst_1');
+    jest.spyOn(repository, 'findConversationByThreadId').mockResolvedValue(null);
+    jest.spyOn(repository, 'upsertMessage').mockResolvedValue({ affectedRows: 1 });
+  });
+
+  afterEach(() => {
+    Object.assign(config.openai, polling);
+    openaiService.client = null;
+    openaiService.initialized = false;
+    ['add', 'explode', 'lookup'].forEach(name => openaiService.tools.delete(name));
+    openaiService.activeRuns.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('runAssistant', () => {
+    test('polls until completed and returns exactly the messages of the run', async () => {
+      client.beta.threads.runs.create.mockResolvedValue({ id: 'run_1', status: 'queued' });
+      client.beta.threads.runs.retrieve
+        .mockResolvedValueOnce({ id: 'run_1', status: 'in_progress' })
+        .mockResolvedValueOnce({ id: 'run_1', status: 'completed' });
+      client.beta.threads.messages.list.mockResolvedValue({
+        data: [assistantMessage('msg_a', 'First'), assistantMessage('msg_b', 'Second')]
+      });
+
+      const result = await openaiService.runAssistant('thread_1');
+
+      expect(result).toEqual({
+        runId: 'run_1',
+        status: 'completed',
+        messages: [{ id: 'msg_a', content: 'First' }, { id: 'msg_b', content: 'Second' }],
+        content: 'First\n\nSecond'
+      });
+      expect(client.beta.threads.runs.retrieve).toHaveBeenCalledWith('run_1', { thread_id: 'thread_1' });
+      expect(client.beta.threads.messages.list).toHaveBeenCalledWith('thread_1', { run_id: 'run_1', order: 'asc' });
+      expect(repository.upsertMessage.mock.calls.map(call => [call[0].id, call[0].conversation_ref])).toEqual([
+        ['msg_a', 'thread_1'],
+        ['msg_b', 'thread_1']
+      ]);
+      expect(openaiService.activeRuns.size).toBe(0);
+    });
+
+    test('answers requires_action with the registered tools', async () => {
+      openaiService.registerTool({ name: 'add', handler: async ({ a, b }) => ({ sum: a + b }) });
+      openaiService.registerTool({ name: 'explode', handler: async () => { throw new Error('boom'); } });
+
+      client.beta.threads.runs.create.mockResolvedValue({
+        id: 'run_1',
+        status: 'requires_action',
+        required_action: {
+          type: 'submit_tool_outputs',
+          submit_tool_outputs: {
+            tool_calls: [
+              toolCall('call_1', 'add', '{"a":2,"b":3}'),
+              toolCall('call_2', 'explode', '{}'),
+              toolCall('call_3', 'missing', '{}'),
+              toolCall('call_4', 'add', '{not json')
+            ]
+          }
+        }
+      });
+      client.beta.threads.runs.submitToolOutputs.mockResolvedValue({ id: 'run_1', status: 'queued' });
+      client.beta.threads.runs.retrieve.mockResolvedValue({ id: 'run_1', status: 'completed' });
+      client.beta.threads.messages.list.mockResolvedValue({ data: [assistantMessage('msg_a', '2 + 3 = 5')] });
+
+      const result = await openaiService.runAssistant('thread_1');
+
+      expect(result.content).toBe('2 + 3 = 5');
+      const [runId, { thread_id: threadId, tool_outputs: outputs }] = client.beta.threads.runs.submitToolOutputs.mock.calls[0];
+      expect([runId, threadId]).toEqual(['run_1', 'thread_1']);
+      expect(outputs[0]).toEqual({ tool_call_id: 'call_1', output: '{"sum":5}' });
+      expect(outputs[1]).toEqual({ tool_call_id: 'call_2', output: '{"error":"boom"}' });
+      expect(outputs[2]).toEqual({ tool_call_id: 'call_3', output: '{"error":"Unknown tool: missing"}' });
+      expect(JSON.parse(outputs[3].output).error).toBeDefined();
+    });
+
+    test('cancels the run and fails with RUN_TIMEOUT when it takes too long', async () => {
+      client.beta.threads.runs.create.mockResolvedValue({ id: 'run_1', status: 'queued' });
+      client.beta.threads.runs.retrieve.mockResolvedValue({ id: 'run_1', status: 'in_progress' });
+
+      await expect(openaiService.runAssistant('thread_1', { timeoutMs: 20 }))
+        .rejects.toMatchObject({ code: 'RUN_TIMEOUT', runId: 'run_1' });
+      expect(client.beta.threads.runs.cancel).toHaveBeenCalledWith('run_1', { thread_id: 'thread_1' });
+      expect(client.beta.threads.messages.list).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      [{ status: 'failed', last_error: { message: 'rate limit' } }, 'RUN_FAILED', /failed \(rate limit\)/],
+      [{ status: 'expired' }, 'RUN_FAILED', /expired/],
+      [{ status: 'cancelled' }, 'RUN_CANCELLED', /cancelled/]
+    ])('surfaces a %o run as %s', async (final, code, message) => {
+      client.beta.threads.runs.create.mockResolvedValue({ id: 'run_1', status: 'queued' });
+      client.beta.threads.runs.retrieve.mockResolvedValue({ id: 'run_1', ...final });
+
+      await expect(openaiService.runAssistant('thread_1')).rejects.toMatchObject({
+        code,
+        runStatus: final.status,
+        message: expect.stringMatching(message)
+      });
+    });
+  });
+
+  describe('streaming', () => {
+    test('continues the stream with tool outputs after requires_action', async () => {
+      openaiService.registerTool({ name: 'lookup', handler: async ({ q }) => `result for ${q}` });
+      const runIds = [];
+
+      client.beta.threads.runs.create.mockResolvedValue((async function* () {
+        yield { event: 'thread.run.created', data: { id: 'run_1' } };
+        yield {
+          event: 'thread.run.requires_action',
+          data: {
+            id: 'run_1',
+            required_action: { submit_tool_outputs: { tool_calls: [toolCall('call_1', 'lookup', '{"q":"x"}')] } }
+          }
+        };
+      })());
+      client.beta.threads.runs.submitToolOutputs.mockResolvedValue((async function* () {
+        yield { event: 'thread.message.created', data: { id: 'msg_a', created_at: 1700000000 } };
+        yield { event: 'thread.message.delta', data: { id: 'msg_a', delta: { content: [{ type: 'text', text: { value: 'Found x' } }] } } };
+        yield { event: 'thread.run.completed', data: { id: 'run_1' } };
+      })());
+
+      const result = await openaiService.streamAssistantResponse('thread_1', { onRun: id => runIds.push(id) });
+
+      expect(runIds).toEqual(['run_1']);
+      expect(result).toMatchObject({ status: 'completed', content: 'Found x', messageId: 'msg_a' });
+      expect(client.beta.threads.runs.submitToolOutputs).toHaveBeenCalledWith(
+        'run_1',
+        { thread_id: 'thread_1', tool_outputs: [{ tool_call_id: 'call_1', output: 'result for x' }], stream: true },
+        { signal: null }
+      );
+    });
+  });
+
+  describe('cancelRun', () => {
+    test('cancels the in-flight run of the thread, or the latest pending one', async () => {
+      openaiService.activeRuns.set('thread_1', 'run_live');
+      expect(await openaiService.cancelRun('thread_1')).toEqual({ id: 'run_live', status: 'cancelling' });
+
+      client.beta.threads.runs.list.mockResolvedValue({ data: [{ id: 'run_remote', status: 'in_progress' }] });
+      expect(await openaiService.cancelRun('thread_2')).toEqual({ id: 'run_remote', status: 'cancelling' });
+
+      client.beta.threads.runs.list.mockResolvedValue({ data: [{ id: 'run_done', status: 'completed' }] });
+      expect(await openaiService.cancelRun('thread_3')).toBeNull();
+    });
+  });
+
+  describe('API', () => {
+    let app;
+
+    beforeEach(async () => {
+      jest.spyOn(database, 'initialize').mockResolvedValue();
+      jest.spyOn(openaiService, 'initialize').mockResolvedValue(true);
+
+      const listener = new ChatBETOListener();
+      await listener.initialize();
+      app = listener.app;
+    });
+
+    test('POST /conversations/:threadId/runs/cancel cancels the active run', async () => {
+      openaiService.activeRuns.set('thread_1', 'run_1');
+
+      const res = await request(app)
+        .post('/api/v1/openai/conversations/thread_1/runs/cancel')
+        .set('X-API-Key', API_KEY)
+        .send({});
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({ runId: 'run_1', threadId: 'thread_1', status: 'cancelling' });
+    });
+
+    test('cancel answers 404 without an active run and 409 for finished runs', async () => {
+      const none = await request(app)
+        .post('/api/v1/openai/conversations/thread_1/runs/cancel')
+        .set('X-API-Key', API_KEY)
+        .send({});
+      expect(none.status).toBe(404);
+
+      client.beta.threads.runs.cancel.mockRejectedValue(Object.assign(new Error("Cannot cancel run with status 'completed'."), { status: 400 }));
+      const finished = await request(app)
+        .post('/api/v1/openai/conversations/thread_1/runs/run_9/cancel')
+        .set('X-API-Key', API_KEY)
+        .send({});
+      expect(finished.status).toBe(409);
+      expect(client.beta.threads.runs.cancel).toHaveBeenCalledWith('run_9', { thread_id: 'thread_1' });
+    });
+
+    test('sendMessage reports a timed out run next to the stored user message', async () => {
+      jest.spyOn(openaiService, 'runAssistant').mockRejectedValue(
+        Object.assign(new Error('Run run_1 timed out after 120000ms'), { code: 'RUN_TIMEOUT', runId: 'run_1' })
+      );
+
+      const res = await request(app)
+        .post('/api/v1/openai/conversations/thread_1/messages')
+        .set('X-API-Key', API_KEY)
+        .send({ message: 'Hi' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.userMessage.id).toBe('msg_user');
+      expect(res.body.data.assistantResponse).toBeNull();
+      expect(res.body.data.assistantError).toEqual({
+        code: 'RUN_TIMEOUT',
+        message: 'Run run_1 timed out after 120000ms',
+        runId: 'run_1'
+      });
+    });
+  });
+});
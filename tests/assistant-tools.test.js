@@ -0,0 +1,260 @@
+const request = require('supertest');
+const config = require('../config/config');
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const search = require('../src/services/search');
+const conversationTree = require('../src/services/conversation-tree');
+const logger = require('../src/services/logger');
+const openaiService = require('../src/services/openai');
+const projectAssistants = require('../src/services/project-assistants');
+const ChatBETOListener = require('../server');
+
+const API_KEY = process.env.API_KEY || 'internal-api-key';
+
+const toolCall = (id, name, args) => ({ id, type: 'function', function: { name, arguments: args } });
+
+describe('Assistant tools', () => {
+  let client;
+  const toolSettings = { ...config.openai.tools };
+
+  beforeEach(() => {
+    client = { chat: { completions: { create: jest.fn() } } };
+    openaiService.client = client;
+    openaiService.initialized = true;
+    jest.spyOn(logger, 'logTool').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    Object.assign(config.openai.tools, toolSettings);
+    openaiService.client = null;
+    openaiService.initialized = false;
+    jest.restoreAllMocks();
+  });
+
+  describe('registry', () => {
+    test('declares the built-in tools with their JSON schemas', () => {
+      const definitions = openaiService.toolDefinitions();
+
+      expect(definitions.map(tool => tool.function.name)).toEqual(['search_messages', 'get_conversation', 'list_projects']);
+      expect(definitions[0]).toMatchObject({
+        type: 'function',
+        function: { parameters: { type: 'object', required: ['query'] } }
+      });
+    });
+
+    test('offers no tools when disabled', () => {
+      config.openai.tools.enabled = false;
+      expect(openaiService.toolDefinitions()).toEqual([]);
+    });
+  });
+
+  describe('executeTool', () => {
+    test('search_messages maps search hits and logs input and output', async () => {
+      jest.spyOn(search, 'search').mockResolvedValue({
+        items: [{
+          messageId: 'm1',
+          role: 'user',
+          snippet: 'about **docker**',
+          createdAt: '2024-01-01T00:00:00.000Z',
+          conversation: { id: 'c1', title: 'Deploy' },
+          project: { id: 2, name: 'Infra' }
+        }]
+      });
+
+      const output = await openaiService.executeTool('search_messages', '{"query":"docker","project_id":2}', { source: 'assistant', threadId: 't1' });
+
+      expect(search.search).toHaveBeenCalledWith({ q: 'docker', projectId: 2, conversationId: null, role: null, limit: 5 });
+      expect(JSON.parse(output)).toEqual({
+        results: [{
+          conversation_id: 'c1',
+          conversation_title: 'Deploy',
+          project: 'Infra',
+          message_id: 'm1',
+          role: 'user',
+          snippet: 'about **docker**',
+          created_at: '2024-01-01T00:00:00.000Z'
+        }]
+      });
+      expect(logger.logTool).toHaveBeenCalledWith('search_messages', expect.objectContaining({
+        source: 'assistant',
+        threadId: 't1',
+        input: { query: 'docker', project_id: 2 },
+        output,
+        error: null,
+        durationMs: expect.any(Number)
+      }));
+    });
+
+    test('get_conversation returns the latest messages of the current branch', async () => {
+      jest.spyOn(conversationTree, 'getPath').mockResolvedValue({
+        conversation: { id: 'c1', conversation_id: 'gpt-1', title: 'Long', project_id: null, deleted_at: null },
+        messages: [
+          { id: 'm1', role: 'user', content: 'first' },
+          { id: 'm2', role: 'assistant', content: 'x'.repeat(3000) }
+        ]
+      });
+
+      const result = JSON.parse(await openaiService.executeTool('get_conversation', '{"conversation_id":"c1","max_messages":1}'));
+
+      expect(result.total_messages).toBe(2);
+      expect(result.messages).toHaveLength(1);
+      expect(result.messages[0].id).toBe('m2');
+      expect(result.messages[0].content).toHaveLength(2001);
+
+      conversationTree.getPath.mockResolvedValue(null);
+      expect(JSON.parse(await openaiService.executeTool('get_conversation', '{"conversation_id":"nope"}')))
+        .toEqual({ error: 'Conversation not found: nope' });
+    });
+
+    test('list_projects reports conversation counts', async () => {
+      jest.spyOn(repository, 'listProjects').mockResolvedValue([{ id: 1, name: 'General', conversation_count: '4' }]);
+
+      const output = await openaiService.executeTool('list_projects', '');
+
+      expect(repository.listProjects).toHaveBeenCalledWith({ limit: 50 });
+      expect(JSON.parse(output)).toEqual({ projects: [{ id: 1, name: 'General', conversation_count: 4 }] });
+    });
+
+    test('rejects arguments that do not match the schema without calling the handler', async () => {
+      const searchSpy = jest.spyOn(search, 'search');
+
+      const output = JSON.parse(await openaiService.executeTool('search_messages', '{"limit":"ten"}'));
+
+      expect(output.error).toMatch(/"query" is required/);
+      expect(output.error).toMatch(/"limit" must be integer/);
+      expect(searchSpy).not.toHaveBeenCalled();
+      expect(logger.logTool).toHaveBeenCalledWith('search_messages', expect.objectContaining({ error: output.error }));
+    });
+
+    test('truncates long outputs', async () => {
+      config.openai.tools.maxOutputChars = 20;
+      jest.spyOn(repository, 'listProjects').mockResolvedValue([{ id: 1, name: 'A very long project name', conversation_count: 0 }]);
+
+      expect(await openaiService.executeTool('list_projects', '{}')).toHaveLength(20);
+    });
+  });
+
+  describe('chat completions', () => {
+    test('completeChat runs tool calls and sends the outputs back', async () => {
+      jest.spyOn(repository, 'listProjects').mockResolvedValue([{ id: 1, name: 'General', conversation_count: 2 }]);
+      const calls = [toolCall('call_1', 'list_projects', '{}')];
+      client.chat.completions.create
+        .mockResolvedValueOnce({
+          choices: [{ message: { role: 'assistant', content: null, tool_calls: calls }, finish_reason: 'tool_calls' }],
+          usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+        })
+        .mockResolvedValueOnce({
+          choices: [{ message: { role: 'assistant', content: 'You have one project.' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 30, completion_tokens: 6, total_tokens: 36 }
+        });
+
+      const result = await openaiService.completeChat({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Projects?' }] });
+
+      expect(result).toEqual({
+        message: { role: 'assistant', content: 'You have one project.' },
+        finishReason: 'stop',
+        usage: { prompt_tokens: 40, completion_tokens: 11, total_tokens: 51 },
+        toolCalls: [{ id: 'call_1', name: 'list_projects', arguments: '{}' }]
+      });
+      const second = client.chat.completions.create.mock.calls[1][0];
+      expect(second.tools).toHaveLength(3);
+      expect(second.messages.slice(1)).toEqual([
+        { role: 'assistant', content: null, tool_calls: calls },
+        { role: 'tool', tool_call_id: 'call_1', content: '{"projects":[{"id":1,"name":"General","conversation_count":2}]}' }
+      ]);
+      expect(logger.logTool).toHaveBeenCalledWith('list_projects', expect.objectContaining({ source: 'chat_completion', model: 'gpt-4o-mini' }));
+    });
+
+    test('completeChat stops offering tools after maxRounds', async () => {
+      config.openai.tools.maxRounds = 1;
+      jest.spyOn(repository, 'listProjects').mockResolvedValue([]);
+      client.chat.completions.create
+        .mockResolvedValueOnce({
+          choices: [{ message: { role: 'assistant', content: null, tool_calls: [toolCall('call_1', 'list_projects', '{}')] }, finish_reason: 'tool_calls' }]
+        })
+        .mockResolvedValueOnce({ choices: [{ message: { role: 'assistant', content: 'Done' }, finish_reason: 'stop' }] });
+
+      const result = await openaiService.completeChat({ model: 'gpt-4', messages: [] });
+
+      expect(result.message.content).toBe('Done');
+      expect(client.chat.completions.create.mock.calls[1][0].tools).toBeUndefined();
+    });
+
+    test('completions for a project only offer the tools its assistant settings allow', async () => {
+      const settings = jest.spyOn(projectAssistants, 'get').mockResolvedValue({ projectId: 4, tools: ['search_messages'] });
+      client.chat.completions.create
+        .mockResolvedValueOnce({ choices: [{ message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' }] })
+        .mockResolvedValueOnce((async function* () {
+          yield { choices: [{ delta: { content: 'Hi' }, finish_reason: 'stop' }] };
+        })());
+
+      await openaiService.completeChat({ model: 'gpt-4', messages: [], projectId: 4 });
+      await openaiService.streamChatCompletion({ model: 'gpt-4', messages: [], projectId: 4 });
+
+      expect(settings).toHaveBeenCalledWith(4);
+      for (const [params] of client.chat.completions.create.mock.calls) {
+        expect(params.tools.map(tool => tool.function.name)).toEqual(['search_messages']);
+      }
+    });
+
+    test('streamChatCompletion assembles streamed tool calls before continuing', async () => {
+      jest.spyOn(repository, 'listProjects').mockResolvedValue([]);
+      client.chat.completions.create
+        .mockResolvedValueOnce((async function* () {
+          yield { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'list_projects', arguments: '' } }] } }] };
+          yield { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"limit"' } }] } }] };
+          yield { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: ':3}' } }] }, finish_reason: 'tool_calls' }] };
+        })())
+        .mockResolvedValueOnce((async function* () {
+          yield { choices: [{ delta: { content: 'None yet' } }] };
+          yield { choices: [{ delta: {}, finish_reason: 'stop' }] };
+        })());
+      const seen = [];
+
+      const result = await openaiService.streamChatCompletion({ model: 'gpt-4', messages: [], onToolCall: call => seen.push(call.name) });
+
+      expect(seen).toEqual(['list_projects']);
+      expect(repository.listProjects).toHaveBeenCalledWith({ limit: 3 });
+      expect(result).toMatchObject({
+        content: 'None yet',
+        finishReason: 'stop',
+        toolCalls: [{ id: 'call_1', name: 'list_projects', arguments: '{"limit":3}' }]
+      });
+      expect(client.chat.completions.create.mock.calls[1][0].messages).toEqual([
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'list_projects', arguments: '{"limit":3}' } }]
+        },
+        { role: 'tool', tool_call_id: 'call_1', content: '{"projects":[]}' }
+      ]);
+    });
+  });
+
+  describe('API', () => {
+    test('POST /chat/completions returns the tool calls made for the answer', async () => {
+      jest.spyOn(database, 'initialize').mockResolvedValue();
+      jest.spyOn(openaiService, 'initialize').mockResolvedValue(true);
+      const listener = new ChatBETOListener();
+      await listener.initialize();
+      const completeChat = jest.spyOn(openaiService, 'completeChat').mockResolvedValue({
+        message: { role: 'assistant', content: 'Two projects' },
+        finishReason: 'stop',
+        usage: { total_tokens: 9 },
+        toolCalls: [{ id: 'call_1', name: 'list_projects', arguments: '{}' }]
+      });
+
+      const res = await request(listener.app)
+        .post('/api/v1/openai/chat/completions')
+        .set('X-API-Key', API_KEY)
+        .send({ messages: [{ role: 'user', content: 'How many projects?' }], tools: false });
+
+      expect(res.status).toBe(200);
+      expect(completeChat).toHaveBeenCalledWith(expect.objectContaining({ model: 'gpt-4', useTools: false }));
+      expect(res.body.data).toMatchObject({
+        response: { content: 'Two projects' },
+        toolCalls: [{ id: 'call_1', name: 'list_projects', arguments: '{}' }]
+      });
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const openaiService = require('../src/services/openai');
+const apiKeys = require('../src/services/api-keys');
+const auditLog = require('../src/services/audit-log');
+const webhookController = require('../src/controllers/webhook');
+const { API_KEY, bootApp, fakeQuery } = require('./helpers/app');
+
+// In-memory audit_log table: stores inserts and lists them newest first
+const createFakeTable = () => {
+  const rows = [];
+
+  const query = fakeQuery((statement, params) => {
+    if (statement.startsWith('INSERT INTO audit_log')) {
+      const [requestId, actorType, actorId, actorName, ip, action, targetType, targetId, before, after] = params;
+      rows.push({
+        id: rows.length + 1, request_id: requestId, actor_type: actorType, actor_id: actorId, actor_name: actorName,
+        ip, action, target_type: targetType, target_id: targetId, before_data: before, after_data: after,
+        created_at: new Date()
+      });
+      return { insertId: rows.length, affectedRows: 1 };
+    }
+    if (statement.startsWith('SELECT * FROM audit_log')) {
+      const limit = params[params.length - 1];
+      return [...rows].reverse().slice(0, limit);
+    }
+    return [];
+  });
+
+  return { rows, query };
+};
+
+describe('Audit log', () => {
+  let app;
+  let table;
+
+  const entries = () => table.rows.map(row => auditLog.format(row));
+
+  beforeAll(async () => {
+    app = await bootApp();
+  });
+
+  beforeEach(() => {
+    table = createFakeTable();
+    jest.spyOn(database, 'query').mockImplementation(table.query);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('service', () => {
+    test('records the principal, request and snapshots without secrets', async () => {
+      const req = { id: 'req-1', ip: '10.0.0.9', user: { type: 'user', id: 7, email: 'ana@example.com', role: 'admin' } };
+
+      await auditLog.record(req, 'webhook_subscription.create', {
+        targetId: 'sub_1',
+        after: { id: 'sub_1', url: 'https://example.com', secret: 'whsec_abc' }
+      });
+
+      expect(entries()[0]).toMatchObject({
+        requestId: 'req-1',
+        actor: { type: 'user', id: '7', name: 'ana@example.com' },
+        ip: '10.0.0.9',
+        action: 'webhook_subscription.create',
+        target: { type: 'webhook_subscription', id: 'sub_1' },
+        before: null,
+        after: { id: 'sub_1', url: 'https://example.com' }
+      });
+    });
+
+    test('a failed write does not fail the caller', async () => {
+      database.query.mockRejectedValueOnce(new Error('Table audit_log does not exist'));
+
+      await expect(auditLog.record({ id: 'req-2' }, 'user.create', { targetId: 1 })).resolves.toBeUndefined();
+    });
+
+    test('builds filters for the query endpoint', async () => {
+      await auditLog.list(
+        { actorType: 'api_key', action: 'api_key.*', targetId: 'k1', from: '2024-01-01T00:00:00Z' },
+        { limit: 11, after: 40 }
+      );
+
+      const [sql, params] = table.query.mock.calls[0];
+      expect(sql).toContain('actor_type = ? AND target_id = ? AND action LIKE ? AND created_at >= ? AND id < ?');
+      expect(params).toEqual(['api_key', 'k1', 'api\\_key.%', new Date('2024-01-01T00:00:00Z'), 40, 11]);
+    });
+  });
+
+  describe('requests', () => {
+    test('every response carries a request id, kept from the caller when well-formed', async () => {
+      const kept = await request(app).get('/health').set('X-Request-Id', 'trace-123');
+      expect(kept.headers['x-request-id']).toBe('trace-123');
+
+      const generated = await request(app).get('/health').set('X-Request-Id', 'bad id with spaces');
+      expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    test('OpenAI conversation creation and its title update are recorded under one request id', async () => {
+      jest.spyOn(repository, 'findProjectById').mockResolvedValue({ id: 3 });
+      jest.spyOn(repository, 'updateConversationTitle').mockResolvedValue();
+      jest.spyOn(openaiService, 'createConversation').mockResolvedValue({
+        conversationId: 'thread_1', threadId: 'thread_1', assistantId: 'asst_1'
+      });
+
+      await request(app).post('/api/v1/openai/conversations')
+        .set('X-API-Key', API_KEY)
+        .set('X-Request-Id', 'req-conv')
+        .send({ projectId: 3, title: 'Planning' })
+        .expect(201);
+
+      expect(entries().map(entry => [entry.action, entry.requestId, entry.target.id])).toEqual([
+        ['conversation.create', 'req-conv', 'thread_1'],
+        ['conversation.update', 'req-conv', 'thread_1']
+      ]);
+      expect(entries()[0].actor).toEqual({ type: 'api_key', id: null, name: 'legacy' });
+      expect(entries()[1]).toMatchObject({ before: { title: 'New Conversation' }, after: { title: 'Planning' } });
+    });
+
+    test('manual syncs record the conversation before and after', async () => {
+      jest.spyOn(repository, 'findConversation')
+        .mockResolvedValueOnce({ conversation_id: 'conv_1', title: 'Old' })
+        .mockResolvedValueOnce({ conversation_id: 'conv_1', title: 'New' });
+      jest.spyOn(webhookController, 'handleConversationCreated')
+        .mockResolvedValue({ status: 'conversation_created', conversationId: 'conv_1' });
+
+      await request(app).post('/sync/manual')
+        .set('X-API-Key', API_KEY)
+        .send({ type: 'conversation', data: { conversation: { id: 'conv_1', title: 'New' } } })
+        .expect(200);
+
+      expect(entries()[0]).toMatchObject({
+        action: 'conversation.sync',
+        target: { type: 'conversation', id: 'conv_1' },
+        before: { title: 'Old' },
+        after: { title: 'New' }
+      });
+    });
+
+    test('minted API keys are audited without the key itself', async () => {
+      jest.spyOn(apiKeys, 'create').mockResolvedValue({ id: 'k1', name: 'bot', scopes: ['read'], key: 'cbk_abc_secret' });
+
+      await request(app).post('/api/v1/admin/api-keys')
+        .set('X-API-Key', API_KEY)
+        .send({ name: 'bot', scopes: ['read'] })
+        .expect(201);
+
+      expect(entries()[0]).toMatchObject({ action: 'api_key.create', after: { id: 'k1', name: 'bot' } });
+      expect(table.rows[0].after_data).not.toContain('cbk_abc_secret');
+    });
+  });
+
+  describe('GET /api/v1/admin/audit-log', () => {
+    const api = (query = '') => request(app).get(`/api/v1/admin/audit-log${query}`).set('X-API-Key', API_KEY);
+
+    test('pages through entries newest first', async () => {
+      for (const action of ['user.create', 'user.update', 'user.deactivate']) {
+        await auditLog.record({ id: 'req', user: null }, action, { targetId: 5 });
+      }
+
+      const first = await api('?limit=2');
+      expect(first.status).toBe(200);
+      expect(first.body.data.map(entry => entry.action)).toEqual(['user.deactivate', 'user.update']);
+      expect(first.body.pagination.nextCursor).toBeTruthy();
+
+      await api(`?limit=2&cursor=${first.body.pagination.nextCursor}`);
+      const [, params] = table.query.mock.calls[table.query.mock.calls.length - 1];
+      expect(params).toEqual([2, 3]);
+    });
+
+    test('rejects unknown filters and bad cursors, and requires an admin', async () => {
+      expect((await api('?actorType=robot')).status).toBe(400);
+      expect((await api('?action=DROP TABLE')).status).toBe(400);
+      expect((await api('?cursor=not-a-cursor')).status).toBe(400);
+      expect((await request(app).get('/api/v1/admin/audit-log')).status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,353 @@
+// Every test logs in; keep the login rate limit out of the way
+process.env.LOGIN_RATE_LIMIT = '1000';
+
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const config = require('../config/config');
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const search = require('../src/services/search');
+const usage = require('../src/services/usage');
+const webhookInbox = require('../src/services/webhook-inbox');
+const conversationTree = require('../src/services/conversation-tree');
+const openaiService = require('../src/services/openai');
+const users = require('../src/services/users');
+const sessions = require('../src/services/sessions');
+const { API_KEY, bootApp, fakeQuery } = require('./helpers/app');
+
+// In-memory users, user_project_grants and refresh_tokens tables
+const createFakeTables = () => {
+  const tables = { users: new Map(), grants: [], tokens: new Map() };
+  let nextId = 1;
+
+  const query = fakeQuery((statement, params) => {
+    const tokenList = [...tables.tokens.values()];
+
+    if (statement === 'SELECT * FROM users ORDER BY id ASC') {
+      return [...tables.users.values()];
+    }
+    if (statement.startsWith('SELECT user_id, project_id FROM user_project_grants')) {
+      return tables.grants;
+    }
+    if (statement === 'SELECT * FROM users WHERE id = ?') {
+      const row = tables.users.get(Number(params[0]));
+      return row ? [{ ...row }] : [];
+    }
+    if (statement.startsWith('SELECT project_id FROM user_project_grants WHERE user_id = ?')) {
+      return tables.grants.filter(grant => grant.user_id === Number(params[0]));
+    }
+    if (statement.startsWith('SELECT id FROM users WHERE email = ?') || statement === 'SELECT * FROM users WHERE email = ?') {
+      return [...tables.users.values()].filter(row => row.email === params[0]);
+    }
+    if (statement.startsWith('INSERT INTO users')) {
+      const [email, name, passwordHash, role, projectAccess] = params;
+      const id = nextId++;
+      tables.users.set(id, {
+        id, email, name, password_hash: passwordHash, role, project_access: projectAccess,
+        is_active: 1, last_login_at: null, created_at: new Date(), updated_at: new Date()
+      });
+      return { insertId: id, affectedRows: 1 };
+    }
+    if (statement.startsWith('UPDATE users SET last_login_at')) {
+      tables.users.get(Number(params[0])).last_login_at = new Date();
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('UPDATE users SET')) {
+      const columns = statement.match(/SET (.*) WHERE/)[1].split(', ').map(part => part.split(' = ')[0]);
+      const row = tables.users.get(Number(params[params.length - 1]));
+      columns.forEach((column, index) => { row[column] = params[index]; });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('DELETE FROM user_project_grants')) {
+      tables.grants = tables.grants.filter(grant => grant.user_id !== Number(params[0]));
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('INSERT INTO user_project_grants')) {
+      tables.grants.push({ user_id: Number(params[0]), project_id: params[1] });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('INSERT INTO refresh_tokens')) {
+      const [id, userId, tokenHash, expiresAt] = params;
+      tables.tokens.set(id, { id, user_id: userId, token_hash: tokenHash, expires_at: expiresAt, revoked_at: null, replaced_by: null });
+      return { affectedRows: 1 };
+    }
+    if (statement === 'SELECT * FROM refresh_tokens WHERE token_hash = ?') {
+      return tokenList.filter(token => token.token_hash === params[0]).map(token => ({ ...token }));
+    }
+    if (statement.includes('SET revoked_at = NOW(3), replaced_by = ? WHERE id = ?')) {
+      const token = tables.tokens.get(params[1]);
+      if (token.revoked_at) return { affectedRows: 0 };
+      Object.assign(token, { revoked_at: new Date(), replaced_by: params[0] });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('UPDATE refresh_tokens SET revoked_at = NOW(3) WHERE id = ?')) {
+      const token = tables.tokens.get(params[0]);
+      if (!token.revoked_at) token.revoked_at = new Date();
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('UPDATE refresh_tokens SET revoked_at = NOW(3) WHERE user_id = ?')) {
+      tokenList
+        .filter(token => token.user_id === Number(params[0]) && !token.revoked_at)
+        .forEach(token => { token.revoked_at = new Date(); });
+      return { affectedRows: 1 };
+    }
+  });
+
+  return { tables, query };
+};
+
+describe('User accounts', () => {
+  let fake;
+  let app;
+  const authSettings = { ...config.auth };
+
+  beforeAll(async () => {
+    app = await bootApp();
+  });
+
+  beforeEach(() => {
+    config.auth.bcryptRounds = 4;
+    fake = createFakeTables();
+    jest.spyOn(database, 'query').mockImplementation(fake.query);
+    jest.spyOn(database, 'transaction').mockImplementation(callback => callback(null));
+  });
+
+  afterEach(() => {
+    Object.assign(config.auth, authSettings);
+    jest.restoreAllMocks();
+  });
+
+  const login = async (email, password = 'correct horse battery') => {
+    const res = await request(app).post('/api/v1/auth/login').send({ email, password });
+    return res.body.data;
+  };
+
+  describe('users', () => {
+    test('stores a bcrypt hash, normalized email and grants', async () => {
+      const user = await users.create({
+        email: ' Ana@Example.com ',
+        password: 'correct horse battery',
+        role: 'editor',
+        projectAccess: 'granted',
+        projectIds: [3, 3, 5]
+      });
+
+      const row = fake.tables.users.get(user.id);
+      expect(row.password_hash).toMatch(/^\$2[aby]\$04\$/);
+      expect(row.password_hash).not.toContain('correct horse');
+      expect(user).toMatchObject({ email: 'ana@example.com', role: 'editor', projectAccess: 'granted', projectIds: [3, 5], isActive: true });
+      expect(await users.principal(user.id)).toEqual({
+        type: 'user', id: user.id, email: 'ana@example.com', name: null, role: 'editor', projectIds: [3, 5]
+      });
+
+      await expect(users.create({ email: 'ana@example.com', password: 'another password' })).rejects.toMatchObject({ code: 'USER_EXISTS' });
+    });
+
+    test('checks credentials and rejects inactive users', async () => {
+      const user = await users.create({ email: 'bo@example.com', password: 'correct horse battery' });
+
+      expect(await users.verifyCredentials('BO@example.com', 'correct horse battery')).toMatchObject({ id: user.id });
+      expect(await users.verifyCredentials('bo@example.com', 'wrong password')).toBeNull();
+      expect(await users.verifyCredentials('nobody@example.com', 'correct horse battery')).toBeNull();
+      // Unknown emails pay the same bcrypt cost as real passwords
+      const compare = jest.spyOn(bcrypt, 'compare');
+      config.auth.bcryptRounds = 5;
+      await users.verifyCredentials('nobody@example.com', 'correct horse battery');
+      expect(bcrypt.getRounds(compare.mock.calls[0][1])).toBe(5);
+      config.auth.bcryptRounds = 4;
+      compare.mockRestore();
+
+      await users.deactivate(user.id);
+      expect(await users.verifyCredentials('bo@example.com', 'correct horse battery')).toBeNull();
+      expect(await users.principal(user.id)).toBeNull();
+    });
+  });
+
+  describe('sessions', () => {
+    beforeEach(async () => {
+      await users.create({ email: 'ana@example.com', password: 'correct horse battery', role: 'reader' });
+    });
+
+    test('login returns an access token usable on the API and records the login', async () => {
+      const res = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'ana@example.com', password: 'correct horse battery' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ tokenType: 'Bearer', user: { email: 'ana@example.com', role: 'reader' } });
+      expect(res.body.data.expiresIn).toBeGreaterThanOrEqual(899);
+      expect(fake.tables.users.get(1).last_login_at).toBeInstanceOf(Date);
+      expect([...fake.tables.tokens.values()][0].token_hash).not.toBe(res.body.data.refreshToken);
+
+      const me = await request(app).get('/api/v1/auth/me').set('Authorization', `Bearer ${res.body.data.accessToken}`);
+      expect(me.status).toBe(200);
+      expect(me.body.data).toMatchObject({ type: 'user', id: 1, role: 'reader', projectIds: null });
+    });
+
+    test('wrong passwords and malformed bodies are rejected', async () => {
+      const wrong = await request(app).post('/api/v1/auth/login').send({ email: 'ana@example.com', password: 'nope' });
+      expect(wrong.status).toBe(401);
+      expect(wrong.body.error).toBe('Invalid email or password');
+
+      const invalid = await request(app).post('/api/v1/auth/login').send({ email: 'ana@example.com' });
+      expect(invalid.status).toBe(400);
+    });
+
+    test('refresh rotates the token and a reused token revokes every session', async () => {
+      const first = await login('ana@example.com');
+      const other = await login('ana@example.com');
+
+      const refreshed = await request(app).post('/api/v1/auth/refresh').send({ refreshToken: first.refreshToken });
+      expect(refreshed.status).toBe(200);
+      expect(refreshed.body.data.refreshToken).not.toBe(first.refreshToken);
+
+      const reused = await request(app).post('/api/v1/auth/refresh').send({ refreshToken: first.refreshToken });
+      expect(reused.status).toBe(401);
+
+      for (const token of [refreshed.body.data.refreshToken, other.refreshToken]) {
+        expect((await request(app).post('/api/v1/auth/refresh').send({ refreshToken: token })).status).toBe(401);
+      }
+    });
+
+    test('logout revokes the refresh token', async () => {
+      const session = await login('ana@example.com');
+
+      const res = await request(app).post('/api/v1/auth/logout').send({ refreshToken: session.refreshToken });
+      expect(res.status).toBe(200);
+
+      const refreshed = await request(app).post('/api/v1/auth/refresh').send({ refreshToken: session.refreshToken });
+      expect(refreshed.status).toBe(401);
+    });
+
+    test('access tokens stop working once the user is deactivated', async () => {
+      const session = await login('ana@example.com');
+      await users.deactivate(1);
+
+      const res = await request(app).get('/api/v1/auth/me').set('Authorization', `Bearer ${session.accessToken}`);
+      expect(res.status).toBe(401);
+
+      const forged = await request(app).get('/api/v1/auth/me').set('Authorization', 'Bearer not-a-jwt');
+      expect(forged.status).toBe(401);
+    });
+
+    test('refresh tokens are not access tokens', async () => {
+      const session = await login('ana@example.com');
+      expect(() => sessions.verifyAccessToken(session.refreshToken)).toThrow();
+    });
+  });
+
+  describe('roles', () => {
+    const bearer = async (role, options = {}) => {
+      const email = `${role}-${Object.keys(options).length}@example.com`;
+      await users.create({ email, password: 'correct horse battery', role, ...options });
+      return `Bearer ${(await login(email)).accessToken}`;
+    };
+
+    test('readers can read but not write or administer', async () => {
+      jest.spyOn(repository, 'listProjects').mockResolvedValue([]);
+      jest.spyOn(repository, 'countProjects').mockResolvedValue(0);
+      const auth = await bearer('reader');
+
+      expect((await request(app).get('/api/v1/projects').set('Authorization', auth)).status).toBe(200);
+      expect((await request(app).post('/api/v1/openai/conversations').set('Authorization', auth).send({ projectId: 1 })).status).toBe(403);
+      expect((await request(app).get('/api/v1/usage').set('Authorization', auth)).status).toBe(403);
+      expect((await request(app).get('/api/v1/users').set('Authorization', auth)).status).toBe(403);
+      expect((await request(app).get('/webhook/inbox').set('Authorization', auth)).status).toBe(403);
+    });
+
+    test('ingest users reach the inbox but not the read API', async () => {
+      jest.spyOn(webhookInbox, 'list').mockResolvedValue([]);
+      const auth = await bearer('ingest');
+
+      expect((await request(app).get('/webhook/inbox').set('Authorization', auth)).status).toBe(200);
+      const projects = await request(app).get('/api/v1/projects').set('Authorization', auth);
+      expect(projects.status).toBe(403);
+      expect(projects.body.message).toBe('Requires role: admin, editor, reader');
+    });
+
+    test('admins and the legacy API key can administer', async () => {
+      jest.spyOn(usage, 'report').mockResolvedValue({ rows: [], totals: {} });
+      const auth = await bearer('admin');
+
+      expect((await request(app).get('/api/v1/usage').set('Authorization', auth)).status).toBe(200);
+      expect((await request(app).get('/api/v1/usage').set('X-API-Key', API_KEY)).status).toBe(200);
+      expect((await request(app).get('/api/v1/usage').set('Authorization', `Bearer ${API_KEY}`)).status).toBe(200);
+    });
+  });
+
+  describe('project grants', () => {
+    let auth;
+
+    beforeEach(async () => {
+      await users.create({ email: 'ana@example.com', password: 'correct horse battery', role: 'editor', projectAccess: 'granted', projectIds: [3] });
+      auth = `Bearer ${(await login('ana@example.com')).accessToken}`;
+    });
+
+    test('lists and searches only granted projects', async () => {
+      const listProjects = jest.spyOn(repository, 'listProjects').mockResolvedValue([]);
+      jest.spyOn(repository, 'countProjects').mockResolvedValue(0);
+      const searchSpy = jest.spyOn(search, 'search').mockResolvedValue({ items: [], nextCursor: null });
+
+      await request(app).get('/api/v1/projects').set('Authorization', auth).expect(200);
+      expect(listProjects).toHaveBeenCalledWith({ limit: 51, after: null, projectIds: [3] });
+
+      await request(app).get('/api/v1/search?q=docker').set('Authorization', auth).expect(200);
+      expect(searchSpy).toHaveBeenCalledWith(expect.objectContaining({ q: 'docker', projectIds: [3] }));
+    });
+
+    test('other projects and their conversations answer 404', async () => {
+      jest.spyOn(repository, 'findProjectById').mockImplementation(async id => ({ id: Number(id), name: `Project ${id}` }));
+      jest.spyOn(repository, 'countConversations').mockResolvedValue(0);
+      jest.spyOn(repository, 'countMessages').mockResolvedValue(0);
+      jest.spyOn(repository, 'findConversation').mockImplementation(async ref => ({
+        id: ref, conversation_id: ref, project_id: ref === 'mine' ? 3 : 4, deleted_at: null
+      }));
+
+      expect((await request(app).get('/api/v1/projects/3').set('Authorization', auth)).status).toBe(200);
+      expect((await request(app).get('/api/v1/projects/4').set('Authorization', auth)).status).toBe(404);
+      expect((await request(app).get('/api/v1/conversations/mine').set('Authorization', auth)).status).toBe(200);
+      expect((await request(app).get('/api/v1/conversations/theirs').set('Authorization', auth)).status).toBe(404);
+      expect((await request(app).post('/api/v1/openai/conversations').set('Authorization', auth).send({ projectId: 4 })).status).toBe(404);
+    });
+
+    test('routes spanning all projects are forbidden', async () => {
+      expect((await request(app).post('/api/v1/search/semantic/index').set('Authorization', auth).send({})).status).toBe(403);
+    });
+
+    test('assistant tools only read granted projects', async () => {
+      jest.spyOn(conversationTree, 'getPath').mockResolvedValue({
+        conversation: { id: 'c1', project_id: 4, deleted_at: null },
+        messages: []
+      });
+
+      const output = await openaiService.executeTool('get_conversation', { conversation_id: 'c1' }, { projectIds: [3] });
+      expect(JSON.parse(output)).toEqual({ error: 'Conversation not found: c1' });
+    });
+  });
+
+  describe('user management API', () => {
+    const api = (method, path) => request(app)[method](`/api/v1/users${path}`).set('X-API-Key', API_KEY);
+
+    test('creates, updates and deactivates users', async () => {
+      const created = await api('post', '').send({ email: 'cy@example.com', password: 'correct horse battery', role: 'ingest' });
+      expect(created.status).toBe(201);
+      expect(created.body.data).toMatchObject({ id: 1, email: 'cy@example.com', role: 'ingest', projectAccess: 'all' });
+      expect(created.body.data.passwordHash).toBeUndefined();
+
+      expect((await api('post', '').send({ email: 'cy@example.com', password: 'correct horse battery' })).status).toBe(409);
+      expect((await api('post', '').send({ email: 'dee@example.com', password: 'short' })).status).toBe(400);
+
+      const updated = await api('patch', '/1').send({ projectAccess: 'granted', projectIds: [2, 7] });
+      expect(updated.body.data).toMatchObject({ projectAccess: 'granted', projectIds: [2, 7] });
+
+      const list = await api('get', '');
+      expect(list.body.data.map(user => user.email)).toEqual(['cy@example.com']);
+
+      const removed = await api('delete', '/1');
+      expect(removed.status).toBe(200);
+      expect(removed.body.data.isActive).toBe(false);
+
+      expect((await api('patch', '/9').send({ name: 'Nobody' })).status).toBe(404);
+    });
+  });
+});
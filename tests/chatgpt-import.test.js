@@ -0,0 +1,243 @@
+const AdmZip = require('adm-zip');
+const request = require('supertest');
+const ChatBETOListener = require('../server');
+const config = require('../config/config');
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const chatgptImport = require('../src/services/chatgpt-import');
+const { readConversationsFile, parseExportConversation } = require('../src/utils/chatgpt-export');
+
+const API_KEY = process.env.API_KEY || 'internal-api-key';
+
+const node = (id, parent, children, message) => ({ id, parent, children, message });
+const msg = (id, role, parts, createTime, contentType = 'text') => ({
+  id,
+  author: { role, name: null, metadata: {} },
+  content: { content_type: contentType, parts },
+  create_time: createTime,
+  status: 'finished_successfully',
+  metadata: { model_slug: 'gpt-4o' }
+});
+
+// root (no message) → u1 → hidden placeholder → { a1, a1b (regenerated) }
+const exported = {
+  id: 'conv_export',
+  title: 'Exported',
+  create_time: 1700000000.5,
+  update_time: 1700000500,
+  default_model_slug: 'gpt-4o',
+  current_node: 'a1b',
+  gizmo_id: 'g-p-abc123',
+  mapping: {
+    root: node('root', null, ['u1'], null),
+    u1: node('u1', 'root', ['placeholder'], msg('u1', 'user', ['Describe this image', {
+      content_type: 'image_asset_pointer',
+      asset_pointer: 'file-service://file-1'
+    }], 1700000001, 'multimodal_text')),
+    placeholder: node('placeholder', 'u1', ['a1', 'a1b'], null),
+    a1: node('a1', 'placeholder', [], msg('a1', 'assistant', ['A cat.'], 1700000002)),
+    a1b: node('a1b', 'placeholder', [], msg('a1b', 'assistant', ['A cat on a mat.'], 1700000003))
+  }
+};
+
+describe('ChatGPT export import', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parsing', () => {
+    test('follows the mapping graph for parent links', () => {
+      const { conversation, messages } = parseExportConversation(exported);
+
+      expect(conversation).toMatchObject({ id: 'conv_export', current_node: 'a1b', gizmo_id: 'g-p-abc123' });
+      expect(messages.map(m => [m.id, m.parent, m.children])).toEqual([
+        ['u1', null, ['a1', 'a1b']],
+        ['a1', 'u1', []],
+        ['a1b', 'u1', []]
+      ]);
+      expect(messages[0]).toMatchObject({ role: 'user', conversation_id: 'conv_export' });
+    });
+
+    test('resolves a current_node without a message to its nearest message', () => {
+      const { conversation } = parseExportConversation({ ...exported, current_node: 'placeholder' });
+      expect(conversation.current_node).toBe('u1');
+    });
+
+    test('rejects conversations without a mapping', () => {
+      expect(() => parseExportConversation({ id: 'x' })).toThrow('has no mapping');
+    });
+
+    test('reads conversations.json from a zip archive', () => {
+      const zip = new AdmZip();
+      zip.addFile('user.json', Buffer.from('{}'));
+      zip.addFile('conversations.json', Buffer.from(JSON.stringify([exported])));
+
+      expect(readConversationsFile(zip.toBuffer())).toHaveLength(1);
+    });
+
+    test('reports archives without conversations.json', () => {
+      const zip = new AdmZip();
+      zip.addFile('chat.html', Buffer.from('<html></html>'));
+
+      expect(() => readConversationsFile(zip.toBuffer())).toThrow('conversations.json not found');
+      expect(() => readConversationsFile('{"not":"an array"}')).toThrow('array of conversations');
+    });
+
+    test('refuses to inflate conversations.json past the uncompressed limit', () => {
+      const zip = new AdmZip();
+      zip.addFile('conversations.json', Buffer.from(`[${' '.repeat(4096)}]`));
+
+      expect(() => readConversationsFile(zip.toBuffer(), { maxUncompressedBytes: 1024 }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_EXPORT', message: expect.stringContaining('over the 1024 byte limit') }));
+      expect(readConversationsFile(zip.toBuffer(), { maxUncompressedBytes: 4098 })).toEqual([]);
+    });
+  });
+
+  describe('import', () => {
+    beforeEach(() => {
+      jest.spyOn(database, 'transaction').mockImplementation(callback => callback('conn'));
+    });
+
+    test('creates the conversation, project and messages with the shared normalization', async () => {
+      jest.spyOn(repository, 'findConversation').mockResolvedValue(null);
+      const upsertProject = jest.spyOn(repository, 'upsertProject').mockResolvedValue({ id: 9, created: true });
+      const upsertConversation = jest.spyOn(repository, 'upsertConversation')
+        .mockResolvedValue({ id: 'uuid-1', conversationId: 'conv_export', created: true });
+      jest.spyOn(repository, 'getMessageGraph').mockResolvedValue([]);
+      const upsertMessage = jest.spyOn(repository, 'upsertMessage').mockResolvedValue({ affectedRows: 1 });
+
+      const report = await chatgptImport.importConversations([exported]);
+
+      expect(report.conversations).toEqual({ total: 1, created: 1, updated: 0, skipped: 0, failed: 0 });
+      expect(report.messages).toEqual({ created: 3, updated: 0, skipped: 0 });
+
+      expect(upsertProject).toHaveBeenCalledWith({ name: 'g-p-abc123', chatgpt_project_id: 'g-p-abc123' }, 'conn');
+      expect(upsertConversation.mock.calls[0][0]).toMatchObject({
+        conversation_id: 'conv_export',
+        project_id: 9,
+        current_node_id: 'a1b',
+        created_at_ms: 1700000000500
+      });
+
+      const firstMessage = upsertMessage.mock.calls[0][0];
+      expect(firstMessage).toMatchObject({
+        id: 'u1',
+        conversation_ref: 'conv_export',
+        parent_message_id: null,
+        content_type: 'multimodal_text',
+        content: 'Describe this image\n[image_asset_pointer: file-service://file-1]'
+      });
+      expect(upsertMessage.mock.calls[2][0]).toMatchObject({ id: 'a1b', parent_message_id: 'u1', role: 'assistant' });
+    });
+
+    test('skips unchanged conversations and counts changed messages', async () => {
+      jest.spyOn(repository, 'findConversation').mockResolvedValue({
+        id: 'uuid-1',
+        updated_at: new Date(1700000500000),
+        deleted_at: null
+      });
+      jest.spyOn(repository, 'countMessages').mockResolvedValue(3);
+
+      const unchanged = await chatgptImport.importConversations([exported]);
+      expect(unchanged.conversations.skipped).toBe(1);
+      expect(unchanged.messages.skipped).toBe(3);
+
+      jest.spyOn(repository, 'upsertConversation').mockResolvedValue({ id: 'uuid-1', created: false });
+      jest.spyOn(repository, 'upsertProject').mockResolvedValue({ id: 9, created: false });
+      jest.spyOn(repository, 'getMessageGraph').mockResolvedValue([
+        { id: 'u1', content: 'Describe this image\n[image_asset_pointer: file-service://file-1]', parent_message_id: null, role: 'user', status: 'finished_successfully' },
+        { id: 'a1', content: 'An old answer', parent_message_id: 'u1', role: 'assistant', status: 'finished_successfully' }
+      ]);
+      const upsertMessage = jest.spyOn(repository, 'upsertMessage').mockResolvedValue({ affectedRows: 1 });
+
+      const forced = await chatgptImport.importConversations([exported], { force: true });
+      expect(forced.conversations.updated).toBe(1);
+      expect(forced.messages).toEqual({ created: 1, updated: 1, skipped: 1 });
+      expect(upsertMessage.mock.calls.map(call => call[0].id)).toEqual(['a1', 'a1b']);
+    });
+
+    test('reports malformed conversations without aborting the import', async () => {
+      const report = await chatgptImport.importConversations([{ id: 'broken' }, exported], { dryRun: true });
+
+      expect(report.conversations).toMatchObject({ total: 2, created: 1, failed: 1 });
+      expect(report.errors).toEqual([{ conversationId: 'broken', error: 'Conversation broken has no mapping' }]);
+    });
+  });
+
+  describe('POST /api/v1/imports/chatgpt', () => {
+    let app;
+
+    beforeAll(async () => {
+      jest.spyOn(database, 'initialize').mockResolvedValue();
+      const listener = new ChatBETOListener();
+      app = listener.app;
+      await listener.initialize();
+    });
+
+    test('accepts a zip upload', async () => {
+      const zip = new AdmZip();
+      zip.addFile('conversations.json', Buffer.from(JSON.stringify([exported])));
+
+      const response = await request(app)
+        .post('/api/v1/imports/chatgpt?dryRun=true')
+        .set('X-API-Key', API_KEY)
+        .set('Content-Type', 'application/zip')
+        .send(zip.toBuffer())
+        .expect(200);
+
+      expect(response.body.report).toMatchObject({
+        dryRun: true,
+        conversations: { total: 1, created: 1 },
+        messages: { created: 3 }
+      });
+    });
+
+    test('accepts conversations.json as JSON', async () => {
+      const response = await request(app)
+        .post('/api/v1/imports/chatgpt?dryRun=1')
+        .set('X-API-Key', API_KEY)
+        .send([exported])
+        .expect(200);
+
+      expect(response.body.report.conversations.total).toBe(1);
+    });
+
+    test('rejects uploads that are not an export', async () => {
+      await request(app)
+        .post('/api/v1/imports/chatgpt')
+        .set('X-API-Key', API_KEY)
+        .set('Content-Type', 'application/octet-stream')
+        .send(Buffer.from('not json'))
+        .expect(400);
+    });
+
+    test('rejects a zip whose conversations.json exceeds IMPORT_MAX_UNCOMPRESSED_BYTES', async () => {
+      const limit = config.imports.maxUncompressedBytes;
+      config.imports.maxUncompressedBytes = 1024;
+
+      const zip = new AdmZip();
+      zip.addFile('conversations.json', Buffer.from(JSON.stringify(Array(100).fill(exported))));
+
+      try {
+        const response = await request(app)
+          .post('/api/v1/imports/chatgpt?dryRun=true')
+          .set('X-API-Key', API_KEY)
+          .set('Content-Type', 'application/zip')
+          .send(zip.toBuffer())
+          .expect(400);
+
+        expect(response.body.message).toContain('byte limit');
+      } finally {
+        config.imports.maxUncompressedBytes = limit;
+      }
+    });
+
+    test('requires an API key', async () => {
+      await request(app)
+        .post('/api/v1/imports/chatgpt')
+        .set('Content-Type', 'application/zip')
+        .send(Buffer.from('PK'))
+        .expect(401);
+    });
+  });
+});
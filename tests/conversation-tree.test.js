@@ -0,0 +1,166 @@
+const request = require('supertest');
+const ChatBETOListener = require('../server');
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const { buildTree, pathTo, resolveLeaf, listBranches } = require('../src/utils/conversation-tree');
+
+const API_KEY = process.env.API_KEY || 'internal-api-key';
+
+// s ─ u1 ─┬─ a1
+//         └─ a1b (regenerated)
+//   └ u1b (edited prompt) ─ a2
+const message = (id, parent, role, extra = {}) => ({
+  id,
+  parent_message_id: parent,
+  role,
+  content: `${id} text`,
+  content_type: 'text',
+  created_at: null,
+  deleted_at: null,
+  ...extra
+});
+
+const rows = [
+  message('s', null, 'system'),
+  message('u1', 's', 'user'),
+  message('a1', 'u1', 'assistant'),
+  message('a1b', 'u1', 'assistant'),
+  message('u1b', 's', 'user'),
+  message('a2', 'u1b', 'assistant')
+];
+
+describe('Conversation tree', () => {
+  test('rebuilds parent/child links', () => {
+    const { roots, nodes } = buildTree(rows);
+
+    expect(roots.map(node => node.id)).toEqual(['s']);
+    expect(nodes.get('s').children.map(node => node.id)).toEqual(['u1', 'u1b']);
+    expect(nodes.get('u1').children.map(node => node.id)).toEqual(['a1', 'a1b']);
+  });
+
+  test('bridges over deleted messages and keeps orphans as roots', () => {
+    const { roots, nodes } = buildTree([
+      ...rows,
+      message('x', 'a1b', 'user', { deleted_at: new Date() }),
+      message('y', 'x', 'assistant'),
+      message('orphan', 'missing', 'user')
+    ]);
+
+    expect(nodes.has('x')).toBe(false);
+    expect(nodes.get('y').parent_id).toBe('a1b');
+    expect(roots.map(node => node.id)).toEqual(['s', 'orphan']);
+  });
+
+  test('survives parent cycles', () => {
+    const { roots } = buildTree([
+      message('c1', 'c2', 'user', { deleted_at: new Date() }),
+      message('c2', 'c1', 'assistant', { deleted_at: new Date() }),
+      message('c3', 'c2', 'user')
+    ]);
+
+    expect(roots.map(node => node.id)).toEqual(['c3']);
+  });
+
+  test('cuts cycles among live messages', () => {
+    const { roots, nodes } = buildTree([
+      message('a', 'b', 'user'),
+      message('b', 'a', 'assistant')
+    ]);
+
+    expect(roots.map(node => node.id)).toEqual(['a']);
+    expect(nodes.get('b').parent_id).toBe('a');
+    expect(resolveLeaf(nodes, { leafId: 'a' })).toBe('b');
+    expect(pathTo(nodes, 'b')).toEqual(['a', 'b']);
+    expect(listBranches(nodes, 'b').map(branch => branch.leaf_id)).toEqual(['b']);
+  });
+
+  test('resolves the current leaf from the request, current_node or recency', () => {
+    const { nodes } = buildTree(rows);
+
+    expect(resolveLeaf(nodes, { leafId: 'a1' })).toBe('a1');
+    expect(resolveLeaf(nodes, { currentNodeId: 'a1b' })).toBe('a1b');
+    expect(resolveLeaf(nodes, { currentNodeId: 'u1' })).toBe('a1b');
+    expect(resolveLeaf(nodes, { leafId: 'unknown' })).toBe('a2');
+    expect(pathTo(nodes, 'a1b')).toEqual(['s', 'u1', 'a1b']);
+  });
+
+  test('lists alternate branches with their fork point', () => {
+    const { nodes } = buildTree(rows);
+    const branches = listBranches(nodes, 'a1b');
+
+    expect(branches.map(branch => [branch.leaf_id, branch.is_current, branch.fork_point_id, branch.first_message_id])).toEqual([
+      ['a1', false, 'u1', 'a1'],
+      ['a1b', true, null, null],
+      ['a2', false, 's', 'u1b']
+    ]);
+  });
+
+  describe('GET /api/v1/conversations/:conversationId/tree', () => {
+    let app;
+
+    beforeAll(async () => {
+      jest.spyOn(database, 'initialize').mockResolvedValue();
+      const listener = new ChatBETOListener();
+      app = listener.app;
+      await listener.initialize();
+    });
+
+    beforeEach(() => {
+      jest.spyOn(repository, 'findConversation').mockResolvedValue({
+        id: 'uuid-1',
+        conversation_id: 'conv_1',
+        current_node_id: 'a1',
+        deleted_at: null
+      });
+      jest.spyOn(repository, 'getMessageGraph').mockResolvedValue(rows);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('returns the nested tree and the stored current branch', async () => {
+      const response = await request(app)
+        .get('/api/v1/conversations/conv_1/tree')
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(repository.getMessageGraph).toHaveBeenCalledWith('uuid-1');
+      expect(response.body.data.current_leaf_id).toBe('a1');
+      expect(response.body.data.current_path).toEqual(['s', 'u1', 'a1']);
+      expect(response.body.data.roots[0].children[1].children[0].id).toBe('a2');
+      expect(response.body.data.branches).toHaveLength(3);
+    });
+
+    test('returns the messages on a selected branch', async () => {
+      const response = await request(app)
+        .get('/api/v1/conversations/conv_1/path?leaf=a2')
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body.data.messages.map(m => m.id)).toEqual(['s', 'u1b', 'a2']);
+      expect(response.body.data.messages[0].child_ids).toEqual(['u1', 'u1b']);
+    });
+
+    test('returns 404 for a leaf outside the conversation on every view', async () => {
+      for (const view of ['tree', 'path', 'branches']) {
+        const response = await request(app)
+          .get(`/api/v1/conversations/conv_1/${view}?leaf=nope`)
+          .set('X-API-Key', API_KEY)
+          .expect(404);
+
+        expect(response.body.error).toBe('Message not found');
+      }
+    });
+
+    test('lists branches relative to the requested leaf', async () => {
+      const response = await request(app)
+        .get('/api/v1/conversations/conv_1/branches?leaf=a2')
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body.data.current_leaf_id).toBe('a2');
+      expect(response.body.data.branches.find(branch => branch.leaf_id === 'a1').fork_point_id).toBe('s');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const AdmZip = require('adm-zip');
+const request = require('supertest');
+const ChatBETOListener = require('../server');
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const { renderConversation, exportFilename } = require('../src/utils/conversation-render');
+
+const API_KEY = process.env.API_KEY || 'internal-api-key';
+
+const conversation = {
+  id: '3f2a9c1e-0000-4000-8000-000000000001',
+  conversation_id: 'conv_1',
+  project_id: 4,
+  title: 'Deploy <script> notes',
+  default_model_slug: 'gpt-4o',
+  created_at: new Date('2025-11-19T10:00:00Z'),
+  updated_at: new Date('2025-11-19T11:00:00Z'),
+  deleted_at: null
+};
+
+const messages = [
+  { id: 's', parent_message_id: null, role: 'system', content: 'You are helpful', content_type: 'text', created_at: null },
+  { id: 'u', parent_message_id: 's', role: 'user', content: 'How do I restart?', content_type: 'text', created_at: new Date('2025-11-19T10:01:00Z') },
+  { id: 'a', parent_message_id: 'u', role: 'assistant', content: 'Run:\n\n```bash\npm2 restart app && echo "<ok>"\n```\n\nDone.', content_type: 'text', created_at: new Date('2025-11-19T10:02:00Z') },
+  { id: 't', parent_message_id: 'a', role: 'tool', content: 'exit 0', content_type: 'execution_output', created_at: null },
+  { id: 'e', parent_message_id: 't', role: 'assistant', content: '', content_type: 'text', created_at: null }
+];
+
+const data = { conversation, project: { id: 4, name: 'Infra' }, messages };
+
+describe('Conversation export', () => {
+  describe('rendering', () => {
+    test('markdown keeps code blocks and labels roles', () => {
+      const markdown = renderConversation('md', data);
+
+      expect(markdown).toContain('# Deploy <script> notes');
+      expect(markdown).toContain('- **Project:** Infra');
+      expect(markdown).toContain('### User · 2025-11-19T10:01:00.000Z');
+      expect(markdown).toContain('```bash\npm2 restart app && echo "<ok>"\n```');
+      expect(markdown).toContain('### Tool');
+    });
+
+    test('hidden roles and empty messages are left out', () => {
+      const markdown = renderConversation('md', data, { hideRoles: ['system', 'tool'] });
+
+      expect(markdown).not.toContain('You are helpful');
+      expect(markdown).not.toContain('exit 0');
+      expect(markdown.match(/### Assistant/g)).toHaveLength(1);
+    });
+
+    test('html escapes content and renders fenced code', () => {
+      const html = renderConversation('html', data);
+
+      expect(html).toContain('<title>Deploy &lt;script&gt; notes</title>');
+      expect(html).toContain('<pre><code class="language-bash">pm2 restart app &amp;&amp; echo &quot;&lt;ok&gt;&quot;</code></pre>');
+      expect(html).toContain('<p>Done.</p>');
+      expect(html).not.toContain('<script>');
+    });
+
+    test('plain text and json', () => {
+      expect(renderConversation('txt', data)).toContain('[Assistant] 2025-11-19T10:02:00.000Z\nRun:');
+
+      const json = JSON.parse(renderConversation('json', data));
+      expect(json.project).toEqual({ id: 4, name: 'Infra' });
+      expect(json.messages.map(m => m.id)).toEqual(['s', 'u', 'a', 't']);
+      expect(json.messages[1].parent_message_id).toBe('s');
+    });
+
+    test('file names are slugged from the title', () => {
+      expect(exportFilename({ id: 'abcdef123456', title: 'Café: deploy/notes!' }, 'md')).toBe('cafe-deploy-notes-abcdef12.md');
+      expect(exportFilename({ id: 'abcdef123456', title: null }, 'html')).toBe('untitled-abcdef12.html');
+    });
+  });
+
+  describe('endpoints', () => {
+    let app;
+
+    beforeAll(async () => {
+      jest.spyOn(database, 'initialize').mockResolvedValue();
+      const listener = new ChatBETOListener();
+      app = listener.app;
+      await listener.initialize();
+    });
+
+    beforeEach(() => {
+      jest.spyOn(repository, 'findConversation').mockImplementation(async ref => ({ ...conversation, id: ref }));
+      jest.spyOn(repository, 'getMessageGraph').mockResolvedValue(messages);
+      jest.spyOn(repository, 'findProjectById').mockResolvedValue({ id: 4, name: 'Infra Team' });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('exports a conversation as an attachment', async () => {
+      const response = await request(app)
+        .get('/api/v1/conversations/conv_1/export?format=html&hide=system')
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/html/);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="deploy-script-notes-conv_1.html"');
+      expect(response.text).toContain('<dd>Infra Team</dd>');
+      expect(response.text).not.toContain('You are helpful');
+    });
+
+    test('rejects unknown formats', async () => {
+      await request(app)
+        .get('/api/v1/conversations/conv_1/export?format=pdf')
+        .set('X-API-Key', API_KEY)
+        .expect(400);
+    });
+
+    test('streams a project as a zip of conversations', async () => {
+      jest.spyOn(repository, 'listConversations').mockResolvedValue([
+        { ...conversation, id: 'uuid-aaaa-1' },
+        { ...conversation, id: 'uuid-aaaa-2' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/v1/projects/4/export?format=md')
+        .set('X-API-Key', API_KEY)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="infra-team-md.zip"');
+
+      const entries = new AdmZip(response.body).getEntries();
+      expect(entries.map(entry => entry.entryName)).toEqual([
+        'deploy-script-notes-uuid-aaa.md',
+        'deploy-script-notes-uuid-aaa-2.md'
+      ]);
+      expect(entries[0].getData().toString()).toContain('# Deploy <script> notes');
+      expect(repository.listConversations).toHaveBeenCalledWith({ projectId: 4 }, { limit: 100, after: null });
+    });
+
+    test('returns 404 for an unknown project', async () => {
+      repository.findProjectById.mockResolvedValue(null);
+
+      await request(app)
+        .get('/api/v1/projects/99/export')
+        .set('X-API-Key', API_KEY)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+// Shared scaffolding for the suites that drive the app against in-memory tables
+const database = require('../../src/services/database');
+const ChatBETOListener = require('../../server');
+
+const API_KEY = process.env.API_KEY || 'internal-api-key';
+
+// The Express app, booted without a database connection
+const bootApp = async () => {
+  jest.spyOn(database, 'initialize').mockResolvedValue();
+  const listener = new ChatBETOListener();
+  await listener.initialize();
+  return listener.app;
+};
+
+/**
+ * Stand-in for database.query. `answer` gets each statement with its
+ * whitespace collapsed and returns the result, or undefined for a statement
+ * the fake does not know, which fails the test.
+ */
+const fakeQuery = (answer) => jest.fn(async (sql, params = []) => {
+  const statement = sql.replace(/\s+/g, ' ').trim();
+  const result = await answer(statement, params);
+  if (result === undefined) {
+    throw new Error(`Unexpected query: ${statement}`);
+  }
+  return result;
+});
+
+module.exports = {
+  API_KEY,
+  bootApp,
+  fakeQuery
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const database = require('../src/services/database');
+const webhookDeliveries = require('../src/services/webhook-deliveries');
+const webhookSubscriptionsMigration = require('../migrations/015_webhook_subscriptions');
+
+// The other suites fake the database by SQL text; these run the worker
+// statements on a real server. Point TEST_DB_HOST (plus TEST_DB_PORT,
+// TEST_DB_NAME, TEST_DB_USER, TEST_DB_PASSWORD) at a scratch MariaDB schema.
+const describeLive = process.env.TEST_DB_HOST ? describe : describe.skip;
+
+describeLive('MariaDB', () => {
+  const subscriptionId = crypto.randomUUID();
+
+  const queueDeliveries = async (count) => {
+    for (let i = 0; i < count; i++) {
+      await database.query(`
+        INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload)
+        VALUES (?, ?, 'conversation.created', '{}')
+      `, [subscriptionId, crypto.randomUUID()]);
+    }
+  };
+
+  beforeAll(async () => {
+    Object.assign(config.database, {
+      host: process.env.TEST_DB_HOST,
+      port: process.env.TEST_DB_PORT || 3306,
+      name: process.env.TEST_DB_NAME || 'chatbeto_test',
+      user: process.env.TEST_DB_USER || 'root',
+      password: process.env.TEST_DB_PASSWORD || ''
+    });
+    await database.initialize();
+
+    for (const statement of webhookSubscriptionsMigration.up) {
+      await database.query(statement);
+    }
+    await database.query(`
+      INSERT INTO webhook_subscriptions (id, name, url, events, secret)
+      VALUES (?, 'live test', 'http://127.0.0.1:9/hook', '["*"]', 'whsec_test')
+    `, [subscriptionId]);
+  });
+
+  afterEach(async () => {
+    await database.query('DELETE FROM webhook_deliveries WHERE subscription_id = ?', [subscriptionId]);
+  });
+
+  afterAll(async () => {
+    await database.query('DELETE FROM webhook_subscriptions WHERE id = ?', [subscriptionId]);
+    await database.close();
+  });
+
+  test('the outbound worker claims due deliveries and marks them processing', async () => {
+    await queueDeliveries(2);
+
+    const claimed = (await webhookDeliveries.claimBatch()).filter(row => row.subscription_id === subscriptionId);
+    expect(claimed).toHaveLength(2);
+    expect(claimed[0]).toMatchObject({ url: 'http://127.0.0.1:9/hook', secret: 'whsec_test', attempts: 1 });
+
+    const rows = await database.query('SELECT status FROM webhook_deliveries WHERE subscription_id = ?', [subscriptionId]);
+    expect(rows.map(row => row.status)).toEqual(['processing', 'processing']);
+
+    const again = (await webhookDeliveries.claimBatch()).filter(row => row.subscription_id === subscriptionId);
+    expect(again).toHaveLength(0);
+  });
+
+  test('concurrent claims never hand out the same delivery twice', async () => {
+    await queueDeliveries(4);
+
+    const batches = await Promise.all([webhookDeliveries.claimBatch(), webhookDeliveries.claimBatch()]);
+    const ids = batches.flat().filter(row => row.subscription_id === subscriptionId).map(row => row.id);
+
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
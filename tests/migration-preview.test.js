@@ -0,0 +1,222 @@
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const migrationPreview = require('../src/services/migration-preview');
+const { parsePreviewResponse, toMessageId } = require('../src/utils/openai-thread-parser');
+
+const threadList = {
+  object: 'list',
+  data: [
+    {
+      id: 'msg_b',
+      object: 'thread.message',
+      created_at: 1700000010,
+      thread_id: 'thread_1',
+      role: 'assistant',
+      run_id: 'run_1',
+      assistant_id: 'asst_1',
+      content: [{ type: 'text', text: { value: 'Hello there', annotations: [] } }]
+    },
+    {
+      id: 'msg_a',
+      object: 'thread.message',
+      created_at: 1700000000,
+      thread_id: 'thread_1',
+      role: 'user',
+      content: [{ type: 'text', text: { value: 'Hi', annotations: [] } }]
+    }
+  ]
+};
+
+const preview = (raw, extra = {}) => ({
+  id: 7,
+  conversation_id: 'conv_1',
+  openai_thread_id: 'thread_1',
+  raw_response: JSON.stringify(raw),
+  status: 'fetched',
+  ...extra
+});
+
+describe('migration_preview pipeline', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parser', () => {
+    test('orders thread messages and chains parents', () => {
+      const messages = parsePreviewResponse(threadList, 'conv_1');
+
+      expect(messages.map(m => [m.id, m.parent, m.role])).toEqual([
+        ['msg_a', null, 'user'],
+        ['msg_b', 'msg_a', 'assistant']
+      ]);
+      expect(messages[1].content).toEqual({ content_type: 'text', parts: ['Hello there'] });
+      expect(messages[1].metadata).toMatchObject({ run_id: 'run_1', assistant_id: 'asst_1' });
+    });
+
+    test('reads Responses API output and shortens long ids', () => {
+      const longId = `msg_${'a'.repeat(48)}`;
+      const [message] = parsePreviewResponse({
+        object: 'response',
+        id: 'resp_1',
+        created_at: 1700000000,
+        model: 'gpt-4o',
+        output: [
+          { type: 'reasoning', id: 'rs_1' },
+          { type: 'message', id: longId, role: 'assistant', status: 'completed', content: [{ type: 'output_text', text: 'Answer' }] }
+        ]
+      }, 'conv_1');
+
+      expect(message.id).toBe(toMessageId(longId));
+      expect(message.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(message.metadata).toMatchObject({ openai_message_id: longId, response_id: 'resp_1' });
+    });
+
+    test('rejects fetch error placeholders and unknown shapes', () => {
+      expect(() => parsePreviewResponse('{"error":"404"}', 'c')).toThrow('fetch error');
+      expect(() => parsePreviewResponse({ object: 'thread' }, 'c')).toThrow('Unrecognised preview shape');
+      expect(() => parsePreviewResponse('nope', 'c')).toThrow('not valid JSON');
+    });
+  });
+
+  describe('planning', () => {
+    test('diffs parsed messages against stored ones and links to the last stored message', async () => {
+      jest.spyOn(repository, 'findConversation').mockResolvedValue({ id: 'uuid-1', openai_thread_id: 'thread_1' });
+      jest.spyOn(repository, 'getMessageGraph').mockResolvedValue([
+        { id: 'older', role: 'user', content: 'Earlier', content_type: 'text', parent_message_id: null, deleted_at: null },
+        { id: 'msg_a', role: 'user', content: 'Hi', content_type: 'text', parent_message_id: 'older', deleted_at: null },
+        { id: 'msg_b', role: 'assistant', content: 'Old reply', content_type: 'text', parent_message_id: 'msg_a', deleted_at: null }
+      ]);
+
+      const plan = await migrationPreview.planPreview(preview(threadList));
+
+      expect(plan.conversation).toEqual({ id: 'uuid-1', action: 'unchanged' });
+      expect(plan.summary).toEqual({ insert: 0, update: 1, unchanged: 1 });
+      expect(plan.messages[1]).toMatchObject({ id: 'msg_b', action: 'update', changes: ['content'] });
+      expect(plan.rows.map(row => row.id)).toEqual(['msg_b']);
+    });
+
+    test('plans a new conversation when none matches', async () => {
+      jest.spyOn(repository, 'findConversation').mockResolvedValue(null);
+      jest.spyOn(repository, 'findConversationByThreadId').mockResolvedValue(null);
+
+      const plan = await migrationPreview.planPreview(preview(threadList));
+
+      expect(plan.conversation.action).toBe('create');
+      expect(plan.summary).toEqual({ insert: 2, update: 0, unchanged: 0 });
+    });
+  });
+
+  describe('migrate', () => {
+    beforeEach(() => {
+      jest.spyOn(repository, 'findConversation').mockResolvedValue(null);
+      jest.spyOn(repository, 'findConversationByThreadId').mockResolvedValue({ id: 'uuid-9', openai_thread_id: 'thread_1' });
+      jest.spyOn(repository, 'getMessageGraph').mockResolvedValue([]);
+    });
+
+    test('report mode plans without writing', async () => {
+      const query = jest.spyOn(database, 'query').mockResolvedValue([preview(threadList)]);
+      const upsert = jest.spyOn(repository, 'upsertMessage');
+
+      const [result] = await migrationPreview.migrate({ limit: 5 });
+
+      expect(result.plan.summary.insert).toBe(2);
+      expect(upsert).not.toHaveBeenCalled();
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(query.mock.calls[0][0]).toContain("done.status = 'migrated'");
+      expect(query.mock.calls[0][1]).toEqual(['fetched', 5]);
+    });
+
+    test('write mode applies each preview in a transaction and marks it migrated', async () => {
+      const query = jest.spyOn(database, 'query')
+        .mockResolvedValueOnce([preview(threadList)])
+        .mockResolvedValue({ affectedRows: 1 });
+      jest.spyOn(database, 'transaction').mockImplementation(callback => callback('conn'));
+      const upsert = jest.spyOn(repository, 'upsertMessage').mockResolvedValue({ affectedRows: 1 });
+
+      await migrationPreview.migrate({ write: true, retryFailed: true });
+
+      expect(query.mock.calls[0][1]).toEqual(['fetched', 'failed', 100]);
+      expect(upsert.mock.calls.map(call => [call[0].id, call[0].conversation_ref, call[1]])).toEqual([
+        ['msg_a', 'uuid-9', 'conn'],
+        ['msg_b', 'uuid-9', 'conn']
+      ]);
+
+      const [markSql, markParams, markConn] = query.mock.calls[1];
+      expect(markSql).toContain("status = 'migrated'");
+      expect(markParams[1]).toBe(7);
+      expect(markConn).toBe('conn');
+    });
+
+    test('write mode marks unparseable previews failed and continues', async () => {
+      const query = jest.spyOn(database, 'query')
+        .mockResolvedValueOnce([preview({ error: 'timeout' }, { id: 1 }), preview(threadList, { id: 2 })])
+        .mockResolvedValue({ affectedRows: 1 });
+      jest.spyOn(database, 'transaction').mockImplementation(callback => callback('conn'));
+      jest.spyOn(repository, 'upsertMessage').mockResolvedValue({ affectedRows: 1 });
+
+      const results = await migrationPreview.migrate({ write: true });
+
+      expect(results[0]).toMatchObject({ previewId: 1, error: expect.stringContaining('fetch error') });
+      expect(results[1].plan.previewId).toBe(2);
+      expect(query.mock.calls[1][0]).toContain("status = 'failed'");
+      expect(query.mock.calls[1][1][1]).toBe(1);
+    });
+  });
+
+  describe('fetch', () => {
+    test('selects due threads in SQL and stores fetched threads and placeholders for failures', async () => {
+      const query = jest.spyOn(database, 'query')
+        .mockResolvedValueOnce([
+          { id: 'u1', conversation_id: 'conv_1', openai_thread_id: 'thread_1' },
+          { id: 'u3', conversation_id: 'conv_3', openai_thread_id: 'thread_3' }
+        ])
+        .mockResolvedValue([]);
+      const fetchThread = jest.fn(async threadId => {
+        if (threadId === 'thread_3') throw new Error('OpenAI API error 404');
+        return threadList;
+      });
+
+      const result = await migrationPreview.fetchPreviews({ sourceDb: 'legacy', limit: 10, maxAttempts: 3, delayMs: 0, fetchThread });
+
+      expect(result).toEqual({ found: 2, fetched: 1, failed: 1 });
+      expect(fetchThread.mock.calls.map(call => call[0])).toEqual(['thread_1', 'thread_3']);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('FROM `legacy`.conversations');
+      expect(sql).toContain("p.status = 'fetch_failed' AND p.fetch_attempts >= ?");
+      expect(sql).toContain('LIMIT ?');
+      expect(params).toEqual([3, 10]);
+
+      expect(query.mock.calls[2][0]).toContain('INSERT INTO migration_preview');
+      expect(query.mock.calls[2][1]).toEqual(['conv_1', 'thread_1', JSON.stringify(threadList)]);
+      expect(query.mock.calls[4][0]).toContain("'fetch_failed'");
+      expect(query.mock.calls[4][1][3]).toBe('OpenAI API error 404');
+    });
+
+    test('retries reuse the failed placeholder instead of adding rows', async () => {
+      const query = jest.spyOn(database, 'query')
+        .mockResolvedValueOnce([
+          { id: 'u1', conversation_id: 'conv_1', openai_thread_id: 'thread_1' },
+          { id: 'u3', conversation_id: 'conv_3', openai_thread_id: 'thread_3' }
+        ])
+        .mockResolvedValueOnce([{ id: 11, status: 'fetch_failed', fetch_attempts: 2 }])
+        .mockResolvedValueOnce({ affectedRows: 1 })
+        .mockResolvedValueOnce([{ id: 13, status: 'fetch_failed', fetch_attempts: 1 }])
+        .mockResolvedValue({ affectedRows: 1 });
+      const fetchThread = jest.fn(async threadId => {
+        if (threadId === 'thread_3') throw new Error('OpenAI API error 500');
+        return threadList;
+      });
+
+      const result = await migrationPreview.fetchPreviews({ refetch: true, delayMs: 0, fetchThread });
+
+      expect(result).toEqual({ found: 2, fetched: 1, failed: 1 });
+      expect(query.mock.calls[0][0]).not.toContain('NOT EXISTS');
+      expect(query.mock.calls[2][0]).toContain("UPDATE migration_preview SET raw_response = ?, status = 'fetched'");
+      expect(query.mock.calls[2][1]).toEqual([JSON.stringify(threadList), 11]);
+      expect(query.mock.calls[4][0]).toContain('fetch_attempts = fetch_attempts + 1');
+      expect(query.mock.calls[4][1][2]).toBe(13);
+      expect(query.mock.calls.some(call => call[0].includes('INSERT'))).toBe(false);
+    });
+  });
+});
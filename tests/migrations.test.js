@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const database = require('../src/services/database');
+const migrations = require('../src/services/migrations');
+const ChatBETOListener = require('../server');
+const config = require('../config/config');
+
+// In-memory stand-in for a pooled connection tracking schema_migrations
+const createFakeConnection = (appliedVersions = []) => {
+  const applied = new Set(appliedVersions);
+  const executed = [];
+
+  const connection = {
+    executed,
+    release: jest.fn(),
+    query: jest.fn(async (sql, params = []) => {
+      executed.push(sql.trim());
+      if (sql.includes('GET_LOCK')) return [[{ acquired: 1 }]];
+      if (sql.startsWith('SELECT version FROM schema_migrations')) {
+        return [[...applied].sort().map(version => ({ version }))];
+      }
+      if (sql.startsWith('INSERT INTO schema_migrations')) applied.add(params[0]);
+      if (sql.startsWith('DELETE FROM schema_migrations')) applied.delete(params[0]);
+      return [[]];
+    })
+  };
+
+  return connection;
+};
+
+describe('Schema migrations', () => {
+  const originalDirectory = migrations.directory;
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbeto-migrations-'));
+    fs.writeFileSync(path.join(directory, '001_first.js'),
+      "module.exports = { up: ['CREATE TABLE first (id INT)'], down: ['DROP TABLE first'] };");
+    fs.writeFileSync(path.join(directory, '002_second.js'),
+      "module.exports = { up: async (query) => { await query('CREATE TABLE second (id INT)'); }, down: ['DROP TABLE second'] };");
+    fs.writeFileSync(path.join(directory, 'README.md'), 'not a migration');
+    migrations.directory = directory;
+    database.pool = {};
+  });
+
+  afterEach(() => {
+    migrations.directory = originalDirectory;
+    database.pool = null;
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('the shipped migrations are numbered uniquely and define up and down', () => {
+    migrations.directory = originalDirectory;
+    const loaded = migrations.load();
+
+    expect(loaded.length).toBeGreaterThan(0);
+    expect(loaded[0].version).toBe(1);
+    for (const migration of loaded) {
+      expect(migration.up).toBeDefined();
+      expect(migration.down).toBeDefined();
+    }
+  });
+
+  test('up applies pending migrations in order and records them', async () => {
+    const connection = createFakeConnection([1]);
+    database.pool.getConnection = jest.fn().mockResolvedValue(connection);
+
+    const applied = await migrations.up();
+
+    expect(applied).toEqual([{ version: 2, name: 'second' }]);
+    expect(connection.executed).toContain('CREATE TABLE second (id INT)');
+    expect(connection.executed).not.toContain('CREATE TABLE first (id INT)');
+    expect(connection.release).toHaveBeenCalled();
+  });
+
+  test('down reverts the newest applied migration', async () => {
+    const connection = createFakeConnection([1, 2]);
+    database.pool.getConnection = jest.fn().mockResolvedValue(connection);
+
+    const reverted = await migrations.down();
+
+    expect(reverted).toEqual([{ version: 2, name: 'second' }]);
+    expect(connection.executed).toContain('DROP TABLE second');
+  });
+
+  test('status lists applied and pending migrations', async () => {
+    database.pool.getConnection = jest.fn().mockResolvedValue(createFakeConnection([1]));
+
+    expect(await migrations.status()).toEqual([
+      { version: 1, name: 'first', applied: true },
+      { version: 2, name: 'second', applied: false }
+    ]);
+  });
+
+  test('startup check refuses to boot with pending migrations in production', async () => {
+    jest.spyOn(migrations, 'pending').mockResolvedValue([{ version: 2, name: 'second', applied: false }]);
+    const listener = new ChatBETOListener();
+    const nodeEnv = config.server.nodeEnv;
+
+    try {
+      config.server.nodeEnv = 'production';
+      await expect(listener.checkMigrations()).rejects.toThrow('Pending migrations: 2_second');
+
+      config.server.nodeEnv = 'development';
+      await expect(listener.checkMigrations()).resolves.toBeUndefined();
+    } finally {
+      config.server.nodeEnv = nodeEnv;
+    }
+  });
+});
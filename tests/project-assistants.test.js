@@ -0,0 +1,253 @@
+const request = require('supertest');
+const config = require('../config/config');
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const projectAssistants = require('../src/services/project-assistants');
+const openaiService = require('../src/services/openai');
+const { API_KEY, bootApp, fakeQuery } = require('./helpers/app');
+
+// In-memory project_assistants table answering the statements the service issues
+const createFakeTable = () => {
+  const rows = new Map();
+  let clock = Date.UTC(2024, 0, 1);
+  const tick = () => new Date(clock += 1000);
+
+  const query = fakeQuery((statement, params) => {
+    if (statement.startsWith('SELECT * FROM project_assistants WHERE project_id = ?')) {
+      const row = rows.get(Number(params[0]));
+      return row ? [{ ...row }] : [];
+    }
+    if (statement.startsWith('SELECT * FROM project_assistants ORDER BY')) {
+      return [...rows.values()].sort((a, b) => a.project_id - b.project_id);
+    }
+    if (statement.startsWith('INSERT INTO project_assistants')) {
+      const [projectId, name, model, instructions, temperature, tools] = params;
+      const now = tick();
+      rows.set(Number(projectId), {
+        project_id: Number(projectId), name, model, instructions, temperature, tools,
+        openai_assistant_id: null, synced_at: null, created_at: now, updated_at: now
+      });
+      return { affectedRows: 1 };
+    }
+    if (statement.includes('SET openai_assistant_id = ?, synced_at = ?')) {
+      Object.assign(rows.get(Number(params[2])), { openai_assistant_id: params[0], synced_at: params[1] });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('UPDATE project_assistants SET')) {
+      const columns = statement.match(/SET (.*) WHERE/)[1].split(', ').map(part => part.split(' = ')[0]);
+      const row = rows.get(Number(params[params.length - 1]));
+      columns.forEach((column, index) => { row[column] = params[index]; });
+      row.updated_at = tick();
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('DELETE FROM project_assistants')) {
+      rows.delete(Number(params[0]));
+      return { affectedRows: 1 };
+    }
+  });
+
+  return { rows, query };
+};
+
+describe('Project assistants', () => {
+  let table;
+  let client;
+  const openaiSettings = { ...config.openai };
+
+  beforeEach(() => {
+    table = createFakeTable();
+    jest.spyOn(database, 'query').mockImplementation(table.query);
+
+    let created = 0;
+    client = {
+      beta: {
+        assistants: {
+          list: jest.fn(() => (async function* () {})()),
+          create: jest.fn(async body => ({ id: `asst_${++created}`, ...body })),
+          update: jest.fn(async (id, body) => ({ id, ...body })),
+          delete: jest.fn().mockResolvedValue({ deleted: true })
+        },
+        threads: {
+          create: jest.fn().mockResolvedValue({ id: 'thread_1', created_at: 1700000000 })
+        }
+      }
+    };
+    openaiService.client = client;
+    openaiService.initialized = true;
+    openaiService.defaultAssistantId = null;
+  });
+
+  afterEach(() => {
+    Object.assign(config.openai, openaiSettings);
+    openaiService.client = null;
+    openaiService.initialized = false;
+    openaiService.defaultAssistantId = null;
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveAssistant', () => {
+    const settings = { name: 'Infra Assistant', model: 'gpt-4o', instructions: 'Answer about infra.', temperature: 0.2, tools: ['search_messages'] };
+
+    test('builds the OpenAI assistant from the settings of the thread\'s project once', async () => {
+      jest.spyOn(repository, 'findConversationByThreadId').mockResolvedValue({ id: 'c1', project_id: 3 });
+      await projectAssistants.create(3, settings);
+
+      const first = await openaiService.resolveAssistant({ threadId: 'thread_1' });
+      const second = await openaiService.resolveAssistant({ threadId: 'thread_1' });
+
+      expect(first.assistantId).toBe('asst_1');
+      expect(second.assistantId).toBe('asst_1');
+      expect(client.beta.assistants.create).toHaveBeenCalledTimes(1);
+      expect(client.beta.assistants.create).toHaveBeenCalledWith({
+        name: 'Infra Assistant',
+        model: 'gpt-4o',
+        instructions: 'Answer about infra.',
+        temperature: 0.2,
+        tools: [expect.objectContaining({ function: expect.objectContaining({ name: 'search_messages' }) })],
+        metadata: { project_id: '3' }
+      });
+      expect(table.rows.get(3)).toMatchObject({ openai_assistant_id: 'asst_1', synced_at: table.rows.get(3).updated_at });
+    });
+
+    test('updates the OpenAI assistant after the settings change, recreating it if it was deleted', async () => {
+      await projectAssistants.create(3, settings);
+      await openaiService.resolveAssistant({ projectId: 3 });
+
+      await projectAssistants.update(3, { model: 'gpt-4o-mini' });
+      expect(await openaiService.resolveAssistant({ projectId: 3 })).toMatchObject({ assistantId: 'asst_1' });
+      expect(client.beta.assistants.update).toHaveBeenCalledWith('asst_1', expect.objectContaining({ model: 'gpt-4o-mini' }));
+
+      await projectAssistants.update(3, { temperature: 1 });
+      client.beta.assistants.update.mockRejectedValue(Object.assign(new Error('No assistant found'), { status: 404 }));
+      expect((await openaiService.resolveAssistant({ projectId: 3 })).assistantId).toBe('asst_2');
+      expect(table.rows.get(3).openai_assistant_id).toBe('asst_2');
+    });
+
+    test('falls back to the default assistant when the project has no settings', async () => {
+      jest.spyOn(repository, 'findConversationByThreadId').mockResolvedValue({ id: 'c1', project_id: 4 });
+      config.openai.assistantId = 'asst_env';
+
+      expect(await openaiService.resolveAssistant({ threadId: 'thread_1' })).toEqual({ assistantId: 'asst_env', settings: null });
+      expect(client.beta.assistants.create).not.toHaveBeenCalled();
+    });
+
+    test('runs only offer the tools the project allows', async () => {
+      jest.spyOn(repository, 'findConversationByThreadId').mockResolvedValue({ id: 'c1', project_id: 3 });
+      await projectAssistants.create(3, settings);
+
+      const params = await openaiService.runParams('thread_1');
+
+      expect(params.assistant_id).toBe('asst_1');
+      expect(params.tools.map(tool => tool.function.name)).toEqual(['search_messages']);
+    });
+  });
+
+  describe('getDefaultAssistant', () => {
+    test('reuses the tagged default assistant instead of the first one in the account', async () => {
+      client.beta.assistants.list.mockImplementation(() => (async function* () {
+        yield { id: 'asst_other', metadata: {} };
+        yield { id: 'asst_default', metadata: { chatbeto_default: 'true' } };
+      })());
+
+      expect(await openaiService.getDefaultAssistant()).toBe('asst_default');
+      expect(await openaiService.getDefaultAssistant()).toBe('asst_default');
+      expect(client.beta.assistants.list).toHaveBeenCalledTimes(1);
+    });
+
+    test('creates the default assistant with the configured model when none is tagged', async () => {
+      config.openai.defaultModel = 'gpt-4o-mini';
+
+      expect(await openaiService.getDefaultAssistant()).toBe('asst_1');
+      expect(client.beta.assistants.create).toHaveBeenCalledWith(expect.objectContaining({
+        model: 'gpt-4o-mini',
+        metadata: { chatbeto_default: 'true' }
+      }));
+    });
+  });
+
+  test('createConversation stores the project assistant model and returns its id', async () => {
+    await projectAssistants.create(3, { name: 'Infra Assistant', model: 'gpt-4o' });
+    const upsert = jest.spyOn(repository, 'upsertConversation').mockResolvedValue();
+
+    const result = await openaiService.createConversation(3);
+
+    expect(result).toEqual({ threadId: 'thread_1', conversationId: 'thread_1', assistantId: 'asst_1' });
+    expect(client.beta.threads.create).toHaveBeenCalledWith({ metadata: { project_id: '3' } });
+    expect(upsert).toHaveBeenCalledWith(expect.objectContaining({ project_id: 3, default_model_slug: 'gpt-4o' }));
+  });
+
+  describe('API', () => {
+    let app;
+
+    beforeEach(async () => {
+      jest.spyOn(openaiService, 'initialize').mockResolvedValue(true);
+      jest.spyOn(repository, 'findProjectById').mockImplementation(async id => (
+        Number(id) === 3 ? { id: 3, name: 'Infra' } : null
+      ));
+
+      app = await bootApp();
+    });
+
+    const api = (method, path) => request(app)[method](`/api/v1/openai${path}`).set('X-API-Key', API_KEY);
+
+    test('creates settings with defaults, then lists and reads them', async () => {
+      config.openai.defaultModel = 'gpt-4o';
+
+      const created = await api('post', '/projects/3/assistant').send({ instructions: 'Be brief.', tools: ['list_projects'] });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data).toMatchObject({
+        projectId: 3,
+        name: 'Infra Assistant',
+        model: 'gpt-4o',
+        instructions: 'Be brief.',
+        temperature: null,
+        tools: ['list_projects'],
+        openaiAssistantId: null
+      });
+
+      const list = await api('get', '/assistants');
+      expect(list.body.data.map(item => item.projectId)).toEqual([3]);
+
+      const one = await api('get', '/projects/3/assistant');
+      expect(one.body.data.name).toBe('Infra Assistant');
+
+      const again = await api('post', '/projects/3/assistant').send({});
+      expect(again.status).toBe(409);
+    });
+
+    test('rejects invalid settings, unknown tools and missing projects', async () => {
+      const invalid = await api('post', '/projects/3/assistant').send({ temperature: 5 });
+      expect(invalid.status).toBe(400);
+
+      const tools = await api('post', '/projects/3/assistant').send({ tools: ['rm_rf'] });
+      expect(tools.status).toBe(400);
+      expect(tools.body.details).toEqual(['Unknown tools: rm_rf']);
+
+      const missing = await api('post', '/projects/9/assistant').send({});
+      expect(missing.status).toBe(404);
+
+      expect((await api('get', '/projects/3/assistant')).status).toBe(404);
+    });
+
+    test('updates and deletes settings, removing the OpenAI assistant', async () => {
+      await api('post', '/projects/3/assistant').send({ model: 'gpt-4o' });
+      await openaiService.resolveAssistant({ projectId: 3 });
+
+      const empty = await api('patch', '/projects/3/assistant').send({});
+      expect(empty.status).toBe(400);
+
+      const updated = await api('patch', '/projects/3/assistant').send({ temperature: 0.5, instructions: null });
+      expect(updated.status).toBe(200);
+      expect(updated.body.data).toMatchObject({ model: 'gpt-4o', temperature: 0.5, instructions: null, openaiAssistantId: 'asst_1' });
+
+      const removed = await api('delete', '/projects/3/assistant');
+      expect(removed.status).toBe(200);
+      expect(client.beta.assistants.delete).toHaveBeenCalledWith('asst_1');
+      expect(table.rows.has(3)).toBe(false);
+
+      expect((await api('patch', '/projects/3/assistant').send({ model: 'gpt-4' })).status).toBe(404);
+      expect((await api('delete', '/projects/3/assistant')).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const chatbetoDatabase = require('../src/services/chatbeto-database');
+const { normalizeConversation, normalizeMessage, toEpochMs } = require('../src/utils/chatgpt-mapper');
+
+describe('ChatGPT payload mapping', () => {
+  test('toEpochMs accepts seconds, milliseconds and ISO strings', () => {
+    expect(toEpochMs(1700000000)).toBe(1700000000000);
+    expect(toEpochMs(1700000000.5)).toBe(1700000000500);
+    expect(toEpochMs(1700000000000)).toBe(1700000000000);
+    expect(toEpochMs('2023-11-14T22:13:20.000Z')).toBe(1700000000000);
+    expect(toEpochMs(null)).toBeNull();
+  });
+
+  test('maps a webhook conversation onto v2 columns', () => {
+    expect(normalizeConversation({
+      id: 'conv_ext',
+      title: 'Hello',
+      model: 'gpt-4o',
+      create_time: 1700000000,
+      update_time: 1700000100
+    })).toMatchObject({
+      conversation_id: 'conv_ext',
+      title: 'Hello',
+      default_model_slug: 'gpt-4o',
+      created_at_ms: 1700000000000,
+      updated_at_ms: 1700000100000
+    });
+  });
+
+  test('maps legacy message fields onto v2 columns', () => {
+    const row = normalizeMessage({
+      id: 'msg_1',
+      conversation_id: 'conv_ext',
+      role: 'assistant',
+      content: { content_type: 'text', parts: ['Hello', 'world'] },
+      create_time: 1700000000,
+      parent: 'msg_0',
+      children: ['msg_2'],
+      author: { name: 'ChatGPT', role: 'assistant' }
+    });
+
+    expect(row).toMatchObject({
+      id: 'msg_1',
+      conversation_ref: 'conv_ext',
+      parent_message_id: 'msg_0',
+      role: 'assistant',
+      author_name: 'ChatGPT',
+      content: 'Hello\nworld',
+      content_type: 'text',
+      created_at_ms: 1700000000000,
+      status: 'finished_successfully'
+    });
+    expect(JSON.parse(row.metadata)).toMatchObject({ children: ['msg_2'] });
+  });
+
+  test('keeps a readable placeholder for multimodal parts', () => {
+    const row = normalizeMessage({
+      id: 'msg_img',
+      conversation_id: 'conv_ext',
+      role: 'user',
+      parts: ['Look at this', { content_type: 'image_asset_pointer', asset_pointer: 'file-service://file-1' }]
+    });
+
+    expect(row.content_type).toBe('multimodal_text');
+    expect(row.content).toBe('Look at this\n[image_asset_pointer: file-service://file-1]');
+  });
+});
+
+describe('ChatBETORepository', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('creates a conversation with a uuid primary key', async () => {
+    const query = jest.spyOn(database, 'query')
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce({ affectedRows: 1 });
+
+    const result = await repository.upsertConversation(normalizeConversation({
+      id: 'conv_ext', title: 'Hello', create_time: 1700000000, update_time: 1700000000
+    }));
+
+    expect(result.created).toBe(true);
+    expect(result.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(query.mock.calls[1][1].slice(0, 2)).toEqual([result.id, 'conv_ext']);
+  });
+
+  test('updates an existing conversation without overwriting missing fields', async () => {
+    const query = jest.spyOn(database, 'query')
+      .mockResolvedValueOnce([{ id: 'uuid-1' }])
+      .mockResolvedValueOnce({ affectedRows: 1 });
+
+    const result = await repository.upsertConversation(normalizeConversation({ id: 'conv_ext' }));
+
+    expect(result).toEqual({ id: 'uuid-1', conversationId: 'conv_ext', created: false, affectedRows: 1 });
+    expect(query.mock.calls[1][0]).toContain('title = COALESCE(?, title)');
+    expect(query.mock.calls[1][1][0]).toBeNull();
+  });
+
+  test('stores messages against the conversation uuid, not the external id', async () => {
+    const query = jest.spyOn(database, 'query')
+      .mockResolvedValueOnce([{ id: 'uuid-1', conversation_id: 'conv_ext' }])
+      .mockResolvedValueOnce({ affectedRows: 1 });
+
+    await repository.upsertMessage(normalizeMessage({
+      id: 'msg_1', conversation_id: 'conv_ext', role: 'user', content: 'Hi', create_time: 1700000000
+    }));
+
+    const [sql, params] = query.mock.calls[1];
+    expect(sql).toContain('parent_message_id');
+    expect(sql).not.toMatch(/\bparts\b/);
+    expect(params[1]).toBe('uuid-1');
+  });
+
+  test('refuses messages for unknown conversations', async () => {
+    jest.spyOn(database, 'query').mockResolvedValueOnce([]);
+
+    await expect(repository.upsertMessage(normalizeMessage({
+      id: 'msg_1', conversation_id: 'conv_missing', role: 'user', content: 'Hi'
+    }))).rejects.toThrow('Conversation not found: conv_missing');
+  });
+});
+
+describe('ChatBETODatabaseService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports what the message write did', async () => {
+    jest.spyOn(repository, 'upsertMessage').mockResolvedValue({ id: 'msg_1', affectedRows: 2, insertId: 0 });
+
+    const result = await chatbetoDatabase.insertMessage('conv_ext', 'user', 'Hi', { id: 'msg_1' });
+
+    expect(result).toMatchObject({ messageId: 'msg_1', affectedRows: 2, insertId: 0 });
+  });
+
+  test('reports what the conversation write did', async () => {
+    jest.spyOn(repository, 'upsertConversation').mockResolvedValue({ id: 'uuid-1', created: false, affectedRows: 0 });
+
+    const result = await chatbetoDatabase.insertConversation({ conversation_id: 'conv_ext', title: 'Hello' });
+
+    expect(result).toMatchObject({ conversationUuid: 'uuid-1', created: false, affectedRows: 0 });
+  });
+});
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const ChatBETOListener = require('../server');
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const { encodeCursor, decodeCursor } = require('../src/utils/pagination');
+
+const API_KEY = process.env.API_KEY || 'internal-api-key';
+
+describe('Read API', () => {
+  let app;
+
+  beforeAll(async () => {
+    jest.spyOn(database, 'initialize').mockResolvedValue();
+    const listener = new ChatBETOListener();
+    app = listener.app;
+    await listener.initialize();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const conversation = (id, updatedAt) => ({
+    id,
+    conversation_id: `conv_${id}`,
+    project_id: 1,
+    title: `Conversation ${id}`,
+    default_model_slug: 'gpt-4o',
+    is_archived: 0,
+    is_starred: 1,
+    message_count: 3,
+    created_at: '2025-11-01T00:00:00.000Z',
+    updated_at: updatedAt,
+    deleted_at: null
+  });
+
+  test('requires an API key', async () => {
+    await request(app).get('/api/v1/projects').expect(401);
+  });
+
+  describe('projects', () => {
+    test('lists projects with the total and a next cursor', async () => {
+      const list = jest.spyOn(repository, 'listProjects').mockResolvedValue([
+        { id: 1, name: 'Infra', conversation_count: 4 },
+        { id: 2, name: 'Docs', conversation_count: 0 },
+        { id: 3, name: 'Extra', conversation_count: 1 }
+      ]);
+      jest.spyOn(repository, 'countProjects').mockResolvedValue(7);
+
+      const response = await request(app)
+        .get('/api/v1/projects?limit=2')
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(list).toHaveBeenCalledWith({ limit: 3, after: null });
+      expect(response.body.data.map(p => p.name)).toEqual(['Infra', 'Docs']);
+      expect(response.body.pagination).toEqual({ limit: 2, total: 7, nextCursor: encodeCursor({ id: 2 }) });
+    });
+
+    test('returns 404 for unknown or malformed project ids', async () => {
+      jest.spyOn(repository, 'findProjectById').mockResolvedValue(null);
+
+      await request(app).get('/api/v1/projects/99').set('X-API-Key', API_KEY).expect(404);
+      await request(app).get('/api/v1/projects/abc').set('X-API-Key', API_KEY).expect(404);
+      expect(repository.findProjectById).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('conversations', () => {
+    test('passes filters to both the page and the count', async () => {
+      jest.spyOn(repository, 'findProjectById').mockResolvedValue({ id: 1, name: 'Infra' });
+      const list = jest.spyOn(repository, 'listConversations').mockResolvedValue([
+        conversation('b', '2025-11-03T00:00:00.000Z'),
+        conversation('a', '2025-11-02T00:00:00.000Z')
+      ]);
+      const count = jest.spyOn(repository, 'countConversations').mockResolvedValue(12);
+
+      const response = await request(app)
+        .get('/api/v1/projects/1/conversations?archived=false&starred=true&model=gpt-4o&from=2025-11-01&limit=1')
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      const filters = count.mock.calls[0][0];
+      expect(filters).toMatchObject({ projectId: 1, archived: false, starred: true, model: 'gpt-4o' });
+      expect(filters.from).toBeInstanceOf(Date);
+      expect(list).toHaveBeenCalledWith(filters, { limit: 2, after: null });
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toMatchObject({ id: 'b', is_starred: true, is_archived: false, message_count: 3 });
+      expect(response.body.pagination.total).toBe(12);
+      expect(decodeCursor(response.body.pagination.nextCursor)).toEqual({ updatedAt: '2025-11-03T00:00:00.000Z', id: 'b' });
+    });
+
+    test('continues from a cursor', async () => {
+      const list = jest.spyOn(repository, 'listConversations').mockResolvedValue([]);
+      jest.spyOn(repository, 'countConversations').mockResolvedValue(0);
+      const cursor = encodeCursor({ updatedAt: '2025-11-03T00:00:00.000Z', id: 'b' });
+
+      await request(app)
+        .get(`/api/v1/conversations?cursor=${cursor}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(list.mock.calls[0][1]).toEqual({ limit: 51, after: { updatedAt: '2025-11-03T00:00:00.000Z', id: 'b' } });
+    });
+
+    test('rejects invalid filters and cursors', async () => {
+      await request(app).get('/api/v1/conversations?archived=maybe').set('X-API-Key', API_KEY).expect(400);
+      await request(app).get('/api/v1/conversations?cursor=%%%').set('X-API-Key', API_KEY).expect(400);
+    });
+
+    test('hides deleted conversations', async () => {
+      jest.spyOn(repository, 'findConversation').mockResolvedValue({ ...conversation('a'), deleted_at: new Date() });
+
+      await request(app).get('/api/v1/conversations/a').set('X-API-Key', API_KEY).expect(404);
+    });
+  });
+
+  describe('messages', () => {
+    test('pages messages with a total that ignores the page size', async () => {
+      jest.spyOn(repository, 'findConversation').mockResolvedValue(conversation('uuid-1'));
+      const list = jest.spyOn(repository, 'listMessages').mockResolvedValue([
+        { id: 'm1', role: 'user', content: 'Hi', metadata: '{"a":1}', sort_key: '1700000000000' },
+        { id: 'm2', role: 'assistant', content: 'Hello', metadata: null, sort_key: '1700000001000' },
+        { id: 'm3', role: 'user', content: 'More', metadata: null, sort_key: '1700000002000' }
+      ]);
+      jest.spyOn(repository, 'countMessages').mockResolvedValue(40);
+
+      const response = await request(app)
+        .get('/api/v1/conversations/conv_uuid-1/messages?limit=2')
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(list).toHaveBeenCalledWith('uuid-1', { limit: 3, after: null });
+      expect(response.body.data.map(m => m.id)).toEqual(['m1', 'm2']);
+      expect(response.body.data[0].metadata).toEqual({ a: 1 });
+      expect(response.body.pagination).toEqual({
+        limit: 2,
+        total: 40,
+        nextCursor: encodeCursor({ sortKey: 1700000001000, id: 'm2' })
+      });
+    });
+
+    test('returns 404 for an unknown conversation', async () => {
+      jest.spyOn(repository, 'findConversation').mockResolvedValue(null);
+
+      await request(app).get('/api/v1/conversations/nope/messages').set('X-API-Key', API_KEY).expect(404);
+    });
+  });
+
+  describe('repository queries', () => {
+    test('conversation count shares the list filters', async () => {
+      const query = jest.spyOn(database, 'query').mockResolvedValue([{ total: 5 }]);
+
+      const total = await repository.countConversations({ projectId: 2, archived: true, model: 'o1' });
+
+      expect(total).toBe(5);
+      expect(query.mock.calls[0][0]).toContain('c.deleted_at IS NULL AND c.project_id = ? AND c.is_archived = ? AND c.default_model_slug = ?');
+      expect(query.mock.calls[0][1]).toEqual([2, 1, 'o1']);
+    });
+
+    test('message pages use a keyset on the sort key', async () => {
+      const query = jest.spyOn(database, 'query').mockResolvedValue([]);
+
+      await repository.listMessages('uuid-1', { limit: 11, after: { sortKey: 5, id: 'm2' } });
+
+      expect(query.mock.calls[0][0]).toContain('> ? OR (');
+      expect(query.mock.calls[0][1]).toEqual(['uuid-1', 5, 5, 'm2', 11]);
+    });
+  });
+});
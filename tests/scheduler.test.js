@@ -0,0 +1,177 @@
+const request = require('supertest');
+const database = require('../src/services/database');
+const scheduler = require('../src/services/scheduler');
+const ChatBETOListener = require('../server');
+const { parseCron, nextRun } = require('../src/utils/cron');
+
+const API_KEY = process.env.API_KEY || 'internal-api-key';
+
+describe('Scheduled jobs', () => {
+  afterEach(async () => {
+    await scheduler.stop();
+    scheduler.jobs.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('cron expressions', () => {
+    const from = new Date(2024, 0, 31, 23, 59, 59, 500);
+
+    test.each([
+      ['*/30 * * * * *', new Date(2024, 1, 1, 0, 0, 0)],
+      ['0 3 * * *', new Date(2024, 1, 1, 3, 0, 0)],
+      ['@hourly', new Date(2024, 1, 1, 0, 0, 0)],
+      ['15,45 */2 * * *', new Date(2024, 1, 1, 0, 15, 0)],
+      ['0 0 29 feb *', new Date(2024, 1, 29, 0, 0, 0)],
+      ['30 9 * * sat,sun', new Date(2024, 1, 3, 9, 30, 0)],
+      ['0 12 1 * 7', new Date(2024, 1, 1, 12, 0, 0)]
+    ])('%s fires next at the expected time', (expression, expected) => {
+      expect(nextRun(expression, from)).toEqual(expected);
+    });
+
+    test('never fires for impossible dates', () => {
+      expect(nextRun('0 0 30 2 *', from)).toBeNull();
+    });
+
+    test('rejects malformed expressions', () => {
+      for (const expression of ['* * *', '61 * * * *', '* * * * mon-xyz', '5-1 * * * *', '*/0 * * * *']) {
+        expect(() => parseCron(expression)).toThrow(expect.objectContaining({ code: 'INVALID_CRON' }));
+      }
+    });
+  });
+
+  describe('scheduler', () => {
+    test('runs locked jobs under an advisory lock and records the outcome', async () => {
+      const lock = jest.spyOn(database, 'withAdvisoryLock').mockImplementation(async (name, callback) => ({
+        acquired: true,
+        result: await callback()
+      }));
+      const handler = jest.fn().mockResolvedValue();
+      scheduler.register({ name: 'purge', schedule: '0 * * * *', handler });
+
+      const run = await scheduler.run('purge');
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(lock).toHaveBeenCalledWith(expect.stringMatching(/:job:purge$/), expect.any(Function));
+      expect(run).toMatchObject({ outcome: 'succeeded', error: null });
+      expect(run.durationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    test('skips the tick when another instance holds the lock', async () => {
+      jest.spyOn(database, 'withAdvisoryLock').mockResolvedValue({ acquired: false });
+      const handler = jest.fn();
+      scheduler.register({ name: 'sync', schedule: '0 * * * *', handler });
+
+      const run = await scheduler.run('sync');
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(run).toMatchObject({ outcome: 'skipped', reason: 'lock held by another instance' });
+      expect(scheduler.list()[0]).toMatchObject({ runs: 0, failures: 0 });
+    });
+
+    test('records failures, skips overlapping runs and runs unlocked jobs directly', async () => {
+      const lock = jest.spyOn(database, 'withAdvisoryLock');
+      let release;
+      scheduler.register({
+        name: 'health',
+        schedule: '*/30 * * * * *',
+        lock: false,
+        handler: () => new Promise((resolve, reject) => { release = reject; })
+      });
+
+      const first = scheduler.run('health');
+      const overlapping = await scheduler.run('health');
+      expect(overlapping).toMatchObject({ outcome: 'skipped', reason: 'previous run still in progress' });
+
+      release(new Error('database down'));
+      expect(await first).toMatchObject({ outcome: 'failed', error: 'database down' });
+      expect(lock).not.toHaveBeenCalled();
+
+      expect(scheduler.list()[0]).toMatchObject({ name: 'health', runs: 1, failures: 1, running: false });
+    });
+
+    test('fires jobs on schedule and leaves disabled jobs idle', async () => {
+      jest.useFakeTimers({ now: new Date(2024, 0, 1, 0, 0, 0) });
+      try {
+        const handler = jest.fn().mockResolvedValue();
+        const disabled = jest.fn();
+        scheduler.register({ name: 'tick', schedule: '*/10 * * * * *', lock: false, handler });
+        scheduler.register({ name: 'off', schedule: 'off', handler: disabled });
+        scheduler.start();
+
+        const [tick, off] = scheduler.list();
+        expect(tick.nextRunAt).toEqual(new Date(2024, 0, 1, 0, 0, 10));
+        expect(off).toMatchObject({ enabled: false, schedule: null, nextRunAt: null });
+
+        await jest.advanceTimersByTimeAsync(25 * 1000);
+
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(disabled).not.toHaveBeenCalled();
+        expect(scheduler.list()[0].nextRunAt).toEqual(new Date(2024, 0, 1, 0, 0, 30));
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('advisory lock', () => {
+    const fakeConnection = (acquired) => ({
+      query: jest.fn(async (sql) => (sql.includes('GET_LOCK') ? [[{ acquired }]] : [[{}]])),
+      release: jest.fn()
+    });
+
+    afterEach(() => {
+      database.pool = null;
+    });
+
+    test('holds the lock on one connection while the callback runs', async () => {
+      const connection = fakeConnection(1);
+      database.pool = { getConnection: jest.fn().mockResolvedValue(connection) };
+
+      const outcome = await database.withAdvisoryLock('db:job:sync', async () => 'done');
+
+      expect(outcome).toEqual({ acquired: true, result: 'done' });
+      expect(connection.query.mock.calls.map(([sql, params]) => [sql, params])).toEqual([
+        ['SELECT GET_LOCK(?, 0) AS acquired', ['db:job:sync']],
+        ['SELECT RELEASE_LOCK(?)', ['db:job:sync']]
+      ]);
+      expect(connection.release).toHaveBeenCalled();
+    });
+
+    test('does not run the callback when the lock is taken', async () => {
+      const connection = fakeConnection(0);
+      database.pool = { getConnection: jest.fn().mockResolvedValue(connection) };
+      const callback = jest.fn();
+
+      expect(await database.withAdvisoryLock('db:job:sync', callback)).toEqual({ acquired: false });
+      expect(callback).not.toHaveBeenCalled();
+      expect(connection.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/v1/admin/jobs', () => {
+    test('lists jobs with their schedule and last run', async () => {
+      jest.spyOn(database, 'initialize').mockResolvedValue();
+      const listener = new ChatBETOListener();
+      await listener.initialize();
+
+      scheduler.register({ name: 'memory-check', schedule: '0 * * * * *', lock: false, handler: async () => {} });
+      await scheduler.run('memory-check');
+
+      const res = await request(listener.app)
+        .get('/api/v1/admin/jobs')
+        .set('X-API-Key', API_KEY);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([expect.objectContaining({
+        name: 'memory-check',
+        schedule: '0 * * * * *',
+        enabled: true,
+        runs: 1,
+        lastRun: expect.objectContaining({ outcome: 'succeeded', durationMs: expect.any(Number) })
+      })]);
+
+      const unauthorized = await request(listener.app).get('/api/v1/admin/jobs');
+      expect(unauthorized.status).toBe(401);
+    });
+  });
+});
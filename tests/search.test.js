@@ -0,0 +1,186 @@
+const request = require('supertest');
+const ChatBETOListener = require('../server');
+const database = require('../src/services/database');
+const chatbetoDatabase = require('../src/services/chatbeto-database');
+const { parseSearchQuery, buildSnippet } = require('../src/utils/search-query');
+const { encodeCursor } = require('../src/utils/pagination');
+
+describe('Full-text search', () => {
+  describe('query parsing', () => {
+    test('keeps phrases, required/excluded terms and prefixes', () => {
+      const { expression, terms } = parseSearchQuery('"docker compose" +mysql -postgres deploy*');
+
+      expect(expression).toBe('"docker compose" +mysql -postgres deploy*');
+      expect(terms).toEqual([
+        { text: 'docker compose', prefix: false },
+        { text: 'mysql', prefix: false },
+        { text: 'deploy', prefix: true }
+      ]);
+    });
+
+    test('strips characters that break BOOLEAN MODE', () => {
+      expect(parseSearchQuery('user@example.com (test)').expression).toBe('userexamplecom test');
+    });
+
+    test('rejects queries without searchable terms', () => {
+      expect(() => parseSearchQuery('-only "" ***')).toThrow('at least one term');
+    });
+  });
+
+  describe('snippets', () => {
+    test('highlights matches and escapes HTML', () => {
+      const snippet = buildSnippet('Use <b>Docker</b> with docker-compose', [{ text: 'docker', prefix: false }]);
+      expect(snippet).toBe('Use &lt;b&gt;<mark>Docker</mark>&lt;/b&gt; with <mark>docker</mark>-compose');
+    });
+
+    test('centres long content around the first match', () => {
+      const content = `${'a '.repeat(200)}needle${' b'.repeat(200)}`;
+      const snippet = buildSnippet(content, [{ text: 'needle', prefix: false }], 10);
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet).toContain('<mark>needle</mark>');
+    });
+
+    test('expands prefix terms to whole words', () => {
+      const snippet = buildSnippet('deployment done', [{ text: 'deploy', prefix: true }]);
+      expect(snippet).toBe('<mark>deployment</mark> done');
+    });
+  });
+
+  describe('report search', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('matches content, titles and project names in separate branches', async () => {
+      const query = jest.spyOn(database, 'query').mockResolvedValue([]);
+
+      await chatbetoDatabase.getMessagesForReport(2, { searchQuery: 'in_fra', messageRole: 'user' });
+
+      const [sql, params] = query.mock.calls[0];
+      const statement = sql.replace(/\s+/g, ' ');
+      expect(statement).toContain('SELECT id AS message_id FROM messages WHERE MATCH(content) AGAINST (? IN BOOLEAN MODE) UNION');
+      expect(statement).toContain('WHERE MATCH(hit.title) AGAINST (? IN BOOLEAN MODE)');
+      expect(statement).toContain('WHERE hit_project.name LIKE ?');
+      expect(params).toEqual(['in_fra', 'in_fra', '%in\\_fra%', 2, 'user', 100]);
+    });
+  });
+
+  describe('GET /api/v1/search', () => {
+    let app;
+
+    beforeAll(async () => {
+      jest.spyOn(database, 'initialize').mockResolvedValue();
+      const listener = new ChatBETOListener();
+      app = listener.app;
+      await listener.initialize();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.spyOn(database, 'initialize').mockResolvedValue();
+    });
+
+    const row = (id, rank) => ({
+      hit_type: 'message',
+      hit_id: id,
+      role: 'user',
+      content: 'How do I configure mysql replication?',
+      created_at: '2025-11-19T10:30:00.000Z',
+      conversation_id: 'uuid-1',
+      external_conversation_id: 'conv_1',
+      conversation_title: 'MySQL',
+      project_id: 1,
+      project_name: 'Infra',
+      score_rank: rank
+    });
+
+    test('requires an API key', async () => {
+      await request(app).get('/api/v1/search?q=mysql').expect(401);
+    });
+
+    test('validates parameters', async () => {
+      const response = await request(app)
+        .get('/api/v1/search?role=robot')
+        .set('X-API-Key', process.env.API_KEY || 'internal-api-key')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid search parameters');
+    });
+
+    test('returns ranked results with snippets and a next cursor', async () => {
+      const query = jest.spyOn(database, 'query').mockResolvedValue([row('m1', 3500000), row('m2', 1250000), row('m3', 1000000)]);
+
+      const response = await request(app)
+        .get('/api/v1/search?q=mysql&role=user&projectId=1&limit=2')
+        .set('X-API-Key', process.env.API_KEY || 'internal-api-key')
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data[0]).toMatchObject({
+        type: 'message',
+        messageId: 'm1',
+        score: 3.5,
+        snippet: 'How do I configure <mark>mysql</mark> replication?',
+        conversation: { id: 'uuid-1', title: 'MySQL' },
+        project: { id: 1, name: 'Infra' }
+      });
+      expect(response.body.pagination.nextCursor).toBe(encodeCursor({ rank: 1250000, type: 'message', id: 'm2' }));
+
+      // Filtering by role leaves only the message branch
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('WHERE MATCH(m.content) AGAINST (? IN BOOLEAN MODE)');
+      expect(sql).not.toContain('MATCH(c.title)');
+      expect(params).toEqual(['mysql', 'mysql', 1, 'user', 3]);
+    });
+
+    test('matches conversation titles in their own indexed branch', async () => {
+      const query = jest.spyOn(database, 'query').mockResolvedValue([
+        { ...row('uuid-1', 4000000), hit_type: 'conversation', role: null, content: null, conversation_title: 'MySQL tuning' },
+        row('m1', 3500000)
+      ]);
+
+      const response = await request(app)
+        .get('/api/v1/search?q=mysql&projectId=1')
+        .set('X-API-Key', process.env.API_KEY || 'internal-api-key')
+        .expect(200);
+
+      expect(response.body.data.map(item => [item.type, item.messageId])).toEqual([['conversation', null], ['message', 'm1']]);
+      expect(response.body.data[0].snippet).toBe('<mark>MySQL</mark> tuning');
+
+      const [sql, params] = query.mock.calls[0];
+      const statement = sql.replace(/\s+/g, ' ');
+      expect(statement).toContain('UNION ALL');
+      expect(statement).toContain('WHERE MATCH(c.title) AGAINST (? IN BOOLEAN MODE)');
+      expect(statement).not.toMatch(/MATCH\(m\.content\)[^]*OR MATCH\(c\.title\)/);
+      expect(params).toEqual(['mysql', 'mysql', 1, 'mysql', 'mysql', 1, 21]);
+    });
+
+    test('continues after the cursor', async () => {
+      const query = jest.spyOn(database, 'query').mockResolvedValue([]);
+
+      await request(app)
+        .get(`/api/v1/search?q=mysql&cursor=${encodeCursor({ rank: 1250000, type: 'message', id: 'm2' })}`)
+        .set('X-API-Key', process.env.API_KEY || 'internal-api-key')
+        .expect(200);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('WHERE score_rank < ? OR (score_rank = ? AND (hit_type > ? OR (hit_type = ? AND hit_id > ?)))');
+      expect(params.slice(4)).toEqual([1250000, 1250000, 'message', 'message', 'm2', 21]);
+    });
+
+    test('rejects a malformed cursor', async () => {
+      await request(app)
+        .get('/api/v1/search?q=mysql&cursor=not-a-cursor')
+        .set('X-API-Key', process.env.API_KEY || 'internal-api-key')
+        .expect(400);
+
+      // Cursors from the float-score paging are no longer accepted
+      await request(app)
+        .get(`/api/v1/search?q=mysql&cursor=${encodeCursor({ score: 1.25, id: 'm2' })}`)
+        .set('X-API-Key', process.env.API_KEY || 'internal-api-key')
+        .expect(400);
+    });
+  });
+});
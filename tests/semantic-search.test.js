@@ -0,0 +1,229 @@
+const request = require('supertest');
+const ChatBETOListener = require('../server');
+const database = require('../src/services/database');
+const config = require('../config/config');
+const semanticIndex = require('../src/services/semantic-index');
+const {
+  LocalEmbedder,
+  createEmbedder,
+  serializeVector,
+  deserializeVector,
+  cosineSimilarity
+} = require('../src/services/embeddings');
+const { chunkText } = require('../src/utils/chunking');
+
+const API_KEY = process.env.API_KEY || 'internal-api-key';
+
+describe('Semantic search', () => {
+  const embedder = new LocalEmbedder({ dimensions: 128 });
+
+  beforeEach(() => {
+    semanticIndex.setEmbedder(embedder);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('local embedder', () => {
+    test('is deterministic and normalized', async () => {
+      const [a] = await embedder.embed(['Configure MySQL replication']);
+      const [b] = await new LocalEmbedder({ dimensions: 128 }).embed(['configure mysql replication']);
+
+      expect(Array.from(a)).toEqual(Array.from(b));
+      expect(cosineSimilarity(a, a)).toBeCloseTo(1, 5);
+    });
+
+    test('ranks texts sharing vocabulary higher', async () => {
+      const [query, related, unrelated] = await embedder.embed([
+        'mysql replication lag',
+        'How do I reduce replication lag on a MySQL replica?',
+        'Best sourdough bread recipe with rye flour'
+      ]);
+
+      expect(cosineSimilarity(query, related)).toBeGreaterThan(cosineSimilarity(query, unrelated));
+    });
+
+    test('provider is chosen from configuration', () => {
+      expect(createEmbedder({ provider: 'local', dimensions: 64 }).model).toBe('local-hash-64');
+      expect(createEmbedder({ provider: 'openai' }).model).toBe('text-embedding-3-small');
+      expect(() => createEmbedder({ provider: 'nope' })).toThrow('Unknown embeddings provider');
+    });
+
+    test('vectors survive a blob round trip', async () => {
+      const [vector] = await embedder.embed(['round trip']);
+      expect(Array.from(deserializeVector(serializeVector(vector)))).toEqual(Array.from(vector));
+    });
+  });
+
+  describe('chunking', () => {
+    test('splits on word boundaries with overlap', () => {
+      expect(chunkText('one two three four five six seven eight nine ten', { size: 15, overlap: 6 })).toEqual([
+        'one two three',
+        'three four five',
+        'five six seven',
+        'seven eight',
+        'eight nine ten'
+      ]);
+    });
+
+    test('returns no chunks for blank text', () => {
+      expect(chunkText('  \n ')).toEqual([]);
+      expect(chunkText(null)).toEqual([]);
+    });
+  });
+
+  describe('indexing', () => {
+    test('stores a document and one embedding per chunk', async () => {
+      const query = jest.spyOn(database, 'query')
+        .mockResolvedValueOnce([{
+          id: 'msg_1',
+          content: 'Short message about replication',
+          role: 'user',
+          conversation_id: 'uuid-1',
+          project_id: 1,
+          title: 'MySQL',
+          document_id: null
+        }])
+        .mockResolvedValue({ affectedRows: 1 });
+      jest.spyOn(database, 'transaction').mockImplementation(callback => callback('conn'));
+
+      const result = await semanticIndex.indexMessages({ projectId: 1, limit: 10 });
+
+      expect(result).toEqual({ indexed: 1, chunks: 1, model: 'local-hash-128' });
+      expect(query.mock.calls[0][1]).toEqual(['local-hash-128', 1, 10]);
+
+      const [documentSql, documentParams, documentConn] = query.mock.calls[1];
+      expect(documentSql).toContain('INSERT INTO documents');
+      expect(documentParams[2]).toBe('msg_1');
+      expect(documentConn).toBe('conn');
+
+      const [embeddingSql, embeddingParams] = query.mock.calls[2];
+      expect(embeddingSql).toContain('INSERT INTO embeddings');
+      expect(embeddingParams[4]).toBe(128);
+      expect(embeddingParams[5]).toBe('local-hash-128');
+      expect(JSON.parse(embeddingParams[6])).toMatchObject({ message_id: 'msg_1', text: 'Short message about replication' });
+    });
+
+    test('replaces embeddings of an existing document', async () => {
+      const query = jest.spyOn(database, 'query')
+        .mockResolvedValueOnce([{ id: 'msg_1', content: 'edited', role: 'user', conversation_id: 'uuid-1', project_id: null, title: null, document_id: 'doc-1' }])
+        .mockResolvedValue({ affectedRows: 1 });
+      jest.spyOn(database, 'transaction').mockImplementation(callback => callback('conn'));
+
+      await semanticIndex.indexMessages();
+
+      expect(query.mock.calls[1][0]).toContain('DELETE FROM embeddings');
+      expect(query.mock.calls[1][1]).toEqual(['doc-1']);
+      expect(query.mock.calls[2][0]).toContain('UPDATE documents');
+    });
+  });
+
+  describe('POST /api/v1/search/semantic', () => {
+    let app;
+
+    beforeAll(async () => {
+      jest.spyOn(database, 'initialize').mockResolvedValue();
+      const listener = new ChatBETOListener();
+      app = listener.app;
+      await listener.initialize();
+    });
+
+    const candidate = async (messageId, chunkIndex, text) => {
+      const [vector] = await embedder.embed([text]);
+      return {
+        chunk_index: chunkIndex,
+        vector: serializeVector(vector),
+        metadata: JSON.stringify({ message_id: messageId, text }),
+        message_id: messageId,
+        role: 'assistant',
+        created_at: '2025-11-19T10:30:00.000Z',
+        conversation_id: 'uuid-1',
+        external_conversation_id: 'conv_1',
+        conversation_title: 'Notes',
+        project_id: null,
+        project_name: null
+      };
+    };
+
+    test('requires a query', async () => {
+      const response = await request(app)
+        .post('/api/v1/search/semantic')
+        .set('X-API-Key', API_KEY)
+        .send({ topK: 3 })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid search parameters');
+    });
+
+    test('returns the best chunk per message ranked by similarity', async () => {
+      const query = jest.spyOn(database, 'query').mockResolvedValue([
+        await candidate('m_bread', 0, 'sourdough bread with rye flour'),
+        await candidate('m_mysql', 0, 'general database notes'),
+        await candidate('m_mysql', 1, 'mysql replication lag on the replica'),
+        await candidate('m_docker', 0, 'docker compose volumes')
+      ]);
+
+      const response = await request(app)
+        .post('/api/v1/search/semantic')
+        .set('X-API-Key', API_KEY)
+        .send({ query: 'mysql replication lag', topK: 2, role: 'assistant' })
+        .expect(200);
+
+      expect(response.body.model).toBe('local-hash-128');
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data[0]).toMatchObject({
+        messageId: 'm_mysql',
+        chunkIndex: 1,
+        chunk: 'mysql replication lag on the replica',
+        conversation: { conversationId: 'conv_1' }
+      });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('e.model = ?');
+      expect(params.slice(0, 3)).toEqual(['local-hash-128', 128, 'assistant']);
+    });
+
+    test('ranks across every page of candidates, not just the first', async () => {
+      const pageSize = config.embeddings.scanPageSize;
+      config.embeddings.scanPageSize = 2;
+
+      const rows = [
+        { ...await candidate('m_bread', 0, 'sourdough bread with rye flour'), embedding_id: 'e1' },
+        { ...await candidate('m_docker', 0, 'docker compose volumes'), embedding_id: 'e2' },
+        { ...await candidate('m_mysql', 0, 'mysql replication lag on the replica'), embedding_id: 'e3' }
+      ];
+      const query = jest.spyOn(database, 'query')
+        .mockResolvedValueOnce(rows.slice(0, 2))
+        .mockResolvedValueOnce(rows.slice(2));
+
+      try {
+        const response = await request(app)
+          .post('/api/v1/search/semantic')
+          .set('X-API-Key', API_KEY)
+          .send({ query: 'mysql replication lag', topK: 1 })
+          .expect(200);
+
+        expect(response.body.data.map(result => result.messageId)).toEqual(['m_mysql']);
+        expect(query).toHaveBeenCalledTimes(2);
+        expect(query.mock.calls[0][0]).toContain('AND e.id > ? ORDER BY e.id ASC LIMIT ?');
+        expect(query.mock.calls[0][1].slice(-2)).toEqual(['', 2]);
+        expect(query.mock.calls[1][1].slice(-2)).toEqual(['e2', 2]);
+      } finally {
+        config.embeddings.scanPageSize = pageSize;
+      }
+    });
+
+    test('indexes pending messages on demand', async () => {
+      jest.spyOn(database, 'query').mockResolvedValue([]);
+
+      const response = await request(app)
+        .post('/api/v1/search/semantic/index')
+        .set('X-API-Key', API_KEY)
+        .send({ limit: 50 })
+        .expect(200);
+
+      expect(response.body.result).toEqual({ indexed: 0, chunks: 0, model: 'local-hash-128' });
+    });
+  });
+});
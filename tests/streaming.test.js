@@ -0,0 +1,264 @@
+const http = require('http');
+const request = require('supertest');
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const openaiService = require('../src/services/openai');
+const projectAssistants = require('../src/services/project-assistants');
+const ChatBETOListener = require('../server');
+
+const API_KEY = process.env.API_KEY || 'internal-api-key';
+
+// Parse an SSE body into [{ event, data }]
+const parseEvents = (text) => text.trim().split('\n\n').map(block => {
+  const lines = block.split('\n');
+  return {
+    event: lines.find(line => line.startsWith('event: ')).slice(7),
+    data: JSON.parse(lines.find(line => line.startsWith('data: ')).slice(6))
+  };
+});
+
+async function* runEvents(fragments) {
+  yield { event: 'thread.run.created', data: { id: 'run_1' } };
+  yield { event: 'thread.message.created', data: { id: 'msg_answer', created_at: 1700000000 } };
+  for (const value of fragments) {
+    yield { event: 'thread.message.delta', data: { id: 'msg_answer', delta: { content: [{ type: 'text', text: { value } }] } } };
+  }
+  yield {
+    event: 'thread.message.completed',
+    data: { id: 'msg_answer', content: [{ type: 'text', text: { value: fragments.join('') } }] }
+  };
+  yield { event: 'thread.run.completed', data: { id: 'run_1' } };
+}
+
+async function* completionChunks(fragments) {
+  for (const content of fragments) {
+    yield { choices: [{ delta: { content }, finish_reason: null }] };
+  }
+  yield { choices: [{ delta: {}, finish_reason: 'stop' }] };
+  yield { choices: [], usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 } };
+}
+
+describe('Streaming responses', () => {
+  let client;
+
+  beforeEach(() => {
+    client = {
+      beta: {
+        threads: {
+          messages: {
+            create: jest.fn(async (threadId, { role }) => ({ id: `msg_${role}`, created_at: 1700000000 })),
+            list: jest.fn()
+          },
+          runs: {
+            create: jest.fn(),
+            retrieve: jest.fn(),
+            cancel: jest.fn().mockResolvedValue({})
+          }
+        }
+      },
+      chat: { completions: { create: jest.fn() } }
+    };
+    openaiService.client = client;
+    openaiService.initialized = true;
+
+    jest.spyOn(openaiService, 'getDefaultAssistant').mockResolvedValue('asst_1');
+    jest.spyOn(repository, 'findConversationByThreadId').mockResolvedValue(null);
+    jest.spyOn(repository, 'upsertMessage').mockResolvedValue({ affectedRows: 1 });
+  });
+
+  afterEach(() => {
+    openaiService.client = null;
+    openaiService.initialized = false;
+    jest.restoreAllMocks();
+  });
+
+  describe('service', () => {
+    test('streams assistant text and stores the finished message once', async () => {
+      client.beta.threads.runs.create.mockResolvedValue(runEvents(['Hel', 'lo']));
+      const deltas = [];
+
+      const result = await openaiService.streamAssistantResponse('thread_1', { onDelta: text => deltas.push(text) });
+
+      expect(deltas).toEqual(['Hel', 'lo']);
+      expect(result).toEqual({ runId: 'run_1', messageId: 'msg_answer', content: 'Hello', status: 'completed' });
+      expect(client.beta.threads.runs.create).toHaveBeenCalledWith(
+        'thread_1',
+        { assistant_id: 'asst_1', tools: openaiService.toolDefinitions(), stream: true },
+        { signal: null }
+      );
+      expect(repository.upsertMessage).toHaveBeenCalledTimes(1);
+      expect(repository.upsertMessage.mock.calls[0][0]).toMatchObject({
+        id: 'msg_answer',
+        conversation_ref: 'thread_1',
+        role: 'assistant',
+        content: 'Hello',
+        status: 'finished_successfully'
+      });
+      // The run wrote the answer to the thread; nothing is posted again
+      expect(client.beta.threads.messages.create).not.toHaveBeenCalled();
+    });
+
+    test('keeps the partial answer and cancels the run when aborted', async () => {
+      const controller = new AbortController();
+      client.beta.threads.runs.create.mockResolvedValue((async function* () {
+        for await (const event of runEvents(['Par', 'tial', ' answer'])) {
+          if (event.event === 'thread.message.delta' && event.data.delta.content[0].text.value === ' answer') {
+            controller.abort();
+            throw Object.assign(new Error('Request was aborted.'), { name: 'APIUserAbortError' });
+          }
+          yield event;
+        }
+      })());
+
+      const result = await openaiService.streamAssistantResponse('thread_1', { signal: controller.signal });
+
+      expect(result).toMatchObject({ status: 'aborted', content: 'Partial', messageId: 'msg_answer' });
+      expect(client.beta.threads.runs.cancel).toHaveBeenCalledWith('run_1', { thread_id: 'thread_1' });
+      expect(repository.upsertMessage.mock.calls[0][0]).toMatchObject({
+        id: 'msg_answer',
+        content: 'Partial',
+        status: 'finished_partial_completion'
+      });
+    });
+
+    test('getAssistantResponse stores the run message without posting it again', async () => {
+      client.beta.threads.runs.create.mockResolvedValue({ id: 'run_1', status: 'completed' });
+      client.beta.threads.runs.retrieve.mockResolvedValue({ id: 'run_1', status: 'completed' });
+      client.beta.threads.messages.list.mockResolvedValue({
+        data: [{ id: 'msg_answer', role: 'assistant', created_at: 1700000000, content: [{ type: 'text', text: { value: 'Hi!' } }] }]
+      });
+
+      expect(await openaiService.getAssistantResponse('thread_1')).toBe('Hi!');
+      expect(client.beta.threads.messages.create).not.toHaveBeenCalled();
+      expect(repository.upsertMessage).toHaveBeenCalledWith(expect.objectContaining({ id: 'msg_answer', content: 'Hi!' }));
+    });
+  });
+
+  describe('API', () => {
+    let app;
+
+    beforeEach(async () => {
+      jest.spyOn(database, 'initialize').mockResolvedValue();
+      jest.spyOn(openaiService, 'initialize').mockResolvedValue(true);
+
+      const listener = new ChatBETOListener();
+      await listener.initialize();
+      app = listener.app;
+    });
+
+    test('POST /conversations/:threadId/messages/stream sends start, deltas and done', async () => {
+      client.beta.threads.runs.create.mockResolvedValue(runEvents(['Hel', 'lo']));
+
+      const res = await request(app)
+        .post('/api/v1/openai/conversations/thread_1/messages/stream')
+        .set('X-API-Key', API_KEY)
+        .send({ message: 'Hi' });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(parseEvents(res.text)).toEqual([
+        { event: 'start', data: { threadId: 'thread_1', userMessageId: 'msg_user' } },
+        { event: 'run', data: { runId: 'run_1' } },
+        { event: 'delta', data: { content: 'Hel' } },
+        { event: 'delta', data: { content: 'lo' } },
+        { event: 'done', data: { runId: 'run_1', messageId: 'msg_answer', content: 'Hello', status: 'completed' } }
+      ]);
+      expect(repository.upsertMessage.mock.calls.map(call => [call[0].id, call[0].role])).toEqual([
+        ['msg_user', 'user'],
+        ['msg_answer', 'assistant']
+      ]);
+    });
+
+    test('a client disconnect aborts the run and stores the partial answer', async () => {
+      client.beta.threads.runs.create.mockImplementation(async (threadId, body, { signal }) => (async function* () {
+        yield { event: 'thread.run.created', data: { id: 'run_1' } };
+        yield { event: 'thread.message.delta', data: { id: 'msg_answer', delta: { content: [{ type: 'text', text: { value: 'Half' } }] } } };
+        // Hang until the client goes away, as a slow model would
+        await new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('Request was aborted.'))));
+      })());
+      const stored = new Promise(resolve => repository.upsertMessage.mockImplementation(async row => {
+        if (row.role === 'assistant') resolve(row);
+        return { affectedRows: 1 };
+      }));
+
+      const server = app.listen(0);
+      try {
+        await new Promise((resolve, reject) => {
+          const req = http.request({
+            port: server.address().port,
+            method: 'POST',
+            path: '/api/v1/openai/conversations/thread_1/messages/stream',
+            headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY }
+          }, res => {
+            res.on('data', chunk => {
+              if (chunk.toString().includes('event: delta')) {
+                req.destroy();
+                resolve();
+              }
+            });
+          });
+          req.on('error', () => {});
+          req.end(JSON.stringify({ message: 'Hi' }));
+          setTimeout(() => reject(new Error('no delta received')), 2000);
+        });
+
+        expect(await stored).toMatchObject({ id: 'msg_answer', content: 'Half', status: 'finished_partial_completion' });
+        expect(client.beta.threads.runs.cancel).toHaveBeenCalledWith('run_1', { thread_id: 'thread_1' });
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test('reports upstream failures as an error event', async () => {
+      client.beta.threads.runs.create.mockRejectedValue(new Error('model overloaded'));
+
+      const res = await request(app)
+        .post('/api/v1/openai/conversations/thread_1/messages/stream')
+        .set('X-API-Key', API_KEY)
+        .send({ message: 'Hi' });
+
+      expect(parseEvents(res.text).pop()).toEqual({
+        event: 'error',
+        data: { error: 'Failed to get response', message: 'model overloaded' }
+      });
+    });
+
+    test('POST /chat/completions/stream streams and stores the answer in the project conversation', async () => {
+      client.chat.completions.create.mockResolvedValue(completionChunks(['4', '2']));
+      jest.spyOn(openaiService, 'createConversation').mockResolvedValue({ conversationId: 'thread_9', threadId: 'thread_9' });
+      jest.spyOn(projectAssistants, 'get').mockResolvedValue(null);
+      const addMessage = jest.spyOn(openaiService, 'addMessage').mockResolvedValue({ id: 'msg_x' });
+
+      const res = await request(app)
+        .post('/api/v1/openai/chat/completions/stream')
+        .set('X-API-Key', API_KEY)
+        .send({ model: 'gpt-4o-mini', projectId: 3, messages: [{ role: 'user', content: '6 x 7?' }] });
+
+      const events = parseEvents(res.text);
+      expect(events.map(event => event.event)).toEqual(['start', 'delta', 'delta', 'done']);
+      expect(events[3].data).toEqual({
+        content: '42',
+        finishReason: 'stop',
+        usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 },
+        toolCalls: [],
+        status: 'completed',
+        conversationId: 'thread_9'
+      });
+      expect(client.chat.completions.create.mock.calls[0][0]).toMatchObject({ model: 'gpt-4o-mini', stream: true });
+      expect(addMessage.mock.calls).toEqual([
+        ['thread_9', 'user', '6 x 7?'],
+        ['thread_9', 'assistant', '42']
+      ]);
+    });
+
+    test('rejects invalid requests before opening the stream', async () => {
+      const res = await request(app)
+        .post('/api/v1/openai/chat/completions/stream')
+        .set('X-API-Key', API_KEY)
+        .send({ messages: 'nope' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Messages array is required');
+    });
+  });
+});
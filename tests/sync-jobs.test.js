@@ -0,0 +1,409 @@
+const request = require('supertest');
+const config = require('../config/config');
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const openaiService = require('../src/services/openai');
+const syncJobs = require('../src/services/sync-jobs');
+const ChatBETOListener = require('../server');
+
+const API_KEY = process.env.API_KEY || 'internal-api-key';
+
+/**
+ * In-memory stand-in for the sync_jobs / sync_job_items tables, answering the
+ * statements the service issues by their leading SQL.
+ */
+const createStore = () => {
+  const store = { jobs: new Map(), items: [] };
+  let itemId = 0;
+
+  const sql = (text) => text.replace(/\s+/g, ' ').trim();
+
+  store.query = async (text, params = []) => {
+    const q = sql(text);
+
+    if (q.startsWith("SELECT id FROM sync_jobs WHERE status IN ('pending', 'running')")) {
+      return [...store.jobs.values()].filter(job => ['pending', 'running'].includes(job.status));
+    }
+    if (q.startsWith('SELECT id FROM sync_jobs WHERE status IN')) {
+      return [...store.jobs.values()].filter(job => params.includes(job.status)).slice(0, 1);
+    }
+    if (q.startsWith('INSERT INTO sync_jobs')) {
+      const [id, batchSize, maxConversations, total] = params;
+      store.jobs.set(id, {
+        id, type: 'openai_threads', status: 'pending', batch_size: batchSize, max_conversations: maxConversations,
+        checkpoint: null, total, processed: 0, succeeded: 0, failed: 0, errors: null,
+        created_at: new Date(), started_at: null, updated_at: new Date(), finished_at: null
+      });
+      return { affectedRows: 1 };
+    }
+    if (q.startsWith('SELECT * FROM sync_jobs WHERE id = ?')) {
+      const job = store.jobs.get(params[0]);
+      return job ? [{ ...job }] : [];
+    }
+    if (q.startsWith('SELECT * FROM sync_jobs ORDER BY')) {
+      return [...store.jobs.values()].reverse();
+    }
+    if (q.startsWith("UPDATE sync_jobs SET status = 'running'")) {
+      const job = store.jobs.get(params[0]);
+      if (!job || job.status !== 'pending') return { affectedRows: 0 };
+      job.status = 'running';
+      return { affectedRows: 1 };
+    }
+    if (q.startsWith("UPDATE sync_jobs SET status = 'completed'")) {
+      const job = store.jobs.get(params[0]);
+      if (job && job.status === 'running') job.status = 'completed';
+      return { affectedRows: 1 };
+    }
+    if (q.startsWith("UPDATE sync_jobs SET status = 'failed'")) {
+      const job = store.jobs.get(params[1]);
+      job.status = 'failed';
+      job.errors = params[0];
+      return { affectedRows: 1 };
+    }
+    if (q.startsWith("UPDATE sync_jobs SET status = 'pending' WHERE id = ?")) {
+      const job = store.jobs.get(params[0]);
+      if (job && job.status === 'running') job.status = 'pending';
+      return { affectedRows: 1 };
+    }
+    if (q.startsWith('UPDATE sync_jobs SET checkpoint = ?')) {
+      const [checkpoint, succeeded, failed, errors, id] = params;
+      const job = store.jobs.get(id);
+      Object.assign(job, {
+        checkpoint, errors,
+        processed: job.processed + 1,
+        succeeded: job.succeeded + succeeded,
+        failed: job.failed + failed
+      });
+      return { affectedRows: 1 };
+    }
+    if (q.startsWith('UPDATE sync_jobs SET status = ?')) {
+      const [status, id, ...from] = params;
+      const job = store.jobs.get(id);
+      if (!job || !from.includes(job.status)) return { affectedRows: 0 };
+      job.status = status;
+      return { affectedRows: 1 };
+    }
+    if (q.startsWith('SELECT * FROM sync_job_items WHERE conversation_id = ?')) {
+      const [conversationId, jobId] = params;
+      return store.items
+        .filter(item => item.conversation_id === conversationId && item.status !== 'completed' && item.thread_id)
+        .sort((a, b) => (b.job_id === jobId) - (a.job_id === jobId))
+        .slice(0, 1);
+    }
+    if (q.startsWith('INSERT INTO sync_job_items')) {
+      const [jobId, conversationId, threadId, messagesSynced, checkpoint] = params;
+      let item = store.items.find(i => i.job_id === jobId && i.conversation_id === conversationId);
+      if (!item) {
+        item = { id: ++itemId, job_id: jobId, conversation_id: conversationId };
+        store.items.push(item);
+      }
+      Object.assign(item, { thread_id: threadId, status: 'in_progress', messages_synced: messagesSynced, checkpoint, error: null });
+      return { affectedRows: 1 };
+    }
+    if (q.startsWith('SELECT id FROM sync_job_items')) {
+      return store.items.filter(i => i.job_id === params[0] && i.conversation_id === params[1]);
+    }
+    if (q.startsWith('UPDATE sync_job_items SET checkpoint = ?')) {
+      const item = store.items.find(i => i.id === params[2]);
+      Object.assign(item, { checkpoint: params[0], messages_synced: params[1] });
+      return { affectedRows: 1 };
+    }
+    if (q.startsWith("UPDATE sync_job_items SET status = 'completed'")) {
+      store.items.find(i => i.id === params[0]).status = 'completed';
+      return { affectedRows: 1 };
+    }
+    if (q.startsWith("UPDATE sync_job_items SET status = 'failed'")) {
+      const item = store.items.find(i => i.id === params[1]);
+      Object.assign(item, { status: 'failed', error: params[0] });
+      return { affectedRows: 1 };
+    }
+
+    throw new Error(`Unexpected query: ${q}`);
+  };
+
+  return store;
+};
+
+const conversation = (n) => ({
+  id: `00000000-0000-0000-0000-00000000000${n}`,
+  conversation_id: `conv_${n}`,
+  created_at: new Date(Date.UTC(2024, 0, n)).toISOString(),
+  openai_thread_id: null
+});
+
+const message = (n, role = 'user') => ({ id: `m${n}`, role, content: `message ${n}`, sort_key: n });
+
+describe('OpenAI sync jobs', () => {
+  let store;
+  let conversations;
+  let messagesByConversation;
+  let threadCount;
+
+  beforeEach(() => {
+    store = createStore();
+    conversations = [conversation(1), conversation(2), conversation(3)];
+    messagesByConversation = {
+      [conversations[0].id]: [message(1), message(2, 'assistant'), message(3, 'system')],
+      [conversations[1].id]: [message(4), message(5, 'assistant'), message(6)],
+      [conversations[2].id]: [message(7)]
+    };
+    threadCount = 0;
+
+    jest.spyOn(database, 'query').mockImplementation(store.query);
+    jest.spyOn(database, 'transaction').mockImplementation(async callback => callback(null));
+    jest.spyOn(database, 'withAdvisoryLock').mockImplementation(async (name, callback) => ({
+      acquired: true,
+      result: await callback()
+    }));
+
+    jest.spyOn(repository, 'countConversationsWithoutThread')
+      .mockImplementation(async () => conversations.filter(c => !c.openai_thread_id).length);
+    jest.spyOn(repository, 'listConversationsWithoutThread').mockImplementation(async (limit, { after } = {}) =>
+      conversations
+        .filter(c => !c.openai_thread_id)
+        .filter(c => !after || c.created_at > after.createdAt || (c.created_at === after.createdAt && c.id > after.id))
+        .slice(0, limit)
+    );
+    jest.spyOn(repository, 'listMessages').mockImplementation(async (uuid, { limit, after } = {}) =>
+      messagesByConversation[uuid]
+        .filter(m => !after || m.sort_key > after.sortKey)
+        .slice(0, limit)
+    );
+    jest.spyOn(repository, 'setOpenAIThreadId').mockImplementation(async (uuid, threadId) => {
+      conversations.find(c => c.id === uuid).openai_thread_id = threadId;
+    });
+
+    jest.spyOn(openaiService, 'createThread').mockImplementation(async () => ({ id: `thread_${++threadCount}` }));
+    jest.spyOn(openaiService, 'appendThreadMessage').mockResolvedValue({});
+    jest.spyOn(openaiService, 'lastThreadMessage').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    syncJobs.stopping = false;
+    jest.restoreAllMocks();
+  });
+
+  describe('service', () => {
+    test('copies user and assistant messages in batches and completes', async () => {
+      const job = await syncJobs.create({ batchSize: 2 });
+      expect(job.progress.total).toBe(3);
+
+      const finished = await syncJobs.run(job.id);
+
+      expect(finished.status).toBe('completed');
+      expect(finished.progress).toEqual({ total: 3, processed: 3, succeeded: 3, failed: 0 });
+      expect(finished.checkpoint).toEqual({ createdAt: conversations[2].created_at, id: conversations[2].id });
+      expect(conversations.map(c => c.openai_thread_id)).toEqual(['thread_1', 'thread_2', 'thread_3']);
+      // The system message is skipped
+      expect(openaiService.appendThreadMessage).toHaveBeenCalledTimes(6);
+      expect(openaiService.appendThreadMessage).toHaveBeenCalledWith('thread_1', 'assistant', 'message 2', { chatbeto_message_id: 'm2' });
+    });
+
+    test('refuses a second job while one is active', async () => {
+      const job = await syncJobs.create();
+
+      await expect(syncJobs.create()).rejects.toMatchObject({ code: 'SYNC_JOB_ACTIVE', jobId: job.id });
+    });
+
+    test('records failures and resumes a conversation in the same thread', async () => {
+      openaiService.appendThreadMessage.mockImplementation(async (threadId, role, content) => {
+        if (content === 'message 5') throw new Error('rate limited');
+        return {};
+      });
+
+      const job = await syncJobs.create();
+      const failedRun = await syncJobs.run(job.id);
+
+      expect(failedRun.status).toBe('completed');
+      expect(failedRun.progress).toMatchObject({ processed: 3, succeeded: 2, failed: 1 });
+      expect(failedRun.errors).toEqual([expect.objectContaining({ conversationId: 'conv_2', error: 'rate limited' })]);
+      expect(conversations[1].openai_thread_id).toBeNull();
+      expect(store.items.find(i => i.conversation_id === conversations[1].id)).toMatchObject({
+        status: 'failed', thread_id: 'thread_2', messages_synced: 1
+      });
+
+      // A later job continues conversation 2 after message 4, in thread_2
+      openaiService.appendThreadMessage.mockClear();
+      openaiService.appendThreadMessage.mockResolvedValue({});
+      openaiService.createThread.mockClear();
+
+      const retry = await syncJobs.create();
+      const finished = await syncJobs.run(retry.id);
+
+      expect(finished.progress).toMatchObject({ total: 1, processed: 1, succeeded: 1 });
+      expect(openaiService.createThread).not.toHaveBeenCalled();
+      expect(openaiService.appendThreadMessage.mock.calls).toEqual([
+        ['thread_2', 'assistant', 'message 5', { chatbeto_message_id: 'm5' }],
+        ['thread_2', 'user', 'message 6', { chatbeto_message_id: 'm6' }]
+      ]);
+      expect(conversations[1].openai_thread_id).toBe('thread_2');
+    });
+
+    test('does not copy a message twice when its checkpoint write fails', async () => {
+      const query = store.query;
+      let failed = false;
+      database.query.mockImplementation(async (text, params = []) => {
+        if (!failed && text.includes('UPDATE sync_job_items SET checkpoint') && params[0] === JSON.stringify({ sortKey: 5, id: 'm5' })) {
+          failed = true;
+          throw new Error('Lost connection to MySQL server');
+        }
+        return await query(text, params);
+      });
+
+      const job = await syncJobs.create();
+      const failedRun = await syncJobs.run(job.id);
+
+      expect(failedRun.progress).toMatchObject({ processed: 3, succeeded: 2, failed: 1 });
+      expect(openaiService.appendThreadMessage).toHaveBeenCalledWith('thread_2', 'assistant', 'message 5', { chatbeto_message_id: 'm5' });
+      expect(JSON.parse(store.items.find(i => i.conversation_id === conversations[1].id).checkpoint)).toEqual({
+        sortKey: 4, id: 'm4', pending: { sortKey: 5, id: 'm5' }
+      });
+
+      // Message 5 reached the thread before the failure, so the retry starts at message 6
+      openaiService.appendThreadMessage.mockClear();
+      openaiService.lastThreadMessage.mockResolvedValue({ id: 'msg_5', metadata: { chatbeto_message_id: 'm5' } });
+
+      const retry = await syncJobs.create();
+      const finished = await syncJobs.run(retry.id);
+
+      expect(finished.progress).toMatchObject({ processed: 1, succeeded: 1 });
+      expect(openaiService.lastThreadMessage).toHaveBeenCalledWith('thread_2');
+      expect(openaiService.appendThreadMessage.mock.calls).toEqual([
+        ['thread_2', 'user', 'message 6', { chatbeto_message_id: 'm6' }]
+      ]);
+      expect(store.items.find(i => i.job_id === retry.id)).toMatchObject({ status: 'completed', messages_synced: 3 });
+    });
+
+    test('stops at a pause and picks up from the checkpoint on resume', async () => {
+      const job = await syncJobs.create({ batchSize: 1 });
+
+      openaiService.appendThreadMessage.mockImplementationOnce(async () => {
+        await syncJobs.pause(job.id);
+        return {};
+      });
+
+      const paused = await syncJobs.run(job.id);
+      expect(paused.status).toBe('paused');
+      expect(paused.progress.processed).toBe(1);
+
+      await syncJobs.resume(job.id);
+      await syncJobs.runs.get(job.id);
+
+      const finished = await syncJobs.get(job.id);
+      expect(finished.status).toBe('completed');
+      expect(finished.progress).toMatchObject({ processed: 3, succeeded: 3 });
+      expect(openaiService.createThread).toHaveBeenCalledTimes(3);
+    });
+
+    test('hands running jobs back on shutdown and restarts them on boot', async () => {
+      const job = await syncJobs.create({ batchSize: 1 });
+      syncJobs.stopping = true;
+
+      const released = await syncJobs.run(job.id);
+      expect(released.status).toBe('pending');
+      expect(released.progress.processed).toBe(0);
+
+      syncJobs.stopping = false;
+      expect(await syncJobs.recoverInterrupted()).toBe(1);
+      await syncJobs.runs.get(job.id);
+
+      expect((await syncJobs.get(job.id)).status).toBe('completed');
+      expect(database.withAdvisoryLock).toHaveBeenCalledWith(`${config.database.name}:sync_job:${job.id}`, expect.any(Function));
+    });
+
+    test('on boot, resumes jobs orphaned as running but leaves jobs another process holds', async () => {
+      const orphan = await syncJobs.create();
+      store.jobs.get(orphan.id).status = 'running';
+
+      expect(await syncJobs.recoverInterrupted()).toBe(1);
+      await syncJobs.runs.get(orphan.id);
+      expect((await syncJobs.get(orphan.id)).status).toBe('completed');
+
+      const held = await syncJobs.create();
+      store.jobs.get(held.id).status = 'running';
+      database.withAdvisoryLock.mockResolvedValue({ acquired: false });
+
+      await syncJobs.recoverInterrupted();
+      await syncJobs.runs.get(held.id);
+
+      expect((await syncJobs.get(held.id)).status).toBe('running');
+      expect(openaiService.createThread).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('API', () => {
+    let app;
+
+    beforeEach(async () => {
+      jest.spyOn(database, 'initialize').mockResolvedValue();
+      jest.spyOn(syncJobs, 'start').mockImplementation(() => Promise.resolve());
+      openaiService.initialized = true;
+
+      const listener = new ChatBETOListener();
+      await listener.initialize();
+      app = listener.app;
+    });
+
+    afterEach(() => {
+      openaiService.initialized = false;
+    });
+
+    test('POST /sync creates a job and returns where to poll it', async () => {
+      const res = await request(app)
+        .post('/api/v1/openai/sync')
+        .set('X-API-Key', API_KEY)
+        .send({ batchSize: 5 });
+
+      expect(res.status).toBe(202);
+      expect(res.body.data.job).toMatchObject({ status: 'pending', batchSize: 5, progress: { total: 3 } });
+      expect(res.body.data.statusUrl).toBe(`/api/v1/openai/sync/${res.body.data.jobId}`);
+      expect(syncJobs.start).toHaveBeenCalledWith(res.body.data.jobId);
+
+      const status = await request(app)
+        .get(res.body.data.statusUrl)
+        .set('X-API-Key', API_KEY);
+
+      expect(status.status).toBe(200);
+      expect(status.body.data.id).toBe(res.body.data.jobId);
+    });
+
+    test('POST /sync answers 409 while a job is active and 400 on bad options', async () => {
+      const job = await syncJobs.create();
+
+      const conflict = await request(app).post('/api/v1/openai/sync').set('X-API-Key', API_KEY).send({});
+      expect(conflict.status).toBe(409);
+      expect(conflict.body.jobId).toBe(job.id);
+
+      const invalid = await request(app).post('/api/v1/openai/sync').set('X-API-Key', API_KEY).send({ batchSize: 0 });
+      expect(invalid.status).toBe(400);
+    });
+
+    test('pause, resume and cancel follow the allowed transitions', async () => {
+      const job = await syncJobs.create();
+
+      const resumeEarly = await request(app).post(`/api/v1/openai/sync/${job.id}/resume`).set('X-API-Key', API_KEY).send({});
+      expect(resumeEarly.status).toBe(409);
+
+      const paused = await request(app).post(`/api/v1/openai/sync/${job.id}/pause`).set('X-API-Key', API_KEY).send({});
+      expect(paused.status).toBe(200);
+      expect(paused.body.data.status).toBe('paused');
+
+      const resumed = await request(app).post(`/api/v1/openai/sync/${job.id}/resume`).set('X-API-Key', API_KEY).send({});
+      expect(resumed.body.data.status).toBe('pending');
+
+      const cancelled = await request(app).post(`/api/v1/openai/sync/${job.id}/cancel`).set('X-API-Key', API_KEY).send({});
+      expect(cancelled.body.data.status).toBe('cancelled');
+
+      const missing = await request(app).post('/api/v1/openai/sync/nope/cancel').set('X-API-Key', API_KEY).send({});
+      expect(missing.status).toBe(404);
+    });
+
+    test('POST /sync answers 503 without an OpenAI client', async () => {
+      openaiService.initialized = false;
+
+      const res = await request(app).post('/api/v1/openai/sync').set('X-API-Key', API_KEY).send({});
+
+      expect(res.status).toBe(503);
+    });
+  });
+});
@@ -0,0 +1,275 @@
+const request = require('supertest');
+const config = require('../config/config');
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const usage = require('../src/services/usage');
+const openaiService = require('../src/services/openai');
+const ChatBETOListener = require('../server');
+const { findPrice, computeCost } = require('../src/utils/pricing');
+
+const API_KEY = process.env.API_KEY || 'internal-api-key';
+
+// Rows written to api_calls, keyed by column
+const recordedCalls = (query) => query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO api_calls'))
+  .map(([, params]) => {
+    const [id, endpoint, projectId, threadId, req, res, model, tokensInput, tokensOutput, cost, status, durationMs] = params;
+    return {
+      id, endpoint, projectId, threadId, request: JSON.parse(req), response: JSON.parse(res),
+      model, tokensInput, tokensOutput, cost, status, durationMs
+    };
+  });
+
+describe('API usage', () => {
+  const usageSettings = { ...config.usage };
+
+  afterEach(() => {
+    Object.assign(config.usage, usageSettings);
+    jest.restoreAllMocks();
+  });
+
+  describe('pricing', () => {
+    test('prices dated and suffixed models by their longest matching prefix', () => {
+      expect(findPrice('gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+      expect(findPrice('gpt-4o-2024-08-06')).toEqual({ input: 2.5, output: 10 });
+      expect(findPrice('gpt-4-0613')).toEqual({ input: 30, output: 60 });
+      expect(findPrice('gpt-4-turbo-preview')).toEqual({ input: 10, output: 30 });
+      expect(findPrice('gpt-4ox')).toBeNull();
+      expect(findPrice(null)).toBeNull();
+    });
+
+    test('computes the cost in USD per million tokens', () => {
+      expect(computeCost('gpt-4o', 1000, 500)).toBe(0.0075);
+      expect(computeCost('gpt-4', 1, 0)).toBe(0.00003);
+      expect(computeCost('my-model', 1000, 1000)).toBeNull();
+      expect(computeCost('my-model', 1000, 1000, { 'my-model': { input: 1, output: 2 } })).toBe(0.003);
+    });
+  });
+
+  describe('record', () => {
+    test('stores tokens and cost, resolving the project from the thread', async () => {
+      const query = jest.spyOn(database, 'query').mockResolvedValue({ affectedRows: 1 });
+      jest.spyOn(repository, 'findConversationByThreadId').mockResolvedValue({ id: 'c1', project_id: 7 });
+
+      const recorded = await usage.record({
+        endpoint: 'assistants.runs',
+        model: 'gpt-4o-mini',
+        threadId: 'thread_1',
+        usage: { prompt_tokens: 2000, completion_tokens: 1000, total_tokens: 3000 },
+        response: { id: 'run_1' },
+        durationMs: 1200
+      });
+
+      expect(recorded).toMatchObject({ tokensInput: 2000, tokensOutput: 1000, cost: 0.0009 });
+      expect(recordedCalls(query)).toEqual([expect.objectContaining({
+        endpoint: 'assistants.runs',
+        projectId: 7,
+        threadId: 'thread_1',
+        model: 'gpt-4o-mini',
+        tokensInput: 2000,
+        tokensOutput: 1000,
+        cost: 0.0009,
+        status: 'succeeded',
+        durationMs: 1200
+      })]);
+    });
+
+    test('uses configured prices and never throws', async () => {
+      config.usage.prices = { 'local-llm': { input: 1, output: 1 } };
+      const query = jest.spyOn(database, 'query').mockResolvedValueOnce({ affectedRows: 1 });
+
+      await usage.record({ endpoint: 'chat.completions', model: 'local-llm', usage: { prompt_tokens: 10, completion_tokens: 10 } });
+      expect(recordedCalls(query)[0].cost).toBe(0.00002);
+
+      query.mockRejectedValueOnce(new Error('table is gone'));
+      await expect(usage.record({ endpoint: 'chat.completions' })).resolves.toBeNull();
+    });
+
+    test('records nothing when tracking is disabled', async () => {
+      config.usage.enabled = false;
+      const query = jest.spyOn(database, 'query');
+
+      expect(await usage.record({ endpoint: 'chat.completions' })).toBeNull();
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('OpenAIService calls', () => {
+    let client;
+    let query;
+    const polling = { ...config.openai };
+
+    beforeEach(() => {
+      query = jest.spyOn(database, 'query').mockResolvedValue({ affectedRows: 1 });
+      jest.spyOn(repository, 'findConversationByThreadId').mockResolvedValue({ id: 'c1', project_id: 2 });
+      jest.spyOn(repository, 'upsertMessage').mockResolvedValue({ affectedRows: 1 });
+      jest.spyOn(openaiService, 'getDefaultAssistant').mockResolvedValue('asst_1');
+      Object.assign(config.openai, { pollIntervalMs: 1, pollMaxMs: 4 });
+
+      client = {
+        chat: { completions: { create: jest.fn() } },
+        beta: {
+          threads: {
+            messages: { list: jest.fn().mockResolvedValue({ data: [] }) },
+            runs: {
+              create: jest.fn(),
+              retrieve: jest.fn(),
+              cancel: jest.fn().mockResolvedValue({ status: 'cancelling' })
+            }
+          }
+        }
+      };
+      openaiService.client = client;
+      openaiService.initialized = true;
+    });
+
+    afterEach(() => {
+      Object.assign(config.openai, polling);
+      openaiService.client = null;
+      openaiService.initialized = false;
+    });
+
+    test('chat completions record each request with its usage and project', async () => {
+      client.chat.completions.create.mockResolvedValue({
+        id: 'chatcmpl_1',
+        model: 'gpt-4o-2024-08-06',
+        choices: [{ message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }
+      });
+
+      await openaiService.completeChat({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hello' }], useTools: false, projectId: 5 });
+
+      expect(recordedCalls(query)).toEqual([expect.objectContaining({
+        endpoint: 'chat.completions',
+        projectId: 5,
+        model: 'gpt-4o-2024-08-06',
+        tokensInput: 100,
+        tokensOutput: 20,
+        cost: 0.00045,
+        status: 'succeeded',
+        response: { id: 'chatcmpl_1' }
+      })]);
+    });
+
+    test('failed requests are recorded and rethrown', async () => {
+      client.chat.completions.create.mockRejectedValue(new Error('quota exceeded'));
+
+      await expect(openaiService.completeChat({ model: 'gpt-4o', messages: [], useTools: false })).rejects.toThrow('quota exceeded');
+      expect(recordedCalls(query)).toEqual([expect.objectContaining({
+        endpoint: 'chat.completions',
+        model: 'gpt-4o',
+        status: 'failed',
+        cost: null,
+        response: { error: 'quota exceeded' }
+      })]);
+    });
+
+    test('streamed completions record the usage of the final chunk', async () => {
+      client.chat.completions.create.mockResolvedValue((async function* () {
+        yield { id: 'chatcmpl_2', model: 'gpt-4o-mini', choices: [{ delta: { content: 'Hey' } }] };
+        yield { id: 'chatcmpl_2', model: 'gpt-4o-mini', choices: [{ delta: {}, finish_reason: 'stop' }] };
+        yield { id: 'chatcmpl_2', model: 'gpt-4o-mini', choices: [], usage: { prompt_tokens: 40, completion_tokens: 10 } };
+      })());
+
+      await openaiService.streamChatCompletion({ model: 'gpt-4o-mini', messages: [], useTools: false, projectId: 3 });
+
+      expect(recordedCalls(query)).toEqual([expect.objectContaining({
+        endpoint: 'chat.completions.stream',
+        projectId: 3,
+        tokensInput: 40,
+        tokensOutput: 10,
+        cost: 0.000012,
+        status: 'succeeded',
+        response: { id: 'chatcmpl_2', finish_reason: 'stop' }
+      })]);
+    });
+
+    test('an assistant run is recorded once with the usage of the finished run', async () => {
+      client.beta.threads.runs.create.mockResolvedValue({ id: 'run_1', status: 'queued', assistant_id: 'asst_1' });
+      client.beta.threads.runs.retrieve
+        .mockResolvedValueOnce({ id: 'run_1', status: 'in_progress' })
+        .mockResolvedValueOnce({
+          id: 'run_1',
+          status: 'completed',
+          assistant_id: 'asst_1',
+          model: 'gpt-4',
+          usage: { prompt_tokens: 500, completion_tokens: 100, total_tokens: 600 }
+        });
+
+      await openaiService.runAssistant('thread_1');
+
+      expect(recordedCalls(query)).toEqual([expect.objectContaining({
+        endpoint: 'assistants.runs',
+        projectId: 2,
+        threadId: 'thread_1',
+        model: 'gpt-4',
+        tokensInput: 500,
+        tokensOutput: 100,
+        cost: 0.021,
+        status: 'succeeded',
+        request: { assistant_id: 'asst_1' }
+      })]);
+    });
+
+    test('a timed out run is recorded as timeout', async () => {
+      client.beta.threads.runs.create.mockResolvedValue({ id: 'run_1', status: 'queued' });
+      client.beta.threads.runs.retrieve.mockResolvedValue({ id: 'run_1', status: 'in_progress' });
+
+      await expect(openaiService.runAssistant('thread_1', { timeoutMs: 10 })).rejects.toMatchObject({ code: 'RUN_TIMEOUT' });
+      expect(recordedCalls(query)).toEqual([expect.objectContaining({ endpoint: 'assistants.runs', status: 'timeout', tokensInput: null })]);
+    });
+  });
+
+  describe('report', () => {
+    test('groups by the requested dimensions with filters and totals', async () => {
+      const query = jest.spyOn(database, 'query').mockResolvedValue([
+        { day: '2024-01-01', project_id: 1, project_name: 'General', calls: 3, failed: '1', tokens_input: '300', tokens_output: '60', cost: '0.001500' },
+        { day: '2024-01-02', project_id: null, project_name: null, calls: 1, failed: '0', tokens_input: '0', tokens_output: '0', cost: '0.000000' }
+      ]);
+
+      const report = await usage.report({
+        from: '2024-01-01T00:00:00.000Z',
+        to: '2024-01-03T00:00:00.000Z',
+        groupBy: ['day', 'project'],
+        model: 'gpt-4o'
+      });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toMatch(/GROUP BY day, a\.project_id, p\.name ORDER BY day, a\.project_id, p\.name/);
+      expect(sql).toContain('a.model = ?');
+      expect(params).toEqual([new Date('2024-01-01T00:00:00.000Z'), new Date('2024-01-03T00:00:00.000Z'), 'gpt-4o']);
+      expect(report).toEqual({
+        from: '2024-01-01T00:00:00.000Z',
+        to: '2024-01-03T00:00:00.000Z',
+        groupBy: ['day', 'project'],
+        rows: [
+          { day: '2024-01-01', projectId: 1, projectName: 'General', calls: 3, failed: 1, tokensInput: 300, tokensOutput: 60, cost: 0.0015 },
+          { day: '2024-01-02', projectId: null, projectName: null, calls: 1, failed: 0, tokensInput: 0, tokensOutput: 0, cost: 0 }
+        ],
+        totals: { calls: 4, failed: 1, tokensInput: 300, tokensOutput: 60, cost: 0.0015 }
+      });
+    });
+
+    test('GET /api/v1/usage validates and returns the report', async () => {
+      jest.spyOn(database, 'initialize').mockResolvedValue();
+      const listener = new ChatBETOListener();
+      await listener.initialize();
+      const report = jest.spyOn(usage, 'report').mockResolvedValue({ rows: [], totals: {} });
+
+      const res = await request(listener.app)
+        .get('/api/v1/usage?groupBy=model,endpoint,model&projectId=4')
+        .set('X-API-Key', API_KEY);
+
+      expect(res.status).toBe(200);
+      expect(report).toHaveBeenCalledWith({ groupBy: ['model', 'endpoint'], projectId: 4 });
+
+      const invalid = await request(listener.app)
+        .get('/api/v1/usage?groupBy=user')
+        .set('X-API-Key', API_KEY);
+      expect(invalid.status).toBe(400);
+
+      const unauthorized = await request(listener.app).get('/api/v1/usage');
+      expect(unauthorized.status).toBe(401);
+    });
+  });
+});
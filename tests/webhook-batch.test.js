@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const ChatBETOListener = require('../server');
+const database = require('../src/services/database');
+const idempotency = require('../src/services/idempotency');
+const webhookController = require('../src/controllers/webhook');
+const auditLog = require('../src/services/audit-log');
+const config = require('../config/config');
+
+const signPayload = (body, timestamp) => {
+  const signature = crypto
+    .createHmac('sha256', config.security.webhookSecret)
+    .update(`${timestamp}.${JSON.stringify(body)}`)
+    .digest('hex');
+  return `sha256=${signature}`;
+};
+
+const postBatch = (app, body) => {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  return request(app)
+    .post('/webhook/chatgpt/batch')
+    .set('X-Webhook-Timestamp', timestamp)
+    .set('X-Webhook-Signature', signPayload(body, timestamp))
+    .send(body);
+};
+
+const conversation = {
+  id: 'conv_batch',
+  title: 'Batch test',
+  create_time: 1700000000,
+  update_time: 1700000000
+};
+
+describe('Batch webhook endpoint', () => {
+  let app;
+  let connection;
+
+  beforeAll(async () => {
+    jest.spyOn(database, 'initialize').mockResolvedValue();
+
+    const listener = new ChatBETOListener();
+    app = listener.app;
+    await listener.initialize();
+  });
+
+  beforeEach(() => {
+    connection = { query: jest.fn().mockResolvedValue([]) };
+    jest.spyOn(database, 'transaction').mockImplementation(async (callback) => callback(connection));
+    jest.spyOn(idempotency, 'getProcessed').mockResolvedValue(null);
+    jest.spyOn(idempotency, 'recordProcessed').mockResolvedValue();
+    jest.spyOn(auditLog, 'record').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(database, 'initialize').mockResolvedValue();
+  });
+
+  test('rejects an envelope without events', async () => {
+    const response = await postBatch(app, { events: [] }).expect(400);
+    expect(response.body).toHaveProperty('error', 'Invalid batch');
+  });
+
+  test('applies all events in one transaction', async () => {
+    const handler = jest.spyOn(webhookController, 'handleConversationCreated')
+      .mockResolvedValue({ status: 'conversation_created', conversationId: 'conv_batch' });
+
+    const response = await postBatch(app, {
+      events: [
+        { event_type: 'conversation.created', event_id: 'evt_a', conversation },
+        { event_type: 'conversation.created', event_id: 'evt_b', conversation }
+      ]
+    }).expect(200);
+
+    expect(database.transaction).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ conversation }), connection);
+    expect(response.body.summary).toEqual({ total: 2, succeeded: 2, duplicates: 0, failed: 0 });
+    expect(idempotency.recordProcessed).toHaveBeenCalledTimes(2);
+  });
+
+  test('audits each applied event inside the batch transaction', async () => {
+    jest.spyOn(webhookController, 'handleConversationCreated')
+      .mockResolvedValueOnce({ status: 'conversation_created', conversationId: 'conv_batch' })
+      .mockRejectedValueOnce(new Error('Duplicate entry'));
+
+    await postBatch(app, {
+      events: [
+        { event_type: 'conversation.created', event_id: 'evt_a', conversation },
+        { event_type: 'conversation.created', event_id: 'evt_b', conversation }
+      ]
+    }).expect(207);
+
+    expect(auditLog.record).toHaveBeenCalledTimes(1);
+    expect(auditLog.record).toHaveBeenCalledWith(
+      expect.objectContaining({ webhook: { keyId: 'default', source: null } }),
+      'conversation.created',
+      expect.objectContaining({ targetId: 'conv_batch', actor: { type: 'webhook', id: 'default', name: null } }),
+      connection
+    );
+  });
+
+  test('reports partial failures per event with 207', async () => {
+    jest.spyOn(webhookController, 'handleConversationCreated')
+      .mockResolvedValueOnce({ status: 'conversation_created', conversationId: 'conv_batch' })
+      .mockRejectedValueOnce(new Error('Duplicate entry'));
+
+    const response = await postBatch(app, {
+      events: [
+        { event_type: 'conversation.created', conversation },
+        { event_type: 'conversation.created', conversation },
+        { event_type: 'conversation.created', conversation: { id: 'conv_invalid' } }
+      ]
+    }).expect(207);
+
+    expect(response.body.status).toBe('partial');
+    expect(response.body.results.map(r => r.status)).toEqual(['success', 'failed', 'invalid']);
+    expect(response.body.results[1]).toHaveProperty('error', 'Duplicate entry');
+    expect(connection.query).toHaveBeenCalledWith('ROLLBACK TO SAVEPOINT batch_event_1');
+  });
+
+  test('returns the stored result for duplicate event IDs', async () => {
+    const handler = jest.spyOn(webhookController, 'handleConversationCreated');
+    idempotency.getProcessed.mockResolvedValue({
+      eventId: 'evt_seen',
+      eventType: 'conversation.created',
+      result: { status: 'conversation_created', conversationId: 'conv_batch' }
+    });
+
+    const response = await postBatch(app, {
+      events: [{ event_type: 'conversation.created', event_id: 'evt_seen', conversation }]
+    }).expect(200);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(response.body.results[0]).toMatchObject({
+      status: 'duplicate',
+      result: { conversationId: 'conv_batch' }
+    });
+  });
+});
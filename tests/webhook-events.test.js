@@ -0,0 +1,76 @@
+const repository = require('../src/services/repository');
+const webhookController = require('../src/controllers/webhook');
+const webhookDeliveries = require('../src/services/webhook-deliveries');
+const { validateWebhookPayload } = require('../src/utils/validation');
+
+describe('Conversation lifecycle events', () => {
+  beforeEach(() => {
+    jest.spyOn(webhookDeliveries, 'publish').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validation', () => {
+    test('accepts reference-only payloads for lifecycle events', () => {
+      const payload = { conversation: { id: 'conv_1' } };
+
+      expect(validateWebhookPayload(payload, 'conversation.deleted').isValid).toBe(true);
+      expect(validateWebhookPayload(payload, 'conversation.archived').isValid).toBe(true);
+      expect(validateWebhookPayload(payload, 'conversation.unarchived').isValid).toBe(true);
+      expect(validateWebhookPayload(payload, 'conversation.starred').isValid).toBe(true);
+      expect(validateWebhookPayload({ message: { id: 'msg_1' } }, 'message.deleted').isValid).toBe(true);
+    });
+
+    test('still requires the full conversation for creation events', () => {
+      const payload = { conversation: { id: 'conv_1' } };
+      expect(validateWebhookPayload(payload, 'conversation.created').isValid).toBe(false);
+    });
+
+    test('rejects lifecycle events without a target id', () => {
+      expect(validateWebhookPayload({ conversation: {} }, 'conversation.deleted').isValid).toBe(false);
+      expect(validateWebhookPayload({ conversation: { id: 'c', is_starred: 'yes' } }, 'conversation.starred').isValid).toBe(false);
+      expect(validateWebhookPayload({}, 'message.deleted').isValid).toBe(false);
+    });
+  });
+
+  describe('processing', () => {
+    test('conversation.deleted soft-deletes the conversation', async () => {
+      const softDelete = jest.spyOn(repository, 'softDeleteConversation').mockResolvedValue({ affectedRows: 1 });
+
+      const result = await webhookController.processEvent('conversation.deleted', { conversation: { id: 'conv_1' } });
+
+      expect(softDelete).toHaveBeenCalledWith('conv_1', null);
+      expect(result).toEqual({ status: 'conversation_deleted', conversationId: 'conv_1' });
+    });
+
+    test('archive, unarchive and star map onto conversation flags', async () => {
+      const setFlags = jest.spyOn(repository, 'setConversationFlags').mockResolvedValue({ affectedRows: 1 });
+      const payload = { conversation: { id: 'conv_1' } };
+
+      await webhookController.processEvent('conversation.archived', payload);
+      await webhookController.processEvent('conversation.unarchived', payload);
+      await webhookController.processEvent('conversation.starred', payload);
+      const unstarred = await webhookController.processEvent('conversation.starred', {
+        conversation: { id: 'conv_1', is_starred: false }
+      });
+
+      expect(setFlags.mock.calls.map(call => call[1])).toEqual([
+        { is_archived: true },
+        { is_archived: false },
+        { is_starred: true },
+        { is_starred: false }
+      ]);
+      expect(unstarred.status).toBe('conversation_unstarred');
+    });
+
+    test('message.deleted reports unknown messages without failing', async () => {
+      jest.spyOn(repository, 'softDeleteMessage').mockResolvedValue({ affectedRows: 0 });
+
+      const result = await webhookController.processEvent('message.deleted', { message: { id: 'msg_missing' } });
+
+      expect(result).toEqual({ status: 'message_not_found', messageId: 'msg_missing' });
+    });
+  });
+});
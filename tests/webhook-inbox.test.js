@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const ChatBETOListener = require('../server');
+const database = require('../src/services/database');
+const webhookInbox = require('../src/services/webhook-inbox');
+const webhookController = require('../src/controllers/webhook');
+const auditLog = require('../src/services/audit-log');
+const idempotency = require('../src/services/idempotency');
+const { computeBackoff } = require('../src/utils/backoff');
+const config = require('../config/config');
+
+const signPayload = (body, timestamp) => {
+  const signature = crypto
+    .createHmac('sha256', config.security.webhookSecret)
+    .update(`${timestamp}.${JSON.stringify(body)}`)
+    .digest('hex');
+  return `sha256=${signature}`;
+};
+
+const conversationPayload = {
+  conversation: {
+    id: 'conv_123',
+    title: 'Inbox test',
+    create_time: 1700000000,
+    update_time: 1700000000
+  }
+};
+
+describe('Webhook inbox', () => {
+  let app;
+
+  beforeAll(async () => {
+    jest.spyOn(database, 'initialize').mockResolvedValue();
+
+    const listener = new ChatBETOListener();
+    app = listener.app;
+    await listener.initialize();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(database, 'initialize').mockResolvedValue();
+  });
+
+  describe('POST /webhook/chatgpt', () => {
+    test('persists the event and acknowledges with 202', async () => {
+      const enqueue = jest.spyOn(webhookInbox, 'enqueue').mockResolvedValue({ id: 42, duplicate: false });
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+
+      const response = await request(app)
+        .post('/webhook/chatgpt')
+        .set('X-Webhook-Timestamp', timestamp)
+        .set('X-Webhook-Signature', signPayload(conversationPayload, timestamp))
+        .set('X-Event-Type', 'conversation.created')
+        .send(conversationPayload)
+        .expect(202);
+
+      expect(response.body).toMatchObject({ status: 'accepted', inboxId: 42 });
+      expect(enqueue).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'conversation.created',
+        rawBody: JSON.stringify(conversationPayload),
+        headers: expect.objectContaining({ 'x-webhook-key-id': 'default', 'x-request-id': response.headers['x-request-id'] })
+      }));
+    });
+
+    test('returns 500 when the inbox cannot persist the event', async () => {
+      jest.spyOn(webhookInbox, 'enqueue').mockRejectedValue(new Error('connect ECONNREFUSED'));
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+
+      await request(app)
+        .post('/webhook/chatgpt')
+        .set('X-Webhook-Timestamp', timestamp)
+        .set('X-Webhook-Signature', signPayload(conversationPayload, timestamp))
+        .set('X-Event-Type', 'conversation.created')
+        .send(conversationPayload)
+        .expect(500);
+    });
+  });
+
+  describe('duplicate deliveries', () => {
+    const post = (payload, eventId) => {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      return request(app)
+        .post('/webhook/chatgpt')
+        .set('X-Webhook-Timestamp', timestamp)
+        .set('X-Webhook-Signature', signPayload(payload, timestamp))
+        .set('X-Event-Type', 'message.created')
+        .set('X-Event-Id', eventId);
+    };
+
+    test('returns the original result for an already processed event', async () => {
+      const enqueue = jest.spyOn(webhookInbox, 'enqueue');
+      jest.spyOn(idempotency, 'getProcessed').mockResolvedValue({
+        eventId: 'evt_1',
+        eventType: 'message.created',
+        result: { status: 'message_created', messageId: 'msg_1' },
+        processedAt: new Date()
+      });
+
+      const response = await post(conversationPayload, 'evt_1')
+        .send(conversationPayload)
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        status: 'duplicate',
+        eventId: 'evt_1',
+        result: { status: 'message_created', messageId: 'msg_1' }
+      });
+      expect(enqueue).not.toHaveBeenCalled();
+    });
+
+    test('points at the queued entry when the event is not processed yet', async () => {
+      jest.spyOn(idempotency, 'getProcessed').mockResolvedValue(null);
+      const query = jest.spyOn(database, 'query')
+        .mockResolvedValueOnce({ affectedRows: 2, insertId: 9 })
+        .mockResolvedValueOnce([{ id: 9, event_type: 'message.created', status: 'pending', result: null, processed_at: null }]);
+
+      const response = await post(conversationPayload, 'evt_2')
+        .send(conversationPayload)
+        .expect(202);
+
+      expect(response.body).toMatchObject({ duplicate: true, inboxId: 9, eventType: 'message.created' });
+      expect(query.mock.calls[0][0]).toContain('ON DUPLICATE KEY UPDATE');
+      expect(query.mock.calls[0][1][0]).toBe('evt_2');
+    });
+
+    test('answers with the stored result when a concurrent delivery was processed first', async () => {
+      jest.spyOn(idempotency, 'getProcessed').mockResolvedValue(null);
+      jest.spyOn(database, 'query')
+        .mockResolvedValueOnce({ affectedRows: 2, insertId: 9 })
+        .mockResolvedValueOnce([{
+          id: 9, event_type: 'message.created', status: 'processed',
+          result: '{"status":"message_created","messageId":"msg_1"}', processed_at: new Date()
+        }]);
+
+      const response = await post(conversationPayload, 'evt_2')
+        .send(conversationPayload)
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        status: 'duplicate',
+        eventId: 'evt_2',
+        result: { status: 'message_created', messageId: 'msg_1' }
+      });
+    });
+
+    test('a new event id inserts one entry', async () => {
+      jest.spyOn(idempotency, 'getProcessed').mockResolvedValue(null);
+      const query = jest.spyOn(database, 'query').mockResolvedValueOnce({ affectedRows: 1, insertId: 11 });
+
+      const response = await post(conversationPayload, 'evt_new')
+        .send(conversationPayload)
+        .expect(202);
+
+      expect(response.body).toMatchObject({ status: 'accepted', inboxId: 11 });
+      expect(response.body).not.toHaveProperty('duplicate');
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    test('falls back to event_id in the payload', async () => {
+      const payload = { ...conversationPayload, event_id: 'evt_payload' };
+      jest.spyOn(idempotency, 'getProcessed').mockResolvedValue(null);
+      const enqueue = jest.spyOn(webhookInbox, 'enqueue').mockResolvedValue({ id: 10, duplicate: false });
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+
+      await request(app)
+        .post('/webhook/chatgpt')
+        .set('X-Webhook-Timestamp', timestamp)
+        .set('X-Webhook-Signature', signPayload(payload, timestamp))
+        .set('X-Event-Type', 'conversation.created')
+        .send(payload)
+        .expect(202);
+
+      expect(enqueue).toHaveBeenCalledWith(expect.objectContaining({ eventId: 'evt_payload' }));
+    });
+
+    test('worker does not re-run handlers for an event processed meanwhile', async () => {
+      jest.spyOn(database, 'query').mockResolvedValue({ affectedRows: 1 });
+      jest.spyOn(idempotency, 'getProcessed').mockResolvedValue({
+        eventId: 'evt_3', eventType: 'conversation.created', result: { status: 'conversation_created' }
+      });
+      const processor = jest.fn();
+
+      webhookInbox.processor = processor;
+      await webhookInbox.processEntry({
+        id: 3,
+        event_id: 'evt_3',
+        event_type: 'conversation.created',
+        raw_body: JSON.stringify(conversationPayload),
+        attempts: 1,
+        max_attempts: 3
+      });
+
+      expect(processor).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('worker', () => {
+    test('computeBackoff grows exponentially and is capped', () => {
+      const options = { baseMs: 1000, maxMs: 5000 };
+      expect(computeBackoff(1, options)).toBe(1000);
+      expect(computeBackoff(2, options)).toBe(2000);
+      expect(computeBackoff(3, options)).toBe(4000);
+      expect(computeBackoff(4, options)).toBe(5000);
+    });
+
+    test('hands the stored payload to the existing handlers', async () => {
+      const query = jest.spyOn(database, 'query').mockResolvedValue({ affectedRows: 1 });
+      const handler = jest.spyOn(webhookController, 'handleConversationCreated')
+        .mockResolvedValue({ status: 'conversation_created', conversationId: 'conv_123' });
+
+      webhookInbox.processor = (eventType, payload) => webhookController.processEvent(eventType, payload);
+      await webhookInbox.processEntry({
+        id: 1,
+        event_type: 'conversation.created',
+        raw_body: JSON.stringify(conversationPayload),
+        attempts: 1,
+        max_attempts: 3
+      });
+
+      expect(handler).toHaveBeenCalledWith(conversationPayload, null);
+      expect(query.mock.calls[0][0]).toContain("status = 'processed'");
+    });
+
+    test('audits an applied event as the webhook that delivered it', async () => {
+      jest.spyOn(webhookController, 'handleConversationCreated')
+        .mockResolvedValue({ status: 'conversation_created', conversationId: 'conv_123' });
+      const record = jest.spyOn(auditLog, 'record').mockResolvedValue();
+
+      await webhookController.applyInboxEvent('conversation.created', conversationPayload, {
+        id: 4,
+        headers: JSON.stringify({ 'x-request-id': 'req-hook', 'x-webhook-key-id': 'k2', 'x-webhook-source': 'chatgpt' })
+      });
+
+      expect(record).toHaveBeenCalledWith({ id: 'req-hook' }, 'conversation.created', {
+        targetId: 'conv_123',
+        after: { status: 'conversation_created', conversationId: 'conv_123' },
+        actor: { type: 'webhook', id: 'k2', name: 'chatgpt' }
+      }, null);
+    });
+
+    test('schedules a retry while attempts remain', async () => {
+      const query = jest.spyOn(database, 'query').mockResolvedValue({ affectedRows: 1 });
+
+      const outcome = await webhookInbox.markFailed(
+        { id: 7, event_type: 'message.created', attempts: 2, max_attempts: 3 },
+        new Error('Deadlock found')
+      );
+
+      expect(outcome.status).toBe('failed');
+      expect(outcome.retryInMs).toBe(config.webhookInbox.backoffBaseMs * 2);
+      expect(query.mock.calls[0][1]).toEqual(['Deadlock found', config.webhookInbox.backoffBaseMs * 2 * 1000, 7]);
+      expect(query.mock.calls[0][0]).toContain("status = 'failed'");
+    });
+
+    test('dead-letters the entry once max attempts is reached', async () => {
+      const query = jest.spyOn(database, 'query').mockResolvedValue({ affectedRows: 1 });
+
+      const outcome = await webhookInbox.markFailed(
+        { id: 7, event_type: 'message.created', attempts: 3, max_attempts: 3 },
+        new Error('Deadlock found')
+      );
+
+      expect(outcome.status).toBe('dead');
+      expect(query.mock.calls[0][0]).toContain("status = 'dead'");
+    });
+  });
+});
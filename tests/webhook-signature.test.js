@@ -0,0 +1,209 @@
+const request = require('supertest');
+const config = require('../config/config');
+const database = require('../src/services/database');
+const webhookInbox = require('../src/services/webhook-inbox');
+const ChatBETOListener = require('../server');
+const {
+  computeSignature,
+  parseSignatureHeader,
+  normalizeSecrets,
+  activeSecrets,
+  findSigningSecret
+} = require('../src/utils/webhook-signature');
+
+const payload = { conversation: { id: 'conv_sig', title: 'Signed', create_time: 1700000000, update_time: 1700000000 } };
+const body = JSON.stringify(payload);
+const now = () => Math.floor(Date.now() / 1000).toString();
+
+describe('webhook signature utils', () => {
+  test('parses sha256=, bare and key-labelled entries and drops malformed ones', () => {
+    const a = 'a'.repeat(64);
+    const b = 'B'.repeat(64);
+
+    expect(parseSignatureHeader(`sha256=${a}`)).toEqual([{ keyId: null, signature: a }]);
+    expect(parseSignatureHeader(a)).toEqual([{ keyId: null, signature: a }]);
+    expect(parseSignatureHeader(`v1=${a}, v2=${b}`)).toEqual([
+      { keyId: 'v1', signature: a },
+      { keyId: 'v2', signature: 'b'.repeat(64) }
+    ]);
+    expect(parseSignatureHeader('sha256=abc,v1=zz')).toEqual([]);
+    expect(parseSignatureHeader(undefined)).toEqual([]);
+  });
+
+  test('falls back to the single secret and keeps grace periods and sources', () => {
+    expect(normalizeSecrets(null, 'only')).toEqual([{ id: 'default', secret: 'only', source: null, expiresAt: null }]);
+
+    const secrets = normalizeSecrets([
+      { id: 'v2', secret: 'new' },
+      { id: 'v1', secret: 'old', expiresAt: '2024-01-02T00:00:00Z' },
+      { id: 'crm', secret: 'crm', source: 'crm' },
+      { id: 'empty' }
+    ], 'ignored');
+
+    expect(secrets.map(secret => secret.id)).toEqual(['v2', 'v1', 'crm']);
+    expect(activeSecrets(secrets, { now: new Date('2024-01-01T00:00:00Z') }).map(secret => secret.id)).toEqual(['v2', 'v1']);
+    expect(activeSecrets(secrets, { now: new Date('2024-01-03T00:00:00Z') }).map(secret => secret.id)).toEqual(['v2']);
+    expect(activeSecrets(secrets, { source: 'crm', now: new Date('2024-01-03T00:00:00Z') }).map(secret => secret.id)).toEqual(['v2', 'crm']);
+  });
+
+  test('refuses to start on a malformed WEBHOOK_SECRETS instead of falling back', () => {
+    const loadWith = (value) => {
+      const previous = process.env.WEBHOOK_SECRETS;
+      process.env.WEBHOOK_SECRETS = value;
+      try {
+        let loaded;
+        jest.isolateModules(() => { loaded = require('../config/config'); });
+        return loaded.security.webhookSecrets;
+      } finally {
+        if (previous === undefined) delete process.env.WEBHOOK_SECRETS;
+        else process.env.WEBHOOK_SECRETS = previous;
+      }
+    };
+
+    expect(loadWith('[{"id":"v2","secret":"s2"}]')).toEqual([{ id: 'v2', secret: 's2' }]);
+    expect(() => loadWith('[{"id":"v2","secret":"s2"')).toThrow('WEBHOOK_SECRETS is not valid JSON');
+    expect(() => loadWith('{"id":"v2","secret":"s2"}')).toThrow('must be a non-empty JSON array');
+    expect(() => loadWith('[]')).toThrow('must be a non-empty JSON array');
+    expect(() => loadWith('[{"id":"v2"}]')).toThrow('WEBHOOK_SECRETS[0] needs a non-empty "secret"');
+    expect(() => loadWith('[{"secret":"s2","expiresAt":"soon"}]')).toThrow('invalid "expiresAt"');
+  });
+
+  test('production needs WEBHOOK_SECRETS or WEBHOOK_SECRET, not both', () => {
+    const required = { NODE_ENV: 'production', DB_HOST: 'db', DB_NAME: 'chatbeto', DB_USER: 'app', DB_PASSWORD: 'pw', JWT_SECRET: 'jwt' };
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const loadWith = (env) => {
+      const previous = { ...process.env };
+      Object.assign(process.env, required);
+      delete process.env.WEBHOOK_SECRET;
+      delete process.env.WEBHOOK_SECRETS;
+      Object.assign(process.env, env);
+      try {
+        jest.isolateModules(() => { require('../config/config'); });
+      } finally {
+        process.env = previous;
+      }
+    };
+
+    try {
+      loadWith({ WEBHOOK_SECRETS: '[{"id":"v2","secret":"s2"}]' });
+      loadWith({ WEBHOOK_SECRET: 's1' });
+      expect(exit).not.toHaveBeenCalled();
+
+      loadWith({});
+      expect(exit).toHaveBeenCalledWith(1);
+      expect(error).toHaveBeenCalledWith(expect.any(String), 'WEBHOOK_SECRETS or WEBHOOK_SECRET');
+    } finally {
+      exit.mockRestore();
+      error.mockRestore();
+    }
+  });
+
+  test('finds the secret a header was signed with', () => {
+    const secrets = normalizeSecrets([{ id: 'v2', secret: 'new' }, { id: 'v1', secret: 'old' }]);
+    const old = computeSignature('old', '1', body);
+
+    expect(findSigningSecret(secrets, { header: `sha256=${old}`, timestamp: '1', body }).id).toBe('v1');
+    expect(findSigningSecret(secrets, { header: `v2=${'0'.repeat(64)},v1=${old}`, timestamp: '1', body }).id).toBe('v1');
+    // A label or key id pins the secret
+    expect(findSigningSecret(secrets, { header: `v2=${old}`, timestamp: '1', body })).toBeNull();
+    expect(findSigningSecret(secrets, { header: `sha256=${old}`, keyId: 'v2', timestamp: '1', body })).toBeNull();
+  });
+});
+
+describe('POST /webhook/chatgpt signature validation', () => {
+  let app;
+  let enqueue;
+  const security = { ...config.security };
+
+  beforeAll(async () => {
+    jest.spyOn(database, 'initialize').mockResolvedValue();
+    const listener = new ChatBETOListener();
+    await listener.initialize();
+    app = listener.app;
+  });
+
+  beforeEach(() => {
+    enqueue = jest.spyOn(webhookInbox, 'enqueue').mockResolvedValue({ id: 1 });
+  });
+
+  afterEach(() => {
+    Object.assign(config.security, security);
+    jest.restoreAllMocks();
+  });
+
+  const post = (headers, raw = body) => {
+    const req = request(app).post('/webhook/chatgpt')
+      .set('Content-Type', 'application/json')
+      .set('X-Event-Type', 'conversation.created');
+    Object.entries(headers).forEach(([name, value]) => req.set(name, value));
+    return req.send(raw);
+  };
+
+  const rotate = (secrets) => {
+    config.security.webhookSecrets = secrets;
+  };
+
+  test('verifies the raw body rather than re-serialized JSON', async () => {
+    const raw = JSON.stringify(payload, null, 2);
+    const timestamp = now();
+
+    await post({
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${computeSignature(config.security.webhookSecret, timestamp, raw)}`
+    }, raw).expect(202);
+
+    expect(enqueue).toHaveBeenCalledWith(expect.objectContaining({ rawBody: raw }));
+  });
+
+  test('accepts any active secret named by key id or signature label', async () => {
+    rotate([{ id: 'v2', secret: 'new-secret' }, { id: 'v1', secret: 'old-secret' }]);
+    const timestamp = now();
+    const v1 = computeSignature('old-secret', timestamp, body);
+    const v2 = computeSignature('new-secret', timestamp, body);
+
+    await post({ 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': `v1=${v1},v2=${v2}` }).expect(202);
+    await post({ 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': `sha256=${v2}`, 'X-Webhook-Key-Id': 'v2' }).expect(202);
+    await post({ 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': `sha256=${v1}`, 'X-Webhook-Key-Id': 'v2' }).expect(401);
+
+    // WEBHOOK_SECRETS replaces the single secret
+    const legacy = computeSignature(config.security.webhookSecret, timestamp, body);
+    await post({ 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': `sha256=${legacy}` }).expect(401);
+  });
+
+  test('old secrets work until their grace period ends', async () => {
+    const timestamp = now();
+    const signature = `v1=${computeSignature('old-secret', timestamp, body)}`;
+
+    rotate([{ id: 'v2', secret: 'new-secret' }, { id: 'v1', secret: 'old-secret', expiresAt: new Date(Date.now() + 60000).toISOString() }]);
+    await post({ 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': signature }).expect(202);
+
+    rotate([{ id: 'v2', secret: 'new-secret' }, { id: 'v1', secret: 'old-secret', expiresAt: new Date(Date.now() - 1000).toISOString() }]);
+    const res = await post({ 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': signature }).expect(401);
+    expect(res.body.error).toBe('Invalid signature');
+  });
+
+  test('source-bound secrets only verify requests from that source', async () => {
+    rotate([{ id: 'main', secret: 'main-secret' }, { id: 'crm', secret: 'crm-secret', source: 'crm' }]);
+    const timestamp = now();
+    const signature = `sha256=${computeSignature('crm-secret', timestamp, body)}`;
+
+    await post({ 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': signature, 'X-Webhook-Source': 'crm' }).expect(202);
+    await post({ 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': signature }).expect(401);
+    await post({ 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': signature, 'X-Webhook-Source': 'other' }).expect(401);
+  });
+
+  test('malformed signatures and stale timestamps are rejected with 401', async () => {
+    await post({ 'X-Webhook-Timestamp': now(), 'X-Webhook-Signature': 'sha256=abc' }).expect(401);
+    await post({ 'X-Webhook-Timestamp': 'soon', 'X-Webhook-Signature': `sha256=${'0'.repeat(64)}` }).expect(401);
+
+    const stale = (Math.floor(Date.now() / 1000) - 600).toString();
+    const res = await post({
+      'X-Webhook-Timestamp': stale,
+      'X-Webhook-Signature': `sha256=${computeSignature(config.security.webhookSecret, stale, body)}`
+    }).expect(401);
+    expect(res.body.error).toBe('Request too old');
+    expect(enqueue).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,329 @@
+const http = require('http');
+const request = require('supertest');
+const config = require('../config/config');
+const database = require('../src/services/database');
+const repository = require('../src/services/repository');
+const openaiService = require('../src/services/openai');
+const webhookDeliveries = require('../src/services/webhook-deliveries');
+const webhookController = require('../src/controllers/webhook');
+const { computeSignature } = require('../src/utils/webhook-signature');
+const { API_KEY, bootApp, fakeQuery } = require('./helpers/app');
+
+// In-memory subscription, delivery and attempt tables answering the statements the services issue
+const createFakeTables = () => {
+  const subscriptions = new Map();
+  const deliveries = new Map();
+  const attempts = [];
+  let nextDeliveryId = 1;
+
+  const query = fakeQuery((statement, params) => {
+    if (statement.startsWith('SELECT * FROM webhook_subscriptions ORDER BY')) {
+      return [...subscriptions.values()].reverse();
+    }
+    if (statement === 'SELECT * FROM webhook_subscriptions WHERE id = ?') {
+      const row = subscriptions.get(params[0]);
+      return row ? [{ ...row }] : [];
+    }
+    if (statement === 'SELECT * FROM webhook_subscriptions WHERE is_active = 1') {
+      return [...subscriptions.values()].filter(row => row.is_active === 1);
+    }
+    if (statement.startsWith('INSERT INTO webhook_subscriptions')) {
+      const [id, name, url, events, secret, isActive, createdBy] = params;
+      subscriptions.set(id, {
+        id, name, url, events, secret, is_active: isActive, created_by: createdBy,
+        created_at: new Date(), updated_at: new Date()
+      });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('UPDATE webhook_subscriptions SET')) {
+      const columns = statement.match(/SET (.*) WHERE/)[1].split(', ').map(part => part.split(' = ')[0]);
+      const row = subscriptions.get(params[params.length - 1]);
+      columns.forEach((column, index) => { row[column] = params[index]; });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('DELETE a FROM webhook_delivery_attempts')) {
+      return { affectedRows: 0 };
+    }
+    if (statement === 'DELETE FROM webhook_deliveries WHERE subscription_id = ?') {
+      [...deliveries.values()].filter(row => row.subscription_id === params[0]).forEach(row => deliveries.delete(row.id));
+      return { affectedRows: 1 };
+    }
+    if (statement === 'DELETE FROM webhook_subscriptions WHERE id = ?') {
+      subscriptions.delete(params[0]);
+      return { affectedRows: 1 };
+    }
+
+    if (statement.startsWith('INSERT INTO webhook_deliveries')) {
+      const [subscriptionId, eventId, eventType, payload, maxAttempts] = params;
+      const id = nextDeliveryId++;
+      deliveries.set(id, {
+        id, subscription_id: subscriptionId, event_id: eventId, event_type: eventType, payload,
+        status: 'pending', attempts: 0, max_attempts: maxAttempts, next_attempt_at: new Date(),
+        locked_at: null, last_status_code: null, last_error: null, created_at: new Date(), delivered_at: null
+      });
+      return { insertId: id, affectedRows: 1 };
+    }
+    if (statement.startsWith('SELECT d.*, s.url, s.secret FROM webhook_deliveries d')) {
+      return [...deliveries.values()]
+        .filter(row => ['pending', 'failed'].includes(row.status) && row.next_attempt_at <= new Date())
+        .filter(row => subscriptions.get(row.subscription_id)?.is_active === 1)
+        .map(row => ({ ...row, url: subscriptions.get(row.subscription_id).url, secret: subscriptions.get(row.subscription_id).secret }));
+    }
+    if (statement.startsWith("UPDATE webhook_deliveries SET status = 'processing'")) {
+      params.forEach(id => Object.assign(deliveries.get(id), { status: 'processing', attempts: deliveries.get(id).attempts + 1 }));
+      return { affectedRows: params.length };
+    }
+    if (statement.startsWith("UPDATE webhook_deliveries SET status = 'delivered'")) {
+      Object.assign(deliveries.get(params[1]), { status: 'delivered', last_status_code: params[0], last_error: null, delivered_at: new Date() });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith("UPDATE webhook_deliveries SET status = 'failed'")) {
+      Object.assign(deliveries.get(params[3]), {
+        status: 'failed', last_status_code: params[0], last_error: params[1],
+        next_attempt_at: new Date(Date.now() + params[2] / 1000)
+      });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith("UPDATE webhook_deliveries SET status = 'dead'")) {
+      Object.assign(deliveries.get(params[2]), { status: 'dead', last_status_code: params[0], last_error: params[1] });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith("UPDATE webhook_deliveries SET status = 'pending'")) {
+      const row = deliveries.get(params[0]);
+      if (!['delivered', 'failed', 'dead'].includes(row.status)) {
+        return { affectedRows: 0 };
+      }
+      Object.assign(row, { status: 'pending', attempts: 0, next_attempt_at: new Date() });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('SELECT * FROM webhook_deliveries WHERE subscription_id = ?')) {
+      return [...deliveries.values()]
+        .filter(row => row.subscription_id === params[0] && (params.length === 2 || row.status === params[1]))
+        .reverse();
+    }
+    if (statement === 'SELECT * FROM webhook_deliveries WHERE id = ? AND subscription_id = ?') {
+      const row = deliveries.get(Number(params[0]));
+      return row && row.subscription_id === params[1] ? [{ ...row }] : [];
+    }
+
+    if (statement.startsWith('INSERT INTO webhook_delivery_attempts')) {
+      const [deliveryId, attempt, statusCode, error, responseBody, durationMs] = params;
+      attempts.push({
+        id: attempts.length + 1, delivery_id: deliveryId, attempt, status_code: statusCode,
+        error, response_body: responseBody, duration_ms: durationMs, attempted_at: new Date()
+      });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('SELECT * FROM webhook_delivery_attempts WHERE delivery_id = ?')) {
+      return attempts.filter(row => row.delivery_id === params[0]);
+    }
+  });
+
+  return { subscriptions, deliveries, attempts, query };
+};
+
+// Local consumer: records requests and answers with the queued status codes (200 once they run out)
+const createConsumer = () => {
+  const received = [];
+  const statuses = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      const status = statuses.shift() || 200;
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(status === 200 ? 'ok' : 'consumer unavailable');
+    });
+  });
+
+  return {
+    received,
+    statuses,
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)),
+    close: () => new Promise(resolve => server.close(resolve)),
+    url: () => `http://127.0.0.1:${server.address().port}/hooks`
+  };
+};
+
+describe('Outbound webhooks', () => {
+  let app;
+  let tables;
+  const consumer = createConsumer();
+  const outbound = { ...config.outboundWebhooks };
+
+  const api = (method, path = '') => request(app)[method](`/api/v1/webhook-subscriptions${path}`).set('X-API-Key', API_KEY);
+
+  const subscribe = async (body = {}) => {
+    const res = await api('post').send({ name: 'analytics', url: consumer.url(), ...body });
+    expect(res.status).toBe(201);
+    return res.body.data;
+  };
+
+  const messagePayload = {
+    message: { id: 'msg_1', conversation_id: 'conv_1', role: 'user', content: 'Hello' }
+  };
+
+  beforeAll(async () => {
+    app = await bootApp();
+    await consumer.listen();
+  });
+
+  afterAll(async () => {
+    await consumer.close();
+  });
+
+  beforeEach(() => {
+    tables = createFakeTables();
+    consumer.received.length = 0;
+    consumer.statuses.length = 0;
+    jest.spyOn(database, 'query').mockImplementation(tables.query);
+    jest.spyOn(database, 'transaction').mockImplementation(callback => callback(null));
+    jest.spyOn(repository, 'upsertMessage').mockResolvedValue({ id: 'msg_1' });
+  });
+
+  afterEach(() => {
+    Object.assign(config.outboundWebhooks, outbound);
+    jest.restoreAllMocks();
+  });
+
+  describe('subscriptions', () => {
+    test('returns the signing secret only when the subscription is created', async () => {
+      const created = await subscribe({ events: ['message.*'] });
+      expect(created.secret).toMatch(/^whsec_/);
+      expect(created).toMatchObject({ name: 'analytics', events: ['message.*'], isActive: true });
+
+      const list = await api('get');
+      expect(list.body.data.map(subscription => subscription.id)).toEqual([created.id]);
+      expect(list.body.data[0].secret).toBeUndefined();
+
+      const updated = await api('patch', `/${created.id}`).send({ isActive: false, events: ['conversation.created'] });
+      expect(updated.body.data).toMatchObject({ isActive: false, events: ['conversation.created'] });
+      expect(updated.body.data.secret).toBeUndefined();
+
+      expect((await api('delete', `/${created.id}`)).status).toBe(200);
+      expect((await api('get', `/${created.id}`)).status).toBe(404);
+    });
+
+    test('rejects invalid URLs and unknown events', async () => {
+      expect((await api('post').send({ name: 'x', url: 'ftp://example.com' })).status).toBe(400);
+      expect((await api('post').send({ name: 'x', url: 'https://example.com', events: ['project.created'] })).status).toBe(400);
+      expect((await api('post').send({ url: 'https://example.com' })).status).toBe(400);
+      expect((await api('patch', '/missing').send({ name: 'y' })).status).toBe(404);
+    });
+
+    test('require an admin', async () => {
+      expect((await request(app).get('/api/v1/webhook-subscriptions')).status).toBe(401);
+    });
+  });
+
+  describe('delivery', () => {
+    test('persisted webhook events are delivered signed to matching subscribers', async () => {
+      const { id, secret } = await subscribe({ events: ['message.*'] });
+      await subscribe({ name: 'paused', events: ['*'], isActive: false });
+
+      await webhookController.processEvent('message.created', messagePayload);
+      expect(tables.deliveries.size).toBe(1);
+
+      await webhookDeliveries.poll();
+
+      expect(consumer.received).toHaveLength(1);
+      const [{ headers, body }] = consumer.received;
+      expect(headers['x-event-type']).toBe('message.created');
+      expect(headers['x-webhook-signature']).toBe(`sha256=${computeSignature(secret, headers['x-webhook-timestamp'], body)}`);
+      expect(JSON.parse(body)).toMatchObject({
+        id: headers['x-event-id'],
+        type: 'message.created',
+        source: 'chatgpt',
+        data: { messageId: 'msg_1', conversationId: 'conv_1', role: 'user' }
+      });
+
+      const delivery = await api('get', `/${id}/deliveries/1`);
+      expect(delivery.body.data).toMatchObject({ status: 'delivered', attempts: 1, lastStatusCode: 200 });
+      expect(delivery.body.data.attemptLog).toEqual([expect.objectContaining({ attempt: 1, statusCode: 200, error: null })]);
+    });
+
+    test('events outside the filter are not queued', async () => {
+      await subscribe({ events: ['conversation.deleted'] });
+
+      await webhookController.processEvent('message.created', messagePayload);
+
+      expect(tables.deliveries.size).toBe(0);
+    });
+
+    test('failed deliveries are retried with backoff and logged, then abandoned', async () => {
+      config.outboundWebhooks.maxAttempts = 2;
+      const { id } = await subscribe();
+      consumer.statuses.push(503, 503);
+
+      await webhookDeliveries.publish('message.created', { messageId: 'msg_2' });
+      await webhookDeliveries.poll();
+
+      const delivery = tables.deliveries.get(1);
+      expect(delivery).toMatchObject({ status: 'failed', attempts: 1, last_status_code: 503 });
+      expect(delivery.next_attempt_at.getTime()).toBeGreaterThan(Date.now());
+
+      // Not due yet
+      await webhookDeliveries.poll();
+      expect(consumer.received).toHaveLength(1);
+
+      delivery.next_attempt_at = new Date(0);
+      await webhookDeliveries.poll();
+      expect(delivery.status).toBe('dead');
+
+      const res = await api('get', `/${id}/deliveries?status=dead`);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].lastError).toBe('Consumer answered HTTP 503');
+      expect(tables.attempts.map(attempt => [attempt.attempt, attempt.status_code, attempt.response_body]))
+        .toEqual([[1, 503, 'consumer unavailable'], [2, 503, 'consumer unavailable']]);
+    });
+
+    test('unreachable consumers count as failed attempts', async () => {
+      await subscribe({ url: 'http://127.0.0.1:1/hooks' });
+
+      await webhookDeliveries.publish('conversation.created', { conversationId: 'conv_9' });
+      await webhookDeliveries.poll();
+
+      expect(tables.deliveries.get(1)).toMatchObject({ status: 'failed', last_status_code: null });
+      expect(tables.attempts[0].error).toBeTruthy();
+    });
+
+    test('a delivery can be sent again by hand', async () => {
+      const { id } = await subscribe();
+      await webhookDeliveries.publish('message.deleted', { messageId: 'msg_3' });
+      await webhookDeliveries.poll();
+
+      const redelivered = await api('post', `/${id}/deliveries/1/redeliver`).send({});
+      expect(redelivered.status).toBe(202);
+      expect(redelivered.body.data).toMatchObject({ status: 'pending', attempts: 0 });
+
+      expect((await api('post', `/${id}/deliveries/1/redeliver`).send({})).status).toBe(409);
+      expect((await api('post', `/${id}/deliveries/99/redeliver`).send({})).status).toBe(404);
+
+      await webhookDeliveries.poll();
+      expect(consumer.received).toHaveLength(2);
+      expect(consumer.received[1].headers['x-event-id']).toBe(consumer.received[0].headers['x-event-id']);
+    });
+
+    test('conversations created through the OpenAI API are published', async () => {
+      await subscribe({ events: ['conversation.created'] });
+      jest.spyOn(repository, 'findProjectById').mockResolvedValue({ id: 3 });
+      jest.spyOn(repository, 'updateConversationTitle').mockResolvedValue();
+      jest.spyOn(openaiService, 'createConversation').mockResolvedValue({
+        conversationId: 'thread_1', threadId: 'thread_1', assistantId: 'asst_1'
+      });
+
+      const res = await request(app).post('/api/v1/openai/conversations')
+        .set('X-API-Key', API_KEY)
+        .send({ projectId: 3, title: 'Planning' });
+      expect(res.status).toBe(201);
+
+      expect(JSON.parse(tables.deliveries.get(1).payload)).toMatchObject({
+        type: 'conversation.created',
+        source: 'openai',
+        data: { conversationId: 'thread_1', projectId: 3, title: 'Planning' }
+      });
+    });
+  });
+});